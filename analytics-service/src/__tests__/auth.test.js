@@ -0,0 +1,56 @@
+process.env.JWT_SECRET = 'test-secret';
+process.env.INTERNAL_SERVICE_TOKEN = 'internal-test';
+
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { app } = require('../index');
+
+const Event = mongoose.model('Event');
+const SalesMetric = mongoose.model('SalesMetric');
+
+const tokenFor = (role) => jwt.sign({ _id: new mongoose.Types.ObjectId().toString(), role }, 'test-secret');
+
+describe('authentication', () => {
+  beforeEach(() => {
+    jest.spyOn(SalesMetric, 'aggregate').mockResolvedValue([]);
+    jest.spyOn(Event, 'find').mockReturnValue({ sort: async () => [] });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('reports need a live admin session', async () => {
+    const admin = tokenFor('admin');
+    jest.spyOn(axios, 'get').mockResolvedValue({ data: { active: true } });
+
+    const allowed = await request(app).get('/analytics/report/sales').set('Authorization', `Bearer ${admin}`);
+    const user = await request(app).get('/analytics/report/sales').set('Authorization', `Bearer ${tokenFor('user')}`);
+
+    expect(allowed.status).toBe(200);
+    expect(user.status).toBe(403);
+    expect(axios.get).toHaveBeenCalledWith(expect.stringMatching(/\/token\/introspect$/), {
+      headers: { Authorization: `Bearer ${admin}` }
+    });
+  });
+
+  test('revoked sessions are turned away', async () => {
+    jest.spyOn(axios, 'get').mockRejectedValue(new Error('Request failed with status code 401'));
+
+    const res = await request(app).get('/analytics/report/sales').set('Authorization', `Bearer ${tokenFor('admin')}`);
+
+    expect(res.status).toBe(401);
+    expect(SalesMetric.aggregate).not.toHaveBeenCalled();
+  });
+
+  test('personal data routes are only open to other services', async () => {
+    const denied = await request(app).get('/internal/users/u1/data').set('X-Internal-Token', 'guess');
+    const allowed = await request(app).get('/internal/users/u1/data').set('X-Internal-Token', 'internal-test');
+
+    expect(denied.status).toBe(403);
+    expect(allowed.status).toBe(200);
+    expect(Event.find).toHaveBeenCalledTimes(1);
+  });
+});
@@ -5,6 +5,8 @@ const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
 const jwt = require('jsonwebtoken');
+const axios = require('axios');
+const { createSessionIntrospector, internalAuth } = require('../../shared');
 
 const app = express();
 
@@ -74,11 +76,19 @@ const Event = mongoose.model('Event', eventSchema);
 const SalesMetric = mongoose.model('SalesMetric', salesMetricSchema);
 const TrafficMetric = mongoose.model('TrafficMetric', trafficMetricSchema);
 
+// Session Revocation Check
+// Asks user-service whether the token's session is still live; successes are cached briefly
+const USER_SERVICE_URL = process.env.USER_SERVICE_URL || 'http://localhost:3001';
+const introspectSession = createSessionIntrospector({ http: axios, userServiceUrl: USER_SERVICE_URL });
+
 // Authentication Middleware
 const auth = async (req, res, next) => {
   try {
     const token = req.header('Authorization').replace('Bearer ', '');
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (!await introspectSession(token)) {
+      throw new Error('Session has been revoked');
+    }
     req.user = { id: decoded._id, role: decoded.role };
     next();
   } catch (error) {
@@ -229,6 +239,32 @@ app.get('/analytics/report/products', auth, adminAuth, async (req, res) => {
   }
 });
 
+// Internal Routes
+
+// GET /internal/users/:userId/data - Tracked events, for personal data exports
+app.get('/internal/users/:userId/data', internalAuth, async (req, res) => {
+  try {
+    const events = await Event.find({ userId: req.params.userId }).sort({ timestamp: 1 });
+    res.send({ events });
+  } catch (error) {
+    res.status(500).send(error);
+  }
+});
+
+// DELETE /internal/users/:userId/data - Anonymize an erased user's events
+// Events still count towards aggregate reports but can no longer be tied to the user
+app.delete('/internal/users/:userId/data', internalAuth, async (req, res) => {
+  try {
+    const result = await Event.updateMany(
+      { userId: req.params.userId },
+      { $unset: { userId: '', sessionId: '' } }
+    );
+    res.send({ eventsAnonymized: result.modifiedCount });
+  } catch (error) {
+    res.status(500).send(error);
+  }
+});
+
 // Utility Functions
 async function aggregateDailyMetrics() {
   const yesterday = new Date();
@@ -291,19 +327,24 @@ async function aggregateDailyMetrics() {
   }
 }
 
-// Run daily aggregation at midnight
-setInterval(aggregateDailyMetrics, 24 * 60 * 60 * 1000);
-
 // Server Configuration
 const PORT = process.env.PORT || 3005;
 
-mongoose.connect(process.env.MONGODB_URI)
-  .then(() => {
-    console.log('Connected to MongoDB');
-    app.listen(PORT, () => {
-      console.log(`Analytics Service running on port ${PORT}`);
+// Tests require this file for the app without starting the service
+if (require.main === module) {
+  // Run daily aggregation at midnight
+  setInterval(aggregateDailyMetrics, 24 * 60 * 60 * 1000);
+
+  mongoose.connect(process.env.MONGODB_URI)
+    .then(() => {
+      console.log('Connected to MongoDB');
+      app.listen(PORT, () => {
+        console.log(`Analytics Service running on port ${PORT}`);
+      });
+    })
+    .catch((error) => {
+      console.error('Error connecting to MongoDB:', error);
     });
-  })
-  .catch((error) => {
-    console.error('Error connecting to MongoDB:', error);
-  });
+}
+
+module.exports = { app };
@@ -2,12 +2,57 @@ import React, { useState, useEffect } from 'react';
 import { BrowserRouter as Router, Routes, Route, Link, useNavigate } from 'react-router-dom';
 import './App.css';
 
+// Authenticated requests. Access tokens expire after a few minutes, so a 401 is answered by
+// refreshing the token pair once and retrying; if the refresh fails the tokens are dropped.
+let refreshInFlight = null;
+
+const refreshTokens = async () => {
+  const refreshToken = localStorage.getItem('refreshToken');
+  if (!refreshToken) return false;
+
+  const response = await fetch('http://localhost:3001/token/refresh', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ refreshToken })
+  });
+  if (!response.ok) {
+    localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
+    return false;
+  }
+
+  const data = await response.json();
+  localStorage.setItem('token', data.token);
+  localStorage.setItem('refreshToken', data.refreshToken);
+  return true;
+};
+
+const authFetch = async (url, options = {}) => {
+  const send = () => fetch(url, {
+    ...options,
+    headers: { ...options.headers, Authorization: `Bearer ${localStorage.getItem('token')}` }
+  });
+
+  const response = await send();
+  if (response.status !== 401) return response;
+
+  // Refresh tokens are single-use, so concurrent 401s wait for the same refresh
+  refreshInFlight = refreshInFlight || refreshTokens().finally(() => { refreshInFlight = null; });
+  return (await refreshInFlight) ? send() : response;
+};
+
 // Components
 const Navbar = ({ user, setUser }) => {
   const navigate = useNavigate();
 
-  const handleLogout = () => {
+  const handleLogout = async () => {
+    try {
+      await authFetch('http://localhost:3001/logout', { method: 'POST' });
+    } catch (error) {
+      console.error('Error revoking session:', error);
+    }
     localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
     setUser(null);
     navigate('/login');
   };
@@ -20,6 +65,7 @@ const Navbar = ({ user, setUser }) => {
         {user ? (
           <>
             <span>Welcome, {user.firstName}!</span>
+            {user.role === 'user' && <Link to="/sell">Sell with us</Link>}
             <button onClick={handleLogout}>Logout</button>
           </>
         ) : (
@@ -35,23 +81,58 @@ const Navbar = ({ user, setUser }) => {
 
 const LoginForm = ({ setUser }) => {
   const [credentials, setCredentials] = useState({ email: '', password: '' });
+  const [challenge, setChallenge] = useState(null);
+  const [enrollment, setEnrollment] = useState(null);
+  const [code, setCode] = useState('');
   const [error, setError] = useState('');
   const navigate = useNavigate();
 
+  const postJson = async (path, body) => {
+    const response = await fetch(`http://localhost:3001${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    return { response, data: await response.json() };
+  };
+
+  const finishLogin = (data) => {
+    localStorage.setItem('token', data.token);
+    localStorage.setItem('refreshToken', data.refreshToken);
+    setUser(data.user);
+    if (data.recoveryCodes) {
+      window.alert(`Save these recovery codes:\n${data.recoveryCodes.join('\n')}`);
+    }
+    navigate('/');
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     try {
-      const response = await fetch('http://localhost:3001/login', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(credentials)
-      });
+      const { response, data } = await postJson('/login', credentials);
+      if (!response.ok) {
+        setError(data.error || 'Login failed');
+      } else if (data.twoFactorEnrollmentRequired) {
+        const setup = await postJson('/login/2fa/setup', { challengeToken: data.challengeToken });
+        setChallenge(data);
+        setEnrollment(setup.data);
+      } else if (data.twoFactorRequired) {
+        setChallenge(data);
+      } else {
+        finishLogin(data);
+      }
+    } catch (error) {
+      setError('Error during login');
+    }
+  };
 
-      const data = await response.json();
+  const handleCodeSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      const path = enrollment ? '/login/2fa/enroll' : '/login/2fa';
+      const { response, data } = await postJson(path, { challengeToken: challenge.challengeToken, code });
       if (response.ok) {
-        localStorage.setItem('token', data.token);
-        setUser(data.user);
-        navigate('/');
+        finishLogin(data);
       } else {
         setError(data.error || 'Login failed');
       }
@@ -60,6 +141,31 @@ const LoginForm = ({ setUser }) => {
     }
   };
 
+  if (challenge) {
+    return (
+      <div className="form-container">
+        <h2>Two-Factor Authentication</h2>
+        {error && <div className="error-message">{error}</div>}
+        {enrollment && (
+          <p>
+            Two-factor authentication is required for your account. Add this key to your
+            authenticator app: <code>{enrollment.secret}</code>
+          </p>
+        )}
+        <form onSubmit={handleCodeSubmit}>
+          <input
+            type="text"
+            inputMode="numeric"
+            placeholder="Authentication Code"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+          />
+          <button type="submit">Verify</button>
+        </form>
+      </div>
+    );
+  }
+
   return (
     <div className="form-container">
       <h2>Login</h2>
@@ -88,8 +194,7 @@ const RegisterForm = () => {
     email: '',
     password: '',
     firstName: '',
-    lastName: '',
-    role: 'user'
+    lastName: ''
   });
   const [error, setError] = useState('');
   const navigate = useNavigate();
@@ -143,19 +248,144 @@ const RegisterForm = () => {
           value={formData.lastName}
           onChange={(e) => setFormData({ ...formData, lastName: e.target.value })}
         />
+        <button type="submit">Register</button>
+      </form>
+    </div>
+  );
+};
+
+const SellerApplicationForm = () => {
+  const [formData, setFormData] = useState({
+    displayName: '',
+    description: '',
+    contactEmail: '',
+    contactPhone: '',
+    payoutDetails: { method: 'bank_transfer', accountHolderName: '', accountNumber: '', paypalEmail: '' }
+  });
+  const [application, setApplication] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchApplication();
+  }, []);
+
+  const fetchApplication = async () => {
+    try {
+      const response = await authFetch('http://localhost:3001/seller/application');
+      if (response.ok) {
+        setApplication(await response.json());
+      }
+    } catch (error) {
+      setError('Error fetching seller application');
+    }
+  };
+
+  const updatePayout = (field, value) => {
+    setFormData({ ...formData, payoutDetails: { ...formData.payoutDetails, [field]: value } });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await authFetch('http://localhost:3001/seller/application', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(formData)
+      });
+
+      const data = await response.json();
+      if (response.ok) {
+        setApplication(data);
+      } else {
+        setError(data.error || 'Application failed');
+      }
+    } catch (error) {
+      setError('Error submitting application');
+    }
+  };
+
+  if (application && application.status !== 'rejected') {
+    return (
+      <div className="form-container">
+        <h2>Seller Application</h2>
+        <p>{application.displayName}: {application.status}</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="form-container">
+      <h2>Become a Seller</h2>
+      {application && <div className="error-message">Rejected: {application.rejectionReason}</div>}
+      {error && <div className="error-message">{error}</div>}
+      <form onSubmit={handleSubmit}>
+        <input
+          type="text"
+          placeholder="Store Name"
+          value={formData.displayName}
+          onChange={(e) => setFormData({ ...formData, displayName: e.target.value })}
+        />
+        <input
+          type="text"
+          placeholder="Store Description"
+          value={formData.description}
+          onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+        />
+        <input
+          type="email"
+          placeholder="Contact Email"
+          value={formData.contactEmail}
+          onChange={(e) => setFormData({ ...formData, contactEmail: e.target.value })}
+        />
+        <input
+          type="tel"
+          placeholder="Contact Phone"
+          value={formData.contactPhone}
+          onChange={(e) => setFormData({ ...formData, contactPhone: e.target.value })}
+        />
         <select
-          value={formData.role}
-          onChange={(e) => setFormData({ ...formData, role: e.target.value })}
+          value={formData.payoutDetails.method}
+          onChange={(e) => updatePayout('method', e.target.value)}
         >
-          <option value="user">User</option>
-          <option value="seller">Seller</option>
+          <option value="bank_transfer">Bank Transfer</option>
+          <option value="paypal">PayPal</option>
         </select>
-        <button type="submit">Register</button>
+        {formData.payoutDetails.method === 'bank_transfer' ? (
+          <>
+            <input
+              type="text"
+              placeholder="Account Holder Name"
+              value={formData.payoutDetails.accountHolderName}
+              onChange={(e) => updatePayout('accountHolderName', e.target.value)}
+            />
+            <input
+              type="text"
+              placeholder="Account Number"
+              value={formData.payoutDetails.accountNumber}
+              onChange={(e) => updatePayout('accountNumber', e.target.value)}
+            />
+          </>
+        ) : (
+          <input
+            type="email"
+            placeholder="PayPal Email"
+            value={formData.payoutDetails.paypalEmail}
+            onChange={(e) => updatePayout('paypalEmail', e.target.value)}
+          />
+        )}
+        <button type="submit">Apply</button>
       </form>
     </div>
   );
 };
 
+// Medium rendition of the primary image, falling back to a placeholder
+const productImageUrl = (product) => {
+  const image = (product.images || []).find((entry) => entry.isPrimary) || (product.images || [])[0];
+  if (!image) return '/api/placeholder/300/400';
+  return (image.renditions && image.renditions.medium) || image.url;
+};
+
 const ProductList = ({ user }) => {
   const [products, setProducts] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -185,12 +415,17 @@ const ProductList = ({ user }) => {
       {products.map((product) => (
         <div key={product._id} className="product-card">
           <div className="product-image">
-            <img src="/api/placeholder/300/400" alt={product.name} />
+            <img src={productImageUrl(product)} alt={product.name} />
           </div>
           <div className="product-details">
             <h3>{product.name}</h3>
             <p>{product.description}</p>
             <div className="product-price">${product.price}</div>
+            {product.rating?.count > 0 && (
+              <div className="product-rating">
+                ★ {product.rating.average.toFixed(1)} ({product.rating.count})
+              </div>
+            )}
             <div className="product-actions">
               <button onClick={() => console.log('Add to cart:', product._id)}>
                 Add to Cart
@@ -227,6 +462,7 @@ function App() {
             <Route path="/" element={<ProductList user={user} />} />
             <Route path="/login" element={<LoginForm setUser={setUser} />} />
             <Route path="/register" element={<RegisterForm />} />
+            <Route path="/sell" element={<SellerApplicationForm />} />
           </Routes>
         </main>
       </div>
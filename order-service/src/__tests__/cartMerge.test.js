@@ -0,0 +1,142 @@
+process.env.INTERNAL_SERVICE_TOKEN = 'internal-test';
+
+const request = require('supertest');
+const { app, pool, initializeDatabase } = require('../index');
+
+const LINE_UPSERT = "ON CONFLICT (cart_id, product_id, (COALESCE(sku, ''))) DO UPDATE SET quantity = cart_items.quantity + EXCLUDED.quantity";
+
+describe('POST /internal/carts/merge', () => {
+  // What the database holds
+  let carts;
+  let cartItems;
+  let client;
+
+  const lineKey = (item) => `${item.cart_id}:${item.product_id}:${item.sku || ''}`;
+
+  // Answers the queries a merge makes; the upsert adds guest lines to matching user lines
+  // the way cart_items_line_idx makes PostgreSQL do it
+  const handlers = [
+    [/^(BEGIN|COMMIT|ROLLBACK)$/, () => []],
+    [/FROM shopping_carts WHERE guest_token = \$1 FOR UPDATE/, ([token]) => carts.filter(cart => cart.guest_token === token)],
+    [/FROM shopping_carts WHERE user_id = \$1/, ([userId]) => carts.filter(cart => cart.user_id === userId).slice(0, 1)],
+    [/INSERT INTO shopping_carts \(user_id\)/, ([userId]) => {
+      const cart = { id: carts.length + 100, user_id: userId, guest_token: null, checkout_attempt: 0 };
+      carts.push(cart);
+      return [cart];
+    }],
+    [/INSERT INTO cart_items[\s\S]*SELECT/, ([cartId, guestCartId], sql) => {
+      expect(sql).toContain(LINE_UPSERT);
+      return cartItems.filter(item => item.cart_id === guestCartId).map(guestLine => {
+        const line = { ...guestLine, cart_id: cartId };
+        const existing = cartItems.find(item => lineKey(item) === lineKey(line));
+        if (existing) {
+          existing.quantity += line.quantity;
+          return existing;
+        }
+        line.id = cartItems.length + 100;
+        cartItems.push(line);
+        return line;
+      });
+    }],
+    [/DELETE FROM cart_items WHERE cart_id = \$1/, ([cartId]) => {
+      cartItems = cartItems.filter(item => item.cart_id !== cartId);
+    }],
+    [/DELETE FROM shopping_carts WHERE id = \$1/, ([cartId]) => {
+      carts = carts.filter(cart => cart.id !== cartId);
+    }],
+    [/UPDATE shopping_carts SET updated_at = CURRENT_TIMESTAMP, checkout_attempt = checkout_attempt \+ 1/, ([cartId]) => {
+      carts.find(cart => cart.id === cartId).checkout_attempt += 1;
+    }]
+  ];
+
+  const merge = (body) => request(app).post('/internal/carts/merge').set('X-Internal-Token', 'internal-test').send(body);
+
+  beforeEach(() => {
+    carts = [
+      { id: 1, user_id: 'user-1', guest_token: null, checkout_attempt: 3 },
+      { id: 2, user_id: null, guest_token: 'guest-token', checkout_attempt: 0 }
+    ];
+    cartItems = [
+      { id: 1, cart_id: 1, product_id: 'p1', sku: 'TEE-L-BLK', quantity: 1, price: '34.99' },
+      { id: 2, cart_id: 2, product_id: 'p1', sku: 'TEE-L-BLK', quantity: 2, price: '29.99' },
+      { id: 3, cart_id: 2, product_id: 'p2', sku: null, quantity: 1, price: '15.00' }
+    ];
+    client = {
+      query: jest.fn(async (sql, params = []) => {
+        const handler = handlers.find(([pattern]) => pattern.test(sql.trim()));
+        if (!handler) throw new Error(`Unexpected query: ${sql}`);
+        const rows = handler[1](params, sql) || [];
+        return { rows, rowCount: rows.length };
+      }),
+      release: jest.fn()
+    };
+    jest.spyOn(pool, 'connect').mockResolvedValue(client);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('adds guest lines to matching lines and deletes the guest cart', async () => {
+    const res = await merge({ cart_token: 'guest-token', user_id: 'user-1' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ merged: 2 });
+    expect(cartItems).toEqual([
+      { id: 1, cart_id: 1, product_id: 'p1', sku: 'TEE-L-BLK', quantity: 3, price: '34.99' },
+      expect.objectContaining({ cart_id: 1, product_id: 'p2', sku: null, quantity: 1 })
+    ]);
+    expect(carts).toEqual([expect.objectContaining({ id: 1, checkout_attempt: 4 })]);
+    expect(client.query).toHaveBeenLastCalledWith('COMMIT');
+    expect(client.release).toHaveBeenCalled();
+  });
+
+  test('creates the user cart when the user has none', async () => {
+    carts = carts.filter(cart => cart.id !== 1);
+    cartItems = cartItems.filter(item => item.cart_id !== 1);
+
+    const res = await merge({ cart_token: 'guest-token', user_id: 'user-1' });
+
+    expect(res.body).toEqual({ merged: 2 });
+    expect(carts).toEqual([expect.objectContaining({ user_id: 'user-1', guest_token: null })]);
+    expect(cartItems.map(item => item.cart_id)).toEqual([carts[0].id, carts[0].id]);
+  });
+
+  test('merges nothing for an unknown cart token', async () => {
+    const res = await merge({ cart_token: 'unknown', user_id: 'user-1' });
+
+    expect(res.body).toEqual({ merged: 0 });
+    expect(client.query).toHaveBeenLastCalledWith('ROLLBACK');
+    expect(cartItems).toHaveLength(3);
+  });
+
+  test('rolls the merge back when a statement fails', async () => {
+    client.query.mockImplementation(async (sql) => {
+      if (sql.includes('DELETE FROM shopping_carts')) throw new Error('connection lost');
+      return { rows: sql.includes('guest_token = $1') ? [carts[1]] : [carts[0]], rowCount: 1 };
+    });
+
+    const res = await merge({ cart_token: 'guest-token', user_id: 'user-1' });
+
+    expect(res.status).toBe(500);
+    expect(client.query).toHaveBeenLastCalledWith('ROLLBACK');
+    expect(client.release).toHaveBeenCalled();
+  });
+
+  test('requires the cart token and user id', async () => {
+    const res = await merge({ cart_token: 'guest-token' });
+
+    expect(res.status).toBe(400);
+    expect(pool.connect).not.toHaveBeenCalled();
+  });
+
+  test('keeps one cart line per product and SKU in the schema the upsert relies on', async () => {
+    const schema = { query: jest.fn().mockResolvedValue({ rows: [] }), release: jest.fn() };
+    pool.connect.mockResolvedValue(schema);
+
+    await initializeDatabase();
+
+    const sql = schema.query.mock.calls.map(([statement]) => statement).join('\n');
+    expect(sql).toContain("CREATE UNIQUE INDEX IF NOT EXISTS cart_items_line_idx ON cart_items (cart_id, product_id, (COALESCE(sku, '')))");
+  });
+});
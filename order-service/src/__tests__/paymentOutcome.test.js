@@ -0,0 +1,262 @@
+const axios = require('axios');
+const { pool, applyPaymentOutcome, retryPendingStockCommits } = require('../index');
+const { getPaymentProvider } = require('../payments');
+
+describe('payment outcomes', () => {
+  const fake = getPaymentProvider('fake');
+  // What the database holds
+  let orders;
+  let payments;
+  let refunds;
+  let history;
+  // What product-service holds
+  let reservations;
+  let soldOut;
+  let client;
+
+  const byId = (rows, id) => rows.filter(row => row.id === id);
+  const set = (rows, changes) => rows.map(row => Object.assign(row, changes));
+
+  // Answers the queries payments, refunds, stock commits and cancellations make
+  const handlers = [
+    [/^(BEGIN|COMMIT|ROLLBACK)$/, () => []],
+    [/^SELECT \* FROM payments WHERE id = \$1/, ([id]) => byId(payments, id)],
+    [/^SELECT \* FROM payments\s+WHERE order_id = \$1 AND status = 'completed'/, ([orderId]) => (
+      payments.filter(payment => payment.order_id === orderId && payment.status === 'completed')
+    )],
+    [/^UPDATE payments\s+SET status = \$1/, ([status, transactionId, failureMessage, nextAction, id]) => byId(payments, id).map(payment => Object.assign(payment, {
+      status,
+      transaction_id: transactionId || payment.transaction_id,
+      failure_message: failureMessage,
+      next_action: nextAction
+    }))],
+    [/^UPDATE payments SET refunded_amount = refunded_amount \+ \$2/, ([id, amount]) => byId(payments, id).map(payment => {
+      payment.refunded_amount += amount;
+      return payment;
+    })],
+    [/^UPDATE payments SET status = 'refunded'/, ([id]) => (
+      set(byId(payments, id).filter(payment => payment.refunded_amount >= payment.amount), { status: 'refunded' })
+    )],
+    [/^UPDATE payments SET status = 'refund_failed'/, ([id, failureMessage]) => (
+      set(byId(payments, id).filter(payment => payment.status === 'completed'), { status: 'refund_failed', failure_message: failureMessage })
+    )],
+    [/SUM\(amount - refunded_amount\)/, ([orderId]) => [{
+      refundable: payments
+        .filter(payment => payment.order_id === orderId && payment.status === 'completed')
+        .reduce((sum, payment) => sum + payment.amount - payment.refunded_amount, 0)
+    }]],
+    [/^INSERT INTO refunds/, ([orderId, paymentId, returnId, amount, reason]) => {
+      const refund = { id: refunds.length + 1, order_id: orderId, payment_id: paymentId, amount, status: 'pending', reason, provider_refund_id: null };
+      refunds.push(refund);
+      return [refund];
+    }],
+    [/^UPDATE refunds SET status = \$2/, ([id, status, providerRefundId]) => set(byId(refunds, id), { status, provider_refund_id: providerRefundId })],
+    [/^UPDATE refunds SET failure_message/, ([id, failureMessage]) => set(byId(refunds, id), { failure_message: failureMessage })],
+    [/^SELECT \* FROM orders WHERE id = \$1 FOR UPDATE/, ([id]) => byId(orders, id).map(order => ({ ...order }))],
+    [/^SELECT \* FROM orders WHERE stock_commit_pending/, () => (
+      orders.filter(order => order.stock_commit_pending && order.status !== 'cancelled').map(order => ({ ...order }))
+    )],
+    [/^UPDATE orders\s+SET status = \$1/, ([status, id, fromStatus]) => (
+      set(byId(orders, id).filter(order => order.status === fromStatus), { status }).map(order => ({ ...order }))
+    )],
+    [/^INSERT INTO order_status_history/, ([orderId, fromStatus, toStatus, actorId, actorRole, reason]) => {
+      history.push({ orderId, fromStatus, toStatus, reason });
+    }],
+    [/^UPDATE orders SET stock_commit_pending = (TRUE|FALSE)/, ([id], sql) => set(byId(orders, id), { stock_commit_pending: sql.includes('TRUE') })],
+    [/^UPDATE orders SET stock_release_pending = (TRUE|FALSE)/, ([id], sql) => set(byId(orders, id), { stock_release_pending: sql.includes('TRUE') })],
+    [/^UPDATE orders SET reservation_id = NULL/, ([id]) => set(byId(orders, id), { reservation_id: null })],
+    [/^UPDATE orders SET reservation_id = \$1, reservation_attempt = \$2/, ([reservationId, attempt, id]) => (
+      set(byId(orders, id), { reservation_id: reservationId, reservation_attempt: attempt })
+    )],
+    [/^UPDATE orders SET refunded_amount = refunded_amount \+ \$2/, ([id, amount]) => byId(orders, id).map(order => {
+      order.refunded_amount += amount;
+      return { ...order };
+    })],
+    [/^SELECT product_id, sku, quantity FROM order_items/, () => [{ product_id: 'p1', sku: null, quantity: 2 }]]
+  ];
+
+  const query = jest.fn(async (sql, params = []) => {
+    const handler = handlers.find(([pattern]) => pattern.test(sql.trim()));
+    if (!handler) throw new Error(`Unexpected query: ${sql}`);
+    const rows = handler[1](params, sql) || [];
+    return { rows, rowCount: rows.length };
+  });
+
+  const reservationError = (status, data) => Object.assign(new Error(`Request failed with status code ${status}`), { response: { status, data } });
+
+  const addPayment = async (orderId) => {
+    const { transactionId } = await fake.createPayment({ amount: 5000, paymentMethod: 'card' });
+    const payment = {
+      id: payments.length + 1,
+      order_id: orderId,
+      amount: 50,
+      refunded_amount: 0,
+      status: 'pending',
+      provider: 'fake',
+      transaction_id: null,
+      pendingTransactionId: transactionId
+    };
+    payments.push(payment);
+    return payment;
+  };
+  const succeeded = (payment) => ({ status: 'succeeded', transactionId: payment.pendingTransactionId });
+
+  beforeEach(() => {
+    orders = [{
+      id: 1,
+      user_id: 'user-1',
+      status: 'pending',
+      total_amount: 50,
+      refunded_amount: 0,
+      reservation_id: 'res-1',
+      reservation_attempt: 1,
+      stock_commit_pending: false,
+      stock_release_pending: false
+    }];
+    payments = [];
+    refunds = [];
+    history = [];
+    reservations = { 'res-1': 'reserved' };
+    soldOut = false;
+    client = { query, release: jest.fn() };
+    query.mockClear();
+
+    jest.spyOn(pool, 'connect').mockResolvedValue(client);
+    jest.spyOn(pool, 'query').mockImplementation(query);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(axios, 'get').mockImplementation(async (url) => {
+      const id = url.split('/').pop();
+      if (!reservations[id]) throw reservationError(404, { error: 'Reservation not found' });
+      return { data: { _id: id, status: reservations[id] } };
+    });
+    jest.spyOn(axios, 'post').mockImplementation(async (url, body) => {
+      if (url.endsWith('/internal/reservations')) {
+        if (soldOut) throw reservationError(409, { error: 'Some items are no longer available', unavailable: [{ productId: 'p1' }] });
+        reservations[`res-${body.reference}`] = 'reserved';
+        return { data: { _id: `res-${body.reference}`, status: 'reserved' } };
+      }
+      const [, id, action] = url.match(/reservations\/([^/]+)\/(commit|release)$/);
+      reservations[id] = action === 'commit' ? 'committed' : 'released';
+      return { data: {} };
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('pays the order and commits its stock once however often the success is reported', async () => {
+    const payment = await addPayment(1);
+
+    const first = await applyPaymentOutcome(client, payment.id, succeeded(payment));
+    const repeated = await applyPaymentOutcome(client, payment.id, succeeded(payment));
+    const lateFailure = await applyPaymentOutcome(client, payment.id, { status: 'failed', failureMessage: 'Declined' });
+
+    expect([first.status, repeated.status, lateFailure.status]).toEqual(['completed', 'completed', 'completed']);
+    expect(orders[0]).toMatchObject({ status: 'paid', stock_commit_pending: false });
+    expect(history).toEqual([{ orderId: 1, fromStatus: 'pending', toStatus: 'paid', reason: 'payment_succeeded' }]);
+    expect(reservations['res-1']).toBe('committed');
+    expect(axios.post.mock.calls.filter(([url]) => url.endsWith('/commit'))).toHaveLength(1);
+    expect(refunds).toHaveLength(0);
+  });
+
+  test('releases the reservation when the payment fails and reserves again when a retry succeeds', async () => {
+    const declined = await addPayment(1);
+    await applyPaymentOutcome(client, declined.id, { status: 'failed', failureMessage: 'Declined' });
+
+    expect(orders[0]).toMatchObject({ status: 'pending', reservation_id: null });
+    expect(reservations['res-1']).toBe('released');
+
+    const retried = await addPayment(1);
+    await applyPaymentOutcome(client, retried.id, succeeded(retried));
+
+    expect(orders[0]).toMatchObject({ status: 'paid', reservation_id: 'res-order-1-1', stock_commit_pending: false });
+    expect(reservations['res-order-1-1']).toBe('committed');
+  });
+
+  test('refunds a payment that succeeds after the order was cancelled', async () => {
+    const payment = await addPayment(1);
+    orders[0].status = 'cancelled';
+
+    const result = await applyPaymentOutcome(client, payment.id, succeeded(payment));
+
+    expect(result).toMatchObject({ status: 'refunded', refunded_amount: 50 });
+    expect(refunds).toEqual([expect.objectContaining({ amount: 50, reason: 'order_cancelled', status: 'succeeded' })]);
+    expect(orders[0].status).toBe('cancelled');
+    expect(history).toHaveLength(0);
+  });
+
+  test('refunds a second payment for an order that is already paid', async () => {
+    const first = await addPayment(1);
+    const second = await addPayment(1);
+    await applyPaymentOutcome(client, first.id, succeeded(first));
+
+    const result = await applyPaymentOutcome(client, second.id, succeeded(second));
+
+    expect(result.status).toBe('refunded');
+    expect(refunds).toEqual([expect.objectContaining({ payment_id: second.id, reason: 'order_paid' })]);
+    expect(payments[0].status).toBe('completed');
+  });
+
+  test('marks a late payment refund_failed while its refund cannot be sent', async () => {
+    const payment = await addPayment(1);
+    orders[0].status = 'cancelled';
+    jest.spyOn(fake, 'refund').mockRejectedValue(new Error('gateway down'));
+
+    const result = await applyPaymentOutcome(client, payment.id, succeeded(payment));
+
+    expect(result).toMatchObject({ status: 'refund_failed', failure_message: 'gateway down' });
+    expect(refunds).toEqual([expect.objectContaining({ status: 'pending', provider_refund_id: null, failure_message: 'gateway down' })]);
+  });
+
+  test('cancels and refunds a paid order whose stock sold out after its reservation lapsed', async () => {
+    const payment = await addPayment(1);
+    reservations['res-1'] = 'expired';
+    soldOut = true;
+
+    const result = await applyPaymentOutcome(client, payment.id, succeeded(payment));
+
+    expect(result.status).toBe('refunded');
+    expect(orders[0]).toMatchObject({ status: 'cancelled', refunded_amount: 50, stock_commit_pending: false });
+    expect(history.map(entry => [entry.toStatus, entry.reason])).toEqual([['paid', 'payment_succeeded'], ['cancelled', 'out_of_stock']]);
+    expect(refunds).toEqual([expect.objectContaining({ amount: 50, status: 'succeeded' })]);
+  });
+
+  describe('retryPendingStockCommits', () => {
+    const paidOrder = () => Object.assign(orders[0], { status: 'paid', stock_commit_pending: true });
+
+    test('commits the stock of paid orders once product-service answers again', async () => {
+      paidOrder();
+
+      await retryPendingStockCommits();
+
+      expect(orders[0].stock_commit_pending).toBe(false);
+      expect(reservations['res-1']).toBe('committed');
+    });
+
+    test('keeps retrying while product-service cannot be reached', async () => {
+      paidOrder();
+      axios.get.mockRejectedValue(new Error('connect ECONNREFUSED'));
+
+      await retryPendingStockCommits();
+
+      expect(orders[0]).toMatchObject({ status: 'paid', stock_commit_pending: true });
+    });
+
+    test('stops retrying an order whose stock has sold out and refunds it', async () => {
+      const payment = await addPayment(1);
+      Object.assign(payment, { status: 'completed', transaction_id: payment.pendingTransactionId });
+      paidOrder();
+      reservations['res-1'] = 'expired';
+      soldOut = true;
+
+      await retryPendingStockCommits();
+      await retryPendingStockCommits();
+
+      expect(orders[0]).toMatchObject({ status: 'cancelled', stock_commit_pending: false, refunded_amount: 50 });
+      expect(payments[0].status).toBe('refunded');
+      expect(refunds).toHaveLength(1);
+      expect(axios.post.mock.calls.filter(([url]) => url.endsWith('/internal/reservations'))).toHaveLength(1);
+    });
+  });
+});
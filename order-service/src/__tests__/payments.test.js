@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const { app, pool } = require('../index');
+const { getPaymentProvider, registerPaymentProvider, paymentResponse } = require('../payments');
+
+describe('getPaymentProvider', () => {
+  test('rejects unknown providers', () => {
+    expect(() => getPaymentProvider('nope')).toThrow('Unknown payment provider: nope');
+    expect(() => getPaymentProvider('toString')).toThrow('Unknown payment provider: toString');
+  });
+
+  test('creates a provider once and reuses it', () => {
+    expect(getPaymentProvider('fake')).toBe(getPaymentProvider('fake'));
+  });
+
+  test('uses registered providers', () => {
+    const provider = { name: 'custom' };
+    registerPaymentProvider('custom', () => provider);
+    expect(getPaymentProvider('custom')).toBe(provider);
+  });
+});
+
+describe('fake provider', () => {
+  const fake = getPaymentProvider('fake');
+
+  test('decides the outcome from the payment method', async () => {
+    const declined = await fake.createPayment({ amount: 1000, paymentMethod: 'fake_card_declined' });
+    expect(declined).toMatchObject({ status: 'failed', failureMessage: 'Your card was declined.', nextAction: null });
+
+    const challenged = await fake.createPayment({ amount: 1000, paymentMethod: 'fake_requires_action' });
+    expect(challenged.status).toBe('requires_action');
+    expect(challenged.nextAction).toEqual({ type: 'fake_confirmation', transaction_id: challenged.transactionId });
+
+    const processing = await fake.createPayment({ amount: 1000, paymentMethod: 'fake_processing' });
+    expect(processing.status).toBe('processing');
+
+    const paid = await fake.createPayment({ amount: 1000, paymentMethod: 'card' });
+    expect(paid).toMatchObject({ status: 'succeeded', nextAction: null, failureMessage: null });
+    expect(paid.transactionId).toMatch(/^fake_pi_/);
+  });
+
+  test('returns the first result for a repeated idempotency key', async () => {
+    const first = await fake.createPayment({ amount: 1000, paymentMethod: 'card', idempotencyKey: 'pay-once' });
+    const second = await fake.createPayment({ amount: 1000, paymentMethod: 'fake_card_declined', idempotencyKey: 'pay-once' });
+    expect(second).toEqual(first);
+  });
+
+  test('refunds up to what was paid', async () => {
+    const { transactionId } = await fake.createPayment({ amount: 1000, paymentMethod: 'card' });
+
+    const partial = await fake.refund({ transactionId, amount: 400, idempotencyKey: `refund-${transactionId}-0-400` });
+    expect(partial).toMatchObject({ status: 'succeeded' });
+    expect(partial.id).toMatch(/^fake_re_/);
+
+    await expect(fake.refund({ transactionId, amount: 700 })).rejects.toThrow('Refund exceeds the remaining 600 cents');
+
+    const repeated = await fake.refund({ transactionId, amount: 400, idempotencyKey: `refund-${transactionId}-0-400` });
+    expect(repeated).toEqual(partial);
+
+    await expect(fake.refund({ transactionId })).resolves.toMatchObject({ status: 'succeeded' });
+    await expect(fake.refund({ transactionId, amount: 1 })).rejects.toThrow('Refund exceeds the remaining 0 cents');
+  });
+
+  test('accepts webhooks it signed', () => {
+    const { body, headers } = fake.buildWebhook('fake_pi_123', 'failed', 'Challenge failed');
+    expect(fake.parseWebhook(body, headers)).toEqual({
+      transactionId: 'fake_pi_123',
+      status: 'failed',
+      nextAction: null,
+      failureMessage: 'Challenge failed'
+    });
+  });
+
+  test('rejects webhooks with a missing or wrong signature', () => {
+    const { body, headers } = fake.buildWebhook('fake_pi_123', 'succeeded');
+    const tampered = Buffer.from(body.toString('utf8').replace('fake_pi_123', 'fake_pi_456'));
+
+    expect(() => fake.parseWebhook(tampered, headers)).toThrow('Invalid fake webhook signature');
+    expect(() => fake.parseWebhook(body, {})).toThrow('Invalid fake webhook signature');
+    try {
+      fake.parseWebhook(body, { 'x-fake-signature': 'abc' });
+    } catch (error) {
+      expect(error.status).toBe(400);
+    }
+    expect.assertions(3);
+  });
+
+  test('does not sign with a well-known secret when none is configured', () => {
+    const body = JSON.stringify({ transaction_id: 'fake_pi_123', status: 'succeeded' });
+    const signature = crypto.createHmac('sha256', 'fake-webhook-secret').update(body).digest('hex');
+
+    expect(() => fake.parseWebhook(Buffer.from(body), { 'x-fake-signature': signature })).toThrow('Invalid fake webhook signature');
+  });
+});
+
+describe('POST /payment/webhooks/:provider', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('turns away webhooks for a provider that is not in use', async () => {
+    jest.spyOn(pool, 'connect');
+    const { body, headers } = getPaymentProvider('fake').buildWebhook('fake_pi_123', 'succeeded');
+
+    const res = await request(app)
+      .post('/payment/webhooks/fake')
+      .set(headers)
+      .set('Content-Type', 'application/json')
+      .send(body.toString('utf8'));
+
+    expect(res.status).toBe(404);
+    expect(pool.connect).not.toHaveBeenCalled();
+  });
+});
+
+describe('stripe provider webhooks', () => {
+  const secret = 'whsec_test';
+  let stripe;
+
+  beforeAll(() => {
+    process.env.STRIPE_WEBHOOK_SECRET = secret;
+    stripe = getPaymentProvider('stripe');
+  });
+
+  afterAll(() => {
+    delete process.env.STRIPE_WEBHOOK_SECRET;
+  });
+
+  const intentEvent = (type, intent) => JSON.stringify({ id: 'evt_1', object: 'event', type, data: { object: intent } });
+  const sign = (payload, signingSecret = secret) => require('stripe')('sk_test').webhooks.generateTestHeaderString({ payload, secret: signingSecret });
+
+  test('maps signed payment intent events to outcomes', () => {
+    const body = intentEvent('payment_intent.succeeded', { id: 'pi_1', status: 'succeeded', metadata: { payment_id: '42' } });
+    const header = sign(body);
+
+    expect(stripe.parseWebhook(Buffer.from(body), { 'stripe-signature': header })).toEqual({
+      transactionId: 'pi_1',
+      paymentId: '42',
+      status: 'succeeded',
+      nextAction: null,
+      failureMessage: null
+    });
+  });
+
+  test('ignores events that do not change a payment', () => {
+    const body = intentEvent('payment_intent.created', { id: 'pi_1', status: 'requires_payment_method' });
+    const header = sign(body);
+
+    expect(stripe.parseWebhook(Buffer.from(body), { 'stripe-signature': header })).toBeNull();
+  });
+
+  test('rejects events with a wrong signature', () => {
+    const body = intentEvent('payment_intent.succeeded', { id: 'pi_1', status: 'succeeded' });
+    const header = sign(body, 'whsec_other');
+
+    expect(() => stripe.parseWebhook(Buffer.from(body), { 'stripe-signature': header })).toThrow(/^Invalid Stripe webhook/);
+  });
+});
+
+describe('paymentResponse', () => {
+  const attempt = { id: 7, order_id: 3, transaction_id: 'pi_1', failure_message: null, next_action: null };
+
+  test('replays a completed attempt as a success', () => {
+    expect(paymentResponse({ ...attempt, status: 'completed' })).toEqual({
+      status: 200,
+      body: { payment_id: 7, order_id: 3, status: 'completed', transaction_id: 'pi_1', message: 'Payment processed successfully' }
+    });
+  });
+
+  test('replays a declined attempt with its failure message', () => {
+    const { status, body } = paymentResponse({ ...attempt, status: 'failed', failure_message: 'Your card was declined.' });
+    expect(status).toBe(402);
+    expect(body.error).toBe('Your card was declined.');
+  });
+
+  test('replays a waiting attempt with its next action', () => {
+    const nextAction = { type: 'fake_confirmation', transaction_id: 'pi_1' };
+    const { status, body } = paymentResponse({ ...attempt, status: 'requires_action', next_action: nextAction });
+    expect(status).toBe(202);
+    expect(body.next_action).toEqual(nextAction);
+  });
+});
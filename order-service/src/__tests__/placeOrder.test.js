@@ -0,0 +1,138 @@
+process.env.JWT_SECRET = 'test-secret';
+
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const { app, pool } = require('../index');
+
+describe('POST /order/place', () => {
+  const token = jwt.sign({ _id: 'user-1', role: 'user' }, 'test-secret');
+  const shippingAddress = { fullName: 'Ada Lovelace', line1: '1 Main St', city: 'London', postalCode: 'N1', country: 'GB' };
+  // What the database holds
+  let cart;
+  let cartItems;
+  let orders;
+  let cartLock;
+  let released;
+
+  // Answers the queries placing an order makes; FOR UPDATE holds the cart until COMMIT or ROLLBACK
+  const connect = async () => {
+    let unlock = null;
+    const finish = () => {
+      if (unlock) unlock();
+      unlock = null;
+    };
+    const handlers = [
+      [/JOIN shopping_carts/, () => cartItems.map(item => ({ ...item, checkout_attempt: cart.checkout_attempt }))],
+      [/FROM shopping_carts WHERE id = \$1 FOR UPDATE/, async () => {
+        const previous = cartLock;
+        cartLock = new Promise(resolve => { unlock = resolve; });
+        await previous;
+        return [{ ...cart }];
+      }],
+      [/SELECT \* FROM cart_items WHERE cart_id/, () => cartItems.map(item => ({ ...item }))],
+      [/INSERT INTO orders/, (params) => {
+        const order = { id: orders.length + 1, user_id: params[0], status: params[1], total_amount: params[2], reservation_id: params[6] };
+        orders.push(order);
+        return [order];
+      }],
+      [/SELECT id FROM orders WHERE reservation_id/, (params) => orders.filter(order => order.reservation_id === params[0])],
+      [/DELETE FROM cart_items WHERE id = ANY/, (params) => {
+        cartItems = cartItems.filter(item => !params[0].includes(item.id));
+      }],
+      [/UPDATE shopping_carts SET checkout_attempt/, (params) => {
+        cart.checkout_attempt = params[0];
+      }],
+      [/INSERT INTO order_items|INSERT INTO order_status_history|BEGIN/, () => []],
+      [/COMMIT|ROLLBACK/, () => finish()]
+    ];
+
+    return {
+      query: jest.fn(async (sql, params) => {
+        const handler = handlers.find(([pattern]) => pattern.test(sql));
+        if (!handler) throw new Error(`Unexpected query: ${sql}`);
+        const rows = (await handler[1](params)) || [];
+        return { rows, rowCount: rows.length };
+      }),
+      release: jest.fn()
+    };
+  };
+
+  const placeOrder = () => request(app)
+    .post('/order/place')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ shipping_address: shippingAddress });
+
+  beforeEach(() => {
+    cart = { id: 7, user_id: 'user-1', checkout_attempt: 0 };
+    cartItems = [{ id: 1, cart_id: 7, product_id: 'p1', sku: null, quantity: 2, price: '25.00' }];
+    orders = [];
+    cartLock = Promise.resolve();
+    released = [];
+
+    jest.spyOn(pool, 'connect').mockImplementation(connect);
+    jest.spyOn(axios, 'get').mockImplementation(async (url) => {
+      if (url.endsWith('/token/introspect')) return { data: {} };
+      return { data: { products: [{ _id: 'p1', sellerId: 's1', price: 25, stock: 10, status: 'active', variants: [] }] } };
+    });
+    // product-service returns the existing reservation when a reference is repeated
+    jest.spyOn(axios, 'post').mockImplementation(async (url, body) => {
+      if (url.endsWith('/internal/reservations')) return { data: { _id: `res-${body.reference}`, status: 'reserved' } };
+      if (url.endsWith('/release')) {
+        released.push(url);
+        return { data: {} };
+      }
+      throw new Error(`Unexpected request: ${url}`);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('places the order with the reservation and moves the cart to its next attempt', async () => {
+    const res = await placeOrder();
+
+    expect(res.status).toBe(201);
+    expect(orders).toEqual([expect.objectContaining({ reservation_id: 'res-cart-7-0', total_amount: 50 })]);
+    expect(cartItems).toHaveLength(0);
+    expect(cart.checkout_attempt).toBe(1);
+  });
+
+  test('places one order when the same cart is checked out twice at once', async () => {
+    const responses = await Promise.all([placeOrder(), placeOrder()]);
+
+    expect(responses.filter(res => res.status === 201)).toHaveLength(1);
+    expect(orders).toHaveLength(1);
+    expect(released).toHaveLength(0);
+  });
+
+  test('refuses a checkout whose cart was ordered while it reserved, keeping the reservation', async () => {
+    axios.post.mockImplementationOnce(async (url, body) => {
+      // Another checkout of this cart places its order with the same reservation meanwhile
+      orders.push({ id: 99, reservation_id: `res-${body.reference}` });
+      cart.checkout_attempt = 1;
+      return { data: { _id: `res-${body.reference}`, status: 'reserved' } };
+    });
+
+    const res = await placeOrder();
+
+    expect(res.status).toBe(409);
+    expect(orders).toHaveLength(1);
+    expect(released).toHaveLength(0);
+  });
+
+  test('refuses a checkout whose cart changed while it reserved and releases its reservation', async () => {
+    axios.post.mockImplementationOnce(async (url, body) => {
+      cartItems[0].quantity = 3;
+      cart.checkout_attempt = 1;
+      return { data: { _id: `res-${body.reference}`, status: 'reserved' } };
+    });
+
+    const res = await placeOrder();
+
+    expect(res.status).toBe(409);
+    expect(orders).toHaveLength(0);
+    expect(released).toEqual([expect.stringContaining('/internal/reservations/res-cart-7-0/release')]);
+  });
+});
@@ -0,0 +1,207 @@
+process.env.JWT_SECRET = 'test-secret';
+
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const { app, pool } = require('../index');
+const { getPaymentProvider } = require('../payments');
+
+describe('returns', () => {
+  const fake = getPaymentProvider('fake');
+  const admin = jwt.sign({ _id: 'admin-1', role: 'admin' }, 'test-secret');
+  // What the database holds
+  let order;
+  let payment;
+  let orderReturn;
+  let returnItems;
+  let refunds;
+  // Restock references product-service has put back on sale
+  let restocked;
+  let snapshot;
+
+  const byId = (row, id) => (row.id === id ? [row] : []);
+
+  // Answers the queries handling, restocking and refunding a return makes; ROLLBACK puts back
+  // what the database held at BEGIN
+  const handlers = [
+    [/^BEGIN$/, () => {
+      snapshot = JSON.parse(JSON.stringify({ order, payment, orderReturn, returnItems, refunds }));
+    }],
+    [/^ROLLBACK$/, () => {
+      ({ order, payment, orderReturn, returnItems, refunds } = snapshot);
+    }],
+    [/^COMMIT$/, () => []],
+    [/^SELECT \* FROM returns WHERE id = \$1/, ([id]) => byId(orderReturn, id).map(row => ({ ...row }))],
+    [/FROM return_items ri\s+JOIN order_items/, () => returnItems.map(item => ({ ...item }))],
+    [/^UPDATE returns\s+SET status = \$1/, ([status, id, fromStatus, note, refundAmount]) => {
+      if (orderReturn.id !== id || orderReturn.status !== fromStatus) return [];
+      Object.assign(orderReturn, { status, refund_amount: refundAmount === null ? orderReturn.refund_amount : refundAmount });
+      return [{ ...orderReturn }];
+    }],
+    [/^UPDATE return_items SET restocked = true WHERE id = ANY\(\$1\)/, ([ids]) => {
+      returnItems.filter(item => ids.includes(item.id)).forEach(item => { item.restocked = true; });
+    }],
+    [/^SELECT \* FROM orders WHERE id = \$1 FOR UPDATE/, ([id]) => byId(order, id).map(row => ({ ...row }))],
+    [/SUM\(amount - refunded_amount\)/, () => [{ refundable: payment.amount - payment.refunded_amount }]],
+    [/^SELECT \* FROM payments\s+WHERE order_id = \$1 AND status = 'completed'/, () => (payment.status === 'completed' ? [{ ...payment }] : [])],
+    [/^SELECT \* FROM payments WHERE id = \$1/, () => [{ ...payment }]],
+    [/^UPDATE payments SET refunded_amount = refunded_amount \+ \$2/, ([id, amount]) => {
+      payment.refunded_amount += amount;
+    }],
+    [/^UPDATE payments SET status = 'refunded'/, () => {
+      if (payment.refunded_amount >= payment.amount) payment.status = 'refunded';
+    }],
+    [/^INSERT INTO refunds/, ([orderId, paymentId, returnId, amount, reason]) => {
+      const refund = { id: refunds.length + 1, order_id: orderId, payment_id: paymentId, return_id: returnId, amount, status: 'pending', reason, provider_refund_id: null };
+      refunds.push(refund);
+      return [{ ...refund }];
+    }],
+    [/^UPDATE refunds SET status = \$2/, ([id, status, providerRefundId]) => {
+      Object.assign(refunds[id - 1], { status, provider_refund_id: providerRefundId, failure_message: null });
+      return [{ ...refunds[id - 1] }];
+    }],
+    [/^UPDATE refunds SET failure_message/, ([id, failureMessage]) => {
+      refunds[id - 1].failure_message = failureMessage;
+      return [{ ...refunds[id - 1] }];
+    }],
+    [/^SELECT \* FROM refunds WHERE return_id = \$1/, ([returnId]) => refunds.filter(refund => refund.return_id === returnId)],
+    [/^UPDATE orders SET refunded_amount = refunded_amount \+ \$2/, ([id, amount]) => {
+      order.refunded_amount += amount;
+      return [{ ...order }];
+    }],
+    [/^UPDATE orders\s+SET status = \$1/, ([status, id, fromStatus]) => {
+      if (order.status !== fromStatus) return [];
+      order.status = status;
+      return [{ ...order }];
+    }],
+    [/^INSERT INTO order_status_history/, () => []]
+  ];
+
+  const updateStatus = (body) => request(app).put('/returns/1/status').set('Authorization', `Bearer ${admin}`).send(body);
+  const refund = (body = {}) => request(app).post('/returns/1/refund').set('Authorization', `Bearer ${admin}`).send(body);
+
+  beforeEach(async () => {
+    const { transactionId } = await fake.createPayment({ amount: 5000, paymentMethod: 'card' });
+    order = { id: 1, user_id: 'user-1', status: 'delivered', total_amount: 50, refunded_amount: 0 };
+    payment = { id: 1, order_id: 1, amount: 50, refunded_amount: 0, status: 'completed', provider: 'fake', transaction_id: transactionId };
+    orderReturn = { id: 1, order_id: 1, user_id: 'user-1', status: 'approved', refund_amount: null };
+    returnItems = [
+      { id: 1, return_id: 1, order_item_id: 1, quantity: 1, product_id: 'p1', sku: 'TEE-L-BLK', price: '20.00', seller_id: 's1', restocked: false },
+      { id: 2, return_id: 1, order_item_id: 2, quantity: 2, product_id: 'p2', sku: null, price: '15.00', seller_id: 's1', restocked: false }
+    ];
+    refunds = [];
+    restocked = [];
+
+    jest.spyOn(pool, 'connect').mockResolvedValue({
+      query: jest.fn(async (sql, params = []) => {
+        const handler = handlers.find(([pattern]) => pattern.test(sql.trim()));
+        if (!handler) throw new Error(`Unexpected query: ${sql}`);
+        const rows = handler[1](params, sql) || [];
+        return { rows, rowCount: rows.length };
+      }),
+      release: jest.fn()
+    });
+    jest.spyOn(axios, 'get').mockResolvedValue({ data: {} });
+    // product-service ignores a reference it has already restocked
+    jest.spyOn(axios, 'post').mockImplementation(async (url, body) => {
+      if (!url.endsWith('/internal/restocks')) throw new Error(`Unexpected request: ${url}`);
+      if (!restocked.includes(body.reference)) restocked.push(body.reference);
+      return { data: {} };
+    });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('PUT /returns/:id/status', () => {
+    test('restocks the received items under the return reference', async () => {
+      const res = await updateStatus({ status: 'received' });
+
+      expect(res.status).toBe(200);
+      expect(axios.post).toHaveBeenCalledWith(
+        expect.stringContaining('/internal/restocks'),
+        {
+          reference: 'return-1',
+          reason: 'return_received',
+          items: [{ productId: 'p1', sku: 'TEE-L-BLK', quantity: 1 }, { productId: 'p2', sku: null, quantity: 2 }]
+        },
+        expect.anything()
+      );
+      expect(returnItems.map(item => item.restocked)).toEqual([true, true]);
+    });
+
+    test('keeps the return approved when the restock fails so receiving it again resumes the restock', async () => {
+      axios.post.mockRejectedValueOnce(new Error('connect ECONNREFUSED'));
+
+      const failed = await updateStatus({ status: 'received' });
+
+      expect(failed.status).toBe(502);
+      expect(orderReturn.status).toBe('approved');
+      expect(returnItems.map(item => item.restocked)).toEqual([false, false]);
+
+      const resumed = await updateStatus({ status: 'received' });
+
+      expect(resumed.status).toBe(200);
+      expect(orderReturn.status).toBe('received');
+      expect(restocked).toEqual(['return-1']);
+    });
+
+    test('only restocks the listed items', async () => {
+      await updateStatus({ status: 'received', restock: [2] });
+
+      expect(axios.post.mock.calls[0][1].items).toEqual([{ productId: 'p2', sku: null, quantity: 2 }]);
+      expect(returnItems.map(item => item.restocked)).toEqual([false, true]);
+    });
+  });
+
+  describe('POST /returns/:id/refund', () => {
+    beforeEach(() => {
+      orderReturn.status = 'received';
+    });
+
+    test('refunds the price of the returned items through the provider', async () => {
+      const res = await refund();
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ status: 'refunded', refund_amount: 50, items_value: 50 });
+      expect(res.body.refunds).toEqual([expect.objectContaining({ amount: 50, status: 'succeeded', reason: 'return_refunded' })]);
+      expect(payment).toMatchObject({ refunded_amount: 50, status: 'refunded' });
+      expect(order).toMatchObject({ refunded_amount: 50, status: 'refunded' });
+    });
+
+    test('refunds part of the order and leaves its status alone', async () => {
+      const res = await refund({ amount: 12.5 });
+
+      expect(res.body.refunds).toEqual([expect.objectContaining({ amount: 12.5, status: 'succeeded' })]);
+      expect(payment).toMatchObject({ refunded_amount: 12.5, status: 'completed' });
+      expect(order.status).toBe('delivered');
+    });
+
+    test('refunds a return once', async () => {
+      await refund();
+      const again = await refund();
+
+      expect(again.status).toBe(409);
+      expect(refunds).toHaveLength(1);
+    });
+
+    test('refuses more than the returned items cost', async () => {
+      const res = await refund({ amount: 60 });
+
+      expect(res.status).toBe(400);
+      expect(refunds).toHaveLength(0);
+    });
+
+    test('keeps the refund pending for a retry when the provider fails', async () => {
+      jest.spyOn(fake, 'refund').mockRejectedValue(new Error('gateway down'));
+
+      const res = await refund();
+
+      expect(res.status).toBe(200);
+      expect(refunds).toEqual([expect.objectContaining({ status: 'pending', provider_refund_id: null, failure_message: 'gateway down' })]);
+      expect(payment).toMatchObject({ refunded_amount: 50, status: 'completed' });
+    });
+  });
+});
@@ -5,13 +5,21 @@ const express = require('express');
 const { Pool } = require('pg');
 const cors = require('cors');
 const jwt = require('jsonwebtoken');
+const axios = require('axios');
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
-const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const { getPaymentProvider, PAYMENT_STATUSES, OPEN_PAYMENT_STATUSES, paymentResponse } = require('./payments');
+const { createSessionIntrospector, internalAuth } = require('../../shared');
 
 const app = express();
 
 // Middleware
-app.use(express.json());
+// The raw body is kept for verifying payment webhook signatures
+app.use(express.json({
+  verify: (req, res, buffer) => {
+    req.rawBody = buffer;
+  }
+}));
 app.use(cors());
 
 // PostgreSQL connection
@@ -68,224 +76,2083 @@ async function initializeDatabase() {
         transaction_id VARCHAR(255),
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       );
+
+      ALTER TABLE orders ADD COLUMN IF NOT EXISTS shipping_address_id VARCHAR(255);
+      ALTER TABLE orders ADD COLUMN IF NOT EXISTS billing_address JSONB;
+      ALTER TABLE cart_items ADD COLUMN IF NOT EXISTS sku VARCHAR(255);
+      ALTER TABLE order_items ADD COLUMN IF NOT EXISTS sku VARCHAR(255);
+      ALTER TABLE orders ADD COLUMN IF NOT EXISTS reservation_id VARCHAR(255);
+      ALTER TABLE orders ADD COLUMN IF NOT EXISTS reservation_attempt INTEGER DEFAULT 0;
+      ALTER TABLE orders ADD COLUMN IF NOT EXISTS stock_commit_pending BOOLEAN DEFAULT FALSE;
+      ALTER TABLE orders ADD COLUMN IF NOT EXISTS stock_release_pending BOOLEAN DEFAULT FALSE;
+      ALTER TABLE shopping_carts ADD COLUMN IF NOT EXISTS checkout_attempt INTEGER DEFAULT 0;
+      ALTER TABLE order_items ADD COLUMN IF NOT EXISTS seller_id VARCHAR(255);
+      ALTER TABLE orders ADD COLUMN IF NOT EXISTS tracking_number VARCHAR(255);
+      ALTER TABLE orders ADD COLUMN IF NOT EXISTS carrier VARCHAR(100);
+      ALTER TABLE orders ADD COLUMN IF NOT EXISTS shipped_at TIMESTAMP;
+      ALTER TABLE orders ADD COLUMN IF NOT EXISTS delivered_at TIMESTAMP;
+      ALTER TABLE orders ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMP;
+
+      CREATE TABLE IF NOT EXISTS order_status_history (
+        id SERIAL PRIMARY KEY,
+        order_id INTEGER REFERENCES orders(id),
+        from_status VARCHAR(50),
+        to_status VARCHAR(50) NOT NULL,
+        actor_id VARCHAR(255),
+        actor_role VARCHAR(20) NOT NULL,
+        reason TEXT,
+        tracking_number VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS order_status_history_order_id_idx ON order_status_history (order_id, created_at);
+
+      ALTER TABLE shopping_carts ALTER COLUMN user_id DROP NOT NULL;
+      ALTER TABLE shopping_carts ADD COLUMN IF NOT EXISTS guest_token VARCHAR(64);
+      ALTER TABLE shopping_carts ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+      CREATE UNIQUE INDEX IF NOT EXISTS shopping_carts_guest_token_idx ON shopping_carts (guest_token);
+
+      -- One line per product and SKU in a cart; duplicates from before the index are merged first
+      UPDATE cart_items SET quantity = duplicates.total
+      FROM (
+        SELECT MIN(id) AS id, SUM(quantity) AS total FROM cart_items
+        GROUP BY cart_id, product_id, COALESCE(sku, '') HAVING COUNT(*) > 1
+      ) duplicates
+      WHERE cart_items.id = duplicates.id;
+      DELETE FROM cart_items duplicate USING cart_items kept
+      WHERE duplicate.cart_id = kept.cart_id AND duplicate.product_id = kept.product_id
+        AND COALESCE(duplicate.sku, '') = COALESCE(kept.sku, '') AND duplicate.id > kept.id;
+      CREATE UNIQUE INDEX IF NOT EXISTS cart_items_line_idx ON cart_items (cart_id, product_id, (COALESCE(sku, '')));
+
+      ALTER TABLE payments ADD COLUMN IF NOT EXISTS provider VARCHAR(50);
+      ALTER TABLE payments ADD COLUMN IF NOT EXISTS idempotency_key VARCHAR(255);
+      ALTER TABLE payments ADD COLUMN IF NOT EXISTS failure_message TEXT;
+      ALTER TABLE payments ADD COLUMN IF NOT EXISTS next_action JSONB;
+      ALTER TABLE payments ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+      CREATE UNIQUE INDEX IF NOT EXISTS payments_idempotency_key_idx ON payments (order_id, idempotency_key);
+      CREATE UNIQUE INDEX IF NOT EXISTS payments_one_open_attempt_idx ON payments (order_id)
+        WHERE status IN ('pending', 'requires_action', 'processing');
+      CREATE INDEX IF NOT EXISTS payments_transaction_id_idx ON payments (provider, transaction_id);
+
+      ALTER TABLE orders ADD COLUMN IF NOT EXISTS refunded_amount DECIMAL(10,2) DEFAULT 0;
+      ALTER TABLE payments ADD COLUMN IF NOT EXISTS refunded_amount DECIMAL(10,2) DEFAULT 0;
+
+      CREATE TABLE IF NOT EXISTS returns (
+        id SERIAL PRIMARY KEY,
+        order_id INTEGER REFERENCES orders(id),
+        user_id VARCHAR(255) NOT NULL,
+        status VARCHAR(50) NOT NULL,
+        reason TEXT NOT NULL,
+        note TEXT,
+        refund_amount DECIMAL(10,2),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        approved_at TIMESTAMP,
+        rejected_at TIMESTAMP,
+        received_at TIMESTAMP,
+        refunded_at TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS return_items (
+        id SERIAL PRIMARY KEY,
+        return_id INTEGER REFERENCES returns(id),
+        order_item_id INTEGER REFERENCES order_items(id),
+        quantity INTEGER NOT NULL,
+        reason TEXT,
+        restocked BOOLEAN DEFAULT false
+      );
+
+      CREATE TABLE IF NOT EXISTS refunds (
+        id SERIAL PRIMARY KEY,
+        order_id INTEGER REFERENCES orders(id),
+        payment_id INTEGER REFERENCES payments(id),
+        return_id INTEGER REFERENCES returns(id),
+        amount DECIMAL(10,2) NOT NULL,
+        status VARCHAR(50) NOT NULL,
+        provider_refund_id VARCHAR(255),
+        reason TEXT,
+        actor_id VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS returns_order_id_idx ON returns (order_id);
+      CREATE INDEX IF NOT EXISTS return_items_return_id_idx ON return_items (return_id);
+      CREATE INDEX IF NOT EXISTS refunds_order_id_idx ON refunds (order_id);
+      ALTER TABLE refunds ADD COLUMN IF NOT EXISTS failure_message TEXT;
+      ALTER TABLE refunds ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+      CREATE INDEX IF NOT EXISTS refunds_unsent_idx ON refunds (id) WHERE status = 'pending' AND provider_refund_id IS NULL;
     `);
   } finally {
     client.release();
   }
 }
 
-initializeDatabase().catch(console.error);
+// Session Revocation Check
+// Asks user-service whether the token's session is still live; successes are cached briefly
+const USER_SERVICE_URL = process.env.USER_SERVICE_URL || 'http://localhost:3001';
+const introspectSession = createSessionIntrospector({ http: axios, userServiceUrl: USER_SERVICE_URL });
 
 // Authentication Middleware
 const auth = async (req, res, next) => {
   try {
     const token = req.header('Authorization').replace('Bearer ', '');
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = { id: decoded._id };
+    if (!await introspectSession(token)) {
+      throw new Error('Session has been revoked');
+    }
+    req.token = token;
+    req.user = { id: decoded._id, role: decoded.role };
     next();
   } catch (error) {
     res.status(401).send({ error: 'Please authenticate.' });
   }
 };
 
-// Shopping Cart Routes
+// Seller Authentication Middleware
+const sellerAuth = (req, res, next) => {
+  if (req.user.role !== 'seller' && req.user.role !== 'admin') {
+    return res.status(403).send({ error: 'Access denied. Seller privileges required.' });
+  }
+  next();
+};
 
-// POST /cart/add - Add item to cart
-app.post('/cart/add', auth, async (req, res) => {
-  const client = await pool.connect();
-  try {
-    await client.query('BEGIN');
+// Admin Middleware
+const adminAuth = (req, res, next) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).send({ error: 'Access denied. Admin privileges required.' });
+  }
+  next();
+};
 
-    // Get or create shopping cart
-    let cart = await client.query(
-      'SELECT * FROM shopping_carts WHERE user_id = $1',
-      [req.user.id]
-    );
+// Orders of erased users are re-assigned to this placeholder id
+const ERASED_USER_ID = 'erased-user';
 
-    if (cart.rows.length === 0) {
-      cart = await client.query(
-        'INSERT INTO shopping_carts (user_id) VALUES ($1) RETURNING *',
-        [req.user.id]
-      );
+// Address Book Helpers
+// Saved addresses live in user-service; they are fetched with the shopper's own token
+const addressSnapshotFields = ['fullName', 'line1', 'line2', 'city', 'state', 'postalCode', 'country', 'phone'];
+
+const snapshotAddress = (address) => addressSnapshotFields.reduce(
+  (snapshot, field) => (address[field] ? { ...snapshot, [field]: address[field] } : snapshot),
+  { address_id: address._id }
+);
+
+// Resolves an explicit address id, or falls back to the user's default of the given kind
+async function resolveAddress(token, addressId, defaultFlag) {
+  const headers = { Authorization: `Bearer ${token}` };
+
+  if (addressId) {
+    try {
+      const response = await axios.get(`${USER_SERVICE_URL}/addresses/${encodeURIComponent(addressId)}`, { headers });
+      return response.data;
+    } catch (error) {
+      if (error.response && error.response.status === 404) return null;
+      throw error;
     }
+  }
 
-    // Add item to cart
-    const { product_id, quantity, price } = req.body;
-    await client.query(
-      'INSERT INTO cart_items (cart_id, product_id, quantity, price) VALUES ($1, $2, $3, $4)',
-      [cart.rows[0].id, product_id, quantity, price]
-    );
+  const response = await axios.get(`${USER_SERVICE_URL}/addresses`, { headers });
+  return response.data.find(address => address[defaultFlag]) || null;
+}
 
-    await client.query('COMMIT');
-    res.status(201).send({ message: 'Item added to cart' });
-  } catch (error) {
-    await client.query('ROLLBACK');
-    res.status(400).send(error);
-  } finally {
-    client.release();
+// Catalog Helpers
+// Products with variants are sold per SKU; the SKU decides size, color and stock.
+// Prices always come from product-service, never from the client.
+const PRODUCT_SERVICE_URL = process.env.PRODUCT_SERVICE_URL || 'http://localhost:3002';
+
+const roundPrice = (amount) => Math.round(Number(amount) * 100) / 100;
+
+// Returns { product, variant, price } for a cart line, or throws an error with a `status`.
+// `price` is what the shopper pays now, including any sale.
+async function resolveCartItem(productId, sku) {
+  if (sku) {
+    try {
+      const response = await axios.get(`${PRODUCT_SERVICE_URL}/skus/${encodeURIComponent(sku)}`, { headers: internalHeaders() });
+      const { product, variant, price } = response.data;
+      if (productId && String(product._id) !== String(productId)) {
+        throw Object.assign(new Error('SKU does not belong to this product'), { status: 400 });
+      }
+      return { product, variant, price: roundPrice(price) };
+    } catch (error) {
+      if (error.response && error.response.status === 404) {
+        throw Object.assign(new Error('SKU not found'), { status: 404 });
+      }
+      throw error;
+    }
   }
-});
 
-// DELETE /cart/remove - Remove item from cart
-app.delete('/cart/remove/:itemId', auth, async (req, res) => {
-  const client = await pool.connect();
+  const response = await axios.get(`${PRODUCT_SERVICE_URL}/products/batch`, { params: { ids: productId }, headers: internalHeaders() });
+  const product = response.data.products[0];
+  if (!product) {
+    throw Object.assign(new Error('Product not found'), { status: 404 });
+  }
+  if (product.variants && product.variants.length > 0) {
+    throw Object.assign(new Error('This product has variants. Provide the sku of the size and color you want.'), { status: 400 });
+  }
+  return { product, variant: null, price: roundPrice(product.price) };
+}
+
+// Why `quantity` of a resolved line can't be bought right now, or null if it can
+function unavailableReason(item, quantity) {
+  const stock = item.variant ? item.variant.stock : item.product.stock;
+  if (item.product.status === 'inactive') {
+    return { reason: 'not_available', message: 'This product is no longer available', available: 0 };
+  }
+  if (stock <= 0 || item.product.status === 'out_of_stock') {
+    return { reason: 'out_of_stock', message: 'This item is out of stock', available: 0 };
+  }
+  if (stock < quantity) {
+    return { reason: 'insufficient_stock', message: `Only ${stock} left in stock`, available: stock };
+  }
+  return null;
+}
+
+// Re-checks every cart line against product-service. Lines whose product or SKU is gone are
+// reported as unavailable; other lookup failures are thrown.
+async function validateCartItems(cartItems) {
+  const checked = await Promise.all(cartItems.map(async (line) => {
+    try {
+      return { line, item: await resolveCartItem(line.product_id, line.sku) };
+    } catch (error) {
+      if (error.status === 404 || error.status === 400) {
+        return { line, problem: { reason: 'not_available', message: 'This product is no longer available', available: 0 } };
+      }
+      throw error;
+    }
+  }));
+
+  const priceChanges = [];
+  const unavailable = [];
+  checked.forEach(({ line, item, problem }) => {
+    const issue = problem || unavailableReason(item, line.quantity);
+    if (issue) {
+      unavailable.push({ item_id: line.id, product_id: line.product_id, sku: line.sku, ...issue });
+    } else if (item.price !== roundPrice(line.price)) {
+      priceChanges.push({ item_id: line.id, product_id: line.product_id, sku: line.sku, old_price: roundPrice(line.price), new_price: item.price });
+    }
+  });
+
+  return { priceChanges, unavailable };
+}
+
+// Maps product ids to their sellers, so sellers can manage orders for their products
+async function fetchProductSellers(productIds) {
+  const ids = [...new Set(productIds)];
+  const response = await axios.get(`${PRODUCT_SERVICE_URL}/products/batch`, { params: { ids: ids.join(',') }, headers: internalHeaders() });
+  return new Map(response.data.products.map(product => [String(product._id), String(product.sellerId)]));
+}
+
+// Inventory Reservations
+// Stock is reserved in product-service when an order is placed, committed once it is paid
+// and released when payment fails or the order is cancelled
+const internalHeaders = () => ({ 'X-Internal-Token': process.env.INTERNAL_SERVICE_TOKEN || '' });
+const STOCK_RETRY_INTERVAL_MS = 60 * 1000;
+
+// Reserves under `${prefix}-${attempt}`, so a retried request gets the reservation it already
+// made. Returns the reservation and the attempt it was made under; when that attempt's
+// reservation has already expired or been released, the next attempt is used.
+// Throws an error with status 409 and the unavailable lines when stock has run out.
+async function reserveStock(items, prefix, attempt) {
   try {
-    await client.query(
-      'DELETE FROM cart_items WHERE id = $1 AND cart_id IN (SELECT id FROM shopping_carts WHERE user_id = $2)',
-      [req.params.itemId, req.user.id]
+    const response = await axios.post(
+      `${PRODUCT_SERVICE_URL}/internal/reservations`,
+      {
+        reference: `${prefix}-${attempt}`,
+        items: items.map(item => ({ productId: item.product_id, sku: item.sku || undefined, quantity: item.quantity }))
+      },
+      { headers: internalHeaders() }
     );
-    res.send({ message: 'Item removed from cart' });
+    if (response.data.status !== 'reserved') {
+      return reserveStock(items, prefix, attempt + 1);
+    }
+    return { reservation: response.data, attempt };
   } catch (error) {
-    res.status(400).send(error);
-  } finally {
-    client.release();
+    if (error.response && error.response.status === 409) {
+      throw Object.assign(new Error(error.response.data.error), { status: 409, unavailable: error.response.data.unavailable });
+    }
+    throw error;
   }
-});
+}
 
-// GET /cart - Get cart contents
-app.get('/cart', auth, async (req, res) => {
-  const client = await pool.connect();
+async function getReservation(reservationId) {
   try {
-    const cart = await client.query(
-      `SELECT ci.* FROM cart_items ci 
-       JOIN shopping_carts sc ON ci.cart_id = sc.id 
-       WHERE sc.user_id = $1`,
-      [req.user.id]
-    );
-    res.send(cart.rows);
+    const response = await axios.get(`${PRODUCT_SERVICE_URL}/internal/reservations/${reservationId}`, { headers: internalHeaders() });
+    return response.data;
   } catch (error) {
-    res.status(500).send(error);
-  } finally {
-    client.release();
+    if (error.response && error.response.status === 404) return null;
+    throw error;
   }
-});
+}
 
-// Order Routes
+async function commitReservation(reservationId) {
+  await axios.post(`${PRODUCT_SERVICE_URL}/internal/reservations/${reservationId}/commit`, {}, { headers: internalHeaders() });
+}
 
-// POST /order/place - Place new order
-app.post('/order/place', auth, async (req, res) => {
-  const client = await pool.connect();
+// Releasing a reservation product-service doesn't know is a no-op, like releasing one twice
+async function releaseReservation(reservationId, reason) {
   try {
-    await client.query('BEGIN');
+    await axios.post(`${PRODUCT_SERVICE_URL}/internal/reservations/${reservationId}/release`, { reason }, { headers: internalHeaders() });
+  } catch (error) {
+    if (error.response && error.response.status === 404) return;
+    throw error;
+  }
+}
 
-    const { shipping_address } = req.body;
-    
-    // Get cart items
-    const cartItems = await client.query(
-      `SELECT ci.* FROM cart_items ci 
-       JOIN shopping_carts sc ON ci.cart_id = sc.id 
-       WHERE sc.user_id = $1`,
-      [req.user.id]
-    );
+// For unpaid reservations a failed release is only logged, since they still expire on their own
+async function releaseUnpaidReservation(reservationId, reason) {
+  try {
+    await releaseReservation(reservationId, reason);
+  } catch (error) {
+    console.error(`Error releasing reservation ${reservationId}:`, error.message);
+  }
+}
 
-    if (cartItems.rows.length === 0) {
-      throw new Error('Cart is empty');
+// Puts returned items back on sale; product-service ignores a reference it has already restocked
+async function restockItems(reference, items) {
+  await axios.post(
+    `${PRODUCT_SERVICE_URL}/internal/restocks`,
+    { reference, reason: 'return_received', items },
+    { headers: internalHeaders() }
+  );
+}
+
+// Returns a live reservation for the order, reserving its items again if an earlier
+// reservation was released (failed payment) or has expired
+async function ensureReservation(client, order) {
+  if (order.reservation_id) {
+    const current = await getReservation(order.reservation_id);
+    if (current && ['reserved', 'committed'].includes(current.status)) {
+      return order.reservation_id;
     }
+  }
 
-    // Calculate total amount
-    const totalAmount = cartItems.rows.reduce(
-      (sum, item) => sum + item.price * item.quantity, 
-      0
-    );
+  const items = await client.query('SELECT product_id, sku, quantity FROM order_items WHERE order_id = $1', [order.id]);
+  const { reservation, attempt } = await reserveStock(items.rows, `order-${order.id}`, order.reservation_attempt || 0);
+  await client.query(
+    'UPDATE orders SET reservation_id = $1, reservation_attempt = $2 WHERE id = $3',
+    [reservation._id, attempt + 1, order.id]
+  );
+  return reservation._id;
+}
 
-    // Create order
-    const order = await client.query(
-      'INSERT INTO orders (user_id, status, total_amount, shipping_address) VALUES ($1, $2, $3, $4) RETURNING *',
-      [req.user.id, 'pending', totalAmount, shipping_address]
-    );
+// Commits the stock of a paid order. Until that succeeds the order stays stock_commit_pending
+// and is retried by retryPendingStockCommits, so an unpaid-looking reservation isn't resold.
+// If its reservation lapsed and the stock has been sold since, the order can't be filled: it is
+// cancelled and refunded rather than retried forever. Returns the cancelled order in that case.
+async function commitOrderStock(client, order) {
+  let reservationId;
+  try {
+    reservationId = await ensureReservation(client, order);
+  } catch (error) {
+    if (error.status !== 409) throw error;
+    console.error(`Stock for paid order ${order.id} has sold out, cancelling and refunding it`);
+    return cancelOrder(client, order, { actorRole: 'system', reason: 'out_of_stock' });
+  }
 
-    // Create order items
-    for (const item of cartItems.rows) {
-      await client.query(
-        'INSERT INTO order_items (order_id, product_id, quantity, price) VALUES ($1, $2, $3, $4)',
-        [order.rows[0].id, item.product_id, item.quantity, item.price]
-      );
-    }
+  await commitReservation(reservationId);
+  await client.query('UPDATE orders SET stock_commit_pending = FALSE WHERE id = $1', [order.id]);
+  return null;
+}
 
-    // Clear cart
-    await client.query(
-      'DELETE FROM cart_items WHERE cart_id IN (SELECT id FROM shopping_carts WHERE user_id = $1)',
-      [req.user.id]
-    );
+// Gives a cancelled order's stock back, which may already have been committed as sold. Until
+// that succeeds the order stays stock_release_pending and is retried by retryPendingStockReleases.
+async function releaseOrderStock(client, order) {
+  await releaseReservation(order.reservation_id, 'order_cancelled');
+  await client.query('UPDATE orders SET stock_release_pending = FALSE WHERE id = $1', [order.id]);
+}
 
-    await client.query('COMMIT');
-    res.status(201).send(order.rows[0]);
-  } catch (error) {
-    await client.query('ROLLBACK');
-    res.status(400).send(error);
+async function retryPendingStockReleases() {
+  const pending = await pool.query('SELECT * FROM orders WHERE stock_release_pending ORDER BY id');
+  if (pending.rows.length === 0) return;
+
+  const client = await pool.connect();
+  try {
+    for (const order of pending.rows) {
+      try {
+        await releaseOrderStock(client, order);
+      } catch (error) {
+        console.error(`Error releasing stock for cancelled order ${order.id}:`, error.message);
+      }
+    }
   } finally {
     client.release();
   }
-});
+}
+
+async function retryPendingStockCommits() {
+  const pending = await pool.query(
+    "SELECT * FROM orders WHERE stock_commit_pending AND status <> 'cancelled' ORDER BY id"
+  );
+  if (pending.rows.length === 0) return;
 
-// POST /payment/process - Process payment
-app.post('/payment/process', auth, async (req, res) => {
   const client = await pool.connect();
   try {
-    const { order_id, payment_method, token } = req.body;
+    for (const order of pending.rows) {
+      try {
+        await commitOrderStock(client, order);
+      } catch (error) {
+        console.error(`Error committing stock for paid order ${order.id}:`, error.message);
+      }
+    }
+  } finally {
+    client.release();
+  }
+}
 
-    // Get order details
-    const order = await client.query(
-      'SELECT * FROM orders WHERE id = $1 AND user_id = $2',
-      [order_id, req.user.id]
-    );
+// Order Lifecycle
+// pending -> paid -> processing -> shipped -> delivered. Orders can be cancelled until they
+// ship; refunded is reached through refunds.
+const ORDER_TRANSITIONS = {
+  pending: ['paid', 'cancelled'],
+  paid: ['processing', 'cancelled', 'refunded'],
+  processing: ['shipped', 'cancelled', 'refunded'],
+  shipped: ['delivered', 'refunded'],
+  delivered: ['refunded'],
+  cancelled: [],
+  refunded: []
+};
 
-    if (order.rows.length === 0) {
-      throw new Error('Order not found');
-    }
+// States sellers and admins may move an order to with PUT /orders/:id/status
+const MANUAL_TRANSITIONS = ['processing', 'shipped', 'delivered', 'cancelled'];
 
-    // Process payment with Stripe
-    const paymentIntent = await stripe.paymentIntents.create({
-      amount: Math.round(order.rows[0].total_amount * 100), // Stripe expects amounts in cents
-      currency: 'usd',
-      payment_method: token,
-      confirm: true
-    });
+const CANCELLABLE_STATUSES = Object.keys(ORDER_TRANSITIONS).filter(status => ORDER_TRANSITIONS[status].includes('cancelled'));
 
-    // Record payment
-    await client.query(
-      'INSERT INTO payments (order_id, amount, status, payment_method, transaction_id) VALUES ($1, $2, $3, $4, $5)',
-      [order_id, order.rows[0].total_amount, 'completed', payment_method, paymentIntent.id]
-    );
+// Timestamp column set when an order enters a state
+const STATUS_TIMESTAMPS = {
+  shipped: 'shipped_at',
+  delivered: 'delivered_at',
+  cancelled: 'cancelled_at'
+};
 
-    // Update order status
-    await client.query(
-      'UPDATE orders SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
-      ['paid', order_id]
-    );
+const orderError = (message, status) => Object.assign(new Error(message), { status });
 
-    res.send({ message: 'Payment processed successfully' });
-  } catch (error) {
-    res.status(400).send(error);
-  } finally {
-    client.release();
+// Moves an order to `toStatus` and records it in order_status_history. The update only applies
+// if the order is still in the state it was read in, so concurrent changes can't both win.
+async function transitionOrder(client, order, toStatus, { actorId, actorRole, reason, trackingNumber, carrier } = {}) {
+  if (!(ORDER_TRANSITIONS[order.status] || []).includes(toStatus)) {
+    throw orderError(`Order cannot go from ${order.status} to ${toStatus}`, 409);
   }
-});
 
-// GET /orders - Get user's orders
-app.get('/orders', auth, async (req, res) => {
-  const client = await pool.connect();
+  const timestampColumn = STATUS_TIMESTAMPS[toStatus];
+  const updated = await client.query(
+    `UPDATE orders
+     SET status = $1, updated_at = CURRENT_TIMESTAMP,
+         tracking_number = COALESCE($4, tracking_number), carrier = COALESCE($5, carrier)
+         ${timestampColumn ? `, ${timestampColumn} = CURRENT_TIMESTAMP` : ''}
+     WHERE id = $2 AND status = $3
+     RETURNING *`,
+    [toStatus, order.id, order.status, trackingNumber || null, carrier || null]
+  );
+  if (updated.rows.length === 0) {
+    throw orderError('Order was changed by someone else. Reload it and try again.', 409);
+  }
+
+  await client.query(
+    `INSERT INTO order_status_history (order_id, from_status, to_status, actor_id, actor_role, reason, tracking_number)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+    [order.id, order.status, toStatus, actorId || null, actorRole, reason || null, trackingNumber || null]
+  );
+  return updated.rows[0];
+}
+
+async function recordPlacedOrder(client, order) {
+  await client.query(
+    `INSERT INTO order_status_history (order_id, from_status, to_status, actor_id, actor_role, reason)
+     VALUES ($1, NULL, $2, $3, 'customer', 'order_placed')`,
+    [order.id, order.status, order.user_id]
+  );
+}
+
+// The caller's relation to an order: 'admin', 'customer', 'seller' (sells every item in it),
+// 'partial_seller' (sells some of the items) or null
+async function orderRole(client, order, user) {
+  if (user.role === 'admin') return 'admin';
+  if (order.user_id === user.id) return 'customer';
+  if (user.role !== 'seller') return null;
+
+  const sellers = await client.query('SELECT seller_id FROM order_items WHERE order_id = $1', [order.id]);
+  const own = sellers.rows.filter(item => item.seller_id === user.id).length;
+  if (own === 0) return null;
+  return own === sellers.rows.length ? 'seller' : 'partial_seller';
+}
+
+// What is left to refund of an order's completed payments
+async function refundableAmount(client, orderId) {
+  const result = await client.query(
+    `SELECT COALESCE(SUM(amount - refunded_amount), 0) AS refundable FROM payments
+     WHERE order_id = $1 AND status = 'completed' AND transaction_id IS NOT NULL`,
+    [orderId]
+  );
+  return roundPrice(result.rows[0].refundable);
+}
+
+// Queues refunds of `amount` of an order across its completed payments, oldest first, and adds
+// it to the order's refunded_amount. An order that has been paid back in full moves to refunded
+// (cancelled ones stay cancelled). Runs inside the caller's transaction; the refunds are sent
+// with sendRefunds once it has committed.
+async function queueOrderRefunds(client, order, amount, { actorId, actorRole, reason, returnId } = {}) {
+  const payments = await client.query(
+    `SELECT * FROM payments
+     WHERE order_id = $1 AND status = 'completed' AND transaction_id IS NOT NULL
+     ORDER BY id
+     FOR UPDATE`,
+    [order.id]
+  );
+
+  const refunds = [];
+  let remaining = roundPrice(amount);
+  for (const payment of payments.rows) {
+    const share = Math.min(remaining, roundPrice(payment.amount - payment.refunded_amount));
+    if (share <= 0) continue;
+
+    refunds.push(await queuePaymentRefund(client, payment, { amount: share, actorId, reason, returnId }));
+    remaining = roundPrice(remaining - share);
+    if (remaining <= 0) break;
+  }
+  if (remaining > 0) {
+    throw orderError(`Only ${roundPrice(amount - remaining)} of the order can still be refunded`, 409);
+  }
+
+  let updated = (await client.query(
+    `UPDATE orders SET refunded_amount = refunded_amount + $2, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1
+     RETURNING *`,
+    [order.id, roundPrice(amount)]
+  )).rows[0];
+
+  if (Number(updated.refunded_amount) >= Number(updated.total_amount) && ORDER_TRANSITIONS[updated.status].includes('refunded')) {
+    updated = await transitionOrder(client, updated, 'refunded', { actorId, actorRole, reason });
+  }
+  return { order: updated, refunds };
+}
+
+// Queues refunds of whatever is left of a cancelled order's payments
+async function queueRemainingRefunds(client, order, actor) {
+  const amount = await refundableAmount(client, order.id);
+  return amount > 0 ? queueOrderRefunds(client, order, amount, actor) : { order, refunds: [] };
+}
+
+// Cancels an order and refunds what was paid; the refunds are sent once the cancellation has
+// committed. The reserved (or already sold) stock goes back afterwards.
+async function cancelOrder(client, order, actor) {
+  if (!CANCELLABLE_STATUSES.includes(order.status)) {
+    throw orderError(`Order is ${order.status} and can no longer be cancelled`, 409);
+  }
+
+  let cancelled;
+  let refunds;
+  await client.query('BEGIN');
   try {
-    const orders = await client.query(
-      `SELECT o.*, json_agg(oi.*) as items 
-       FROM orders o 
-       LEFT JOIN order_items oi ON o.id = oi.order_id 
-       WHERE o.user_id = $1 
-       GROUP BY o.id 
-       ORDER BY o.created_at DESC`,
-      [req.user.id]
-    );
-    res.send(orders.rows);
+    cancelled = await transitionOrder(client, order, 'cancelled', actor);
+    await client.query('UPDATE orders SET stock_commit_pending = FALSE WHERE id = $1', [order.id]);
+    if (order.reservation_id) {
+      await client.query('UPDATE orders SET stock_release_pending = TRUE WHERE id = $1', [order.id]);
+    }
+    ({ order: cancelled, refunds } = await queueRemainingRefunds(client, cancelled, actor));
+    await client.query('COMMIT');
   } catch (error) {
-    res.status(500).send(error);
-  } finally {
-    client.release();
+    await client.query('ROLLBACK');
+    throw error;
   }
-});
 
-// Server Configuration
-const PORT = process.env.PORT || 3003;
+  await sendRefunds(client, refunds);
 
-app.listen(PORT, () => {
-  console.log(`Order and Payment Service running on port ${PORT}`);
-});
+  if (order.reservation_id) {
+    try {
+      await releaseOrderStock(client, order);
+    } catch (error) {
+      console.error(`Error releasing stock for cancelled order ${order.id}, will retry:`, error.message);
+    }
+  }
+  return cancelled;
+}
+
+async function loadOrderDetails(client, order) {
+  const items = await client.query('SELECT * FROM order_items WHERE order_id = $1 ORDER BY id', [order.id]);
+  const history = await client.query('SELECT * FROM order_status_history WHERE order_id = $1 ORDER BY created_at, id', [order.id]);
+  const returns = await client.query('SELECT id, status, refund_amount, created_at FROM returns WHERE order_id = $1 ORDER BY id', [order.id]);
+  const refunds = await client.query('SELECT * FROM refunds WHERE order_id = $1 ORDER BY id', [order.id]);
+  return { ...order, items: items.rows, status_history: history.rows, returns: returns.rows, refunds: refunds.rows };
+}
+
+// Returns
+// requested -> approved -> received -> refunded, or requested -> rejected. Customers return
+// items of a shipped or delivered order; sellers of every returned item, or admins, handle it.
+const RETURN_TRANSITIONS = {
+  requested: ['approved', 'rejected'],
+  approved: ['received'],
+  received: ['refunded'],
+  rejected: [],
+  refunded: []
+};
+
+// States sellers and admins may move a return to with PUT /returns/:id/status; refunded is
+// reached through POST /returns/:id/refund
+const MANUAL_RETURN_TRANSITIONS = ['approved', 'rejected', 'received'];
+
+const RETURNABLE_ORDER_STATUSES = ['shipped', 'delivered'];
+const RETURN_WINDOW_DAYS = Number(process.env.RETURN_WINDOW_DAYS) || 30;
+
+// Same conditional update as transitionOrder; each state has its own <status>_at column
+async function transitionReturn(client, orderReturn, toStatus, { note, refundAmount } = {}) {
+  if (!(RETURN_TRANSITIONS[orderReturn.status] || []).includes(toStatus)) {
+    throw orderError(`Return cannot go from ${orderReturn.status} to ${toStatus}`, 409);
+  }
+
+  const updated = await client.query(
+    `UPDATE returns
+     SET status = $1, note = COALESCE($4, note), refund_amount = COALESCE($5, refund_amount),
+         updated_at = CURRENT_TIMESTAMP, ${toStatus}_at = CURRENT_TIMESTAMP
+     WHERE id = $2 AND status = $3
+     RETURNING *`,
+    [toStatus, orderReturn.id, orderReturn.status, note || null, refundAmount === undefined ? null : refundAmount]
+  );
+  if (updated.rows.length === 0) {
+    throw orderError('Return was changed by someone else. Reload it and try again.', 409);
+  }
+  return updated.rows[0];
+}
+
+// Return lines with the product, SKU, price and seller of the order items they return
+async function loadReturnItems(client, returnId) {
+  const items = await client.query(
+    `SELECT ri.*, oi.product_id, oi.sku, oi.price, oi.seller_id
+     FROM return_items ri
+     JOIN order_items oi ON ri.order_item_id = oi.id
+     WHERE ri.return_id = $1
+     ORDER BY ri.id`,
+    [returnId]
+  );
+  return items.rows;
+}
+
+// What the returned items were bought for, and the most a return refunds
+const returnValue = (items) => roundPrice(items.reduce((sum, item) => sum + Number(item.price) * item.quantity, 0));
+
+// Like orderRole, judged by the items in the return
+function returnRole(orderReturn, items, user) {
+  if (user.role === 'admin') return 'admin';
+  if (orderReturn.user_id === user.id) return 'customer';
+  if (user.role !== 'seller') return null;
+
+  const own = items.filter(item => item.seller_id === user.id).length;
+  if (own === 0) return null;
+  return own === items.length ? 'seller' : 'partial_seller';
+}
+
+// The return with its items and the caller's role, or null when the caller may not see it
+async function findReturn(client, returnId, user) {
+  const orderReturn = await client.query('SELECT * FROM returns WHERE id = $1', [Number(returnId) || 0]);
+  if (orderReturn.rows.length === 0) return null;
+
+  const items = await loadReturnItems(client, orderReturn.rows[0].id);
+  const role = returnRole(orderReturn.rows[0], items, user);
+  return role ? { orderReturn: orderReturn.rows[0], items, role } : null;
+}
+
+async function loadReturnDetails(client, orderReturn) {
+  const items = await loadReturnItems(client, orderReturn.id);
+  const refunds = await client.query('SELECT * FROM refunds WHERE return_id = $1 ORDER BY id', [orderReturn.id]);
+  return { ...orderReturn, items, items_value: returnValue(items), refunds: refunds.rows };
+}
+
+// Cart Helpers
+// Signed-in shoppers have one cart per user; guests get a cart keyed by a random token that
+// they send back in X-Cart-Token and that is merged into their own cart when they sign in
+const GUEST_CART_TTL_DAYS = Number(process.env.GUEST_CART_TTL_DAYS) || 30;
+const GUEST_CART_SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+// Signed-in requests use the user's cart; without an Authorization header the cart comes
+// from X-Cart-Token (and is created on the first add)
+const cartAuth = (req, res, next) => {
+  if (req.header('Authorization')) {
+    return auth(req, res, next);
+  }
+  req.user = null;
+  req.cartToken = req.header('X-Cart-Token') || null;
+  next();
+};
+
+const cartOwnerFilter = (req) => (req.user
+  ? { column: 'user_id', value: req.user.id }
+  : { column: 'guest_token', value: req.cartToken });
+
+async function findCart(client, req) {
+  const { column, value } = cartOwnerFilter(req);
+  if (!value) return null;
+
+  const cart = await client.query(`SELECT * FROM shopping_carts WHERE ${column} = $1 ORDER BY id LIMIT 1`, [value]);
+  return cart.rows[0] || null;
+}
+
+async function findOrCreateCart(client, req) {
+  const existing = await findCart(client, req);
+  if (existing) return existing;
+
+  const cart = req.user
+    ? await client.query('INSERT INTO shopping_carts (user_id) VALUES ($1) RETURNING *', [req.user.id])
+    : await client.query('INSERT INTO shopping_carts (guest_token) VALUES ($1) RETURNING *', [crypto.randomBytes(24).toString('hex')]);
+  return cart.rows[0];
+}
+
+// Lines with the same product and SKU are kept as one line (cart_items_line_idx)
+const CART_LINE_CONFLICT = "ON CONFLICT (cart_id, product_id, (COALESCE(sku, '')))";
+
+async function findCartLine(client, cartId, productId, sku) {
+  const line = await client.query(
+    'SELECT * FROM cart_items WHERE cart_id = $1 AND product_id = $2 AND sku IS NOT DISTINCT FROM $3 ORDER BY id LIMIT 1',
+    [cartId, productId, sku]
+  );
+  return line.rows[0] || null;
+}
+
+async function touchCart(client, cartId) {
+  await client.query(
+    'UPDATE shopping_carts SET updated_at = CURRENT_TIMESTAMP, checkout_attempt = checkout_attempt + 1 WHERE id = $1',
+    [cartId]
+  );
+}
+
+// Items with the subtotal and item count worked out here, so clients never add up prices
+async function cartSummary(client, cart) {
+  const items = cart
+    ? (await client.query('SELECT * FROM cart_items WHERE cart_id = $1 ORDER BY id', [cart.id])).rows
+    : [];
+  const subtotal = items.reduce((sum, item) => sum + Number(item.price) * item.quantity, 0);
+
+  return {
+    items,
+    item_count: items.reduce((sum, item) => sum + item.quantity, 0),
+    subtotal: roundPrice(subtotal),
+    cart_token: cart && cart.guest_token ? cart.guest_token : null
+  };
+}
+
+// Moves a guest cart's lines into the user's cart, adding up quantities of matching lines,
+// then deletes the guest cart. Prices are re-checked at checkout, so lines keep theirs.
+async function mergeGuestCart(client, guestToken, userId) {
+  await client.query('BEGIN');
+  try {
+    const guest = await client.query('SELECT * FROM shopping_carts WHERE guest_token = $1 FOR UPDATE', [guestToken]);
+    if (guest.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return 0;
+    }
+
+    const cart = await findOrCreateCart(client, { user: { id: userId } });
+    const merged = await client.query(
+      `INSERT INTO cart_items (cart_id, product_id, sku, quantity, price, created_at)
+       SELECT $1, product_id, sku, quantity, price, created_at FROM cart_items WHERE cart_id = $2 ORDER BY id
+       ${CART_LINE_CONFLICT} DO UPDATE SET quantity = cart_items.quantity + EXCLUDED.quantity`,
+      [cart.id, guest.rows[0].id]
+    );
+
+    await client.query('DELETE FROM cart_items WHERE cart_id = $1', [guest.rows[0].id]);
+    await client.query('DELETE FROM shopping_carts WHERE id = $1', [guest.rows[0].id]);
+    await touchCart(client, cart.id);
+    await client.query('COMMIT');
+    return merged.rowCount;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+}
+
+// Guest carts nobody has touched for GUEST_CART_TTL_DAYS are deleted
+async function removeAbandonedGuestCarts() {
+  await pool.query(
+    `WITH abandoned AS (
+       SELECT id FROM shopping_carts
+       WHERE guest_token IS NOT NULL AND updated_at < CURRENT_TIMESTAMP - make_interval(days => $1)
+     ), items AS (
+       DELETE FROM cart_items WHERE cart_id IN (SELECT id FROM abandoned)
+     )
+     DELETE FROM shopping_carts WHERE id IN (SELECT id FROM abandoned)`,
+    [GUEST_CART_TTL_DAYS]
+  );
+}
+
+// Payment Helpers
+// Every attempt is a row in payments (see the statuses in payments.js). Webhooks move waiting
+// attempts on. An order has at most one open attempt at a time.
+const toCents = (amount) => Math.round(Number(amount) * 100);
+
+// Refunds
+// A refund is committed as a pending row, already counted in the payment's refunded_amount,
+// before the provider is called, and the provider is only called after that transaction with
+// the row id as idempotency key. A refund the provider hasn't confirmed (the call failed, or the
+// service stopped half-way) stays pending without a provider_refund_id and is sent again with
+// the same key by retryPendingRefunds, so a refund is never lost or paid out twice. Providers
+// forget idempotency keys after a day, so after REFUND_RETRY_HOURS it is marked failed instead
+// and left for an admin.
+const REFUND_RETRY_INTERVAL_MS = 5 * 60 * 1000;
+const REFUND_RETRY_HOURS = 23;
+
+// Queues a refund of `amount` of a completed payment (all that is left when omitted). Runs inside
+// the caller's transaction, which has locked the payment.
+async function queuePaymentRefund(client, payment, { amount, actorId, reason, returnId } = {}) {
+  const refundAmount = amount === undefined ? roundPrice(payment.amount - payment.refunded_amount) : roundPrice(amount);
+
+  await client.query(
+    'UPDATE payments SET refunded_amount = refunded_amount + $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+    [payment.id, refundAmount]
+  );
+  const queued = await client.query(
+    `INSERT INTO refunds (order_id, payment_id, return_id, amount, status, reason, actor_id)
+     VALUES ($1, $2, $3, $4, 'pending', $5, $6)
+     RETURNING *`,
+    [payment.order_id, payment.id, returnId || null, refundAmount, reason || null, actorId || null]
+  );
+  return queued.rows[0];
+}
+
+// Sends a queued refund to the provider that took the payment and records its answer; the payment
+// turns refunded once nothing is left. A failure is recorded on the refund, which stays pending.
+async function sendRefund(client, refund) {
+  const payment = (await client.query('SELECT * FROM payments WHERE id = $1', [refund.payment_id])).rows[0];
+
+  let result;
+  try {
+    result = await getPaymentProvider(payment.provider || 'stripe').refund({
+      transactionId: payment.transaction_id,
+      amount: toCents(refund.amount),
+      idempotencyKey: `refund-${refund.id}`
+    });
+  } catch (error) {
+    console.error(`Error sending refund ${refund.id} for order ${refund.order_id}:`, error.message);
+    const failed = await client.query(
+      'UPDATE refunds SET failure_message = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING *',
+      [refund.id, error.message]
+    );
+    return failed.rows[0];
+  }
+
+  const sent = await client.query(
+    `UPDATE refunds SET status = $2, provider_refund_id = $3, failure_message = NULL, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1
+     RETURNING *`,
+    [refund.id, result.status, result.id]
+  );
+  await client.query(
+    `UPDATE payments SET status = 'refunded', updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND refunded_amount >= amount`,
+    [payment.id]
+  );
+  return sent.rows[0];
+}
+
+async function sendRefunds(client, refunds) {
+  const sent = [];
+  for (const refund of refunds) {
+    sent.push(await sendRefund(client, refund));
+  }
+  return sent;
+}
+
+async function retryPendingRefunds() {
+  const expired = await pool.query(
+    `UPDATE refunds SET status = 'failed', updated_at = CURRENT_TIMESTAMP
+     WHERE status = 'pending' AND provider_refund_id IS NULL
+       AND created_at < CURRENT_TIMESTAMP - make_interval(hours => $1)
+     RETURNING id, order_id`,
+    [REFUND_RETRY_HOURS]
+  );
+  expired.rows.forEach(refund => console.error(`Refund ${refund.id} for order ${refund.order_id} could not be sent and needs an admin`));
+
+  const pending = await pool.query(
+    "SELECT * FROM refunds WHERE status = 'pending' AND provider_refund_id IS NULL ORDER BY id"
+  );
+  if (pending.rows.length === 0) return;
+
+  const client = await pool.connect();
+  try {
+    await sendRefunds(client, pending.rows);
+  } finally {
+    client.release();
+  }
+}
+
+// Records a provider result or webhook event on an attempt and updates the order. Repeated and
+// out-of-order events are harmless: completed and refunded attempts never change, and a failed
+// one can only still turn out to have succeeded. Money taken for an order that is no longer
+// pending (cancelled, or paid by another attempt) is refunded; until the provider confirms that
+// refund the payment is refund_failed.
+async function applyPaymentOutcome(client, paymentId, outcome) {
+  const status = PAYMENT_STATUSES[outcome.status];
+  let payment;
+  let order;
+  let paidNow = false;
+  let releaseStock = false;
+  let lateRefund = null;
+
+  await client.query('BEGIN');
+  try {
+    payment = (await client.query('SELECT * FROM payments WHERE id = $1 FOR UPDATE', [paymentId])).rows[0];
+    const canChange = OPEN_PAYMENT_STATUSES.includes(payment.status) || (payment.status === 'failed' && status === 'completed');
+    if (!status || !canChange) {
+      await client.query('ROLLBACK');
+      return payment;
+    }
+
+    payment = (await client.query(
+      `UPDATE payments
+       SET status = $1, transaction_id = COALESCE($2, transaction_id), failure_message = $3, next_action = $4,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $5
+       RETURNING *`,
+      [status, outcome.transactionId || null, outcome.failureMessage || null, outcome.nextAction || null, paymentId]
+    )).rows[0];
+
+    order = (await client.query('SELECT * FROM orders WHERE id = $1 FOR UPDATE', [payment.order_id])).rows[0];
+    if (status === 'completed' && order.status === 'pending') {
+      order = await transitionOrder(client, order, 'paid', { actorRole: 'system', reason: 'payment_succeeded' });
+      await client.query('UPDATE orders SET stock_commit_pending = TRUE WHERE id = $1', [order.id]);
+      paidNow = true;
+    } else if (status === 'completed') {
+      lateRefund = await queuePaymentRefund(client, payment, { reason: `order_${order.status}` });
+    } else if (status === 'failed' && order.status === 'pending' && order.reservation_id) {
+      await client.query('UPDATE orders SET reservation_id = NULL WHERE id = $1', [order.id]);
+      releaseStock = true;
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+
+  if (paidNow) {
+    try {
+      if (await commitOrderStock(client, order)) {
+        payment = (await client.query('SELECT * FROM payments WHERE id = $1', [payment.id])).rows[0];
+      }
+    } catch (error) {
+      console.error(`Error committing stock for paid order ${order.id}, will retry:`, error.message);
+    }
+  } else if (lateRefund) {
+    const sent = await sendRefund(client, lateRefund);
+    if (!sent.provider_refund_id) {
+      await client.query(
+        `UPDATE payments SET status = 'refund_failed', failure_message = $2, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND status = 'completed'`,
+        [payment.id, sent.failure_message]
+      );
+    }
+    payment = (await client.query('SELECT * FROM payments WHERE id = $1', [payment.id])).rows[0];
+  } else if (releaseStock) {
+    await releaseUnpaidReservation(order.reservation_id, 'payment_failed');
+  }
+
+  return payment;
+}
+
+// Verifies a webhook and applies it to the attempt it belongs to; events for unknown
+// payments are acknowledged and ignored. Only the configured provider's webhooks are taken.
+async function handlePaymentWebhook(providerName, rawBody, headers) {
+  if (providerName !== (process.env.PAYMENT_PROVIDER || 'stripe')) {
+    throw orderError(`Payment provider ${providerName} is not in use`, 404);
+  }
+  const provider = getPaymentProvider(providerName);
+  const event = provider.parseWebhook(rawBody, headers);
+  if (!event) return null;
+
+  const client = await pool.connect();
+  try {
+    const payment = await client.query(
+      'SELECT id FROM payments WHERE provider = $1 AND (transaction_id = $2 OR id = $3) ORDER BY id LIMIT 1',
+      [provider.name, event.transactionId || null, Number(event.paymentId) || 0]
+    );
+    return payment.rows.length > 0 ? await applyPaymentOutcome(client, payment.rows[0].id, event) : null;
+  } finally {
+    client.release();
+  }
+}
+
+// Shopping Cart Routes
+
+// POST /cart/add - Add item to cart at the product's current price; adding a product/SKU that's
+// already in the cart increases that line's quantity. Guests get a cart_token back.
+app.post('/cart/add', cartAuth, async (req, res) => {
+  const { sku } = req.body;
+  const quantity = req.body.quantity === undefined ? 1 : req.body.quantity;
+  if (!Number.isInteger(quantity) || quantity < 1) {
+    return res.status(400).send({ error: 'quantity must be a positive integer' });
+  }
+
+  let item;
+  try {
+    item = await resolveCartItem(req.body.product_id, sku);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).send({ error: error.message });
+    }
+    console.error('Error looking up product:', error.message);
+    return res.status(502).send({ error: 'Unable to load product' });
+  }
+
+  const productId = String(item.product._id);
+  const itemSku = item.variant ? item.variant.sku : null;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    // Get or create shopping cart
+    const cart = await findOrCreateCart(client, req);
+    const existing = await findCartLine(client, cart.id, productId, itemSku);
+
+    const problem = unavailableReason(item, quantity + (existing ? existing.quantity : 0));
+    if (problem) {
+      await client.query('ROLLBACK');
+      return res.status(409).send({ error: problem.message, reason: problem.reason, available: problem.available });
+    }
+
+    // Add item to cart, or to the line that already holds it
+    await client.query(
+      `INSERT INTO cart_items (cart_id, product_id, sku, quantity, price) VALUES ($1, $2, $3, $4, $5)
+       ${CART_LINE_CONFLICT} DO UPDATE SET quantity = cart_items.quantity + EXCLUDED.quantity, price = EXCLUDED.price`,
+      [cart.id, productId, itemSku, quantity, item.price]
+    );
+    await touchCart(client, cart.id);
+
+    await client.query('COMMIT');
+    res.status(201).send({ message: 'Item added to cart', price: item.price, ...await cartSummary(client, cart) });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    res.status(400).send(error);
+  } finally {
+    client.release();
+  }
+});
+
+// PUT /cart/items/:itemId - Change a line's quantity ({ quantity }); 0 removes the line
+app.put('/cart/items/:itemId', cartAuth, async (req, res) => {
+  const { quantity } = req.body;
+  if (!Number.isInteger(quantity) || quantity < 0) {
+    return res.status(400).send({ error: 'quantity must be a non-negative integer' });
+  }
+
+  const client = await pool.connect();
+  try {
+    const cart = await findCart(client, req);
+    const line = cart && (await client.query(
+      'SELECT * FROM cart_items WHERE id = $1 AND cart_id = $2',
+      [Number(req.params.itemId) || 0, cart.id]
+    )).rows[0];
+    if (!line) {
+      return res.status(404).send({ error: 'Cart item not found' });
+    }
+
+    if (quantity === 0) {
+      await client.query('DELETE FROM cart_items WHERE id = $1', [line.id]);
+    } else {
+      let item;
+      try {
+        item = await resolveCartItem(line.product_id, line.sku);
+      } catch (error) {
+        if (error.status) {
+          return res.status(409).send({ error: 'This product is no longer available', reason: 'not_available', available: 0 });
+        }
+        console.error('Error looking up product:', error.message);
+        return res.status(502).send({ error: 'Unable to load product' });
+      }
+
+      const problem = unavailableReason(item, quantity);
+      if (problem) {
+        return res.status(409).send({ error: problem.message, reason: problem.reason, available: problem.available });
+      }
+      await client.query('UPDATE cart_items SET quantity = $1, price = $2 WHERE id = $3', [quantity, item.price, line.id]);
+    }
+
+    await touchCart(client, cart.id);
+    res.send(await cartSummary(client, cart));
+  } catch (error) {
+    res.status(400).send(error);
+  } finally {
+    client.release();
+  }
+});
+
+// DELETE /cart/remove - Remove item from cart
+app.delete('/cart/remove/:itemId', cartAuth, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const cart = await findCart(client, req);
+    if (cart) {
+      await client.query(
+        'DELETE FROM cart_items WHERE id = $1 AND cart_id = $2',
+        [Number(req.params.itemId) || 0, cart.id]
+      );
+      await touchCart(client, cart.id);
+    }
+    res.send({ message: 'Item removed from cart', ...await cartSummary(client, cart) });
+  } catch (error) {
+    res.status(400).send(error);
+  } finally {
+    client.release();
+  }
+});
+
+// DELETE /cart - Remove every item from the cart
+app.delete('/cart', cartAuth, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const cart = await findCart(client, req);
+    if (cart) {
+      await client.query('DELETE FROM cart_items WHERE cart_id = $1', [cart.id]);
+      await touchCart(client, cart.id);
+    }
+    res.send({ message: 'Cart cleared', ...await cartSummary(client, cart) });
+  } catch (error) {
+    res.status(500).send(error);
+  } finally {
+    client.release();
+  }
+});
+
+// GET /cart - Get cart contents with subtotal and item count
+app.get('/cart', cartAuth, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    res.send(await cartSummary(client, await findCart(client, req)));
+  } catch (error) {
+    res.status(500).send(error);
+  } finally {
+    client.release();
+  }
+});
+
+// POST /cart/merge - Merge a guest cart ({ cart_token }) into your cart
+app.post('/cart/merge', auth, async (req, res) => {
+  const cartToken = req.body.cart_token || req.header('X-Cart-Token');
+  if (!cartToken) {
+    return res.status(400).send({ error: 'cart_token is required' });
+  }
+
+  const client = await pool.connect();
+  try {
+    const merged = await mergeGuestCart(client, cartToken, req.user.id);
+    res.send({ merged, ...await cartSummary(client, await findCart(client, req)) });
+  } catch (error) {
+    res.status(500).send(error);
+  } finally {
+    client.release();
+  }
+});
+
+// Order Routes
+
+// POST /order/place - Place new order
+app.post('/order/place', auth, async (req, res) => {
+  const { address_id, billing_address_id } = req.body;
+  let shippingAddress = req.body.shipping_address;
+  let billingAddress = req.body.billing_address || null;
+  const inlineShipping = Boolean(shippingAddress && !address_id);
+
+  // Saved addresses are snapshotted so later edits to the address book don't rewrite history
+  try {
+    if (address_id || !shippingAddress) {
+      const address = await resolveAddress(req.token, address_id, 'isDefaultShipping');
+      if (!address) {
+        return res.status(400).send({ error: 'Shipping address not found. Provide an address_id or save a default shipping address.' });
+      }
+      shippingAddress = snapshotAddress(address);
+    }
+
+    // Billing is an inline billing_address, a saved one, or the shipping address. Inline and
+    // repeated addresses need no lookup, so orders with inline addresses don't depend on user-service.
+    const sameAsShipping = billing_address_id
+      ? String(billing_address_id) === String(shippingAddress.address_id)
+      : inlineShipping;
+    if (!billingAddress && sameAsShipping) {
+      billingAddress = shippingAddress;
+    } else if (!billingAddress) {
+      const billing = await resolveAddress(req.token, billing_address_id, 'isDefaultBilling');
+      if (billing_address_id && !billing) {
+        return res.status(400).send({ error: 'Billing address not found' });
+      }
+      billingAddress = billing ? snapshotAddress(billing) : shippingAddress;
+    }
+  } catch (error) {
+    console.error('Error resolving addresses:', error.message);
+    return res.status(502).send({ error: 'Unable to load saved addresses' });
+  }
+
+  const client = await pool.connect();
+  let reservation = null;
+  try {
+    // Get cart items
+    const cartItems = await client.query(
+      `SELECT ci.*, sc.checkout_attempt FROM cart_items ci 
+       JOIN shopping_carts sc ON ci.cart_id = sc.id 
+       WHERE sc.user_id = $1`,
+      [req.user.id]
+    );
+
+    if (cartItems.rows.length === 0) {
+      return res.status(400).send({ error: 'Cart is empty' });
+    }
+
+    // Nothing is ordered until the shopper has seen current prices and availability: changed
+    // prices are updated in the cart and reported, so placing the order again accepts them
+    let validation;
+    try {
+      validation = await validateCartItems(cartItems.rows);
+    } catch (error) {
+      console.error('Error validating cart:', error.message);
+      return res.status(502).send({ error: 'Unable to check cart items' });
+    }
+
+    for (const change of validation.priceChanges) {
+      await client.query('UPDATE cart_items SET price = $1 WHERE id = $2', [change.new_price, change.item_id]);
+    }
+    if (validation.priceChanges.length > 0 || validation.unavailable.length > 0) {
+      return res.status(409).send({
+        error: 'Your cart has changed. Review it before placing the order.',
+        price_changes: validation.priceChanges,
+        unavailable: validation.unavailable
+      });
+    }
+
+    let sellers;
+    try {
+      sellers = await fetchProductSellers(cartItems.rows.map(item => item.product_id));
+    } catch (error) {
+      console.error('Error loading product sellers:', error.message);
+      return res.status(502).send({ error: 'Unable to load products' });
+    }
+
+    // Reserve stock before writing the order, so an order is never placed for stock that's gone.
+    // Every change to the cart moves it to a new checkout attempt, and so a new reservation.
+    const cartId = cartItems.rows[0].cart_id;
+    const readAttempt = cartItems.rows[0].checkout_attempt || 0;
+    let checkoutAttempt;
+    try {
+      ({ reservation, attempt: checkoutAttempt } = await reserveStock(cartItems.rows, `cart-${cartId}`, readAttempt));
+    } catch (error) {
+      if (error.status === 409) {
+        return res.status(409).send({ error: error.message, unavailable: error.unavailable });
+      }
+      console.error('Error reserving stock:', error.message);
+      return res.status(502).send({ error: 'Unable to reserve stock' });
+    }
+
+    await client.query('BEGIN');
+
+    // Concurrent checkouts of one cart get the same reservation back. The cart is locked, and
+    // only a checkout that still finds the lines it reserved at the attempt it read places the
+    // order; placing it moves the cart to the next attempt, so the others stop here.
+    const cart = (await client.query('SELECT * FROM shopping_carts WHERE id = $1 FOR UPDATE', [cartId])).rows[0];
+    const lockedItems = await client.query('SELECT * FROM cart_items WHERE cart_id = $1', [cartId]);
+    const cartLines = (rows) => rows.map(item => `${item.id}:${item.quantity}:${item.price}`).sort().join(',');
+    if (!cart || (cart.checkout_attempt || 0) !== readAttempt || cartLines(lockedItems.rows) !== cartLines(cartItems.rows)) {
+      throw orderError('Your cart has changed. Review it before placing the order.', 409);
+    }
+
+    // Calculate total amount
+    const totalAmount = cartItems.rows.reduce(
+      (sum, item) => sum + item.price * item.quantity, 
+      0
+    );
+
+    // Create order
+    const order = await client.query(
+      `INSERT INTO orders (user_id, status, total_amount, shipping_address, shipping_address_id, billing_address, reservation_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
+      [req.user.id, 'pending', totalAmount, shippingAddress, shippingAddress.address_id || null, billingAddress, reservation._id]
+    );
+
+    // Create order items
+    for (const item of cartItems.rows) {
+      await client.query(
+        'INSERT INTO order_items (order_id, product_id, sku, seller_id, quantity, price) VALUES ($1, $2, $3, $4, $5, $6)',
+        [order.rows[0].id, item.product_id, item.sku, sellers.get(String(item.product_id)) || null, item.quantity, item.price]
+      );
+    }
+    await recordPlacedOrder(client, order.rows[0]);
+
+    // Clear the cart lines that were ordered
+    await client.query(
+      'DELETE FROM cart_items WHERE id = ANY($1)',
+      [cartItems.rows.map(item => item.id)]
+    );
+    await client.query('UPDATE shopping_carts SET checkout_attempt = $1 WHERE id = $2', [checkoutAttempt + 1, cartId]);
+
+    await client.query('COMMIT');
+    res.status(201).send(order.rows[0]);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    // The reservation may belong to an order a concurrent checkout of this cart placed
+    if (reservation) {
+      const owner = await client.query('SELECT id FROM orders WHERE reservation_id = $1 LIMIT 1', [reservation._id]);
+      if (owner.rows.length === 0) {
+        await releaseUnpaidReservation(reservation._id, 'order_failed');
+      }
+    }
+    if (error.status) {
+      return res.status(error.status).send({ error: error.message });
+    }
+    res.status(400).send(error);
+  } finally {
+    client.release();
+  }
+});
+
+// POST /payment/process - Pay for a pending order ({ order_id, payment_method, token }).
+// With an Idempotency-Key header, retries return the first attempt's result instead of paying again.
+app.post('/payment/process', auth, async (req, res) => {
+  const idempotencyKey = req.header('Idempotency-Key') || null;
+  if (idempotencyKey && idempotencyKey.length > 255) {
+    return res.status(400).send({ error: 'Idempotency-Key must be at most 255 characters' });
+  }
+
+  const client = await pool.connect();
+  try {
+    const { order_id, payment_method, token } = req.body;
+
+    // Get order details
+    const order = await client.query(
+      'SELECT * FROM orders WHERE id = $1 AND user_id = $2',
+      [Number(order_id) || 0, req.user.id]
+    );
+
+    if (order.rows.length === 0) {
+      return res.status(404).send({ error: 'Order not found' });
+    }
+
+    if (idempotencyKey) {
+      const previous = await client.query(
+        'SELECT * FROM payments WHERE order_id = $1 AND idempotency_key = $2',
+        [order.rows[0].id, idempotencyKey]
+      );
+      if (previous.rows.length > 0) {
+        const { status, body } = paymentResponse(previous.rows[0]);
+        return res.status(status).send({ ...body, replayed: true });
+      }
+    }
+
+    if (order.rows[0].status !== 'pending') {
+      return res.status(409).send({ error: `Order is ${order.rows[0].status} and cannot be paid` });
+    }
+
+    const open = await client.query(
+      'SELECT id FROM payments WHERE order_id = $1 AND status = ANY($2)',
+      [order.rows[0].id, OPEN_PAYMENT_STATUSES]
+    );
+    if (open.rows.length > 0) {
+      return res.status(409).send({ error: 'A payment for this order is already in progress', payment_id: open.rows[0].id });
+    }
+
+    try {
+      await ensureReservation(client, order.rows[0]);
+    } catch (error) {
+      if (error.status === 409) {
+        return res.status(409).send({ error: error.message, unavailable: error.unavailable });
+      }
+      throw error;
+    }
+
+    // Record the attempt before calling the provider; the unique indexes turn a concurrent
+    // duplicate into a conflict instead of a second charge
+    const provider = getPaymentProvider();
+    const attempt = await client.query(
+      `INSERT INTO payments (order_id, amount, status, payment_method, provider, idempotency_key)
+       VALUES ($1, $2, 'pending', $3, $4, $5)
+       ON CONFLICT DO NOTHING
+       RETURNING *`,
+      [order.rows[0].id, order.rows[0].total_amount, payment_method || 'card', provider.name, idempotencyKey]
+    );
+    if (attempt.rows.length === 0) {
+      return res.status(409).send({ error: 'A payment for this order is already in progress' });
+    }
+
+    let result;
+    try {
+      result = await provider.createPayment({
+        amount: toCents(order.rows[0].total_amount),
+        currency: 'usd',
+        paymentMethod: token,
+        idempotencyKey: `payment-${attempt.rows[0].id}`,
+        metadata: { order_id: String(order.rows[0].id), payment_id: String(attempt.rows[0].id) }
+      });
+    } catch (error) {
+      // If the charge went through after all, the provider's webhook turns this attempt into a success
+      console.error(`Error calling payment provider for order ${order.rows[0].id}:`, error.message);
+      result = { status: 'failed', failureMessage: 'The payment provider could not be reached. Please try again.' };
+    }
+
+    const payment = await applyPaymentOutcome(client, attempt.rows[0].id, result);
+    const { status, body } = paymentResponse(payment);
+    res.status(status).send(body);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).send({ error: error.message });
+    }
+    res.status(400).send(error);
+  } finally {
+    client.release();
+  }
+});
+
+// POST /payment/webhooks/:provider - Asynchronous payment updates, verified by the provider's signature
+app.post('/payment/webhooks/:provider', async (req, res) => {
+  try {
+    await handlePaymentWebhook(req.params.provider, req.rawBody || Buffer.alloc(0), req.headers);
+    res.send({ received: true });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).send({ error: error.message });
+    }
+    if (error.message.startsWith('Unknown payment provider')) {
+      return res.status(404).send({ error: error.message });
+    }
+    console.error('Error handling payment webhook:', error.message);
+    res.status(500).send({ error: 'Unable to process webhook' });
+  }
+});
+
+// The fake gateway has no bank or challenge page, so waiting payments are finished by hand
+if ((process.env.PAYMENT_PROVIDER || 'stripe') === 'fake') {
+  // POST /payment/fake/:paymentId/complete - Finish one of your waiting payments ({ status: 'succeeded' | 'failed' })
+  // by sending the webhook the gateway would
+  app.post('/payment/fake/:paymentId/complete', auth, async (req, res) => {
+    const status = req.body.status || 'succeeded';
+    if (!['succeeded', 'failed'].includes(status)) {
+      return res.status(400).send({ error: 'status must be succeeded or failed' });
+    }
+
+    try {
+      const payment = await pool.query(
+        `SELECT p.* FROM payments p
+         JOIN orders o ON p.order_id = o.id
+         WHERE p.id = $1 AND o.user_id = $2 AND p.provider = 'fake'`,
+        [Number(req.params.paymentId) || 0, req.user.id]
+      );
+      if (payment.rows.length === 0) {
+        return res.status(404).send({ error: 'Payment not found' });
+      }
+
+      const webhook = getPaymentProvider('fake').buildWebhook(payment.rows[0].transaction_id, status, req.body.failure_message);
+      const updated = await handlePaymentWebhook('fake', webhook.body, webhook.headers);
+      const { status: httpStatus, body } = paymentResponse(updated || payment.rows[0]);
+      res.status(httpStatus).send(body);
+    } catch (error) {
+      res.status(500).send({ error: error.message });
+    }
+  });
+}
+
+// GET /orders - Get user's orders
+app.get('/orders', auth, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const orders = await client.query(
+      `SELECT o.*, json_agg(oi.*) as items 
+       FROM orders o 
+       LEFT JOIN order_items oi ON o.id = oi.order_id 
+       WHERE o.user_id = $1 
+       GROUP BY o.id 
+       ORDER BY o.created_at DESC`,
+      [req.user.id]
+    );
+    res.send(orders.rows);
+  } catch (error) {
+    res.status(500).send(error);
+  } finally {
+    client.release();
+  }
+});
+
+// GET /orders/:id - Order details with items and status history (the customer, a seller of
+// one of its items, or an admin)
+app.get('/orders/:id', auth, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const order = await client.query('SELECT * FROM orders WHERE id = $1', [Number(req.params.id) || 0]);
+    if (order.rows.length === 0 || !await orderRole(client, order.rows[0], req.user)) {
+      return res.status(404).send({ error: 'Order not found' });
+    }
+
+    res.send(await loadOrderDetails(client, order.rows[0]));
+  } catch (error) {
+    res.status(500).send(error);
+  } finally {
+    client.release();
+  }
+});
+
+// POST /orders/:id/cancel - Cancel your own order before it ships ({ reason }); paid orders are refunded
+app.post('/orders/:id/cancel', auth, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const order = await client.query(
+      'SELECT * FROM orders WHERE id = $1 AND user_id = $2',
+      [Number(req.params.id) || 0, req.user.id]
+    );
+    if (order.rows.length === 0) {
+      return res.status(404).send({ error: 'Order not found' });
+    }
+
+    const cancelled = await cancelOrder(client, order.rows[0], {
+      actorId: req.user.id,
+      actorRole: 'customer',
+      reason: req.body.reason || 'cancelled_by_customer'
+    });
+    res.send(await loadOrderDetails(client, cancelled));
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).send({ error: error.message });
+    }
+    res.status(500).send(error);
+  } finally {
+    client.release();
+  }
+});
+
+// PUT /orders/:id/status - Move an order along (sellers of every item in it, or admins):
+// { status: 'processing' | 'shipped' | 'delivered' | 'cancelled', reason, tracking_number, carrier }.
+// Shipping requires a tracking number.
+app.put('/orders/:id/status', auth, sellerAuth, async (req, res) => {
+  const { status, reason, tracking_number: trackingNumber, carrier } = req.body;
+  if (!MANUAL_TRANSITIONS.includes(status)) {
+    return res.status(400).send({ error: `status must be one of: ${MANUAL_TRANSITIONS.join(', ')}` });
+  }
+  if (status === 'shipped' && !trackingNumber) {
+    return res.status(400).send({ error: 'tracking_number is required to mark an order as shipped' });
+  }
+
+  const client = await pool.connect();
+  try {
+    const order = await client.query('SELECT * FROM orders WHERE id = $1', [Number(req.params.id) || 0]);
+    const role = order.rows.length > 0 ? await orderRole(client, order.rows[0], req.user) : null;
+    if (!role || role === 'customer') {
+      return res.status(404).send({ error: 'Order not found' });
+    }
+    if (role === 'partial_seller') {
+      return res.status(403).send({ error: 'This order has items from other sellers. Only an admin can update it.' });
+    }
+
+    const actor = { actorId: req.user.id, actorRole: role, reason, trackingNumber, carrier };
+    let updated;
+    if (status === 'cancelled') {
+      updated = await cancelOrder(client, order.rows[0], { ...actor, reason: reason || `cancelled_by_${role}` });
+    } else {
+      await client.query('BEGIN');
+      try {
+        updated = await transitionOrder(client, order.rows[0], status, actor);
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      }
+    }
+
+    res.send(await loadOrderDetails(client, updated));
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).send({ error: error.message });
+    }
+    res.status(500).send(error);
+  } finally {
+    client.release();
+  }
+});
+
+// POST /orders/:id/refunds - Refund part or all of a paid order outside a return, e.g. as a
+// goodwill gesture (admins; { amount, reason }). Without an amount, everything left is refunded.
+app.post('/orders/:id/refunds', auth, adminAuth, async (req, res) => {
+  const { reason } = req.body;
+  if (!reason) {
+    return res.status(400).send({ error: 'reason is required' });
+  }
+  if (req.body.amount !== undefined && !(Number(req.body.amount) > 0)) {
+    return res.status(400).send({ error: 'amount must be a positive number' });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const order = await client.query('SELECT * FROM orders WHERE id = $1 FOR UPDATE', [Number(req.params.id) || 0]);
+    if (order.rows.length === 0) {
+      throw orderError('Order not found', 404);
+    }
+    if (!ORDER_TRANSITIONS[order.rows[0].status].includes('refunded')) {
+      throw orderError(`Order is ${order.rows[0].status} and cannot be refunded`, 409);
+    }
+
+    const refundable = await refundableAmount(client, order.rows[0].id);
+    const amount = req.body.amount === undefined ? refundable : roundPrice(req.body.amount);
+    if (amount <= 0 || amount > refundable) {
+      throw orderError(`Only ${refundable} of this order can still be refunded`, 409);
+    }
+
+    const { refunds } = await queueOrderRefunds(client, order.rows[0], amount, { actorId: req.user.id, actorRole: 'admin', reason });
+    await client.query('COMMIT');
+    await sendRefunds(client, refunds);
+
+    const updated = await client.query('SELECT * FROM orders WHERE id = $1', [order.rows[0].id]);
+    res.status(201).send(await loadOrderDetails(client, updated.rows[0]));
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error.status) {
+      return res.status(error.status).send({ error: error.message });
+    }
+    res.status(500).send(error);
+  } finally {
+    client.release();
+  }
+});
+
+// Return Routes
+
+// POST /orders/:id/returns - Ask to return items of your shipped or delivered order
+// ({ reason, items: [{ order_item_id, quantity, reason }] }). Delivered orders can be returned
+// for RETURN_WINDOW_DAYS after delivery.
+app.post('/orders/:id/returns', auth, async (req, res) => {
+  const { reason, items } = req.body;
+  if (!reason || typeof reason !== 'string') {
+    return res.status(400).send({ error: 'reason is required' });
+  }
+  if (!Array.isArray(items) || items.length === 0) {
+    return res.status(400).send({ error: 'items must be a non-empty array' });
+  }
+  for (const item of items) {
+    if (!item || !Number.isInteger(item.order_item_id) || !Number.isInteger(item.quantity) || item.quantity < 1) {
+      return res.status(400).send({ error: 'Each item needs an order_item_id and a positive integer quantity' });
+    }
+  }
+  if (new Set(items.map(item => item.order_item_id)).size !== items.length) {
+    return res.status(400).send({ error: 'Each order item can only be listed once' });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    // Locking the order keeps two requests from returning the same items twice
+    const order = await client.query(
+      'SELECT * FROM orders WHERE id = $1 AND user_id = $2 FOR UPDATE',
+      [Number(req.params.id) || 0, req.user.id]
+    );
+    if (order.rows.length === 0) {
+      throw orderError('Order not found', 404);
+    }
+    if (!RETURNABLE_ORDER_STATUSES.includes(order.rows[0].status)) {
+      throw orderError(`Order is ${order.rows[0].status} and cannot be returned`, 409);
+    }
+    const deliveredAt = order.rows[0].delivered_at;
+    if (deliveredAt && Date.now() - new Date(deliveredAt).getTime() > RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000) {
+      throw orderError(`Items can only be returned within ${RETURN_WINDOW_DAYS} days of delivery`, 409);
+    }
+
+    // Quantities already in returns that weren't rejected can't be returned again
+    const orderItems = await client.query(
+      `SELECT oi.id, oi.quantity, COALESCE(SUM(ri.quantity) FILTER (WHERE r.status <> 'rejected'), 0) AS returned
+       FROM order_items oi
+       LEFT JOIN return_items ri ON ri.order_item_id = oi.id
+       LEFT JOIN returns r ON ri.return_id = r.id
+       WHERE oi.order_id = $1
+       GROUP BY oi.id`,
+      [order.rows[0].id]
+    );
+    const lines = new Map(orderItems.rows.map(line => [line.id, line]));
+    for (const item of items) {
+      const line = lines.get(item.order_item_id);
+      if (!line) {
+        throw orderError(`Order item ${item.order_item_id} is not part of this order`, 400);
+      }
+      const returnable = line.quantity - Number(line.returned);
+      if (item.quantity > returnable) {
+        throw orderError(`Only ${returnable} of order item ${item.order_item_id} can be returned`, 409);
+      }
+    }
+
+    const orderReturn = await client.query(
+      `INSERT INTO returns (order_id, user_id, status, reason)
+       VALUES ($1, $2, 'requested', $3)
+       RETURNING *`,
+      [order.rows[0].id, req.user.id, reason]
+    );
+    for (const item of items) {
+      await client.query(
+        'INSERT INTO return_items (return_id, order_item_id, quantity, reason) VALUES ($1, $2, $3, $4)',
+        [orderReturn.rows[0].id, item.order_item_id, item.quantity, item.reason || null]
+      );
+    }
+
+    await client.query('COMMIT');
+    res.status(201).send(await loadReturnDetails(client, orderReturn.rows[0]));
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error.status) {
+      return res.status(error.status).send({ error: error.message });
+    }
+    res.status(500).send(error);
+  } finally {
+    client.release();
+  }
+});
+
+// GET /orders/:id/returns - Returns of an order (the customer, a seller of one of its items, or an admin)
+app.get('/orders/:id/returns', auth, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const order = await client.query('SELECT * FROM orders WHERE id = $1', [Number(req.params.id) || 0]);
+    if (order.rows.length === 0 || !await orderRole(client, order.rows[0], req.user)) {
+      return res.status(404).send({ error: 'Order not found' });
+    }
+
+    const returns = await client.query(
+      `SELECT r.*, COALESCE(json_agg(ri.* ORDER BY ri.id) FILTER (WHERE ri.id IS NOT NULL), '[]') AS items
+       FROM returns r
+       LEFT JOIN return_items ri ON ri.return_id = r.id
+       WHERE r.order_id = $1
+       GROUP BY r.id
+       ORDER BY r.id`,
+      [order.rows[0].id]
+    );
+    res.send(returns.rows);
+  } catch (error) {
+    res.status(500).send(error);
+  } finally {
+    client.release();
+  }
+});
+
+// GET /returns - Your returns; sellers also see returns of their items and admins see all (?status=)
+app.get('/returns', auth, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const conditions = [];
+    const params = [];
+    if (req.user.role !== 'admin') {
+      params.push(req.user.id);
+      conditions.push(`(r.user_id = $1 OR EXISTS (
+        SELECT 1 FROM return_items own
+        JOIN order_items oi ON own.order_item_id = oi.id
+        WHERE own.return_id = r.id AND oi.seller_id = $1
+      ))`);
+    }
+    if (req.query.status) {
+      params.push(req.query.status);
+      conditions.push(`r.status = $${params.length}`);
+    }
+
+    const returns = await client.query(
+      `SELECT r.*, COALESCE(json_agg(ri.* ORDER BY ri.id) FILTER (WHERE ri.id IS NOT NULL), '[]') AS items
+       FROM returns r
+       LEFT JOIN return_items ri ON ri.return_id = r.id
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       GROUP BY r.id
+       ORDER BY r.created_at DESC`,
+      params
+    );
+    res.send(returns.rows);
+  } catch (error) {
+    res.status(500).send(error);
+  } finally {
+    client.release();
+  }
+});
+
+// GET /returns/:id - Return details with items and refunds
+app.get('/returns/:id', auth, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const found = await findReturn(client, req.params.id, req.user);
+    if (!found) {
+      return res.status(404).send({ error: 'Return not found' });
+    }
+    res.send(await loadReturnDetails(client, found.orderReturn));
+  } catch (error) {
+    res.status(500).send(error);
+  } finally {
+    client.release();
+  }
+});
+
+// PUT /returns/:id/status - Handle a return (sellers of every returned item, or admins):
+// { status: 'approved' | 'rejected' | 'received', note, restock }. Rejecting needs a note.
+// Received items are restocked, except when restock is false or lists only some return item ids.
+app.put('/returns/:id/status', auth, sellerAuth, async (req, res) => {
+  const { status, note, restock } = req.body;
+  if (!MANUAL_RETURN_TRANSITIONS.includes(status)) {
+    return res.status(400).send({ error: `status must be one of: ${MANUAL_RETURN_TRANSITIONS.join(', ')}` });
+  }
+  if (status === 'rejected' && !note) {
+    return res.status(400).send({ error: 'note is required to reject a return' });
+  }
+
+  const client = await pool.connect();
+  try {
+    const found = await findReturn(client, req.params.id, req.user);
+    if (!found || found.role === 'customer') {
+      return res.status(404).send({ error: 'Return not found' });
+    }
+    if (found.role === 'partial_seller') {
+      return res.status(403).send({ error: 'This return has items from other sellers. Only an admin can handle it.' });
+    }
+
+    await client.query('BEGIN');
+    let updated;
+    try {
+      updated = await transitionReturn(client, found.orderReturn, status, { note });
+
+      if (status === 'received') {
+        const restocked = found.items.filter(item => (Array.isArray(restock) ? restock.includes(item.id) : restock !== false));
+        if (restocked.length > 0) {
+          try {
+            await restockItems(`return-${updated.id}`, restocked.map(item => ({
+              productId: item.product_id,
+              sku: item.sku,
+              quantity: item.quantity
+            })));
+          } catch (error) {
+            console.error(`Error restocking return ${updated.id}:`, error.message);
+            throw orderError('Unable to restock the returned items, so the return was not marked received', 502);
+          }
+          await client.query('UPDATE return_items SET restocked = true WHERE id = ANY($1)', [restocked.map(item => item.id)]);
+        }
+      }
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    }
+
+    res.send(await loadReturnDetails(client, updated));
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).send({ error: error.message });
+    }
+    res.status(500).send(error);
+  } finally {
+    client.release();
+  }
+});
+
+// POST /returns/:id/refund - Refund a received return through the payment provider ({ amount });
+// the price of the returned items by default, less for a partial refund (e.g. damaged items).
+// The order moves to refunded once all of it has been paid back.
+app.post('/returns/:id/refund', auth, sellerAuth, async (req, res) => {
+  if (req.body.amount !== undefined && !(Number(req.body.amount) > 0)) {
+    return res.status(400).send({ error: 'amount must be a positive number' });
+  }
+
+  const client = await pool.connect();
+  try {
+    const found = await findReturn(client, req.params.id, req.user);
+    if (!found || found.role === 'customer') {
+      return res.status(404).send({ error: 'Return not found' });
+    }
+    if (found.role === 'partial_seller') {
+      return res.status(403).send({ error: 'This return has items from other sellers. Only an admin can handle it.' });
+    }
+
+    const value = returnValue(found.items);
+    const amount = req.body.amount === undefined ? value : roundPrice(req.body.amount);
+    if (amount > value) {
+      return res.status(400).send({ error: `amount can be at most ${value}, the price of the returned items` });
+    }
+
+    await client.query('BEGIN');
+    let updated;
+    let refunds;
+    try {
+      updated = await transitionReturn(client, found.orderReturn, 'refunded', { refundAmount: amount });
+
+      const order = await client.query('SELECT * FROM orders WHERE id = $1 FOR UPDATE', [updated.order_id]);
+      const refundable = await refundableAmount(client, updated.order_id);
+      if (amount > refundable) {
+        throw orderError(`Only ${refundable} of this order can still be refunded`, 409);
+      }
+
+      ({ refunds } = await queueOrderRefunds(client, order.rows[0], amount, {
+        actorId: req.user.id,
+        actorRole: found.role,
+        reason: 'return_refunded',
+        returnId: updated.id
+      }));
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    }
+    await sendRefunds(client, refunds);
+
+    res.send(await loadReturnDetails(client, updated));
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).send({ error: error.message });
+    }
+    res.status(500).send(error);
+  } finally {
+    client.release();
+  }
+});
+
+// Internal Routes
+
+// Orders in these states count as purchases for verified-purchase review badges
+const PURCHASED_ORDER_STATUSES = ['paid', 'processing', 'shipped', 'delivered'];
+
+// GET /internal/users/:userId/purchases/:productId - Whether the user has bought the product
+app.get('/internal/users/:userId/purchases/:productId', internalAuth, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      `SELECT 1 FROM order_items oi
+       JOIN orders o ON oi.order_id = o.id
+       WHERE o.user_id = $1 AND oi.product_id = $2 AND o.status = ANY($3)
+       LIMIT 1`,
+      [req.params.userId, req.params.productId, PURCHASED_ORDER_STATUSES]
+    );
+    res.send({ purchased: result.rows.length > 0 });
+  } catch (error) {
+    res.status(500).send(error);
+  } finally {
+    client.release();
+  }
+});
+
+// POST /internal/carts/merge - Merge a guest cart into a user's cart when they sign in ({ cart_token, user_id })
+app.post('/internal/carts/merge', internalAuth, async (req, res) => {
+  const { cart_token: cartToken, user_id: userId } = req.body;
+  if (!cartToken || !userId) {
+    return res.status(400).send({ error: 'cart_token and user_id are required' });
+  }
+
+  const client = await pool.connect();
+  try {
+    res.send({ merged: await mergeGuestCart(client, cartToken, String(userId)) });
+  } catch (error) {
+    res.status(500).send(error);
+  } finally {
+    client.release();
+  }
+});
+
+// GET /internal/users/:userId/data - Carts, orders, payments, returns and refunds, for personal data exports
+app.get('/internal/users/:userId/data', internalAuth, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { userId } = req.params;
+
+    const carts = await client.query(
+      `SELECT sc.*, COALESCE(json_agg(ci.*) FILTER (WHERE ci.id IS NOT NULL), '[]') as items
+       FROM shopping_carts sc
+       LEFT JOIN cart_items ci ON sc.id = ci.cart_id
+       WHERE sc.user_id = $1
+       GROUP BY sc.id`,
+      [userId]
+    );
+    const orders = await client.query(
+      `SELECT o.*, COALESCE(json_agg(oi.*) FILTER (WHERE oi.id IS NOT NULL), '[]') as items
+       FROM orders o
+       LEFT JOIN order_items oi ON o.id = oi.order_id
+       WHERE o.user_id = $1
+       GROUP BY o.id
+       ORDER BY o.created_at`,
+      [userId]
+    );
+    const payments = await client.query(
+      `SELECT p.* FROM payments p
+       JOIN orders o ON p.order_id = o.id
+       WHERE o.user_id = $1
+       ORDER BY p.created_at`,
+      [userId]
+    );
+    const returns = await client.query(
+      `SELECT r.*, COALESCE(json_agg(ri.*) FILTER (WHERE ri.id IS NOT NULL), '[]') as items
+       FROM returns r
+       LEFT JOIN return_items ri ON r.id = ri.return_id
+       WHERE r.user_id = $1
+       GROUP BY r.id
+       ORDER BY r.created_at`,
+      [userId]
+    );
+    const refunds = await client.query(
+      `SELECT rf.* FROM refunds rf
+       JOIN orders o ON rf.order_id = o.id
+       WHERE o.user_id = $1
+       ORDER BY rf.created_at`,
+      [userId]
+    );
+
+    res.send({ carts: carts.rows, orders: orders.rows, payments: payments.rows, returns: returns.rows, refunds: refunds.rows });
+  } catch (error) {
+    res.status(500).send(error);
+  } finally {
+    client.release();
+  }
+});
+
+// DELETE /internal/users/:userId/data - Delete carts and anonymize orders for an erased user
+// Orders and payments are kept for accounting, but lose every link to the person
+app.delete('/internal/users/:userId/data', internalAuth, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { userId } = req.params;
+
+    const cartItems = await client.query(
+      'DELETE FROM cart_items WHERE cart_id IN (SELECT id FROM shopping_carts WHERE user_id = $1)',
+      [userId]
+    );
+    const carts = await client.query('DELETE FROM shopping_carts WHERE user_id = $1', [userId]);
+    const orders = await client.query(
+      `UPDATE orders
+       SET user_id = $2, shipping_address = $3, shipping_address_id = NULL, billing_address = NULL,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE user_id = $1`,
+      [userId, ERASED_USER_ID, { erased: true }]
+    );
+    await client.query(
+      'UPDATE order_status_history SET actor_id = $2 WHERE actor_id = $1',
+      [userId, ERASED_USER_ID]
+    );
+    await client.query('UPDATE returns SET user_id = $2 WHERE user_id = $1', [userId, ERASED_USER_ID]);
+    await client.query('UPDATE refunds SET actor_id = $2 WHERE actor_id = $1', [userId, ERASED_USER_ID]);
+
+    await client.query('COMMIT');
+    res.send({
+      cartItemsDeleted: cartItems.rowCount,
+      cartsDeleted: carts.rowCount,
+      ordersAnonymized: orders.rowCount
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    res.status(500).send(error);
+  } finally {
+    client.release();
+  }
+});
+
+// Server Configuration
+const PORT = process.env.PORT || 3003;
+
+// Tests require this file for the app without starting the service
+if (require.main === module) {
+  initializeDatabase().catch(console.error);
+
+  setInterval(() => {
+    retryPendingStockCommits().catch(error => console.error('Error retrying stock commits:', error.message));
+  }, STOCK_RETRY_INTERVAL_MS);
+
+  setInterval(() => {
+    retryPendingStockReleases().catch(error => console.error('Error retrying stock releases:', error.message));
+  }, STOCK_RETRY_INTERVAL_MS);
+
+  setInterval(() => {
+    retryPendingRefunds().catch(error => console.error('Error retrying pending refunds:', error.message));
+  }, REFUND_RETRY_INTERVAL_MS);
+
+  setInterval(() => {
+    removeAbandonedGuestCarts().catch(error => console.error('Error removing abandoned guest carts:', error.message));
+  }, GUEST_CART_SWEEP_INTERVAL_MS);
+
+  app.listen(PORT, () => {
+    console.log(`Order and Payment Service running on port ${PORT}`);
+  });
+}
+
+module.exports = { app, pool, initializeDatabase, applyPaymentOutcome, retryPendingStockCommits };
@@ -0,0 +1,235 @@
+// Payment Providers
+// A provider is an object with:
+//   async createPayment({ amount, currency, paymentMethod, idempotencyKey, metadata }) -> result
+//   async refund({ transactionId, amount, idempotencyKey }) -> { id, status }
+//   parseWebhook(rawBody, headers) -> event, or null for events that don't change a payment
+// Amounts are in cents. Results and events are { transactionId, status, nextAction, failureMessage }
+// with status 'succeeded', 'requires_action', 'processing' or 'failed'; events may also carry the
+// paymentId passed in metadata.
+// `stripe` talks to Stripe; `fake` runs entirely in memory for development and tests.
+const crypto = require('crypto');
+
+const invalidWebhook = (message) => Object.assign(new Error(message), { status: 400 });
+
+const createStripeProvider = () => {
+  const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+
+  const INTENT_STATUSES = {
+    succeeded: 'succeeded',
+    processing: 'processing',
+    requires_capture: 'processing',
+    requires_action: 'requires_action',
+    requires_confirmation: 'requires_action',
+    requires_payment_method: 'failed',
+    canceled: 'failed'
+  };
+
+  const EVENT_STATUSES = {
+    'payment_intent.succeeded': 'succeeded',
+    'payment_intent.processing': 'processing',
+    'payment_intent.requires_action': 'requires_action',
+    'payment_intent.payment_failed': 'failed',
+    'payment_intent.canceled': 'failed'
+  };
+
+  // metadata.payment_id finds the attempt even if the create call failed before returning an id
+  const toResult = (intent, status = INTENT_STATUSES[intent.status] || 'processing') => ({
+    transactionId: intent.id,
+    paymentId: intent.metadata ? intent.metadata.payment_id : undefined,
+    status,
+    nextAction: status === 'requires_action' ? { type: 'stripe_sdk', client_secret: intent.client_secret } : null,
+    failureMessage: intent.last_payment_error ? intent.last_payment_error.message : null
+  });
+
+  return {
+    name: 'stripe',
+
+    async createPayment({ amount, currency, paymentMethod, idempotencyKey, metadata }) {
+      try {
+        const intent = await stripe.paymentIntents.create({
+          amount,
+          currency,
+          payment_method: paymentMethod,
+          confirm: true,
+          metadata,
+          ...(process.env.PAYMENT_RETURN_URL ? { return_url: process.env.PAYMENT_RETURN_URL } : {})
+        }, { idempotencyKey });
+        return toResult(intent);
+      } catch (error) {
+        // Declines are an outcome, not an error
+        if (error.type === 'StripeCardError') {
+          return {
+            transactionId: error.payment_intent ? error.payment_intent.id : null,
+            status: 'failed',
+            nextAction: null,
+            failureMessage: error.message
+          };
+        }
+        throw error;
+      }
+    },
+
+    async refund({ transactionId, amount, idempotencyKey }) {
+      const refund = await stripe.refunds.create({ payment_intent: transactionId, amount }, { idempotencyKey });
+      return { id: refund.id, status: refund.status };
+    },
+
+    parseWebhook(rawBody, headers) {
+      let event;
+      try {
+        event = stripe.webhooks.constructEvent(rawBody, headers['stripe-signature'], process.env.STRIPE_WEBHOOK_SECRET);
+      } catch (error) {
+        throw invalidWebhook(`Invalid Stripe webhook: ${error.message}`);
+      }
+
+      const status = EVENT_STATUSES[event.type];
+      return status ? toResult(event.data.object, status) : null;
+    }
+  };
+};
+
+// The payment method decides the outcome, like Stripe's test cards: fake_card_declined fails,
+// fake_requires_action and fake_processing wait for a webhook, anything else succeeds.
+// Webhooks are signed with FAKE_PAYMENT_WEBHOOK_SECRET in the X-Fake-Signature header. Without it
+// a random secret is used, so only this process (see buildWebhook) can sign them.
+const createFakeProvider = () => {
+  const secret = process.env.FAKE_PAYMENT_WEBHOOK_SECRET || crypto.randomBytes(32).toString('hex');
+  const payments = new Map();
+  const byIdempotencyKey = new Map();
+
+  const OUTCOMES = {
+    fake_card_declined: { status: 'failed', failureMessage: 'Your card was declined.' },
+    fake_requires_action: { status: 'requires_action' },
+    fake_processing: { status: 'processing' }
+  };
+
+  const sign = (body) => crypto.createHmac('sha256', secret).update(body).digest('hex');
+
+  return {
+    name: 'fake',
+
+    async createPayment({ amount, paymentMethod, idempotencyKey }) {
+      if (idempotencyKey && byIdempotencyKey.has(idempotencyKey)) {
+        return byIdempotencyKey.get(idempotencyKey);
+      }
+
+      const outcome = OUTCOMES[paymentMethod] || { status: 'succeeded' };
+      const transactionId = `fake_pi_${crypto.randomBytes(12).toString('hex')}`;
+      const result = {
+        transactionId,
+        status: outcome.status,
+        nextAction: outcome.status === 'requires_action' ? { type: 'fake_confirmation', transaction_id: transactionId } : null,
+        failureMessage: outcome.failureMessage || null
+      };
+
+      payments.set(transactionId, { amount, refunded: 0 });
+      if (idempotencyKey) byIdempotencyKey.set(idempotencyKey, result);
+      return result;
+    },
+
+    // Payments from before a restart are unknown and refunded without a limit
+    async refund({ transactionId, amount, idempotencyKey }) {
+      if (idempotencyKey && byIdempotencyKey.has(idempotencyKey)) {
+        return byIdempotencyKey.get(idempotencyKey);
+      }
+
+      const payment = payments.get(transactionId);
+      if (payment) {
+        const refundable = payment.amount - payment.refunded;
+        const refundAmount = amount === undefined ? refundable : amount;
+        if (refundAmount > refundable) {
+          throw new Error(`Refund exceeds the remaining ${refundable} cents`);
+        }
+        payment.refunded += refundAmount;
+      }
+
+      const refund = { id: `fake_re_${crypto.randomBytes(12).toString('hex')}`, status: 'succeeded' };
+      if (idempotencyKey) byIdempotencyKey.set(idempotencyKey, refund);
+      return refund;
+    },
+
+    parseWebhook(rawBody, headers) {
+      const signature = Buffer.from(String(headers['x-fake-signature'] || ''));
+      const expected = Buffer.from(sign(rawBody));
+      if (signature.length !== expected.length || !crypto.timingSafeEqual(signature, expected)) {
+        throw invalidWebhook('Invalid fake webhook signature');
+      }
+
+      const event = JSON.parse(rawBody.toString('utf8'));
+      return {
+        transactionId: event.transaction_id,
+        status: event.status,
+        nextAction: null,
+        failureMessage: event.failure_message || null
+      };
+    },
+
+    // Body and headers of the webhook the fake gateway would send when a payment that was
+    // waiting finishes, e.g. after the shopper completes a challenge
+    buildWebhook(transactionId, status, failureMessage) {
+      const body = JSON.stringify({ transaction_id: transactionId, status, failure_message: failureMessage || undefined });
+      return { body: Buffer.from(body), headers: { 'x-fake-signature': sign(body) } };
+    }
+  };
+};
+
+const factories = {
+  stripe: createStripeProvider,
+  fake: createFakeProvider
+};
+const providers = new Map();
+
+function registerPaymentProvider(name, factory) {
+  factories[name] = factory;
+  providers.delete(name);
+}
+
+// Providers are created once and reused, so the fake one keeps its state between requests
+function getPaymentProvider(name = process.env.PAYMENT_PROVIDER || 'stripe') {
+  if (!providers.has(name)) {
+    const factory = Object.prototype.hasOwnProperty.call(factories, name) ? factories[name] : null;
+    if (!factory) {
+      throw new Error(`Unknown payment provider: ${name}`);
+    }
+    providers.set(name, factory());
+  }
+  return providers.get(name);
+}
+
+// Payment Attempts
+// Each attempt is a row in order-service's payments table: pending while the provider is called,
+// then completed, failed, requires_action or processing. Completed ones end as refunded, or as
+// refund_failed while the refund of a payment that came too late is still being retried.
+const PAYMENT_STATUSES = {
+  succeeded: 'completed',
+  failed: 'failed',
+  requires_action: 'requires_action',
+  processing: 'processing'
+};
+const OPEN_PAYMENT_STATUSES = ['pending', 'requires_action', 'processing'];
+
+// HTTP status and body for an attempt; replays of an Idempotency-Key get the same response
+function paymentResponse(payment) {
+  const body = {
+    payment_id: payment.id,
+    order_id: payment.order_id,
+    status: payment.status,
+    transaction_id: payment.transaction_id
+  };
+
+  if (payment.status === 'failed') {
+    return { status: 402, body: { ...body, error: payment.failure_message || 'Payment failed' } };
+  }
+  if (OPEN_PAYMENT_STATUSES.includes(payment.status)) {
+    return { status: 202, body: { ...body, next_action: payment.next_action } };
+  }
+  return { status: 200, body: { ...body, message: 'Payment processed successfully' } };
+}
+
+module.exports = {
+  getPaymentProvider,
+  registerPaymentProvider,
+  PAYMENT_STATUSES,
+  OPEN_PAYMENT_STATUSES,
+  paymentResponse
+};
@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const { parseImportFile, serializeCatalog } = require('../catalog');
+
+const csv = (lines) => Buffer.from(lines.join('\n'));
+
+describe('catalog import files', () => {
+  test('CSV rows sharing a sellerSku form one product with a variant per row', () => {
+    const entries = parseImportFile(csv([
+      'sellerSku,name,price,category,sizes,colors,attributes,variantSku,variantSize,variantColor,variantStock,variantPrice',
+      'TEE-1,Basic Tee,19.99,t-shirts,S|M,Black:#000000|White,material=Cotton|fit=Slim,TEE-1-S,S,Black,4,',
+      'TEE-1,,,,,,,TEE-1-M,M,White,2,21.5',
+      'SCARF-1,Wool Scarf,25,accessories,,,,,,,,'
+    ]), 'csv');
+
+    expect(entries).toEqual([
+      {
+        rows: [2, 3],
+        data: {
+          sellerSku: 'TEE-1',
+          name: 'Basic Tee',
+          price: 19.99,
+          category: 't-shirts',
+          sizes: ['S', 'M'],
+          colors: [{ name: 'Black', hexCode: '#000000' }, { name: 'White' }],
+          attributes: { material: 'Cotton', fit: 'Slim' },
+          variants: [
+            { sku: 'TEE-1-S', size: 'S', color: 'Black', stock: 4 },
+            { sku: 'TEE-1-M', size: 'M', color: 'White', stock: 2, price: 21.5 }
+          ]
+        }
+      },
+      { rows: [4], data: { sellerSku: 'SCARF-1', name: 'Wool Scarf', price: 25, category: 'accessories' } }
+    ]);
+  });
+
+  test('CSV numbers that are not numbers are left for validation to report', () => {
+    const [entry] = parseImportFile(csv(['name,price', 'Tee,cheap']), 'csv');
+
+    expect(entry.data.price).toBeNaN();
+  });
+
+  test('rejects unknown CSV columns and unparseable files', () => {
+    expect(() => parseImportFile(csv(['name,colour', 'Tee,Red']), 'csv'))
+      .toThrow(expect.objectContaining({ status: 400, message: 'Unknown CSV columns: colour' }));
+    expect(() => parseImportFile(csv(['name,price', '"Tee,1']), 'csv'))
+      .toThrow(expect.objectContaining({ status: 400 }));
+  });
+
+  test('JSON accepts an array or { products } and keeps entries that are not objects', () => {
+    const fromArray = parseImportFile(Buffer.from('﻿[{"name":"Tee"},"oops"]'), 'json');
+    const fromObject = parseImportFile(Buffer.from('{"products":[{"name":"Tee"}]}'), 'json');
+
+    expect(fromArray).toEqual([{ rows: [1], data: { name: 'Tee' } }, { rows: [2], data: null }]);
+    expect(fromObject).toEqual([{ rows: [1], data: { name: 'Tee' } }]);
+    expect(() => parseImportFile(Buffer.from('{"name":"Tee"}'), 'json')).toThrow(expect.objectContaining({ status: 400 }));
+    expect(() => parseImportFile(Buffer.from('[{'), 'json')).toThrow(expect.objectContaining({ status: 400 }));
+  });
+});
+
+describe('catalog export', () => {
+  const product = {
+    _id: new mongoose.Types.ObjectId(),
+    sellerSku: 'TEE-1',
+    name: 'Basic Tee',
+    description: 'Cotton tee',
+    price: 15,
+    regularPrice: 19.99,
+    category: 't-shirts',
+    status: 'active',
+    sizes: ['S', 'M'],
+    colors: [{ _id: new mongoose.Types.ObjectId(), name: 'Black', hexCode: '#000000' }],
+    images: [{ url: 'http://cdn.test/back.jpg' }, { url: 'http://cdn.test/front.jpg', isPrimary: true }],
+    attributes: new Map([['material', 'Cotton']]),
+    stock: 6,
+    variants: [
+      { sku: 'TEE-1-S', size: 'S', color: 'Black', stock: 4 },
+      { sku: 'TEE-1-M', size: 'M', color: 'Black', stock: 2, price: 21.5 }
+    ]
+  };
+
+  test('JSON exports the regular price and puts the primary image first', () => {
+    const [exported] = JSON.parse(serializeCatalog([product], 'json'));
+
+    expect(exported).toMatchObject({
+      id: product._id.toString(),
+      price: 19.99,
+      colors: [{ name: 'Black', hexCode: '#000000' }],
+      images: ['http://cdn.test/front.jpg', 'http://cdn.test/back.jpg'],
+      attributes: { material: 'Cotton' }
+    });
+  });
+
+  test('CSV export is read back by the CSV import', () => {
+    const [entry] = parseImportFile(Buffer.from(serializeCatalog([product], 'csv')), 'csv');
+
+    expect(entry.rows).toEqual([2, 3]);
+    expect(entry.data).toMatchObject({
+      id: product._id.toString(),
+      sellerSku: 'TEE-1',
+      price: 19.99,
+      sizes: ['S', 'M'],
+      colors: [{ name: 'Black', hexCode: '#000000' }],
+      images: ['http://cdn.test/front.jpg', 'http://cdn.test/back.jpg'],
+      attributes: { material: 'Cotton' },
+      variants: [
+        { sku: 'TEE-1-S', size: 'S', color: 'Black', stock: 4 },
+        { sku: 'TEE-1-M', size: 'M', color: 'Black', stock: 2, price: 21.5 }
+      ]
+    });
+  });
+});
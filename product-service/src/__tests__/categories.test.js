@@ -0,0 +1,245 @@
+process.env.JWT_SECRET = 'test-secret';
+
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { app } = require('../index');
+const { slugify, buildCategoryTree, coerceAttributes, validateAgainstCategory } = require('../categories');
+
+const Category = mongoose.model('Category');
+const Product = mongoose.model('Product');
+
+// Clothing > Dresses > Maxi, plus an inactive Accessories > Scarves branch
+const ids = {
+  clothing: new mongoose.Types.ObjectId(),
+  dresses: new mongoose.Types.ObjectId(),
+  maxi: new mongoose.Types.ObjectId(),
+  accessories: new mongoose.Types.ObjectId(),
+  scarves: new mongoose.Types.ObjectId()
+};
+
+const taxonomy = [
+  {
+    _id: ids.clothing,
+    name: 'Clothing',
+    slug: 'clothing',
+    parent: null,
+    ancestors: [],
+    isActive: true,
+    sortOrder: 1,
+    attributes: [{ name: 'material', type: 'text', required: true }],
+    sizeChart: { unit: 'cm', sizes: [{ size: 'XS' }, { size: 'S' }, { size: 'M' }, { size: 'L' }] }
+  },
+  {
+    _id: ids.dresses,
+    name: 'Dresses',
+    slug: 'dresses',
+    parent: ids.clothing,
+    ancestors: [ids.clothing],
+    isActive: true,
+    attributes: [
+      { name: 'length', type: 'select', options: ['mini', 'midi', 'maxi'] },
+      { name: 'lined', type: 'boolean' }
+    ],
+    sizeChart: { unit: 'cm', sizes: [{ size: 'S' }, { size: 'M' }] }
+  },
+  {
+    _id: ids.maxi,
+    name: 'Maxi',
+    slug: 'maxi',
+    parent: ids.dresses,
+    ancestors: [ids.clothing, ids.dresses],
+    isActive: true,
+    attributes: [{ name: 'slitCm', type: 'number' }]
+  },
+  {
+    _id: ids.accessories,
+    name: 'Accessories',
+    slug: 'accessories',
+    parent: null,
+    ancestors: [],
+    isActive: false,
+    sortOrder: 0,
+    attributes: []
+  },
+  {
+    _id: ids.scarves,
+    name: 'Scarves',
+    slug: 'scarves',
+    parent: ids.accessories,
+    ancestors: [ids.accessories],
+    isActive: true,
+    attributes: []
+  }
+];
+
+describe('category helpers', () => {
+  const tree = buildCategoryTree(taxonomy);
+
+  test('slugify strips accents and punctuation', () => {
+    expect(slugify('  Robes & Jupes d\'Été ')).toBe('robes-jupes-d-ete');
+    expect(slugify(undefined)).toBe('');
+  });
+
+  test('a subtree holds the category and everything below it', () => {
+    expect(tree.subtreeSlugs('clothing')).toEqual(['clothing', 'dresses', 'maxi']);
+    expect(tree.subtreeSlugs('maxi')).toEqual(['maxi']);
+    expect(tree.subtreeSlugs('unknown')).toEqual([]);
+  });
+
+  test('categories inherit every ancestor attribute and the nearest size chart', () => {
+    const schema = tree.effectiveSchema(tree.bySlug.get('maxi'));
+
+    expect(schema.attributes.map(attribute => attribute.name)).toEqual(['material', 'length', 'lined', 'slitCm']);
+    expect(schema.sizeChart.sizes.map(entry => entry.size)).toEqual(['S', 'M']);
+    expect(schema.breadcrumb.map(entry => entry.slug)).toEqual(['clothing', 'dresses', 'maxi']);
+  });
+
+  test('nests categories by sort order, then name', () => {
+    const nested = tree.toNested();
+
+    expect(nested.map(node => node.slug)).toEqual(['accessories', 'clothing']);
+    expect(nested[1].children[0].children.map(node => node.slug)).toEqual(['maxi']);
+    expect(tree.toNested(category => category.slug !== 'dresses')[1].children).toEqual([]);
+  });
+
+  test('converts text values only where the attribute type is unambiguous', () => {
+    const values = new Map([['slitCm', '12.5'], ['lined', 'TRUE'], ['material', '42'], ['length', 'maxi']]);
+
+    coerceAttributes(values, tree.effectiveSchema(tree.bySlug.get('maxi')).attributes);
+
+    expect(Object.fromEntries(values)).toEqual({ slitCm: 12.5, lined: true, material: '42', length: 'maxi' });
+  });
+
+  test('reports sizes outside the chart and attributes the category does not allow', () => {
+    const schema = tree.effectiveSchema(tree.bySlug.get('dresses'));
+
+    const problems = validateAgainstCategory({
+      sizes: ['S', 'XL'],
+      variants: [{ size: 'M' }, { size: 'XS' }],
+      attributes: new Map([['length', 'ankle'], ['lined', 'yes'], ['fit', 'slim']])
+    }, schema);
+
+    expect(problems.map(problem => problem.path)).toEqual([
+      'sizes.1',
+      'variants.1.size',
+      'attributes.length',
+      'attributes.lined',
+      'attributes.fit',
+      'attributes.material'
+    ]);
+  });
+});
+
+describe('category routes', () => {
+  const admin = `Bearer ${jwt.sign({ _id: new mongoose.Types.ObjectId().toString(), role: 'admin' }, 'test-secret')}`;
+
+  beforeEach(() => {
+    jest.spyOn(Category, 'find').mockImplementation((filter) => (
+      filter ? Promise.resolve([]) : { lean: async () => taxonomy }
+    ));
+    jest.spyOn(axios, 'get').mockResolvedValue({ data: { user: {} } });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('GET /categories hides inactive categories and everything below them', async () => {
+    const flat = await request(app).get('/categories?flat=true');
+    const nested = await request(app).get('/categories');
+
+    expect(flat.body.map(category => category.path)).toEqual(['Clothing', 'Clothing > Dresses', 'Clothing > Dresses > Maxi']);
+    expect(nested.body.map(category => category.slug)).toEqual(['clothing']);
+  });
+
+  test('GET /categories/:slug returns the inherited schema and active children', async () => {
+    const res = await request(app).get('/categories/Dresses');
+
+    expect(res.status).toBe(200);
+    expect(res.body.attributes.map(attribute => attribute.name)).toEqual(['material', 'length', 'lined']);
+    expect(res.body.breadcrumb).toEqual([{ name: 'Clothing', slug: 'clothing' }, { name: 'Dresses', slug: 'dresses' }]);
+    expect(res.body.children).toEqual([{ name: 'Maxi', slug: 'maxi' }]);
+  });
+
+  test('GET /products filters a category with its subcategories', async () => {
+    const query = { skip: jest.fn(), limit: jest.fn(), sort: jest.fn().mockResolvedValue([]) };
+    query.skip.mockReturnValue(query);
+    query.limit.mockReturnValue(query);
+    jest.spyOn(Product, 'find').mockReturnValue(query);
+    jest.spyOn(Product, 'countDocuments').mockResolvedValue(0);
+    jest.spyOn(Product, 'aggregate').mockResolvedValue([{ categories: [], sizes: [], colors: [], priceBuckets: [] }]);
+
+    await request(app).get('/products?category=Dresses');
+
+    expect(Product.find.mock.calls[0][0].category).toEqual({ $in: ['dresses', 'maxi'] });
+  });
+
+  test('products are checked against their category', async () => {
+    jest.spyOn(Product, 'exists').mockReturnValue({ setOptions: async () => null });
+    const product = (fields) => new Product({
+      name: 'Wrap Dress',
+      description: 'Viscose wrap dress',
+      price: 60,
+      stock: 1,
+      sellerId: new mongoose.Types.ObjectId(),
+      ...fields
+    });
+
+    const valid = product({ category: 'maxi', sizes: ['M'], attributes: { material: 'Viscose', slitCm: '20' } });
+    await valid.validate();
+    const inactive = await product({ category: 'accessories', attributes: {} }).validate().catch(error => error);
+    const wrongSize = await product({ category: 'dresses', sizes: ['L'], attributes: { material: 'Silk' } }).validate().catch(error => error);
+
+    expect(valid.attributes.get('slitCm')).toBe(20);
+    expect(Object.keys(inactive.errors)).toEqual(['category']);
+    expect(Object.keys(wrongSize.errors)).toEqual(['sizes.0']);
+  });
+
+  test('PUT /categories/:slug refuses to move a category below itself', async () => {
+    const clothing = Category.hydrate(taxonomy[0]);
+    jest.spyOn(Category, 'findOne')
+      .mockResolvedValueOnce(clothing)
+      .mockResolvedValueOnce(Category.hydrate(taxonomy[2]));
+    jest.spyOn(Category.prototype, 'save');
+
+    const res = await request(app).put('/categories/clothing').set('Authorization', admin).send({ parent: 'maxi' });
+
+    expect(res.status).toBe(400);
+    expect(Category.prototype.save).not.toHaveBeenCalled();
+  });
+
+  test('PUT /categories/:slug moves descendants along with the category', async () => {
+    const dresses = Category.hydrate(taxonomy[1]);
+    const maxi = Category.hydrate(taxonomy[2]);
+    jest.spyOn(Category, 'findOne')
+      .mockResolvedValueOnce(dresses)
+      .mockResolvedValueOnce(Category.hydrate(taxonomy[3]));
+    Category.find.mockResolvedValue([maxi]);
+    jest.spyOn(Category.prototype, 'save').mockImplementation(async function() {
+      return this;
+    });
+
+    const res = await request(app).put('/categories/dresses').set('Authorization', admin).send({ parent: 'accessories' });
+
+    expect(res.status).toBe(200);
+    expect(dresses.ancestors).toEqual([ids.accessories]);
+    expect(maxi.ancestors).toEqual([ids.accessories, ids.dresses]);
+    expect(Category.find).toHaveBeenCalledWith({ ancestors: ids.dresses });
+  });
+
+  test('DELETE /categories/:slug keeps categories that are still in use', async () => {
+    jest.spyOn(Category, 'findOne').mockResolvedValue(Category.hydrate(taxonomy[2]));
+    jest.spyOn(Category, 'exists').mockResolvedValue(null);
+    jest.spyOn(Product, 'exists').mockReturnValue({ setOptions: async () => ({ _id: new mongoose.Types.ObjectId() }) });
+    jest.spyOn(Category.prototype, 'deleteOne');
+
+    const res = await request(app).delete('/categories/maxi').set('Authorization', admin);
+
+    expect(res.status).toBe(409);
+    expect(Product.exists).toHaveBeenCalledWith({ category: 'maxi' });
+    expect(Category.prototype.deleteOne).not.toHaveBeenCalled();
+  });
+});
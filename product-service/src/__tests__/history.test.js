@@ -0,0 +1,199 @@
+process.env.JWT_SECRET = 'test-secret';
+
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { app } = require('../index');
+const { VERSIONED_FIELDS, versionState, diffStates, revertState } = require('../history');
+
+const Category = mongoose.model('Category');
+const PriceHistory = mongoose.model('PriceHistory');
+const Product = mongoose.model('Product');
+const ProductVersion = mongoose.model('ProductVersion');
+
+describe('version history helpers', () => {
+  test('versionState copies the versioned fields without subdocument ids', () => {
+    const product = new Product({
+      name: 'Denim Jacket',
+      regularPrice: 80,
+      attributes: { material: 'Denim' },
+      colors: [{ name: 'Indigo' }],
+      variants: [{ sku: 'DJ-M', size: 'M', stock: 3 }]
+    });
+
+    const state = versionState(product);
+
+    expect(Object.keys(state)).toEqual(VERSIONED_FIELDS);
+    expect(state).toMatchObject({
+      name: 'Denim Jacket',
+      description: null,
+      attributes: { material: 'Denim' },
+      colors: [{ name: 'Indigo' }],
+      variants: [{ sku: 'DJ-M', size: 'M', stock: 3 }]
+    });
+  });
+
+  test('diffStates lists changed fields whatever the key order', () => {
+    const before = { name: 'Jacket', attributes: { fit: 'Slim', material: 'Denim' }, stock: 2 };
+    const after = { name: 'Denim Jacket', attributes: { material: 'Denim', fit: 'Slim' }, stock: 2 };
+
+    expect(diffStates(before, after, ['name', 'attributes', 'stock'])).toEqual([
+      { field: 'name', from: 'Jacket', to: 'Denim Jacket' }
+    ]);
+    expect(diffStates(null, { name: 'Jacket', stock: null }, ['name', 'stock'])).toEqual([
+      { field: 'name', from: null, to: 'Jacket' }
+    ]);
+  });
+
+  test('revertState leaves stock and images alone and keeps variant stock by SKU', () => {
+    const snapshot = {
+      name: 'Jacket',
+      stock: 10,
+      images: [{ url: 'http://cdn.test/old.jpg' }],
+      variants: [{ sku: 'DJ-M', size: 'M', stock: 6 }, { sku: 'DJ-L', size: 'L', stock: 4 }]
+    };
+    const current = { variants: [{ sku: 'DJ-M', size: 'M', stock: 1 }] };
+
+    const state = revertState(snapshot, current);
+
+    expect(state).not.toHaveProperty('stock');
+    expect(state).not.toHaveProperty('images');
+    expect(state.name).toBe('Jacket');
+    expect(state.description).toBeNull();
+    expect(state.variants).toEqual([{ sku: 'DJ-M', size: 'M', stock: 1 }, { sku: 'DJ-L', size: 'L', stock: 0 }]);
+  });
+});
+
+describe('product versions', () => {
+  const sellerId = new mongoose.Types.ObjectId();
+  const token = `Bearer ${jwt.sign({ _id: sellerId.toString(), role: 'seller' }, 'test-secret')}`;
+  let stored;
+  let product;
+
+  beforeEach(() => {
+    stored = {
+      _id: new mongoose.Types.ObjectId(),
+      sellerId,
+      name: 'Denim Jacket',
+      slug: 'denim-jacket',
+      description: 'Classic denim jacket',
+      category: 'jackets',
+      price: 80,
+      regularPrice: 80,
+      stock: 3,
+      status: 'active',
+      version: 3,
+      sizes: ['M'],
+      variants: [{ _id: new mongoose.Types.ObjectId(), sku: 'DJ-M', size: 'M', stock: 3 }]
+    };
+    product = Product.hydrate(JSON.parse(JSON.stringify(stored)));
+
+    jest.spyOn(Category, 'find').mockReturnValue({
+      lean: async () => [{ _id: new mongoose.Types.ObjectId(), name: 'Jackets', slug: 'jackets', isActive: true, ancestors: [] }]
+    });
+    jest.spyOn(axios, 'get').mockResolvedValue({ data: { user: { sellerStatus: 'approved' } } });
+    jest.spyOn(Product, 'findOne').mockResolvedValue(product);
+    jest.spyOn(Product, 'findById').mockReturnValue({ setOptions: () => ({ lean: async () => stored }) });
+    jest.spyOn(Product, 'findOneAndUpdate').mockReturnValue({ setOptions: () => ({ lean: async () => ({ version: 4 }) }) });
+    jest.spyOn(Product.collection, 'updateOne').mockResolvedValue({ acknowledged: true, matchedCount: 1, modifiedCount: 1 });
+    jest.spyOn(ProductVersion, 'create').mockResolvedValue({});
+    jest.spyOn(PriceHistory, 'create').mockResolvedValue({});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('an update records the fields it changed under the next version number', async () => {
+    const res = await request(app)
+      .put(`/products/${product._id}`)
+      .set('Authorization', token)
+      .send({ name: 'Washed Denim Jacket', price: 90 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.version).toBe(4);
+    expect(Product.findOneAndUpdate).toHaveBeenCalledWith({ _id: product._id }, { $inc: { version: 1 } }, expect.anything());
+    expect(ProductVersion.create).toHaveBeenCalledWith(expect.objectContaining({
+      productId: product._id,
+      version: 4,
+      action: 'updated',
+      actor: sellerId.toString(),
+      changes: [
+        { field: 'name', from: 'Denim Jacket', to: 'Washed Denim Jacket' },
+        { field: 'regularPrice', from: 80, to: 90 }
+      ]
+    }));
+  });
+
+  test('changes are measured against the stored document', async () => {
+    // A reservation took stock after the product was loaded
+    stored.stock = 1;
+    stored.variants[0].stock = 1;
+    product.name = 'Washed Denim Jacket';
+
+    await product.save();
+
+    const [[entry]] = ProductVersion.create.mock.calls;
+    expect(entry.changes.map(change => change.field)).toEqual(['name']);
+    expect(entry.snapshot).toMatchObject({ name: 'Washed Denim Jacket', stock: 1 });
+  });
+
+  test('saves that change no versioned field record nothing', async () => {
+    product.updatedAt = new Date();
+
+    await product.save();
+
+    expect(Product.findOneAndUpdate).not.toHaveBeenCalled();
+    expect(ProductVersion.create).not.toHaveBeenCalled();
+  });
+
+  test('reverting restores the details of a version but not its stock', async () => {
+    jest.spyOn(ProductVersion, 'findOne').mockResolvedValue({
+      version: 1,
+      snapshot: {
+        ...versionState({ ...stored, name: 'Jacket', regularPrice: 70, stock: 9 }),
+        variants: [{ sku: 'DJ-M', size: 'M', stock: 5 }, { sku: 'DJ-L', size: 'L', stock: 4 }]
+      }
+    });
+
+    const res = await request(app)
+      .post(`/products/${product._id}/history/1/revert`)
+      .set('Authorization', token);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ name: 'Jacket', price: 70, regularPrice: 70, stock: 3 });
+    expect(res.body.variants.map(variant => [variant.sku, variant.stock])).toEqual([['DJ-M', 3], ['DJ-L', 0]]);
+    expect(ProductVersion.create).toHaveBeenCalledWith(expect.objectContaining({ action: 'reverted', revertedTo: 1, version: 4 }));
+  });
+
+  test('reverting to an unknown version answers 404', async () => {
+    jest.spyOn(ProductVersion, 'findOne').mockResolvedValue(null);
+
+    const res = await request(app)
+      .post(`/products/${product._id}/history/9/revert`)
+      .set('Authorization', token);
+
+    expect(res.status).toBe(404);
+    expect(Product.collection.updateOne).not.toHaveBeenCalled();
+  });
+
+  test('GET /products/:id/history is limited to the seller and includes deleted products', async () => {
+    const exists = jest.fn().mockResolvedValue({ _id: product._id });
+    jest.spyOn(Product, 'exists').mockReturnValue({ setOptions: exists });
+    const query = { sort: jest.fn(), skip: jest.fn(), limit: jest.fn().mockResolvedValue([]) };
+    query.sort.mockReturnValue(query);
+    query.skip.mockReturnValue(query);
+    jest.spyOn(ProductVersion, 'find').mockReturnValue(query);
+    jest.spyOn(ProductVersion, 'countDocuments').mockResolvedValue(0);
+
+    const res = await request(app).get(`/products/${product._id}/history`).set('Authorization', token);
+
+    expect(res.status).toBe(200);
+    expect(Product.exists).toHaveBeenCalledWith({ _id: product._id.toString(), sellerId: sellerId.toString() });
+    expect(exists).toHaveBeenCalledWith({ withDeleted: true });
+    expect(ProductVersion.find).toHaveBeenCalledWith({ productId: product._id.toString() }, '-snapshot');
+    expect(query.sort).toHaveBeenCalledWith({ version: -1 });
+  });
+});
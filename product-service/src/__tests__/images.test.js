@@ -0,0 +1,188 @@
+process.env.JWT_SECRET = 'test-secret';
+process.env.IMAGE_STORAGE = 'test-memory';
+
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const Jimp = require('jimp');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { detectImageType, createRenditions } = require('../images');
+const { createStorage, registerStorage } = require('../storage');
+
+// The service's image storage; registered before the app creates it
+const memoryStorage = { save: jest.fn(), remove: jest.fn().mockResolvedValue() };
+registerStorage('test-memory', () => memoryStorage);
+
+const { app } = require('../index');
+
+const Product = mongoose.model('Product');
+
+const pngOf = (width, height) => new Jimp(width, height, 0x336699ff).getBufferAsync(Jimp.MIME_PNG);
+
+describe('image processing', () => {
+  test('identifies images by their leading bytes', async () => {
+    const png = await pngOf(4, 4);
+    const jpeg = await new Jimp(4, 4, 0x336699ff).getBufferAsync(Jimp.MIME_JPEG);
+
+    expect(detectImageType(png)).toBe('image/png');
+    expect(detectImageType(jpeg)).toBe('image/jpeg');
+    expect(detectImageType(Buffer.from('GIF89a'))).toBeNull();
+  });
+
+  test('scales renditions down to fit without upscaling', async () => {
+    const { width, height, renditions } = await createRenditions(await pngOf(400, 200));
+
+    expect({ width, height }).toEqual({ width: 400, height: 200 });
+    const sizes = {};
+    for (const [name, buffer] of Object.entries(renditions)) {
+      expect(detectImageType(buffer)).toBe('image/jpeg');
+      const { bitmap } = await Jimp.read(buffer);
+      sizes[name] = [bitmap.width, bitmap.height];
+    }
+    expect(sizes).toEqual({ thumbnail: [200, 100], medium: [400, 200], large: [400, 200] });
+  });
+
+  test('rejects files that are not JPEG or PNG images', async () => {
+    await expect(createRenditions(Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"/>')))
+      .rejects.toMatchObject({ status: 400, message: 'Only JPEG and PNG images are supported' });
+
+    const truncated = (await pngOf(4, 4)).subarray(0, 40);
+    await expect(createRenditions(truncated)).rejects.toMatchObject({ status: 400 });
+  });
+
+  test('rejects PNGs whose header claims huge dimensions before decoding them', async () => {
+    const png = await pngOf(4, 4);
+    png.writeUInt32BE(100000, 16);
+    png.writeUInt32BE(100000, 20);
+    const read = jest.spyOn(Jimp, 'read');
+
+    await expect(createRenditions(png)).rejects.toMatchObject({ status: 400, message: 'Image dimensions are too large' });
+    expect(read).not.toHaveBeenCalled();
+    read.mockRestore();
+  });
+});
+
+describe('image storage', () => {
+  let directory;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'product-images-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  test('local storage saves files under its directory and returns their URL', async () => {
+    const storage = createStorage({ driver: 'local', directory, baseUrl: 'http://cdn.test/uploads/' });
+
+    const url = await storage.save('products/p1/large.jpg', Buffer.from('image'), 'image/jpeg');
+
+    expect(url).toBe('http://cdn.test/uploads/products/p1/large.jpg');
+    expect(await fs.readFile(path.join(directory, 'products/p1/large.jpg'), 'utf8')).toBe('image');
+
+    await storage.remove('products/p1/large.jpg');
+    await storage.remove('products/p1/large.jpg');
+    await expect(fs.access(path.join(directory, 'products/p1/large.jpg'))).rejects.toThrow();
+  });
+
+  test('local storage refuses keys outside its directory', async () => {
+    const storage = createStorage({ driver: 'local', directory });
+
+    await expect(storage.save('../escaped.jpg', Buffer.from('image'))).rejects.toThrow('Invalid storage key');
+  });
+
+  test('uses registered storages and rejects unknown ones', () => {
+    const custom = { save: jest.fn(), remove: jest.fn() };
+    const factory = jest.fn(() => custom);
+    registerStorage('memory', factory);
+
+    expect(createStorage({ driver: 'memory', directory, baseUrl: 'http://cdn.test/' })).toBe(custom);
+    expect(factory).toHaveBeenCalledWith({ directory, baseUrl: 'http://cdn.test' });
+    expect(() => createStorage({ driver: 's3' })).toThrow('Unknown image storage: s3');
+  });
+});
+
+describe('product image routes', () => {
+  const sellerId = new mongoose.Types.ObjectId();
+  const token = jwt.sign({ _id: sellerId.toString(), role: 'seller' }, 'test-secret');
+  let product;
+
+  const send = (method, url, body) => request(app)[method](`/products/${product._id}${url}`)
+    .set('Authorization', `Bearer ${token}`)
+    .send(body);
+
+  beforeEach(() => {
+    product = Product.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      sellerId,
+      name: 'Linen Shirt',
+      slug: 'linen-shirt',
+      description: 'Relaxed linen shirt',
+      price: 45,
+      category: 'shirts',
+      stock: 3,
+      images: ['front', 'back', 'detail'].map((name, index) => ({
+        _id: new mongoose.Types.ObjectId(),
+        url: `http://cdn.test/${name}-large.jpg`,
+        isPrimary: index === 0,
+        storageKeys: [`${name}-thumbnail.jpg`, `${name}-large.jpg`]
+      }))
+    });
+    memoryStorage.remove.mockClear();
+    jest.spyOn(axios, 'get').mockResolvedValue({ data: { user: { sellerStatus: 'approved' } } });
+    jest.spyOn(Product, 'findOne').mockResolvedValue(product);
+    jest.spyOn(Product.prototype, 'save').mockImplementation(async function() {
+      await this.validate();
+      return this;
+    });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('reorders images when every image is listed once', async () => {
+    const [front, back, detail] = product.images.map(image => image._id.toString());
+
+    const res = await send('put', '/images/order', { imageIds: [detail, front, back] });
+    const incomplete = await send('put', '/images/order', { imageIds: [detail, front] });
+    const repeated = await send('put', '/images/order', { imageIds: [detail, front, front] });
+
+    expect(res.status).toBe(200);
+    expect(res.body.images.map(image => image._id)).toEqual([detail, front, back]);
+    expect(incomplete.status).toBe(400);
+    expect(repeated.status).toBe(400);
+  });
+
+  test('keeps exactly one primary image', async () => {
+    const back = product.images[1]._id.toString();
+
+    const res = await send('put', `/images/${back}/primary`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.images.map(image => image.isPrimary)).toEqual([false, true, false]);
+  });
+
+  test('removes an image with its files and promotes another when the primary goes', async () => {
+    const front = product.images[0]._id.toString();
+
+    const res = await send('delete', `/images/${front}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.images.map(image => image.url)).toEqual(['http://cdn.test/back-large.jpg', 'http://cdn.test/detail-large.jpg']);
+    expect(res.body.images[0].isPrimary).toBe(true);
+    expect(memoryStorage.remove.mock.calls).toEqual([['front-thumbnail.jpg'], ['front-large.jpg']]);
+  });
+
+  test('answers 404 for images the product does not have', async () => {
+    const res = await send('delete', `/images/${new mongoose.Types.ObjectId()}`);
+
+    expect(res.status).toBe(404);
+    expect(memoryStorage.remove).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,171 @@
+process.env.JWT_SECRET = 'test-secret';
+
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { app } = require('../index');
+const { computePricing, variantPrice, findOverlappingSale } = require('../pricing');
+
+const Category = mongoose.model('Category');
+const Product = mongoose.model('Product');
+
+const now = new Date('2026-06-01T12:00:00Z');
+const daysFrom = (date, days) => new Date(date.getTime() + days * 24 * 60 * 60 * 1000);
+const saleOf = (fields) => ({ _id: new mongoose.Types.ObjectId(), startsAt: daysFrom(now, -1), ...fields });
+
+describe('pricing helpers', () => {
+  test('a percentage sale discounts the regular price to the cent', () => {
+    const sale = saleOf({ percentOff: 15, endsAt: daysFrom(now, 2) });
+
+    expect(computePricing({ regularPrice: 39.99, sales: [sale] }, now)).toEqual({
+      price: 33.99,
+      onSale: true,
+      discountPercent: 15,
+      activeSale: sale._id,
+      nextPriceChangeAt: sale.endsAt
+    });
+  });
+
+  test('without a sale only a higher compare-at price shows a discount', () => {
+    expect(computePricing({ regularPrice: 80, compareAtPrice: 100 }, now))
+      .toMatchObject({ price: 80, onSale: true, discountPercent: 20, activeSale: null });
+    expect(computePricing({ regularPrice: 80, compareAtPrice: 60 }, now))
+      .toMatchObject({ price: 80, onSale: false, discountPercent: 0 });
+  });
+
+  test('ignores cancelled and future sales for the price but schedules the next change', () => {
+    const upcoming = saleOf({ salePrice: 50, startsAt: daysFrom(now, 3) });
+    const cancelled = saleOf({ salePrice: 40, cancelledAt: daysFrom(now, -1), endsAt: daysFrom(now, 1) });
+
+    expect(computePricing({ regularPrice: 60, sales: [upcoming, cancelled] }, now))
+      .toMatchObject({ price: 60, onSale: false, activeSale: null, nextPriceChangeAt: upcoming.startsAt });
+  });
+
+  test('a fixed-price sale also caps variant price overrides', () => {
+    const product = { price: 45, sales: [saleOf({ salePrice: 45 })] };
+
+    expect(variantPrice(product, { price: 70 }, now)).toBe(45);
+    expect(variantPrice(product, { price: 30 }, now)).toBe(30);
+    expect(variantPrice(product, { price: null }, now)).toBe(45);
+    expect(variantPrice(product, undefined, now)).toBe(45);
+  });
+
+  test('a percentage sale discounts variant price overrides', () => {
+    const product = { price: 40, sales: [saleOf({ percentOff: 20 })] };
+
+    expect(variantPrice(product, { price: 62.5 }, now)).toBe(50);
+    expect(variantPrice({ price: 40, sales: [] }, { price: 62.5 }, now)).toBe(62.5);
+  });
+
+  test('finds sales that overlap a new one, open-ended sales included', () => {
+    const openEnded = saleOf({ startsAt: daysFrom(now, 10) });
+    const ended = saleOf({ startsAt: daysFrom(now, -5), endsAt: daysFrom(now, -2) });
+    const sales = [ended, openEnded];
+
+    expect(findOverlappingSale(sales, { startsAt: daysFrom(now, -4), endsAt: daysFrom(now, 10) }, now)).toBeNull();
+    expect(findOverlappingSale(sales, { startsAt: daysFrom(now, 20) }, now)).toBe(openEnded);
+    expect(findOverlappingSale([{ ...openEnded, cancelledAt: now }], { startsAt: daysFrom(now, 20) }, now)).toBeNull();
+  });
+});
+
+describe('sale routes', () => {
+  const sellerId = new mongoose.Types.ObjectId();
+  const token = `Bearer ${jwt.sign({ _id: sellerId.toString(), role: 'seller' }, 'test-secret')}`;
+  let product;
+
+  const send = (method, url, body) => request(app)[method](`/products/${product._id}${url}`)
+    .set('Authorization', token)
+    .send(body);
+
+  beforeEach(() => {
+    product = Product.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      sellerId,
+      name: 'Rain Jacket',
+      slug: 'rain-jacket',
+      description: 'Waterproof shell',
+      category: 'jackets',
+      price: 120,
+      regularPrice: 120,
+      stock: 4,
+      status: 'active',
+      sales: [],
+      variants: [
+        { sku: 'JKT-M', size: 'M', stock: 2 },
+        { sku: 'JKT-XL', size: 'XL', stock: 2, price: 135 }
+      ]
+    });
+    jest.spyOn(Category, 'find').mockReturnValue({
+      lean: async () => [{ _id: new mongoose.Types.ObjectId(), name: 'Jackets', slug: 'jackets', isActive: true, ancestors: [] }]
+    });
+    jest.spyOn(axios, 'get').mockResolvedValue({ data: { user: { sellerStatus: 'approved' } } });
+    jest.spyOn(Product, 'findOne').mockResolvedValue(product);
+    jest.spyOn(Product.prototype, 'save').mockImplementation(async function() {
+      await this.validate();
+      return this;
+    });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('a sale that starts now changes the price straight away', async () => {
+    const res = await send('post', '/sales', { name: 'Spring', salePrice: 99, endsAt: daysFrom(new Date(), 7) });
+
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({ price: 99, regularPrice: 120, onSale: true, discountPercent: 18 });
+    expect(res.body.activeSale).toBe(res.body.sales[0]._id);
+    expect(product.$locals.priceReason).toBe('sale_started');
+  });
+
+  test('the fixed sale price also applies to SKUs with their own price', async () => {
+    await send('post', '/sales', { salePrice: 99 });
+
+    const res = await request(app).get('/skus/jkt-xl');
+
+    expect(res.status).toBe(200);
+    expect(res.body.price).toBe(99);
+    expect(res.body.product.sales).toBeUndefined();
+  });
+
+  test('rejects sales that are not discounts, are ambiguous or overlap', async () => {
+    const notBelow = await send('post', '/sales', { salePrice: 120 });
+    const both = await send('post', '/sales', { salePrice: 90, percentOff: 10 });
+    const pastEnd = await send('post', '/sales', { percentOff: 10, endsAt: daysFrom(new Date(), -1) });
+    const first = await send('post', '/sales', { percentOff: 10, startsAt: daysFrom(new Date(), 1), endsAt: daysFrom(new Date(), 5) });
+    const overlapping = await send('post', '/sales', { percentOff: 20, startsAt: daysFrom(new Date(), 4) });
+
+    expect([notBelow.status, both.status, pastEnd.status]).toEqual([400, 400, 400]);
+    expect(first.status).toBe(201);
+    expect(first.body.price).toBe(120);
+    expect(overlapping.status).toBe(409);
+    expect(product.sales).toHaveLength(1);
+  });
+
+  test('cancelling the running sale restores the regular price', async () => {
+    const started = await send('post', '/sales', { percentOff: 25 });
+    product.$locals.priceReason = null;
+
+    const res = await send('delete', `/sales/${started.body.sales[0]._id}`);
+    const again = await send('delete', `/sales/${started.body.sales[0]._id}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ price: 120, onSale: false, activeSale: null });
+    expect(product.$locals.priceReason).toBe('sale_cancelled');
+    expect(again.status).toBe(404);
+  });
+
+  test('a sale that has run out ends when the scheduler saves the product', async () => {
+    const sale = saleOf({ percentOff: 25, startsAt: daysFrom(new Date(), -3), endsAt: daysFrom(new Date(), -1) });
+    product.sales.push(sale);
+    Object.assign(product, { price: 90, activeSale: sale._id, onSale: true, discountPercent: 25 });
+
+    await product.validate();
+
+    expect(product).toMatchObject({ price: 120, onSale: false, discountPercent: 0, activeSale: null, nextPriceChangeAt: null });
+    expect(product.$locals.priceReason).toBe('sale_ended');
+  });
+});
@@ -0,0 +1,212 @@
+process.env.JWT_SECRET = 'test-secret';
+
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { app } = require('../index');
+
+const Product = mongoose.model('Product');
+const Review = mongoose.model('Review');
+
+const shopperId = new mongoose.Types.ObjectId();
+const sellerId = new mongoose.Types.ObjectId();
+const tokenFor = (id, role) => `Bearer ${jwt.sign({ _id: id.toString(), role }, 'test-secret')}`;
+const shopper = tokenFor(shopperId, 'user');
+const admin = tokenFor(new mongoose.Types.ObjectId(), 'admin');
+
+let purchased;
+
+beforeEach(() => {
+  purchased = false;
+  jest.spyOn(axios, 'get').mockImplementation(async (url) => (
+    url.includes('/purchases/') ? { data: { purchased } } : { data: { user: {} } }
+  ));
+  jest.spyOn(Review, 'aggregate').mockResolvedValue([]);
+  jest.spyOn(Product, 'updateOne').mockResolvedValue({});
+  jest.spyOn(Review.prototype, 'save').mockImplementation(async function() {
+    await this.validate();
+    return this;
+  });
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const reviewOf = (fields) => Review.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  productId: new mongoose.Types.ObjectId(),
+  userId: new mongoose.Types.ObjectId(),
+  rating: 4,
+  text: 'Fits well',
+  status: 'published',
+  votes: [],
+  ...fields
+});
+
+describe('GET /products/:id/reviews', () => {
+  const productId = new mongoose.Types.ObjectId();
+  let query;
+
+  beforeEach(() => {
+    query = { sort: jest.fn(), skip: jest.fn(), limit: jest.fn().mockResolvedValue([]) };
+    query.sort.mockReturnValue(query);
+    query.skip.mockReturnValue(query);
+    jest.spyOn(Review, 'find').mockReturnValue(query);
+    jest.spyOn(Review, 'countDocuments').mockResolvedValue(3);
+    jest.spyOn(Product, 'findById').mockResolvedValue({ rating: { average: 4.3, count: 3 } });
+  });
+
+  test('sorts and filters published reviews', async () => {
+    const res = await request(app).get(`/products/${productId}/reviews?sort=helpful&rating=5&verified=true`);
+
+    expect(res.status).toBe(200);
+    expect(Review.find).toHaveBeenCalledWith({ productId: productId.toString(), status: 'published', rating: 5, verifiedPurchase: true });
+    expect(query.sort).toHaveBeenCalledWith({ helpfulCount: -1, createdAt: -1 });
+  });
+
+  test('summarises the rating with a count per star', async () => {
+    Review.aggregate.mockResolvedValue([{ _id: 5, count: 2 }, { _id: 3, count: 1 }]);
+
+    const res = await request(app).get(`/products/${productId}/reviews`);
+
+    expect(res.body.summary).toEqual({ average: 4.3, count: 3, distribution: { 1: 0, 2: 0, 3: 1, 4: 0, 5: 2 } });
+    expect(query.sort).toHaveBeenCalledWith({ createdAt: -1 });
+  });
+
+  test('rejects unknown sorts', async () => {
+    const res = await request(app).get(`/products/${productId}/reviews?sort=price`);
+
+    expect(res.status).toBe(400);
+    expect(Review.find).not.toHaveBeenCalled();
+  });
+
+  test('rejects rating filters that are not whole stars', async () => {
+    for (const rating of ['abc', '0', '6', '4.5']) {
+      const res = await request(app).get(`/products/${productId}/reviews?rating=${rating}`);
+      expect(res.status).toBe(400);
+    }
+    expect(Review.find).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /products/:id/reviews', () => {
+  const product = { _id: new mongoose.Types.ObjectId(), sellerId };
+  const post = (token, body) => request(app)
+    .post(`/products/${product._id}/reviews`)
+    .set('Authorization', token)
+    .send(body);
+
+  beforeEach(() => {
+    jest.spyOn(Product, 'findById').mockResolvedValue(product);
+    jest.spyOn(Review, 'exists').mockResolvedValue(null);
+  });
+
+  test('marks reviews from buyers as verified purchases and refreshes the rating', async () => {
+    purchased = true;
+    Review.aggregate.mockResolvedValue([{ _id: null, average: 4.666, count: 3 }]);
+
+    const res = await post(shopper, { rating: 5, title: 'Great', text: 'Soft and warm' });
+
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({ rating: 5, verifiedPurchase: true, status: 'published' });
+    expect(axios.get).toHaveBeenCalledWith(
+      expect.stringMatching(`/internal/users/${shopperId}/purchases/${product._id}$`),
+      expect.anything()
+    );
+    expect(Product.updateOne).toHaveBeenCalledWith({ _id: product._id }, { rating: { average: 4.7, count: 3 } });
+  });
+
+  test('accepts reviews without the badge when the purchase check fails', async () => {
+    axios.get.mockImplementation(async (url) => {
+      if (url.includes('/purchases/')) throw new Error('order-service is down');
+      return { data: { user: {} } };
+    });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const res = await post(shopper, { rating: 3, text: 'Fine' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.verifiedPurchase).toBe(false);
+  });
+
+  test('rejects ratings that are not whole stars', async () => {
+    const res = await post(shopper, { rating: 4.5, text: 'Almost perfect' });
+
+    expect(res.status).toBe(400);
+    expect(Review.prototype.save).not.toHaveBeenCalled();
+  });
+
+  test('allows one review per shopper and none from the product seller', async () => {
+    const own = await post(tokenFor(sellerId, 'seller'), { rating: 5, text: 'Buy it' });
+    Review.exists.mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+    const again = await post(shopper, { rating: 5, text: 'Still great' });
+
+    expect(own.status).toBe(403);
+    expect(again.status).toBe(409);
+    expect(Review.prototype.save).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /reviews/:reviewId/votes', () => {
+  test('counts one vote per shopper and lets them change it', async () => {
+    const review = reviewOf({ votes: [{ userId: new mongoose.Types.ObjectId(), helpful: true }] });
+    jest.spyOn(Review, 'findOne').mockResolvedValue(review);
+    const vote = (helpful) => request(app)
+      .post(`/reviews/${review._id}/votes`)
+      .set('Authorization', shopper)
+      .send({ helpful });
+
+    const first = await vote(true);
+    const changed = await vote(false);
+
+    expect(first.body).toMatchObject({ helpfulCount: 2, notHelpfulCount: 0 });
+    expect(changed.body).toMatchObject({ helpfulCount: 1, notHelpfulCount: 1 });
+    expect(changed.body.votes).toBeUndefined();
+    expect(Review.findOne).toHaveBeenCalledWith({ _id: review._id.toString(), status: 'published' });
+  });
+
+  test('does not let authors vote on their own review', async () => {
+    const review = reviewOf({ userId: shopperId });
+    jest.spyOn(Review, 'findOne').mockResolvedValue(review);
+
+    const res = await request(app)
+      .post(`/reviews/${review._id}/votes`)
+      .set('Authorization', shopper)
+      .send({ helpful: true });
+
+    expect(res.status).toBe(403);
+    expect(review.votes).toHaveLength(0);
+  });
+});
+
+describe('PUT /reviews/:reviewId/moderation', () => {
+  test('hides a review and takes it out of the rating', async () => {
+    const review = reviewOf();
+    jest.spyOn(Review, 'findById').mockResolvedValue(review);
+
+    const res = await request(app)
+      .put(`/reviews/${review._id}/moderation`)
+      .set('Authorization', admin)
+      .send({ status: 'hidden', reason: 'Spam' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ status: 'hidden', moderation: { reason: 'Spam' } });
+    expect(Review.aggregate.mock.calls[0][0][0]).toEqual({ $match: { productId: review.productId, status: 'published' } });
+    expect(Product.updateOne).toHaveBeenCalledWith({ _id: review.productId }, { rating: { average: 0, count: 0 } });
+  });
+
+  test('is limited to admins', async () => {
+    jest.spyOn(Review, 'findById');
+
+    const res = await request(app)
+      .put(`/reviews/${new mongoose.Types.ObjectId()}/moderation`)
+      .set('Authorization', shopper)
+      .send({ status: 'hidden' });
+
+    expect(res.status).toBe(403);
+    expect(Review.findById).not.toHaveBeenCalled();
+  });
+});
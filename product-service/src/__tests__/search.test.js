@@ -0,0 +1,126 @@
+const axios = require('axios');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { app } = require('../index');
+const { tokenize, correctQuery } = require('../search');
+
+const Product = mongoose.model('Product');
+
+describe('search helpers', () => {
+  const vocabulary = new Set(['linen', 'summer', 'dress', 'shirt']);
+
+  test('tokenize lowercases words and drops single characters', () => {
+    expect(tokenize('Linen  Dress, a SUMMER-shirt 2024')).toEqual(['linen', 'dress', 'summer', 'shirt', '2024']);
+    expect(tokenize(undefined)).toEqual([]);
+  });
+
+  test('keeps known terms and numbers as they are', () => {
+    const search = correctQuery('linen dress 42', vocabulary);
+
+    expect(search.corrections).toEqual({});
+    expect(search.searchString).toBe('linen dress 42');
+    expect(search.suggestion).toBeNull();
+  });
+
+  test('searches misspelled terms alongside their closest catalog term', () => {
+    const search = correctQuery('lnen sumer dres', vocabulary);
+
+    expect(search.corrections).toEqual({ lnen: 'linen', sumer: 'summer', dres: 'dress' });
+    expect(search.searchString).toBe('lnen sumer dres linen summer dress');
+    expect(search.suggestion).toBe('linen summer dress');
+  });
+
+  test('allows one edit in short words and two in longer ones', () => {
+    expect(correctQuery('drss', vocabulary).corrections).toEqual({ drss: 'dress' });
+    expect(correctQuery('shrt', vocabulary).corrections).toEqual({ shrt: 'shirt' });
+    expect(correctQuery('sxxmer', vocabulary).corrections).toEqual({ sxxmer: 'summer' });
+    expect(correctQuery('sxxxer', vocabulary).corrections).toEqual({});
+    expect(correctQuery('zzz', vocabulary).corrections).toEqual({});
+  });
+});
+
+describe('GET /products', () => {
+  let query;
+
+  beforeEach(() => {
+    query = { skip: jest.fn(), limit: jest.fn(), sort: jest.fn().mockResolvedValue([]) };
+    query.skip.mockReturnValue(query);
+    query.limit.mockReturnValue(query);
+    jest.spyOn(axios, 'post').mockResolvedValue({});
+    jest.spyOn(Product, 'find').mockReturnValue(query);
+    jest.spyOn(Product, 'countDocuments').mockResolvedValue(3);
+    jest.spyOn(Product, 'aggregate').mockResolvedValue([{
+      categories: [{ _id: 'dresses', count: 2 }, { _id: 'shirts', count: 1 }],
+      sizes: [{ _id: 'M', count: 3 }],
+      colors: [{ _id: 'Blue', count: 1 }],
+      priceBuckets: [{ _id: 25, count: 2 }, { _id: 500, count: 1 }]
+    }]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('ranks keyword searches by text score', async () => {
+    const res = await request(app).get('/products?q=linen');
+
+    expect(res.status).toBe(200);
+    const [[filter, projection]] = Product.find.mock.calls;
+    expect(filter).toMatchObject({ status: 'active', $text: { $search: 'linen' } });
+    expect(projection).toEqual({ score: { $meta: 'textScore' } });
+    expect(query.sort).toHaveBeenCalledWith({ score: { $meta: 'textScore' }, createdAt: -1 });
+  });
+
+  test('records the search with its result count', async () => {
+    await request(app).get('/products?q=linen');
+
+    expect(axios.post).toHaveBeenCalledWith(expect.stringMatching(/\/analytics\/process$/), expect.objectContaining({
+      type: 'search',
+      data: expect.objectContaining({ query: 'linen', resultCount: 3 })
+    }));
+  });
+
+  test('lets an explicit sort win over relevance', async () => {
+    await request(app).get('/products?q=linen&sort=rating');
+
+    expect(query.sort).toHaveBeenCalledWith({ 'rating.average': -1, 'rating.count': -1, createdAt: -1 });
+  });
+
+  test('returns facet counts and price buckets for the matching products', async () => {
+    const res = await request(app).get('/products');
+
+    expect(res.body.facets).toEqual({
+      categories: [{ value: 'dresses', count: 2 }, { value: 'shirts', count: 1 }],
+      sizes: [{ value: 'M', count: 3 }],
+      colors: [{ value: 'Blue', count: 1 }],
+      priceBuckets: [{ min: 25, max: 50, count: 2 }, { min: 500, max: null, count: 1 }]
+    });
+    expect(Product.aggregate.mock.calls[0][0][0]).toEqual({ $match: { status: 'active' } });
+  });
+
+  test('matches sizes and colors on in-stock variants or listed options', async () => {
+    await request(app).get('/products?size=M&color=Blue');
+
+    const [[filter]] = Product.find.mock.calls;
+    expect(filter.$or).toEqual([
+      { variants: { $elemMatch: { stock: { $gt: 0 }, size: 'M', color: 'Blue' } } },
+      { 'variants.0': { $exists: false }, sizes: 'M', 'colors.name': 'Blue' }
+    ]);
+  });
+
+  test('rejects sizes and colors that are not plain values', async () => {
+    for (const search of ['size[$ne]=M', 'color[$gt]=', 'size=M&size=L']) {
+      const res = await request(app).get(`/products?${search}`);
+      expect(res.status).toBe(400);
+    }
+    expect(Product.find).not.toHaveBeenCalled();
+  });
+
+  test('keeps page and limit within bounds', async () => {
+    const res = await request(app).get('/products?page=-2&limit=100000');
+
+    expect(res.body.currentPage).toBe(1);
+    expect(query.skip).toHaveBeenCalledWith(0);
+    expect(query.limit).toHaveBeenCalledWith(100);
+  });
+});
@@ -0,0 +1,422 @@
+process.env.INTERNAL_SERVICE_TOKEN = 'internal-test';
+
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { app, expireReservations } = require('../index');
+
+const Product = mongoose.model('Product');
+const ProductVersion = mongoose.model('ProductVersion');
+const Reservation = mongoose.model('Reservation');
+const Restock = mongoose.model('Restock');
+
+// In-memory stand-ins for the collections, applying the filters and updates the stock code uses
+const valueAt = (doc, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+const matches = (value, condition) => {
+  if (condition && typeof condition === 'object' && !mongoose.isValidObjectId(condition)) {
+    if ('$in' in condition) return condition.$in.some(entry => String(entry) === String(value));
+    if ('$ne' in condition) return !(Array.isArray(value) ? value.includes(condition.$ne) : value === condition.$ne);
+    if ('$gte' in condition) return value >= condition.$gte;
+    if ('$gt' in condition) return value > condition.$gt;
+    if ('$lte' in condition) return value <= condition.$lte;
+    if ('$exists' in condition) return (value !== undefined) === condition.$exists;
+  }
+  if (Array.isArray(value)) return value.some(entry => String(entry) === String(condition));
+  return String(value) === String(condition);
+};
+
+const matchesFilter = (doc, filter) => Object.entries(filter).every(([path, condition]) => matches(valueAt(doc, path), condition));
+
+const setAt = (doc, path, value) => {
+  const keys = path.split('.');
+  const parent = keys.slice(0, -1).reduce((target, key) => target[key], doc);
+  parent[keys[keys.length - 1]] = value;
+};
+
+const applyUpdate = (doc, update) => {
+  for (const [key, value] of Object.entries(update)) {
+    if (key === '$inc') {
+      Object.entries(value).forEach(([path, amount]) => { doc[path] = (doc[path] || 0) + amount; });
+    } else if (key === '$set') {
+      Object.entries(value).forEach(([path, fieldValue]) => setAt(doc, path, fieldValue));
+    } else if (key === '$push') {
+      Object.entries(value).forEach(([path, pushed]) => {
+        doc[path] = pushed.$each ? [...(doc[path] || []), ...pushed.$each].slice(pushed.$slice) : [...(doc[path] || []), pushed];
+      });
+    } else if (key === '$pull') {
+      Object.entries(value).forEach(([path, pulled]) => {
+        doc[path] = (doc[path] || []).filter(entry => !matches(entry, pulled));
+      });
+    } else {
+      doc[key] = value;
+    }
+  }
+};
+
+const copy = (doc) => doc && JSON.parse(JSON.stringify(doc));
+const leanQuery = (value) => {
+  const query = { lean: async () => value, setOptions: () => query };
+  return query;
+};
+const documentQuery = (value) => Object.assign(Promise.resolve(value), { lean: async () => value });
+
+describe('stock reservations', () => {
+  let products;
+  let reservations;
+
+  const addProduct = (stock, status = 'active') => {
+    const product = { _id: new mongoose.Types.ObjectId().toString(), stock, status, variants: [], version: 1 };
+    products.push(product);
+    return product;
+  };
+
+  const internal = (method, path) => request(app)[method](path).set('X-Internal-Token', 'internal-test');
+  const reserve = (reference, items, ttlSeconds) => internal('post', '/internal/reservations').send({ reference, items, ttlSeconds });
+
+  beforeEach(() => {
+    products = [];
+    reservations = [];
+
+    jest.spyOn(Product, 'findOneAndUpdate').mockImplementation((filter, update) => {
+      const product = products.find(candidate => matchesFilter(candidate, filter));
+      if (product) applyUpdate(product, update);
+      return leanQuery(copy(product) || null);
+    });
+    jest.spyOn(Product, 'findById').mockImplementation(async (id) => copy(products.find(product => product._id === String(id))));
+    jest.spyOn(Product, 'updateMany').mockImplementation((filter, update) => {
+      const matched = products.filter(product => matchesFilter(product, filter));
+      matched.forEach(product => applyUpdate(product, update));
+      return leanQuery({ modifiedCount: matched.length });
+    });
+    jest.spyOn(ProductVersion, 'create').mockResolvedValue({});
+
+    jest.spyOn(Reservation, 'findOne').mockImplementation(async (filter) => copy(reservations.find(entry => matchesFilter(entry, filter))));
+    jest.spyOn(Reservation, 'findById').mockImplementation(async (id) => copy(reservations.find(entry => entry._id === String(id))));
+    jest.spyOn(Reservation, 'find').mockImplementation(async (filter) => copy(reservations.filter(entry => matchesFilter(entry, filter))));
+    jest.spyOn(Reservation, 'create').mockImplementation(async (doc) => {
+      if (reservations.some(entry => entry.reference === doc.reference)) {
+        throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      }
+      const reservation = { _id: new mongoose.Types.ObjectId().toString(), status: 'pending', ...copy(doc), expiresAt: doc.expiresAt };
+      reservations.push(reservation);
+      return copy(reservation);
+    });
+    jest.spyOn(Reservation, 'findOneAndUpdate').mockImplementation(async (filter, update, options = {}) => {
+      const reservation = reservations.find(entry => matchesFilter(entry, filter));
+      const previous = copy(reservation);
+      if (reservation) applyUpdate(reservation, update);
+      return (options.new ? copy(reservation) : previous) || null;
+    });
+    jest.spyOn(Reservation, 'updateOne').mockImplementation(async (filter, update) => {
+      const reservation = reservations.find(entry => matchesFilter(entry, filter));
+      if (reservation) applyUpdate(reservation, update);
+      return { modifiedCount: reservation ? 1 : 0 };
+    });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('reserves every line and takes its stock', async () => {
+    const shirt = addProduct(5);
+    const scarf = addProduct(3);
+
+    const res = await reserve('cart-1-0', [
+      { productId: shirt._id, quantity: 2 },
+      { productId: scarf._id, quantity: 3 }
+    ]);
+
+    expect(res.status).toBe(201);
+    expect(res.body.status).toBe('reserved');
+    expect(res.body.items.map(item => item.taken)).toEqual([true, true]);
+    expect(shirt.stock).toBe(3);
+    expect(scarf).toMatchObject({ stock: 0, status: 'out_of_stock' });
+    expect(shirt.reservationLines).toEqual([`${res.body._id}:0`]);
+  });
+
+  test('returns the existing reservation for a repeated reference', async () => {
+    const shirt = addProduct(5);
+
+    const first = await reserve('cart-1-0', [{ productId: shirt._id, quantity: 2 }]);
+    const repeated = await reserve('cart-1-0', [{ productId: shirt._id, quantity: 2 }]);
+
+    expect(repeated.status).toBe(200);
+    expect(repeated.body._id).toBe(first.body._id);
+    expect(shirt.stock).toBe(3);
+  });
+
+  test('takes nothing when a line is short', async () => {
+    const shirt = addProduct(5);
+    const scarf = addProduct(1);
+
+    const res = await reserve('cart-1-0', [
+      { productId: shirt._id, quantity: 2 },
+      { productId: scarf._id, quantity: 3 }
+    ]);
+
+    expect(res.status).toBe(409);
+    expect(res.body.unavailable).toEqual([
+      { productId: scarf._id, requested: 3, available: 1, reason: 'insufficient_stock' }
+    ]);
+    expect(shirt).toMatchObject({ stock: 5, reservationLines: [] });
+    expect(scarf.stock).toBe(1);
+    expect(reservations[0]).toMatchObject({ status: 'released', releaseReason: 'unavailable' });
+  });
+
+  test('writes the reservation before taking any stock', async () => {
+    const shirt = addProduct(5);
+    Product.findOneAndUpdate.mockImplementationOnce(() => {
+      expect(reservations).toHaveLength(1);
+      expect(reservations[0].status).toBe('pending');
+      throw new Error('connection lost');
+    });
+
+    const res = await reserve('cart-1-0', [{ productId: shirt._id, quantity: 2 }]);
+
+    expect(res.status).toBe(500);
+    expect(shirt.stock).toBe(5);
+  });
+
+  test('takes stock once when the same reference is reserved twice at once', async () => {
+    const shirt = addProduct(3);
+    const items = [{ productId: shirt._id, quantity: 2 }];
+
+    const responses = await Promise.all([reserve('cart-1-0', items), reserve('cart-1-0', items)]);
+
+    // The second gets the reservation, or a 409 while the first is still taking its stock
+    expect(responses.filter(res => res.status === 201)).toHaveLength(1);
+    expect(responses.every(res => [200, 201, 409].includes(res.status))).toBe(true);
+    expect(shirt.stock).toBe(1);
+    expect(reservations).toHaveLength(1);
+  });
+
+  test('refuses a repeated reference while its stock is still being taken', async () => {
+    const shirt = addProduct(5);
+    reservations.push({ _id: new mongoose.Types.ObjectId().toString(), reference: 'cart-1-0', status: 'pending', items: [] });
+
+    const res = await reserve('cart-1-0', [{ productId: shirt._id, quantity: 2 }]);
+
+    expect(res.status).toBe(409);
+    expect(shirt.stock).toBe(5);
+  });
+
+  test('expires a reservation whose request stopped part-way and gives back the lines it took', async () => {
+    const shirt = addProduct(5);
+    const scarf = addProduct(5);
+    // The shirt's stock is taken, then the request dies before marking the line taken
+    Reservation.updateOne.mockRejectedValueOnce(new Error('connection lost'));
+
+    const failed = await reserve('cart-1-0', [
+      { productId: shirt._id, quantity: 2 },
+      { productId: scarf._id, quantity: 1 }
+    ]);
+    reservations[0].expiresAt = new Date(Date.now() - 1000);
+    await expireReservations();
+    await expireReservations();
+
+    expect(failed.status).toBe(500);
+    expect(reservations[0]).toMatchObject({ status: 'expired', releaseReason: 'ttl' });
+    expect(shirt).toMatchObject({ stock: 5, reservationLines: [] });
+    expect(scarf.stock).toBe(5);
+  });
+
+  test('gives back the full stock of reservations from before lines were recorded', async () => {
+    const shirt = addProduct(3);
+    reservations.push({
+      _id: new mongoose.Types.ObjectId().toString(),
+      reference: 'cart-1-0',
+      status: 'reserved',
+      items: [{ productId: shirt._id, quantity: 2 }],
+      expiresAt: new Date(Date.now() + 60 * 1000)
+    });
+
+    const res = await internal('post', `/internal/reservations/${reservations[0]._id}/release`).send({ reason: 'order_cancelled' });
+
+    expect(res.status).toBe(200);
+    expect(shirt.stock).toBe(5);
+  });
+
+  test('commits a reservation once and keeps its stock taken', async () => {
+    const shirt = addProduct(5);
+    const { body: reservation } = await reserve('order-1-0', [{ productId: shirt._id, quantity: 2 }]);
+
+    const committed = await internal('post', `/internal/reservations/${reservation._id}/commit`);
+    const again = await internal('post', `/internal/reservations/${reservation._id}/commit`);
+
+    expect(committed.status).toBe(200);
+    expect(committed.body.status).toBe('committed');
+    expect(again.status).toBe(200);
+    expect(shirt).toMatchObject({ stock: 3, reservationLines: [] });
+  });
+
+  test('gives stock back once however often a reservation is released', async () => {
+    const shirt = addProduct(5);
+    const { body: reservation } = await reserve('order-1-0', [{ productId: shirt._id, quantity: 2 }]);
+    await internal('post', `/internal/reservations/${reservation._id}/commit`);
+
+    const released = await internal('post', `/internal/reservations/${reservation._id}/release`).send({ reason: 'order_cancelled' });
+    const again = await internal('post', `/internal/reservations/${reservation._id}/release`).send({ reason: 'order_cancelled' });
+    const commit = await internal('post', `/internal/reservations/${reservation._id}/commit`);
+
+    expect(released.body).toMatchObject({ status: 'released', releaseReason: 'order_cancelled' });
+    expect(again.status).toBe(200);
+    expect(shirt.stock).toBe(5);
+    expect(commit.status).toBe(409);
+  });
+
+  test('answers 404 for reservations it does not know', async () => {
+    const unknown = new mongoose.Types.ObjectId();
+
+    expect((await internal('get', `/internal/reservations/${unknown}`)).status).toBe(404);
+    expect((await internal('post', `/internal/reservations/${unknown}/release`)).status).toBe(404);
+    expect((await internal('post', '/internal/reservations/not-an-id/commit')).status).toBe(404);
+  });
+
+  test('expires only reserved stock past its time', async () => {
+    const shirt = addProduct(10);
+    const { body: stale } = await reserve('cart-1-0', [{ productId: shirt._id, quantity: 2 }]);
+    const { body: paid } = await reserve('cart-2-0', [{ productId: shirt._id, quantity: 3 }]);
+    const { body: live } = await reserve('cart-3-0', [{ productId: shirt._id, quantity: 4 }]);
+    await internal('post', `/internal/reservations/${paid._id}/commit`);
+    reservations.filter(entry => entry._id !== live._id).forEach(entry => {
+      entry.expiresAt = new Date(Date.now() - 1000);
+    });
+
+    await expireReservations();
+
+    expect(reservations.map(entry => entry.status)).toEqual(['expired', 'committed', 'reserved']);
+    expect(reservations.find(entry => entry._id === stale._id).releaseReason).toBe('ttl');
+    expect(shirt.stock).toBe(3);
+  });
+
+  test('refuses callers without the internal token', async () => {
+    const res = await request(app).post('/internal/reservations').send({ reference: 'cart-1-0', items: [] });
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('restocks', () => {
+  let products;
+  let restocks;
+
+  const addProduct = (stock, status = 'active') => {
+    const product = { _id: new mongoose.Types.ObjectId().toString(), stock, status, variants: [], version: 1 };
+    products.push(product);
+    return product;
+  };
+
+  const restock = (reference, items) => request(app)
+    .post('/internal/restocks')
+    .set('X-Internal-Token', 'internal-test')
+    .send({ reference, reason: 'return_received', items });
+
+  beforeEach(() => {
+    products = [];
+    restocks = [];
+
+    jest.spyOn(Product, 'findOneAndUpdate').mockImplementation((filter, update) => {
+      const product = products.find(candidate => matchesFilter(candidate, filter));
+      if (product) applyUpdate(product, update);
+      return leanQuery(copy(product) || null);
+    });
+    jest.spyOn(ProductVersion, 'create').mockResolvedValue({});
+
+    jest.spyOn(Restock, 'create').mockImplementation(async (doc) => {
+      if (restocks.some(entry => entry.reference === doc.reference)) {
+        throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      }
+      const record = { _id: new mongoose.Types.ObjectId().toString(), ...copy(doc) };
+      record.items.forEach(item => { item.applied = false; });
+      restocks.push(record);
+      return copy(record);
+    });
+    jest.spyOn(Restock, 'findOne').mockImplementation(async (filter) => copy(restocks.find(entry => matchesFilter(entry, filter))));
+    jest.spyOn(Restock, 'findById').mockImplementation((id) => documentQuery(copy(restocks.find(entry => entry._id === String(id)))));
+    jest.spyOn(Restock, 'updateOne').mockImplementation(async (filter, update) => {
+      const record = restocks.find(entry => matchesFilter(entry, filter));
+      if (record) applyUpdate(record, update);
+      return { modifiedCount: record ? 1 : 0 };
+    });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('puts every line back on sale once and marks it applied', async () => {
+    const shirt = addProduct(0, 'out_of_stock');
+    const scarf = addProduct(2);
+
+    const res = await restock('return-1', [
+      { productId: shirt._id, quantity: 2 },
+      { productId: scarf._id, quantity: 1 }
+    ]);
+    const repeated = await restock('return-1', [
+      { productId: shirt._id, quantity: 2 },
+      { productId: scarf._id, quantity: 1 }
+    ]);
+
+    expect(res.status).toBe(201);
+    expect(res.body.items.map(item => item.applied)).toEqual([true, true]);
+    expect(repeated.status).toBe(200);
+    expect(shirt).toMatchObject({ stock: 2, status: 'active' });
+    expect(scarf.stock).toBe(3);
+  });
+
+  test('resumes a line whose stock moved before it was marked applied without adding it again', async () => {
+    const shirt = addProduct(1);
+    Restock.updateOne.mockRejectedValueOnce(new Error('connection lost'));
+
+    const failed = await restock('return-1', [{ productId: shirt._id, quantity: 2 }]);
+    const resumed = await restock('return-1', [{ productId: shirt._id, quantity: 2 }]);
+
+    expect(failed.status).toBe(500);
+    expect(resumed.status).toBe(200);
+    expect(resumed.body.items[0].applied).toBe(true);
+    expect(shirt.stock).toBe(3);
+  });
+
+  test('resumes the lines a failed restock did not reach', async () => {
+    const shirt = addProduct(1);
+    const scarf = addProduct(1);
+    Product.findOneAndUpdate.mockImplementationOnce((filter, update) => {
+      applyUpdate(shirt, update);
+      return leanQuery(copy(shirt));
+    }).mockImplementationOnce(() => {
+      throw new Error('connection lost');
+    });
+    const items = [{ productId: shirt._id, quantity: 2 }, { productId: scarf._id, quantity: 4 }];
+
+    const failed = await restock('return-1', items);
+    const resumed = await restock('return-1', items);
+
+    expect(failed.status).toBe(500);
+    expect(resumed.body.items.map(item => item.applied)).toEqual([true, true]);
+    expect(shirt.stock).toBe(3);
+    expect(scarf.stock).toBe(5);
+  });
+
+  test('adds the stock once when the same restock is sent twice at once', async () => {
+    const shirt = addProduct(1);
+    const items = [{ productId: shirt._id, quantity: 2 }];
+
+    const responses = await Promise.all([restock('return-1', items), restock('return-1', items)]);
+
+    expect(responses.map(res => res.status).sort()).toEqual([200, 201]);
+    expect(shirt.stock).toBe(3);
+  });
+
+  test('leaves alone items recorded before lines were marked applied', async () => {
+    const shirt = addProduct(1);
+    restocks.push({ _id: new mongoose.Types.ObjectId().toString(), reference: 'return-1', items: [{ productId: shirt._id, quantity: 2 }] });
+
+    const res = await restock('return-1', [{ productId: shirt._id, quantity: 2 }]);
+
+    expect(res.status).toBe(200);
+    expect(shirt.stock).toBe(1);
+  });
+});
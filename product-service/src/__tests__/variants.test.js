@@ -0,0 +1,145 @@
+process.env.JWT_SECRET = 'test-secret';
+
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { app } = require('../index');
+
+const Category = mongoose.model('Category');
+const Product = mongoose.model('Product');
+
+const categories = [{ _id: new mongoose.Types.ObjectId(), name: 'Shirts', slug: 'shirts', isActive: true, ancestors: [] }];
+
+const newProduct = (fields) => new Product({
+  name: 'Oxford Shirt',
+  description: 'Cotton oxford shirt',
+  price: 40,
+  category: 'shirts',
+  stock: 0,
+  sellerId: new mongoose.Types.ObjectId(),
+  ...fields
+});
+
+beforeEach(() => {
+  jest.spyOn(Category, 'find').mockReturnValue({ lean: async () => categories });
+  jest.spyOn(Product, 'exists').mockReturnValue({ setOptions: async () => null });
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('product variants', () => {
+  test('generate missing SKUs from the product id, size and color', async () => {
+    const product = newProduct({ variants: [{ size: 'M', color: 'Light Blue', stock: 2 }, { sku: 'oxf-l', size: 'L', stock: 1 }] });
+
+    await product.validate();
+
+    expect(product.variants[0].sku).toBe(`${product._id.toString().slice(-8).toUpperCase()}-M-LIGHTBLUE`);
+    expect(product.variants[1].sku).toBe('OXF-L');
+  });
+
+  test('derive the product stock, sizes and colors from the variants', async () => {
+    const product = newProduct({
+      stock: 99,
+      sizes: ['XS'],
+      colors: [{ name: 'White', hexCode: '#ffffff' }],
+      variants: [
+        { size: 'M', color: 'White', stock: 2 },
+        { size: 'L', color: 'Navy', stock: 3 },
+        { size: 'L', color: 'White', stock: 0 }
+      ]
+    });
+
+    await product.validate();
+
+    expect(product.stock).toBe(5);
+    expect(product.sizes).toEqual(['M', 'L']);
+    expect(product.colors.map(color => color.name)).toEqual(['White', 'Navy']);
+  });
+
+  test('reject duplicate size and color combinations and duplicate SKUs', async () => {
+    const product = newProduct({
+      variants: [
+        { sku: 'OXF-M', size: 'M', color: 'White', stock: 1 },
+        { sku: 'OXF-L', size: 'M', color: 'White', stock: 1 },
+        { sku: 'oxf-m', size: 'L', color: 'White', stock: 1 }
+      ]
+    });
+
+    const error = await product.validate().catch(caught => caught);
+
+    expect(Object.keys(error.errors).sort()).toEqual(['variants.1', 'variants.2.sku']);
+  });
+
+  test('leave stock alone for products without variants', async () => {
+    const product = newProduct({ stock: 7 });
+
+    await product.validate();
+
+    expect(product.stock).toBe(7);
+  });
+});
+
+describe('PUT /products/:id/variants/:sku/stock', () => {
+  const sellerId = new mongoose.Types.ObjectId();
+  const token = jwt.sign({ _id: sellerId.toString(), role: 'seller' }, 'test-secret');
+  let product;
+
+  const updateStock = (sku, stock, headers = { Authorization: `Bearer ${token}` }) => request(app)
+    .put(`/products/${product._id}/variants/${sku}/stock`)
+    .set(headers)
+    .send({ stock });
+
+  beforeEach(() => {
+    product = newProduct({
+      sellerId,
+      variants: [{ sku: 'OXF-M', size: 'M', stock: 2 }, { sku: 'OXF-L', size: 'L', stock: 3 }]
+    });
+    jest.spyOn(axios, 'get').mockResolvedValue({ data: { user: { sellerStatus: 'approved' } } });
+    jest.spyOn(Product, 'findOne').mockResolvedValue(product);
+    jest.spyOn(Product.prototype, 'save').mockImplementation(async function() {
+      await this.validate();
+      return this;
+    });
+  });
+
+  test('sets the stock of one SKU and the product total', async () => {
+    const res = await updateStock('oxf-l', 10);
+
+    expect(res.status).toBe(200);
+    expect(res.body.variants.map(variant => variant.stock)).toEqual([2, 10]);
+    expect(res.body.stock).toBe(12);
+    expect(Product.findOne).toHaveBeenCalledWith({ _id: product._id.toString(), sellerId: sellerId.toString() });
+  });
+
+  test('rejects stock that is not a non-negative integer', async () => {
+    for (const stock of [-1, 1.5, '3']) {
+      const res = await updateStock('OXF-L', stock);
+      expect(res.status).toBe(400);
+    }
+    expect(Product.prototype.save).not.toHaveBeenCalled();
+  });
+
+  test('answers 404 for an unknown SKU', async () => {
+    const res = await updateStock('OXF-XL', 1);
+
+    expect(res.status).toBe(404);
+  });
+
+  test('accepts API keys with the inventory:write scope only', async () => {
+    const verified = (scopes) => ({ data: { user: { _id: sellerId.toString(), role: 'seller', sellerStatus: 'approved' }, scopes, apiKeyId: 'key-1' } });
+    jest.spyOn(axios, 'post')
+      .mockResolvedValueOnce(verified(['inventory:write']))
+      .mockResolvedValueOnce(verified(['products:read']));
+
+    const allowed = await updateStock('OXF-M', 4, { 'X-API-Key': 'key-with-inventory' });
+    const denied = await updateStock('OXF-M', 5, { 'X-API-Key': 'key-read-only' });
+
+    expect(allowed.status).toBe(200);
+    expect(denied.status).toBe(403);
+    expect(product.variants[0].stock).toBe(4);
+  });
+});
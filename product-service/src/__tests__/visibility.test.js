@@ -0,0 +1,103 @@
+process.env.INTERNAL_SERVICE_TOKEN = 'internal-test';
+process.env.JWT_SECRET = 'test-secret';
+
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { app } = require('../index');
+
+const Product = mongoose.model('Product');
+
+describe('inactive product visibility', () => {
+  const sellerId = new mongoose.Types.ObjectId();
+  const product = (status) => ({
+    _id: new mongoose.Types.ObjectId(),
+    sellerId,
+    status,
+    price: 29.99,
+    variants: [{ sku: 'TEE-L-BLK', size: 'L', color: 'Black', stock: 4, price: 34.99 }]
+  });
+  const tokenFor = (userId, role) => jwt.sign({ _id: userId.toString(), role }, 'test-secret');
+
+  beforeEach(() => {
+    jest.spyOn(axios, 'get').mockResolvedValue({ data: { user: { sellerStatus: 'approved' } } });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('GET /skus/:sku', () => {
+    test('finds the variants of active products for anyone', async () => {
+      jest.spyOn(Product, 'findOne').mockResolvedValue(product('active'));
+
+      const res = await request(app).get('/skus/tee-l-blk');
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ variant: { sku: 'TEE-L-BLK' }, price: 34.99 });
+      expect(Product.findOne).toHaveBeenCalledWith({ 'variants.sku': 'TEE-L-BLK' });
+    });
+
+    test('hides inactive products from shoppers', async () => {
+      jest.spyOn(Product, 'findOne').mockResolvedValue(product('inactive'));
+
+      const anonymous = await request(app).get('/skus/TEE-L-BLK');
+      const shopper = await request(app)
+        .get('/skus/TEE-L-BLK')
+        .set('Authorization', `Bearer ${tokenFor(new mongoose.Types.ObjectId(), 'user')}`);
+
+      expect(anonymous.status).toBe(404);
+      expect(shopper.status).toBe(404);
+    });
+
+    test('shows inactive products to their seller, admins and other services', async () => {
+      jest.spyOn(Product, 'findOne').mockResolvedValue(product('inactive'));
+
+      const seller = await request(app).get('/skus/TEE-L-BLK').set('Authorization', `Bearer ${tokenFor(sellerId, 'seller')}`);
+      const admin = await request(app)
+        .get('/skus/TEE-L-BLK')
+        .set('Authorization', `Bearer ${tokenFor(new mongoose.Types.ObjectId(), 'admin')}`);
+      const internal = await request(app).get('/skus/TEE-L-BLK').set('X-Internal-Token', 'internal-test');
+
+      expect([seller.status, admin.status, internal.status]).toEqual([200, 200, 200]);
+    });
+  });
+
+  describe('GET /products/batch', () => {
+    test('leaves inactive products out for shoppers only', async () => {
+      const active = product('active');
+      const inactive = product('inactive');
+      jest.spyOn(Product, 'find').mockResolvedValue([active, inactive]);
+      const ids = `${active._id},${inactive._id}`;
+
+      const shopper = await request(app).get(`/products/batch?ids=${ids}`);
+      const internal = await request(app).get(`/products/batch?ids=${ids}`).set('X-Internal-Token', 'internal-test');
+
+      expect(shopper.body.products.map(entry => entry._id)).toEqual([active._id.toString()]);
+      expect(internal.body.products).toHaveLength(2);
+    });
+  });
+
+  describe('GET /seller/products', () => {
+    test('keeps page and limit within bounds', async () => {
+      const query = { sort: jest.fn(() => query), skip: jest.fn(() => query), limit: jest.fn(async () => []) };
+      jest.spyOn(Product, 'find').mockReturnValue(query);
+      jest.spyOn(Product, 'countDocuments').mockResolvedValue(0);
+      jest.spyOn(Product, 'aggregate').mockResolvedValue([]);
+
+      const res = await request(app)
+        .get('/seller/products?page=-2&limit=abc')
+        .set('Authorization', `Bearer ${tokenFor(sellerId, 'seller')}`);
+      const capped = await request(app)
+        .get('/seller/products?page=0&limit=1000')
+        .set('Authorization', `Bearer ${tokenFor(sellerId, 'seller')}`);
+
+      expect([res.status, capped.status]).toEqual([200, 200]);
+      expect(res.body.currentPage).toBe(1);
+      expect(query.skip.mock.calls).toEqual([[0], [0]]);
+      expect(query.limit.mock.calls).toEqual([[20], [100]]);
+    });
+  });
+});
@@ -0,0 +1,213 @@
+// Catalog Import and Export Formats
+// JSON is an array of products. CSV has one row per variant: rows sharing a sellerSku (or id)
+// form one product, and the product columns only need to be filled on the first of them.
+// List cells (sizes, colors, images, attributes) are separated by "|"; a color may carry a hex code
+// as "Black:#000000" and attributes are written as "material=Cotton|fit=Slim".
+const { parse } = require('csv-parse/sync');
+const { stringify } = require('csv-stringify/sync');
+
+const CSV_COLUMNS = [
+  'id', 'sellerSku', 'name', 'description', 'price', 'compareAtPrice', 'category', 'status', 'sizes', 'colors', 'images', 'attributes', 'stock',
+  'variantSku', 'variantSize', 'variantColor', 'variantStock', 'variantPrice', 'variantBarcode'
+];
+
+const invalidFile = (message) => Object.assign(new Error(message), { status: 400 });
+
+const splitList = (value) => value.split('|').map(entry => entry.trim()).filter(Boolean);
+
+// Non-numeric text becomes NaN so schema validation reports it against the row
+const toNumber = (value) => Number(value);
+
+const parseColors = (value) => splitList(value).map(entry => {
+  const [name, hexCode] = entry.split(':').map(part => part.trim());
+  return hexCode ? { name, hexCode } : { name };
+});
+
+const formatColors = (colors) => colors
+  .map(color => (color.hexCode ? `${color.name}:${color.hexCode}` : color.name))
+  .join('|');
+
+const parseAttributes = (value) => splitList(value).reduce((attributes, entry) => {
+  const separator = entry.indexOf('=');
+  if (separator === -1) return { ...attributes, [entry]: '' };
+  return { ...attributes, [entry.slice(0, separator).trim()]: entry.slice(separator + 1).trim() };
+}, {});
+
+const formatAttributes = (attributes) => Object.entries(attributes)
+  .map(([name, value]) => `${name}=${value}`)
+  .join('|');
+
+const productColumns = {
+  id: value => value,
+  sellerSku: value => value,
+  name: value => value,
+  description: value => value,
+  price: toNumber,
+  compareAtPrice: toNumber,
+  category: value => value,
+  status: value => value,
+  sizes: splitList,
+  colors: parseColors,
+  images: splitList,
+  attributes: parseAttributes,
+  stock: toNumber
+};
+
+const variantColumns = {
+  variantSku: ['sku', value => value],
+  variantSize: ['size', value => value],
+  variantColor: ['color', value => value],
+  variantStock: ['stock', toNumber],
+  variantPrice: ['price', toNumber],
+  variantBarcode: ['barcode', value => value]
+};
+
+// Empty cells are left out so an update only touches the columns that were filled in
+function pickColumns(record, columns) {
+  return Object.entries(columns).reduce((data, [column, convert]) => {
+    if (record[column] === undefined || record[column] === '') return data;
+    return { ...data, [column]: convert(record[column]) };
+  }, {});
+}
+
+function pickVariant(record) {
+  return Object.entries(variantColumns).reduce((variant, [column, [field, convert]]) => {
+    if (record[column] === undefined || record[column] === '') return variant;
+    return { ...variant, [field]: convert(record[column]) };
+  }, {});
+}
+
+// Row numbers match spreadsheet rows, with the header on row 1
+function parseCsv(buffer) {
+  let records;
+  try {
+    records = parse(buffer, {
+      bom: true,
+      trim: true,
+      skip_empty_lines: true,
+      columns: (header) => {
+        const unknown = header.filter(column => !CSV_COLUMNS.includes(column));
+        if (unknown.length > 0) {
+          throw invalidFile(`Unknown CSV columns: ${unknown.join(', ')}`);
+        }
+        return header;
+      }
+    });
+  } catch (error) {
+    throw error.status ? error : invalidFile(`CSV could not be parsed: ${error.message}`);
+  }
+
+  const entries = [];
+  const entriesByKey = new Map();
+
+  records.forEach((record, index) => {
+    const key = record.sellerSku ? `sku:${record.sellerSku}` : (record.id ? `id:${record.id}` : null);
+    let entry = key && entriesByKey.get(key);
+
+    if (!entry) {
+      entry = { rows: [], data: pickColumns(record, productColumns) };
+      entries.push(entry);
+      if (key) entriesByKey.set(key, entry);
+    }
+
+    entry.rows.push(index + 2);
+
+    const variant = pickVariant(record);
+    if (Object.keys(variant).length > 0) {
+      entry.data.variants = [...(entry.data.variants || []), variant];
+    }
+  });
+
+  return entries;
+}
+
+// Entries that aren't objects are kept (as null) so the job can report them by row
+function parseJson(buffer) {
+  let parsed;
+  try {
+    parsed = JSON.parse(buffer.toString('utf8').replace(/^\uFEFF/, ''));
+  } catch (error) {
+    throw invalidFile(`JSON could not be parsed: ${error.message}`);
+  }
+
+  const products = Array.isArray(parsed) ? parsed : parsed && parsed.products;
+  if (!Array.isArray(products)) {
+    throw invalidFile('JSON must be an array of products or { "products": [...] }');
+  }
+
+  return products.map((data, index) => ({
+    rows: [index + 1],
+    data: data && typeof data === 'object' && !Array.isArray(data) ? data : null
+  }));
+}
+
+// Returns [{ rows: [rowNumber, ...], data: { ...product fields } }]
+function parseImportFile(buffer, format) {
+  return format === 'csv' ? parseCsv(buffer) : parseJson(buffer);
+}
+
+// The fields sellers manage, in the shape import accepts; the primary image comes first and
+// the price is the regular one, so re-importing during a sale doesn't make the sale permanent
+function exportProduct(product) {
+  const images = [...product.images].sort((a, b) => Number(Boolean(b.isPrimary)) - Number(Boolean(a.isPrimary)));
+
+  return {
+    id: product._id.toString(),
+    sellerSku: product.sellerSku || '',
+    name: product.name,
+    description: product.description,
+    price: product.regularPrice ?? product.price,
+    compareAtPrice: product.compareAtPrice,
+    category: product.category,
+    status: product.status,
+    sizes: product.sizes,
+    colors: product.colors.map(color => (color.hexCode ? { name: color.name, hexCode: color.hexCode } : { name: color.name })),
+    images: images.map(image => image.url),
+    attributes: Object.fromEntries(product.attributes || []),
+    stock: product.stock,
+    variants: product.variants.map(variant => ({
+      sku: variant.sku,
+      size: variant.size,
+      color: variant.color,
+      stock: variant.stock,
+      price: variant.price,
+      barcode: variant.barcode
+    }))
+  };
+}
+
+function serializeCatalog(products, format) {
+  const entries = products.map(exportProduct);
+
+  if (format === 'json') {
+    return JSON.stringify(entries, null, 2);
+  }
+
+  const rows = entries.flatMap(entry => {
+    const productRow = {
+      ...entry,
+      sizes: entry.sizes.join('|'),
+      colors: formatColors(entry.colors),
+      images: entry.images.join('|'),
+      attributes: formatAttributes(entry.attributes)
+    };
+
+    if (entry.variants.length === 0) {
+      return [productRow];
+    }
+
+    return entry.variants.map((variant, index) => ({
+      ...(index === 0 ? productRow : { id: entry.id, sellerSku: entry.sellerSku }),
+      variantSku: variant.sku,
+      variantSize: variant.size,
+      variantColor: variant.color,
+      variantStock: variant.stock,
+      variantPrice: variant.price,
+      variantBarcode: variant.barcode
+    }));
+  });
+
+  return stringify(rows, { header: true, columns: CSV_COLUMNS });
+}
+
+module.exports = { parseImportFile, serializeCatalog };
@@ -0,0 +1,142 @@
+// Category Taxonomy Helpers
+// Categories form a tree (Clothing > Dresses > Maxi). Attributes are inherited from every
+// ancestor; a size chart is inherited from the nearest ancestor that defines one.
+
+const slugify = (text) => String(text || '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+// Indexes a flat list of category documents (or plain objects) for lookups by slug and id
+function buildCategoryTree(categories) {
+  const byId = new Map(categories.map(category => [category._id.toString(), category]));
+  const bySlug = new Map(categories.map(category => [category.slug, category]));
+
+  const ancestorsOf = (category) => (category.ancestors || [])
+    .map(id => byId.get(id.toString()))
+    .filter(Boolean);
+
+  // The category itself plus everything below it
+  const subtreeSlugs = (slug) => {
+    const root = bySlug.get(slug);
+    if (!root) return [];
+
+    const rootId = root._id.toString();
+    return categories
+      .filter(category => category === root || (category.ancestors || []).some(id => id.toString() === rootId))
+      .map(category => category.slug);
+  };
+
+  // Attributes and size chart that apply to products in the category
+  const effectiveSchema = (category) => {
+    const lineage = [...ancestorsOf(category), category];
+    const attributes = new Map();
+    lineage.forEach(entry => {
+      (entry.attributes || []).forEach(attribute => attributes.set(attribute.name, attribute));
+    });
+
+    const withChart = [...lineage].reverse().find(entry => entry.sizeChart && entry.sizeChart.sizes && entry.sizeChart.sizes.length > 0);
+
+    return {
+      attributes: [...attributes.values()],
+      sizeChart: withChart ? withChart.sizeChart : null,
+      breadcrumb: lineage.map(entry => ({ name: entry.name, slug: entry.slug }))
+    };
+  };
+
+  // Nested { ...category, children: [...] } for the category browser
+  const toNested = (filter = () => true) => {
+    const nodes = new Map();
+    categories.filter(filter).forEach(category => {
+      const plain = typeof category.toJSON === 'function' ? category.toJSON() : { ...category };
+      nodes.set(category._id.toString(), { ...plain, children: [] });
+    });
+
+    const roots = [];
+    nodes.forEach(node => {
+      const parent = node.parent && nodes.get(node.parent.toString());
+      if (parent) parent.children.push(node);
+      else if (!node.parent) roots.push(node);
+    });
+
+    const sort = (list) => {
+      list.sort((a, b) => (a.sortOrder || 0) - (b.sortOrder || 0) || a.name.localeCompare(b.name));
+      list.forEach(node => sort(node.children));
+      return list;
+    };
+    return sort(roots);
+  };
+
+  return { byId, bySlug, ancestorsOf, subtreeSlugs, effectiveSchema, toNested };
+}
+
+function checkAttributeValue(attribute, value) {
+  switch (attribute.type) {
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value) ? null : 'must be a number';
+    case 'boolean':
+      return typeof value === 'boolean' ? null : 'must be true or false';
+    case 'select':
+      return (attribute.options || []).includes(value) ? null : `must be one of: ${(attribute.options || []).join(', ')}`;
+    default:
+      return typeof value === 'string' ? null : 'must be text';
+  }
+}
+
+// CSV imports and form posts send every value as text; convert it where the attribute's type makes that unambiguous
+function coerceAttributes(values, definitions) {
+  definitions.forEach(attribute => {
+    const value = values.get(attribute.name);
+    if (typeof value !== 'string') return;
+
+    if (attribute.type === 'number' && value.trim() !== '' && Number.isFinite(Number(value))) {
+      values.set(attribute.name, Number(value));
+    } else if (attribute.type === 'boolean' && ['true', 'false'].includes(value.toLowerCase())) {
+      values.set(attribute.name, value.toLowerCase() === 'true');
+    }
+  });
+}
+
+// Returns [{ path, message }] for everything about the product its category doesn't allow
+function validateAgainstCategory(product, schema) {
+  const problems = [];
+
+  if (schema.sizeChart) {
+    const allowed = schema.sizeChart.sizes.map(entry => entry.size);
+    const sizes = [
+      ...(product.sizes || []).map((size, index) => ({ size, path: `sizes.${index}` })),
+      ...(product.variants || []).map((variant, index) => ({ size: variant.size, path: `variants.${index}.size` }))
+    ];
+    sizes.filter(entry => entry.size && !allowed.includes(entry.size)).forEach(entry => {
+      problems.push({ path: entry.path, message: `Size ${entry.size} is not in the size chart (${allowed.join(', ')})` });
+    });
+  }
+
+  const values = product.attributes || new Map();
+  const entries = values instanceof Map ? [...values.entries()] : Object.entries(values);
+  const definitions = new Map(schema.attributes.map(attribute => [attribute.name, attribute]));
+
+  entries.forEach(([name, value]) => {
+    const attribute = definitions.get(name);
+    if (!attribute) {
+      problems.push({ path: `attributes.${name}`, message: `Attribute ${name} is not defined for this category` });
+      return;
+    }
+    const problem = checkAttributeValue(attribute, value);
+    if (problem) {
+      problems.push({ path: `attributes.${name}`, message: `Attribute ${name} ${problem}` });
+    }
+  });
+
+  schema.attributes
+    .filter(attribute => attribute.required && !entries.some(([name]) => name === attribute.name))
+    .forEach(attribute => {
+      problems.push({ path: `attributes.${attribute.name}`, message: `Attribute ${attribute.name} is required` });
+    });
+
+  return problems;
+}
+
+module.exports = { slugify, buildCategoryTree, coerceAttributes, validateAgainstCategory };
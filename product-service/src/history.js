@@ -0,0 +1,57 @@
+// Product Version History
+// Each version stores the fields a change touched (from/to) and a snapshot of every
+// seller-managed field afterwards, which is what a revert goes back to.
+
+const VERSIONED_FIELDS = [
+  'sellerSku', 'name', 'description', 'regularPrice', 'compareAtPrice', 'category', 'sizes', 'colors',
+  'attributes', 'stock', 'variants', 'images', 'status'
+];
+
+// Stock reflects real inventory and removed image files are gone, so a revert leaves both alone
+const REVERTIBLE_FIELDS = VERSIONED_FIELDS.filter(field => !['stock', 'images'].includes(field));
+
+// Replacing colors or variants regenerates their subdocument ids without changing anything
+// a seller sees, so those ids are left out
+const WITHOUT_IDS = ['colors', 'variants'];
+
+// JSON with sorted keys, so documents read back from the database compare equal to ones in memory
+const stableStringify = (value) => JSON.stringify(value, (key, entry) => {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) return entry;
+  return Object.keys(entry).sort().reduce((sorted, name) => ({ ...sorted, [name]: entry[name] }), {});
+});
+
+// Plain JSON copy of the versioned fields of a product document or lean object
+function versionState(product) {
+  const plain = typeof product.toObject === 'function' ? product.toObject({ flattenMaps: true }) : product;
+
+  return VERSIONED_FIELDS.reduce((state, field) => {
+    let value = plain[field] === undefined ? null : JSON.parse(JSON.stringify(plain[field]));
+    if (WITHOUT_IDS.includes(field) && Array.isArray(value)) {
+      value = value.map(({ _id, ...rest }) => rest);
+    }
+    return { ...state, [field]: value };
+  }, {});
+}
+
+// [{ field, from, to }] for each of `fields` that differs; `before` is null for new products
+function diffStates(before, after, fields = VERSIONED_FIELDS) {
+  return fields
+    .map(field => ({ field, from: before ? before[field] : null, to: after[field] }))
+    .filter(change => stableStringify(change.from) !== stableStringify(change.to));
+}
+
+// Field values that put a product back to `snapshot`. Variants that still exist keep their
+// current stock and ones brought back start at zero.
+function revertState(snapshot, current) {
+  const stockBySku = new Map((current.variants || []).map(variant => [variant.sku, variant.stock]));
+
+  return REVERTIBLE_FIELDS.reduce((state, field) => {
+    let value = snapshot[field] === undefined ? null : snapshot[field];
+    if (field === 'variants' && Array.isArray(value)) {
+      value = value.map(variant => ({ ...variant, stock: stockBySku.get(variant.sku) || 0 }));
+    }
+    return { ...state, [field]: value };
+  }, {});
+}
+
+module.exports = { VERSIONED_FIELDS, versionState, diffStates, revertState };
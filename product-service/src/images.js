@@ -0,0 +1,75 @@
+// Image Processing
+// Uploads are identified by their leading bytes rather than the client's Content-Type, then
+// decoded and re-encoded as JPEG renditions, which also drops metadata such as EXIF location.
+const Jimp = require('jimp');
+
+const IMAGE_SIGNATURES = {
+  'image/jpeg': [0xff, 0xd8, 0xff],
+  'image/png': [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]
+};
+
+// Longest edge in pixels; images are never upscaled
+const RENDITIONS = {
+  thumbnail: 200,
+  medium: 600,
+  large: 1200
+};
+
+const MAX_PIXELS = Number(process.env.IMAGE_MAX_PIXELS) || 40 * 1000 * 1000;
+
+const invalidImage = (message) => Object.assign(new Error(message), { status: 400 });
+
+function detectImageType(buffer) {
+  return Object.keys(IMAGE_SIGNATURES).find(type =>
+    IMAGE_SIGNATURES[type].every((byte, index) => buffer[index] === byte)
+  ) || null;
+}
+
+// PNG dimensions sit in the IHDR chunk; checking them first avoids decoding huge images
+function checkPngDimensions(buffer) {
+  if (buffer.length < 24) {
+    throw invalidImage('Image file is truncated');
+  }
+  if (buffer.readUInt32BE(16) * buffer.readUInt32BE(20) > MAX_PIXELS) {
+    throw invalidImage('Image dimensions are too large');
+  }
+}
+
+// Returns { width, height, renditions: { thumbnail, medium, large } } with JPEG buffers
+async function createRenditions(buffer) {
+  const type = detectImageType(buffer);
+  if (!type) {
+    throw invalidImage('Only JPEG and PNG images are supported');
+  }
+  if (type === 'image/png') {
+    checkPngDimensions(buffer);
+  }
+
+  let image;
+  try {
+    image = await Jimp.read(buffer);
+  } catch (error) {
+    throw invalidImage('Image could not be decoded');
+  }
+
+  const { width, height } = image.bitmap;
+  if (width * height > MAX_PIXELS) {
+    throw invalidImage('Image dimensions are too large');
+  }
+
+  const renditions = {};
+  for (const [name, size] of Object.entries(RENDITIONS)) {
+    const copy = image.clone();
+    if (width > size || height > size) {
+      copy.scaleToFit(size, size);
+    }
+
+    // JPEG has no alpha channel, so flatten transparent PNGs onto white
+    const flattened = new Jimp(copy.bitmap.width, copy.bitmap.height, 0xffffffff).composite(copy, 0, 0);
+    renditions[name] = await flattened.quality(85).getBufferAsync(Jimp.MIME_JPEG);
+  }
+
+  return { width, height, renditions };
+}
+
+module.exports = { RENDITIONS, detectImageType, createRenditions };
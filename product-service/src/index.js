@@ -2,7 +2,18 @@ require('dotenv').config();
 const express = require('express');
 const mongoose = require('mongoose');
 const jwt = require('jsonwebtoken');
+const axios = require('axios');
+const crypto = require('crypto');
+const multer = require('multer');
+const { tokenize, correctQuery } = require('./search');
+const { createStorage } = require('./storage');
+const { RENDITIONS, createRenditions } = require('./images');
+const { parseImportFile, serializeCatalog } = require('./catalog');
+const { slugify, buildCategoryTree, coerceAttributes, validateAgainstCategory } = require('./categories');
+const { computePricing, variantPrice, findOverlappingSale } = require('./pricing');
+const { VERSIONED_FIELDS, versionState, diffStates, revertState } = require('./history');
 const cors = require('cors');
+const { createSessionCache, sessionCacheOptions, createSessionIntrospector, isInternalRequest, internalAuth } = require('../../shared');
 
 const app = express();
 
@@ -11,43 +22,165 @@ app.use(express.json());
 app.use(cors());
 
 // Database Schemas
+
+// One sellable SKU per size/color combination
+const variantSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true
+  },
+  // Checked against the category's size chart
+  size: String,
+  color: String,
+  stock: {
+    type: Number,
+    required: true,
+    min: 0,
+    default: 0
+  },
+  // Overrides the product price for this SKU when set
+  price: {
+    type: Number,
+    min: 0
+  },
+  barcode: {
+    type: String,
+    trim: true
+  }
+});
+
+// Uploaded images keep their renditions and storage keys; externally hosted ones only have a url
+const imageSchema = new mongoose.Schema({
+  url: String,
+  isPrimary: Boolean,
+  renditions: {
+    thumbnail: String,
+    medium: String,
+    large: String
+  },
+  width: Number,
+  height: Number,
+  storageKeys: [String]
+});
+
+// A scheduled markdown: either a fixed salePrice or a percentOff the regular price
+const saleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    trim: true
+  },
+  salePrice: {
+    type: Number,
+    min: 0
+  },
+  percentOff: {
+    type: Number,
+    min: 1,
+    max: 90
+  },
+  startsAt: {
+    type: Date,
+    required: true
+  },
+  endsAt: Date,
+  cancelledAt: Date,
+  createdBy: mongoose.Schema.Types.ObjectId,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
 const productSchema = new mongoose.Schema({
+  // The seller's own identifier, used to match rows in bulk imports
+  sellerSku: {
+    type: String,
+    trim: true
+  },
   name: {
     type: String,
     required: true,
     trim: true
   },
+  // Generated from the name when the product is created and kept when it's renamed, so links stay valid
+  slug: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
   description: {
     type: String,
     required: true
   },
+  // What shoppers pay now; derived from regularPrice and the active sale
   price: {
     type: Number,
     required: true,
     min: 0
   },
+  // The seller's normal price; `price` sent by sellers sets this
+  regularPrice: {
+    type: Number,
+    min: 0
+  },
+  // Original price shown struck through, e.g. the RRP
+  compareAtPrice: {
+    type: Number,
+    min: 0
+  },
+  sales: [saleSchema],
+  activeSale: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  onSale: {
+    type: Boolean,
+    default: false
+  },
+  discountPercent: {
+    type: Number,
+    default: 0
+  },
+  // When the next scheduled sale starts or the active one ends
+  nextPriceChangeAt: Date,
+  // Slug of a category in the categories collection
   category: {
     type: String,
     required: true,
-    enum: ['Clothing', 'Shoes', 'Accessories', 'Bags']
+    trim: true,
+    lowercase: true
+  },
+  sizes: [String],
+  // Values for the attributes defined by the category (and its parents)
+  attributes: {
+    type: Map,
+    of: mongoose.Schema.Types.Mixed
   },
-  sizes: [{
-    type: String,
-    enum: ['XS', 'S', 'M', 'L', 'XL', 'XXL', 'ONE_SIZE', '30', '32', '34', '36', '38', '40', '41', '42', '43', '44']
-  }],
   colors: [{
     name: String,
     hexCode: String
   }],
+  // For products with variants this is kept as the sum of variant stock
   stock: {
     type: Number,
     required: true,
     min: 0
   },
-  images: [{
-    url: String,
-    isPrimary: Boolean
-  }],
+  variants: [variantSchema],
+  images: [imageSchema],
+  // Aggregate of published reviews, kept up to date by refreshProductRating
+  rating: {
+    average: {
+      type: Number,
+      default: 0
+    },
+    count: {
+      type: Number,
+      default: 0
+    }
+  },
   sellerId: {
     type: mongoose.Schema.Types.ObjectId,
     required: true
@@ -57,6 +190,29 @@ const productSchema = new mongoose.Schema({
     enum: ['active', 'inactive', 'out_of_stock'],
     default: 'active'
   },
+  // The latest restock lines this product's stock was returned by, so a line is never added
+  // twice (see applyRestock)
+  restockLines: {
+    type: [String],
+    select: false
+  },
+  // The reservation lines whose stock this product currently holds, so a line is never taken or
+  // given back twice (see takeStock)
+  reservationLines: {
+    type: [String],
+    select: false
+  },
+  // Number of the latest entry in the product's version history
+  version: {
+    type: Number,
+    default: 0
+  },
+  // Deleted products are hidden from every query but can be restored
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: mongoose.Schema.Types.ObjectId,
   createdAt: {
     type: Date,
     default: Date.now
@@ -67,160 +223,3049 @@ const productSchema = new mongoose.Schema({
   }
 });
 
-const Product = mongoose.model('Product', productSchema);
+const skuPart = (value) => String(value || 'NA').toUpperCase().replace(/[^A-Z0-9]+/g, '');
 
-// Authentication Middleware
-const auth = async (req, res, next) => {
-  try {
-    console.log('Auth headers:', req.headers);
-    const token = req.header('Authorization').replace('Bearer ', '');
-    console.log('Token received:', token);
-    
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    console.log('Decoded token:', decoded);
-    
-    req.user = {
-      _id: decoded._id,
-      role: decoded.role
-    };
-    
-    console.log('User object after auth:', req.user);
-    next();
-  } catch (error) {
-    console.error('Authentication error:', error);
-    res.status(401).send({ error: 'Please authenticate.' });
+// Generates missing SKUs, rejects duplicate combinations and derives stock, sizes and
+// colors from the variants so product-level filters stay accurate
+productSchema.pre('validate', function(next) {
+  if (this.variants.length === 0) {
+    return next();
   }
-};
 
-// Seller Authentication Middleware
-const sellerAuth = async (req, res, next) => {
-  console.log('SellerAuth - Current user:', req.user);
-  console.log('SellerAuth - User role:', req.user?.role);
+  const combinations = new Set();
+  const skus = new Set();
 
-  if (req.user.role !== 'seller' && req.user.role !== 'admin') {
-    console.log('Access denied - not a seller or admin');
-    return res.status(403).send({ error: 'Access denied. Seller privileges required.' });
-  }
-  console.log('Seller authorization successful');
-  next();
-};
+  this.variants.forEach((variant, index) => {
+    if (!variant.sku) {
+      variant.sku = [this._id.toString().slice(-8), variant.size, variant.color].map(skuPart).join('-');
+    }
 
-// Routes
+    const combination = `${variant.size || ''}|${variant.color || ''}`;
+    if (combinations.has(combination)) {
+      this.invalidate(`variants.${index}`, `Duplicate variant for size ${variant.size} / color ${variant.color}`);
+    }
+    if (skus.has(variant.sku.toUpperCase())) {
+      this.invalidate(`variants.${index}.sku`, `Duplicate SKU ${variant.sku}`);
+    }
+    combinations.add(combination);
+    skus.add(variant.sku.toUpperCase());
+  });
 
-// GET /products - Get all products
-app.get('/products', async (req, res) => {
-  try {
-    const { category, minPrice, maxPrice, size, color, page = 1, limit = 10 } = req.query;
-    
-    const query = {};
-    if (category) query.category = category;
-    if (size) query.sizes = size;
-    if (color) query['colors.name'] = color;
-    if (minPrice || maxPrice) {
-      query.price = {};
-      if (minPrice) query.price.$gte = Number(minPrice);
-      if (maxPrice) query.price.$lte = Number(maxPrice);
+  this.stock = this.variants.reduce((sum, variant) => sum + (variant.stock || 0), 0);
+  this.sizes = [...new Set(this.variants.map(variant => variant.size).filter(Boolean))];
+  this.variants.forEach(variant => {
+    if (variant.color && !this.colors.some(color => color.name === variant.color)) {
+      this.colors.push({ name: variant.color });
     }
+  });
 
-    const products = await Product.find(query)
-      .skip((page - 1) * limit)
-      .limit(Number(limit))
-      .sort({ createdAt: -1 });
+  next();
+});
 
-    const total = await Product.countDocuments(query);
+// Exactly one image is primary whenever a product has images
+productSchema.pre('validate', function(next) {
+  const primary = this.images.find(image => image.isPrimary) || this.images[0];
+  this.images.forEach(image => {
+    image.isPrimary = image === primary;
+  });
+  next();
+});
 
-    res.send({
-      products,
-      totalPages: Math.ceil(total / limit),
-      currentPage: page
-    });
-  } catch (error) {
-    console.error('Error fetching products:', error);
-    res.status(500).send(error);
+// Products must use an active category, sizes from its size chart and only the attributes it defines.
+// Saves that don't touch these fields (e.g. stock updates) skip the check.
+productSchema.pre('validate', async function() {
+  const touched = ['category', 'sizes', 'variants', 'attributes'].some(path => this.isModified(path));
+  if (!this.category || (!this.isNew && !touched)) {
+    return;
+  }
+
+  const tree = await getCategoryTree();
+  const category = tree.bySlug.get(this.category);
+  if (!category || !category.isActive) {
+    this.invalidate('category', `Unknown category: ${this.category}`);
+    return;
+  }
+
+  const schema = tree.effectiveSchema(category);
+  if (this.attributes) {
+    coerceAttributes(this.attributes, schema.attributes);
   }
+  validateAgainstCategory(this, schema).forEach(problem => this.invalidate(problem.path, problem.message));
 });
 
-// POST /products - Create new product (sellers only)
-app.post('/products', auth, sellerAuth, async (req, res) => {
-  try {
-    console.log('Create product request:', req.body);
-    console.log('User creating product:', req.user);
+productSchema.pre('validate', async function() {
+  if (!this.slug && this.name) {
+    this.slug = await uniqueProductSlug(this.name, this._id);
+  }
+});
 
-    const product = new Product({
-      ...req.body,
-      sellerId: req.user._id
-    });
+// Keeps price, onSale and discountPercent in line with the regular price and sale schedule,
+// and notes when a sale started or ended for the price history
+productSchema.pre('validate', function(next) {
+  if (this.regularPrice == null) {
+    this.regularPrice = this.price;
+  }
 
-    console.log('Product to be created:', product);
+  const previousSale = this.activeSale ? this.activeSale.toString() : null;
+  const pricing = computePricing(this);
+  Object.assign(this, pricing);
 
-    await product.save();
-    console.log('Product created successfully:', product._id);
+  const currentSale = pricing.activeSale ? pricing.activeSale.toString() : null;
+  if (!this.isNew && currentSale !== previousSale && !this.$locals.priceReason) {
+    this.$locals.priceReason = currentSale ? 'sale_started' : 'sale_ended';
+  }
+  next();
+});
 
-    res.status(201).send(product);
-  } catch (error) {
-    console.error('Error creating product:', error);
-    res.status(400).send(error);
+productSchema.pre('save', function(next) {
+  this.$locals.recordPrice = this.isNew || ['price', 'regularPrice', 'compareAtPrice'].some(path => this.isModified(path));
+  this.$locals.priceReason = this.$locals.priceReason || (this.isNew ? 'created' : 'price_change');
+  next();
+});
+
+// History is written after the product is saved; a failed write is logged, not surfaced
+productSchema.post('save', function(product) {
+  if (!product.$locals.recordPrice) {
+    return;
   }
+
+  PriceHistory.create({
+    productId: product._id,
+    price: product.price,
+    regularPrice: product.regularPrice,
+    compareAtPrice: product.compareAtPrice,
+    discountPercent: product.discountPercent,
+    saleId: product.activeSale,
+    reason: product.$locals.priceReason,
+    changedBy: product.$locals.actor
+  }).catch(error => console.error('Error recording price history:', error.message));
+
+  product.$locals.recordPrice = false;
+  product.$locals.priceReason = null;
 });
 
-// PUT /products/:id - Update product (sellers only)
-app.put('/products/:id', auth, sellerAuth, async (req, res) => {
-  const updates = Object.keys(req.body);
-  const allowedUpdates = ['name', 'description', 'price', 'category', 'sizes', 'colors', 'stock', 'images', 'status'];
-  const isValidOperation = updates.every(update => allowedUpdates.includes(update));
+// The sale schedule is only shown to the seller (GET /products/:id/sales)
+productSchema.set('toJSON', {
+  transform: (doc, product) => {
+    delete product.sales;
+    delete product.nextPriceChangeAt;
+    delete product.restockLines;
+    delete product.reservationLines;
+    return product;
+  }
+});
 
-  if (!isValidOperation) {
-    return res.status(400).send({ error: 'Invalid updates!' });
+// Sold-out products flip to out_of_stock and back when stock returns; inactive ones stay inactive
+productSchema.pre('validate', function(next) {
+  if (this.status === 'active' && this.stock <= 0) {
+    this.status = 'out_of_stock';
+  } else if (this.status === 'out_of_stock' && this.stock > 0) {
+    this.status = 'active';
   }
+  next();
+});
 
-  try {
-    const product = await Product.findOne({
-      _id: req.params.id,
-      sellerId: req.user._id
-    });
+// Works out what a save changes for the version history. "from" values are read from the stored
+// document rather than the loaded one, so stock moved by reservations in the meantime isn't
+// attributed to this change; saves that touch no versioned field record nothing.
+productSchema.pre('save', async function() {
+  const action = this.$locals.versionAction || (this.isNew ? 'created' : 'updated');
+  const fields = VERSIONED_FIELDS.filter(field => this.isNew || this.isModified(field));
+  if (action === 'updated' && fields.length === 0) {
+    return;
+  }
 
-    if (!product) {
-      return res.status(404).send();
-    }
+  const stored = this.isNew ? null : await Product.findById(this._id).setOptions({ withDeleted: true }).lean();
+  const before = stored ? versionState(stored) : null;
+  const current = versionState(this);
+  const after = before
+    ? fields.reduce((state, field) => ({ ...state, [field]: current[field] }), before)
+    : current;
 
-    updates.forEach(update => product[update] = req.body[update]);
-    product.updatedAt = new Date();
-    await product.save();
-    res.send(product);
-  } catch (error) {
-    res.status(400).send(error);
+  const changes = diffStates(before, after, fields);
+  if (action === 'updated' && changes.length === 0) {
+    return;
+  }
+
+  // The number is taken with $inc, so concurrent saves (and stock updates) never share one.
+  // The save leaves the field alone; a failed save just leaves a gap in the numbering.
+  if (this.isNew) {
+    this.version = 1;
+  } else {
+    const allocated = await Product.findOneAndUpdate({ _id: this._id }, { $inc: { version: 1 } }, { new: true, projection: { version: 1 } })
+      .setOptions({ withDeleted: true })
+      .lean();
+    this.version = allocated.version;
+    this.unmarkModified('version');
   }
+  this.$locals.recordVersion = { action, changes, snapshot: after };
 });
 
-// DELETE /products/:id - Delete product (sellers only)
-app.delete('/products/:id', auth, sellerAuth, async (req, res) => {
-  try {
-    const product = await Product.findOneAndDelete({
-      _id: req.params.id,
-      sellerId: req.user._id
-    });
+// Like price history, a failed history write is logged rather than failing the save
+productSchema.post('save', function(product) {
+  const entry = product.$locals.recordVersion;
+  if (!entry) {
+    return;
+  }
 
-    if (!product) {
-      return res.status(404).send();
+  ProductVersion.create({
+    ...entry,
+    productId: product._id,
+    version: product.version,
+    revertedTo: product.$locals.revertedTo,
+    actor: product.$locals.actor
+  }).catch(error => console.error('Error recording product version:', error.message));
+
+  product.$locals.recordVersion = null;
+  product.$locals.versionAction = null;
+  product.$locals.revertedTo = null;
+});
+
+// Soft-deleted products are left out of every query unless it sets { withDeleted: true }
+// or filters on deletedAt itself
+function excludeDeleted() {
+  if (!this.getOptions().withDeleted && this.getFilter().deletedAt === undefined) {
+    this.where({ deletedAt: null });
+  }
+}
+
+productSchema.pre(['find', 'findOne', 'countDocuments', 'findOneAndUpdate', 'updateOne', 'updateMany'], excludeDeleted);
+
+// Aggregations get the same filter in their first $match, which is where $text has to stay
+productSchema.pre('aggregate', function() {
+  const pipeline = this.pipeline();
+  const [first] = pipeline;
+  if (first && first.$match) {
+    if (first.$match.deletedAt === undefined) {
+      pipeline[0] = { $match: { ...first.$match, deletedAt: null } };
     }
+  } else {
+    pipeline.unshift({ $match: { deletedAt: null } });
+  }
+});
 
-    res.send(product);
-  } catch (error) {
-    res.status(500).send(error);
+// SKUs are unique across the whole catalog
+productSchema.index(
+  { 'variants.sku': 1 },
+  { unique: true, partialFilterExpression: { 'variants.sku': { $exists: true } } }
+);
+
+productSchema.index(
+  { slug: 1 },
+  { unique: true, partialFilterExpression: { slug: { $type: 'string' } } }
+);
+
+productSchema.index({ sellerId: 1, status: 1, createdAt: -1 });
+
+productSchema.index(
+  { sellerId: 1, sellerSku: 1 },
+  { unique: true, partialFilterExpression: { sellerSku: { $type: 'string' } } }
+);
+
+productSchema.index({ 'rating.average': -1, 'rating.count': -1 });
+productSchema.index({ onSale: 1, discountPercent: -1 });
+productSchema.index({ nextPriceChangeAt: 1 }, { sparse: true });
+
+// Relevance favours matches in the product name over the description
+productSchema.index(
+  { name: 'text', description: 'text' },
+  { name: 'product_text_search', weights: { name: 10, description: 2 } }
+);
+
+const Product = mongoose.model('Product', productSchema);
+
+// Every change of a product's price, regular price or compare-at price
+const priceHistorySchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  price: Number,
+  regularPrice: Number,
+  compareAtPrice: Number,
+  discountPercent: Number,
+  saleId: mongoose.Schema.Types.ObjectId,
+  reason: {
+    type: String,
+    enum: ['created', 'price_change', 'import', 'sale_started', 'sale_ended', 'sale_cancelled']
+  },
+  // Unset for changes made by the sale scheduler
+  changedBy: mongoose.Schema.Types.ObjectId,
+  changedAt: {
+    type: Date,
+    default: Date.now
   }
 });
 
-// Server Configuration
-const PORT = process.env.PORT || 3002;
+priceHistorySchema.index({ productId: 1, changedAt: -1 });
 
-mongoose.connect(process.env.MONGODB_URI)
-  .then(() => {
-    console.log('Connected to MongoDB:', process.env.MONGODB_URI);
-    app.listen(PORT, () => {
-      console.log(`Product Management Service running on port ${PORT}`);
-      console.log('JWT_SECRET is set:', !!process.env.JWT_SECRET);
-    });
-  })
-  .catch((error) => {
-    console.error('Error connecting to MongoDB:', error);
-  });
+const PriceHistory = mongoose.model('PriceHistory', priceHistorySchema);
+
+// One entry per create, update, delete, restore and revert of a product, and per stock or
+// status change made by reservations and restocks. `changes` lists the fields that changed;
+// `snapshot` holds every versioned field afterwards.
+const productVersionSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['created', 'updated', 'deleted', 'restored', 'reverted', 'stock_changed'],
+    required: true
+  },
+  // Why a stock_changed entry happened: reserved, released, expired, restocked or stock_status
+  reason: String,
+  changes: [{
+    _id: false,
+    field: String,
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }],
+  snapshot: mongoose.Schema.Types.Mixed,
+  // The version a revert went back to
+  revertedTo: Number,
+  // Unset for changes made by the service itself
+  actor: mongoose.Schema.Types.ObjectId,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { minimize: false });
+
+productVersionSchema.index({ productId: 1, version: -1 }, { unique: true });
+
+const ProductVersion = mongoose.model('ProductVersion', productVersionSchema);
+
+// Admin-managed category tree. `ancestors` lists every parent from the root down, so
+// subtree queries and breadcrumbs need no recursion; it is rewritten when a category moves.
+const categorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Stable identifier stored on products; never changes once created
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9]+(?:-[a-z0-9]+)*$/, 'Slug may only contain lowercase letters, digits and dashes']
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  ancestors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  description: String,
+  attributes: [{
+    _id: false,
+    name: {
+      type: String,
+      required: true,
+      match: [/^[a-zA-Z][a-zA-Z0-9_]*$/, 'Attribute names may only contain letters, digits and underscores']
+    },
+    label: String,
+    type: {
+      type: String,
+      enum: ['text', 'number', 'boolean', 'select'],
+      default: 'text'
+    },
+    options: [String],
+    required: {
+      type: Boolean,
+      default: false
+    }
+  }],
+  // Sizes products in this category may use, with optional measurements per size
+  sizeChart: {
+    unit: {
+      type: String,
+      enum: ['cm', 'in'],
+      default: 'cm'
+    },
+    sizes: [{
+      _id: false,
+      size: {
+        type: String,
+        required: true
+      },
+      measurements: {
+        type: Map,
+        of: String
+      }
+    }]
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Sibling names are unique (root categories share parent null)
+categorySchema.index({ parent: 1, name: 1 }, { unique: true });
+categorySchema.index({ ancestors: 1 });
+
+categorySchema.pre('validate', function(next) {
+  const names = this.attributes.map(attribute => attribute.name);
+  names.forEach((name, index) => {
+    if (names.indexOf(name) !== index) {
+      this.invalidate(`attributes.${index}.name`, `Duplicate attribute ${name}`);
+    }
+  });
+
+  this.attributes.forEach((attribute, index) => {
+    if (attribute.type === 'select' && attribute.options.length === 0) {
+      this.invalidate(`attributes.${index}.options`, `Attribute ${attribute.name} needs options`);
+    }
+  });
+
+  const sizes = this.sizeChart ? this.sizeChart.sizes.map(entry => entry.size) : [];
+  if (new Set(sizes).size !== sizes.length) {
+    this.invalidate('sizeChart.sizes', 'Size chart lists a size more than once');
+  }
+  next();
+});
+
+const Category = mongoose.model('Category', categorySchema);
+
+// The fixed categories (and sizes) products used before the taxonomy was managed
+const DEFAULT_CATEGORIES = [
+  { name: 'Clothing', slug: 'clothing', sizes: ['XS', 'S', 'M', 'L', 'XL', 'XXL', '30', '32', '34', '36', '38', '40'] },
+  { name: 'Shoes', slug: 'shoes', sizes: ['36', '38', '40', '41', '42', '43', '44'] },
+  { name: 'Accessories', slug: 'accessories', sizes: ['ONE_SIZE'] },
+  { name: 'Bags', slug: 'bags', sizes: ['ONE_SIZE'] }
+];
+
+// Bulk import jobs; each failed product lists the file rows it came from
+const importJobSchema = new mongoose.Schema({
+  sellerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    index: true
+  },
+  format: {
+    type: String,
+    enum: ['csv', 'json'],
+    required: true
+  },
+  fileName: String,
+  dryRun: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'completed', 'failed'],
+    default: 'queued'
+  },
+  totalProducts: {
+    type: Number,
+    default: 0
+  },
+  processed: {
+    type: Number,
+    default: 0
+  },
+  created: {
+    type: Number,
+    default: 0
+  },
+  updated: {
+    type: Number,
+    default: 0
+  },
+  failed: {
+    type: Number,
+    default: 0
+  },
+  rowErrors: [{
+    _id: false,
+    rows: [Number],
+    sellerSku: String,
+    messages: [String]
+  }],
+  error: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  startedAt: Date,
+  completedAt: Date
+});
+
+const ImportJob = mongoose.model('ImportJob', importJobSchema);
+
+// One review per user and product; hidden reviews are excluded from listings and ratings
+const reviewSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    index: true
+  },
+  rating: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 5,
+    validate: {
+      validator: Number.isInteger,
+      message: 'Rating must be a whole number from 1 to 5'
+    }
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: 150
+  },
+  text: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 5000
+  },
+  photos: [imageSchema],
+  verifiedPurchase: {
+    type: Boolean,
+    default: false
+  },
+  helpfulCount: {
+    type: Number,
+    default: 0
+  },
+  notHelpfulCount: {
+    type: Number,
+    default: 0
+  },
+  votes: [{
+    _id: false,
+    userId: mongoose.Schema.Types.ObjectId,
+    helpful: Boolean
+  }],
+  sellerReply: {
+    text: String,
+    repliedBy: mongoose.Schema.Types.ObjectId,
+    repliedAt: Date
+  },
+  status: {
+    type: String,
+    enum: ['published', 'hidden'],
+    default: 'published'
+  },
+  moderation: {
+    reason: String,
+    moderatedBy: mongoose.Schema.Types.ObjectId,
+    moderatedAt: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+reviewSchema.index({ productId: 1, userId: 1 }, { unique: true });
+reviewSchema.index({ productId: 1, status: 1, createdAt: -1 });
+
+// Who voted is private; only the counts are shown
+reviewSchema.methods.toJSON = function() {
+  const review = this.toObject();
+  delete review.votes;
+  delete review.__v;
+  return review;
+};
+
+const Review = mongoose.model('Review', reviewSchema);
+
+// Stock held for a checkout. The reservation is written (pending) before any stock is taken, and
+// becomes reserved once every line has been; stock is given back on release or expiry, and
+// committing (after payment) keeps it taken. Each status change is made with a conditional update
+// so concurrent release/expiry/commit calls can't restock twice.
+const reservationSchema = new mongoose.Schema({
+  // Caller-chosen id (order-service uses its own reference), so retried requests don't reserve twice
+  reference: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  items: [{
+    _id: false,
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    sku: String,
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    // Set once the line's stock has been taken. Lines of reservations from before lines were
+    // recorded have no flag: they were written with all their stock already taken.
+    taken: Boolean
+  }],
+  status: {
+    type: String,
+    enum: ['pending', 'reserved', 'committed', 'released', 'expired'],
+    default: 'pending'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  releaseReason: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  committedAt: Date,
+  releasedAt: Date
+});
+
+reservationSchema.index({ status: 1, expiresAt: 1 });
+
+// Identifies a reservation line on the products it takes stock from
+const reservationLineOf = (reservation, index) => `${reservation._id}:${index}`;
+
+const Reservation = mongoose.model('Reservation', reservationSchema);
+
+// Stock given back outside a reservation, e.g. returned items. The record is written before the
+// stock moves and each item is marked applied once its stock has, so a retried request with the
+// same reference finishes what the first one didn't and never restocks an item twice.
+// Products remember their last RESTOCK_LINES_KEPT lines, far more than can be waiting to be marked.
+const RESTOCK_LINES_KEPT = 100;
+
+const restockSchema = new mongoose.Schema({
+  reference: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  reason: String,
+  items: [{
+    _id: false,
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    sku: String,
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    applied: {
+      type: Boolean,
+      default: false
+    }
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const Restock = mongoose.model('Restock', restockSchema);
+
+// Search Configuration
+const ANALYTICS_SERVICE_URL = process.env.ANALYTICS_SERVICE_URL || 'http://localhost:3005';
+const SEARCH_VOCABULARY_REFRESH_MS = Number(process.env.SEARCH_VOCABULARY_REFRESH_MS) || 5 * 60 * 1000;
+// Lower bounds of the price facet buckets; anything above the last is grouped together
+const PRICE_BUCKET_BOUNDARIES = [0, 25, 50, 100, 200, 500];
+
+// Image Upload Configuration
+const IMAGE_MAX_BYTES = Number(process.env.IMAGE_MAX_BYTES) || 5 * 1024 * 1024;
+const IMAGE_MAX_FILES_PER_UPLOAD = 10;
+const MAX_IMAGES_PER_PRODUCT = Number(process.env.MAX_IMAGES_PER_PRODUCT) || 12;
+const IMAGE_MIME_TYPES = ['image/jpeg', 'image/png'];
+
+const imageStorage = createStorage();
+
+// Category Cache
+// The taxonomy is small and read on every product save and category filter, so it's cached
+// briefly; this instance's writes clear it straight away
+const CATEGORY_CACHE_TTL_MS = 60 * 1000;
+let categoryCache = { tree: null, loadedAt: 0 };
+
+async function getCategoryTree() {
+  if (categoryCache.tree && Date.now() - categoryCache.loadedAt < CATEGORY_CACHE_TTL_MS) {
+    return categoryCache.tree;
+  }
+
+  const categories = await Category.find().lean();
+  categoryCache = { tree: buildCategoryTree(categories), loadedAt: Date.now() };
+  return categoryCache.tree;
+}
+
+function clearCategoryCache() {
+  categoryCache = { tree: null, loadedAt: 0 };
+}
+
+// Sale Scheduler Configuration
+const PRICE_SCHEDULER_INTERVAL_MS = 60 * 1000;
+
+// Product fields managed by the service (slug, schedule, reviews, history), never set directly
+const SERVER_MANAGED_FIELDS = ['slug', 'version', 'deletedAt', 'deletedBy', 'regularPrice', 'sales', 'activeSale', 'onSale', 'discountPercent', 'nextPriceChangeAt', 'rating'];
+
+// Reservation Configuration
+const RESERVATION_TTL_SECONDS = Number(process.env.RESERVATION_TTL_SECONDS) || 15 * 60;
+const RESERVATION_MAX_TTL_SECONDS = 24 * 60 * 60;
+const RESERVATION_SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Review Configuration
+const ORDER_SERVICE_URL = process.env.ORDER_SERVICE_URL || 'http://localhost:3003';
+const REVIEW_MAX_PHOTOS = 5;
+const REVIEW_SORTS = {
+  recent: { createdAt: -1 },
+  helpful: { helpfulCount: -1, createdAt: -1 },
+  rating_high: { rating: -1, createdAt: -1 },
+  rating_low: { rating: 1, createdAt: -1 }
+};
+
+// Bulk Import Configuration
+const IMPORT_MAX_BYTES = Number(process.env.IMPORT_MAX_BYTES) || 5 * 1024 * 1024;
+const IMPORT_MAX_PRODUCTS = Number(process.env.IMPORT_MAX_PRODUCTS) || 5000;
+const IMPORT_FIELDS = ['name', 'description', 'price', 'compareAtPrice', 'category', 'sizes', 'colors', 'attributes', 'stock', 'variants', 'status'];
+
+// Session Introspection
+// Asks user-service whether the token's session is still live and for the caller's
+// seller approval status; successful lookups are cached briefly
+const USER_SERVICE_URL = process.env.USER_SERVICE_URL || 'http://localhost:3001';
+const introspectSession = createSessionIntrospector({ http: axios, userServiceUrl: USER_SERVICE_URL });
+const apiKeyCache = createSessionCache(sessionCacheOptions());
+
+// Resolves a seller API key to its owner and scopes; cached by key hash
+async function verifyApiKey(key, ip) {
+  const cacheKey = crypto.createHash('sha256').update(key).digest('hex');
+  const cached = apiKeyCache.get(cacheKey);
+  if (cached) {
+    return cached;
+  }
+
+  let verified;
+  try {
+    const response = await axios.post(
+      `${USER_SERVICE_URL}/internal/api-keys/verify`,
+      { key, ip },
+      { headers: { 'X-Internal-Token': process.env.INTERNAL_SERVICE_TOKEN } }
+    );
+    verified = response.data;
+  } catch (error) {
+    apiKeyCache.delete(cacheKey);
+    return null;
+  }
+
+  apiKeyCache.set(cacheKey, verified);
+  return verified;
+}
+
+// Authentication Middleware
+// Accepts a user JWT or a seller API key in the X-API-Key header
+const auth = async (req, res, next) => {
+  try {
+    const apiKey = req.header('X-API-Key');
+    if (apiKey) {
+      const verified = await verifyApiKey(apiKey, req.ip);
+      if (!verified) {
+        throw new Error('Invalid API key');
+      }
+
+      req.user = {
+        _id: verified.user._id,
+        role: verified.user.role,
+        sellerStatus: verified.user.sellerStatus,
+        scopes: verified.scopes,
+        apiKeyId: verified.apiKeyId
+      };
+      return next();
+    }
+
+    console.log('Auth headers:', req.headers);
+    const token = req.header('Authorization').replace('Bearer ', '');
+    console.log('Token received:', token);
+    
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    console.log('Decoded token:', decoded);
+
+    const session = await introspectSession(token);
+    if (!session) {
+      throw new Error('Session has been revoked');
+    }
+    
+    req.user = {
+      _id: decoded._id,
+      role: decoded.role,
+      sellerStatus: session.user.sellerStatus
+    };
+    
+    console.log('User object after auth:', req.user);
+    next();
+  } catch (error) {
+    console.error('Authentication error:', error);
+    res.status(401).send({ error: 'Please authenticate.' });
+  }
+};
+
+// Seller Authentication Middleware
+const sellerAuth = async (req, res, next) => {
+  console.log('SellerAuth - Current user:', req.user);
+  console.log('SellerAuth - User role:', req.user?.role);
+
+  if (req.user.role !== 'seller' && req.user.role !== 'admin') {
+    console.log('Access denied - not a seller or admin');
+    return res.status(403).send({ error: 'Access denied. Seller privileges required.' });
+  }
+  console.log('Seller authorization successful');
+  next();
+};
+
+// Admin Middleware
+const adminAuth = (req, res, next) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).send({ error: 'Access denied. Admin privileges required.' });
+  }
+  next();
+};
+
+// Session User Middleware
+// Shopper actions such as reviews and votes need a signed-in user, not a seller API key
+const sessionUserAuth = (req, res, next) => {
+  if (req.user.apiKeyId) {
+    return res.status(403).send({ error: 'API keys cannot be used for this action' });
+  }
+  next();
+};
+
+// Approved Seller Middleware
+// Listing new products requires an approved seller application (admins are exempt)
+const approvedSellerAuth = async (req, res, next) => {
+  if (req.user.role !== 'admin' && req.user.sellerStatus !== 'approved') {
+    return res.status(403).send({ error: 'Access denied. Seller account has not been approved.' });
+  }
+  next();
+};
+
+// API Key Scope Middleware
+// Requests authenticated with a JWT carry no scopes and may do anything their role allows
+const requireScope = (...scopes) => (req, res, next) => {
+  if (req.user.scopes && !scopes.some(scope => req.user.scopes.includes(scope))) {
+    return res.status(403).send({ error: `API key requires one of the scopes: ${scopes.join(', ')}` });
+  }
+  next();
+};
+
+// Search Helpers
+let searchVocabulary = new Set();
+
+// Distinct terms from every product name and description, rebuilt in the background every
+// SEARCH_VOCABULARY_REFRESH_MS. The database splits the text and removes duplicate words, so
+// only the distinct words are streamed here, never whole products.
+async function refreshSearchVocabulary() {
+  const words = Product.aggregate([
+    { $match: { status: 'active' } },
+    { $project: { words: { $split: [{ $toLower: { $concat: ['$name', ' ', { $ifNull: ['$description', ''] }] } }, ' '] } } },
+    { $unwind: '$words' },
+    { $group: { _id: '$words' } }
+  ]).allowDiskUse(true).cursor();
+
+  const terms = new Set();
+  for await (const word of words) {
+    tokenize(word._id).forEach(term => terms.add(term));
+  }
+  searchVocabulary = terms;
+}
+
+// Searches use whatever vocabulary was built last; they never wait for a rebuild
+const getSearchVocabulary = () => searchVocabulary;
+
+const toFacetCounts = (groups) => groups.map(group => ({ value: group._id, count: group.count }));
+
+async function buildFacets(query) {
+  const [facets] = await Product.aggregate([
+    { $match: query },
+    {
+      $facet: {
+        categories: [
+          { $group: { _id: '$category', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } }
+        ],
+        sizes: [
+          { $unwind: '$sizes' },
+          { $group: { _id: '$sizes', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } }
+        ],
+        colors: [
+          { $unwind: '$colors' },
+          { $group: { _id: '$colors.name', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } }
+        ],
+        priceBuckets: [
+          {
+            $bucket: {
+              groupBy: '$price',
+              boundaries: [...PRICE_BUCKET_BOUNDARIES, Infinity],
+              output: { count: { $sum: 1 } }
+            }
+          }
+        ]
+      }
+    }
+  ]);
+
+  return {
+    categories: toFacetCounts(facets.categories),
+    sizes: toFacetCounts(facets.sizes),
+    colors: toFacetCounts(facets.colors),
+    priceBuckets: facets.priceBuckets.map(bucket => {
+      const index = PRICE_BUCKET_BOUNDARIES.indexOf(bucket._id);
+      return {
+        min: bucket._id,
+        max: index < PRICE_BUCKET_BOUNDARIES.length - 1 ? PRICE_BUCKET_BOUNDARIES[index + 1] : null,
+        count: bucket.count
+      };
+    })
+  };
+}
+
+// Searches are public, so the user is only attributed when a valid token happens to be sent
+function optionalUserId(req) {
+  try {
+    const token = req.header('Authorization').replace('Bearer ', '');
+    return jwt.verify(token, process.env.JWT_SECRET)._id;
+  } catch (error) {
+    return undefined;
+  }
+}
+
+// Fire-and-forget: analytics being down must not break search
+function recordSearchEvent(req, data) {
+  axios.post(`${ANALYTICS_SERVICE_URL}/analytics/process`, {
+    type: 'search',
+    userId: optionalUserId(req),
+    sessionId: req.header('X-Session-Id'),
+    data
+  }).catch(error => console.error('Error recording search event:', error.message));
+}
+
+// Image Helpers
+// Files are buffered in memory, then validated and resized before anything touches storage
+const createImageUpload = (field, maxFiles) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: IMAGE_MAX_BYTES, files: maxFiles },
+    fileFilter: (req, file, cb) => {
+      if (!IMAGE_MIME_TYPES.includes(file.mimetype)) {
+        return cb(Object.assign(new Error('Only JPEG and PNG images are supported'), { status: 400 }));
+      }
+      cb(null, true);
+    }
+  }).array(field, maxFiles);
+
+  return (req, res, next) => upload(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      const message = error.code === 'LIMIT_FILE_SIZE'
+        ? `Images must be ${Math.floor(IMAGE_MAX_BYTES / (1024 * 1024))} MB or smaller`
+        : error.message;
+      return res.status(400).send({ error: message });
+    }
+    if (error) {
+      return res.status(error.status || 500).send({ error: error.message });
+    }
+    next();
+  });
+};
+
+const uploadImages = createImageUpload('images', IMAGE_MAX_FILES_PER_UPLOAD);
+
+// One file at a time to keep memory bounded; any invalid file rejects the whole upload
+async function processImageFiles(files) {
+  const processed = [];
+  for (const file of files) {
+    try {
+      processed.push(await createRenditions(file.buffer));
+    } catch (error) {
+      if (error.status) {
+        error.message = `${file.originalname}: ${error.message}`;
+      }
+      throw error;
+    }
+  }
+  return processed;
+}
+
+// Stores every rendition under the key prefix and returns the image subdocuments;
+// if any write fails, files already written are removed again
+async function storeImages(prefix, processedImages) {
+  const images = [];
+
+  try {
+    for (const processed of processedImages) {
+      const imageId = new mongoose.Types.ObjectId();
+      const image = { _id: imageId, width: processed.width, height: processed.height, renditions: {}, storageKeys: [] };
+      images.push(image);
+
+      for (const name of Object.keys(RENDITIONS)) {
+        const key = `${prefix}/${imageId}-${name}.jpg`;
+        image.storageKeys.push(key);
+        image.renditions[name] = await imageStorage.save(key, processed.renditions[name], 'image/jpeg');
+      }
+      image.url = image.renditions.large;
+    }
+  } catch (error) {
+    await removeImageFiles(images);
+    throw error;
+  }
+
+  return images;
+}
+
+// Cleanup must not fail the request that triggered it; leftovers are only logged
+async function removeImageFiles(images) {
+  const keys = images.flatMap(image => image.storageKeys || []);
+  const results = await Promise.allSettled(keys.map(key => imageStorage.remove(key)));
+
+  results.forEach((result, index) => {
+    if (result.status === 'rejected') {
+      console.error(`Error removing image file ${keys[index]}:`, result.reason.message);
+    }
+  });
+}
+
+// Images sent through PUT /products/:id keep the stored fields of images they already match,
+// so clients can't point storage keys at other files. Returns the images that were dropped.
+function applyImageUpdate(product, images) {
+  if (!Array.isArray(images)) {
+    throw Object.assign(new Error('images must be an array'), { status: 400 });
+  }
+
+  const existing = new Map(product.images.map(image => [image._id.toString(), image]));
+  const kept = new Set();
+
+  product.images = images.map(image => {
+    const current = image && image._id && existing.get(String(image._id));
+    if (current) {
+      kept.add(current._id.toString());
+      return { ...current.toObject(), isPrimary: Boolean(image.isPrimary) };
+    }
+    return { url: image && image.url, isPrimary: Boolean(image && image.isPrimary) };
+  });
+
+  return [...existing.values()].filter(image => !kept.has(image._id.toString()));
+}
+
+// Product Helpers
+const PRODUCT_STATUSES = productSchema.path('status').enumValues;
+
+// Same scheme as category slugs: the name, then a counter when it's taken
+async function uniqueProductSlug(name, productId) {
+  const base = slugify(name) || 'product';
+  // Deleted products keep their slug so they can be restored
+  const taken = (slug) => Product.exists({ slug, _id: { $ne: productId } }).setOptions({ withDeleted: true });
+
+  if (!await taken(base)) return base;
+  for (let counter = 2; ; counter++) {
+    if (!await taken(`${base}-${counter}`)) return `${base}-${counter}`;
+  }
+}
+
+// Products created before slugs existed get one on startup
+async function backfillProductSlugs() {
+  const products = await Product.find({ slug: { $exists: false } }, 'name').setOptions({ withDeleted: true });
+  for (const product of products) {
+    const slug = await uniqueProductSlug(product.name, product._id);
+    await Product.collection.updateOne({ _id: product._id, slug: { $exists: false } }, { $set: { slug } });
+  }
+}
+
+// Public routes that show more to signed-in users; without credentials the request stays anonymous
+const optionalAuth = (req, res, next) => {
+  if (!req.header('Authorization') && !req.header('X-API-Key')) {
+    return next();
+  }
+  auth(req, res, next);
+};
+
+// Other services (req.internal) see every product; anyone else is optionally authenticated
+// and checked with canViewProduct
+const internalOrOptionalAuth = (req, res, next) => {
+  if (isInternalRequest(req)) {
+    req.internal = true;
+    return next();
+  }
+  optionalAuth(req, res, next);
+};
+
+// Shoppers only see active products; admins may list other statuses with ?status= (or ?status=all)
+const adminWhenFilteringStatus = (req, res, next) => {
+  if (!req.query.status || req.query.status === 'active') {
+    return next();
+  }
+  if (req.query.status !== 'all' && !PRODUCT_STATUSES.includes(req.query.status)) {
+    return res.status(400).send({ error: `status must be one of: ${[...PRODUCT_STATUSES, 'all'].join(', ')}` });
+  }
+  auth(req, res, () => adminAuth(req, res, next));
+};
+
+// Inactive products are only shown to their seller and admins
+const canViewProduct = (product, user) => product.status !== 'inactive'
+  || (user && (user.role === 'admin' || product.sellerId.toString() === user._id.toString()));
+
+// Import Helpers
+const importFileUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: IMPORT_MAX_BYTES, files: 1 }
+}).single('file');
+
+const uploadImportFile = (req, res, next) => importFileUpload(req, res, (error) => {
+  if (error instanceof multer.MulterError) {
+    const message = error.code === 'LIMIT_FILE_SIZE'
+      ? `Import files must be ${Math.floor(IMPORT_MAX_BYTES / (1024 * 1024))} MB or smaller`
+      : error.message;
+    return res.status(400).send({ error: message });
+  }
+  if (error) {
+    return res.status(500).send({ error: error.message });
+  }
+  next();
+});
+
+// An explicit ?format= wins, then the file extension, then the upload's content type
+function detectImportFormat(req) {
+  if (req.query.format) {
+    return ['csv', 'json'].includes(req.query.format) ? req.query.format : null;
+  }
+  if (!req.file) {
+    return 'json';
+  }
+
+  const extension = (req.file.originalname || '').split('.').pop().toLowerCase();
+  if (extension === 'csv' || extension === 'json') {
+    return extension;
+  }
+  if (req.file.mimetype === 'text/csv') return 'csv';
+  if (req.file.mimetype === 'application/json') return 'json';
+  return null;
+}
+
+const importError = (message) => Object.assign(new Error(message), { importError: true });
+
+function importErrorMessages(error) {
+  if (error instanceof mongoose.Error.ValidationError) {
+    return Object.values(error.errors).map(entry => entry.message);
+  }
+  return [error.message];
+}
+
+// The unique index would reject these on save; checking first lets dry runs report them too
+async function checkVariantSkusAvailable(product) {
+  const skus = product.variants.map(variant => variant.sku);
+  if (skus.length === 0) return;
+
+  const conflict = await Product.findOne({ _id: { $ne: product._id }, 'variants.sku': { $in: skus } }, 'variants.sku deletedAt')
+    .setOptions({ withDeleted: true });
+  if (conflict) {
+    const taken = conflict.variants.map(variant => variant.sku).filter(sku => skus.includes(sku));
+    const owner = conflict.deletedAt ? 'a deleted product' : 'another product';
+    throw importError(`SKU ${taken.join(', ')} is already used by ${owner}`);
+  }
+}
+
+// Creates or updates one product by sellerSku (or id); returns 'created' or 'updated'.
+// Images may be urls or { url, isPrimary }; urls that are already on the product keep their files.
+async function importProduct(job, data) {
+  if (!data) {
+    throw importError('Entry must be an object');
+  }
+  if (!data.sellerSku && !data.id) {
+    throw importError('sellerSku is required');
+  }
+
+  let product = null;
+  if (data.sellerSku) {
+    product = await Product.findOne({ sellerId: job.sellerId, sellerSku: data.sellerSku });
+  } else if (mongoose.isValidObjectId(data.id)) {
+    product = await Product.findOne({ _id: data.id, sellerId: job.sellerId });
+  }
+
+  if (!product && !data.sellerSku) {
+    throw importError(`Product ${data.id} not found`);
+  }
+  if (!product && await Product.exists({ sellerId: job.sellerId, sellerSku: data.sellerSku, deletedAt: { $ne: null } })) {
+    throw importError(`sellerSku ${data.sellerSku} belongs to a deleted product; restore it or use another sellerSku`);
+  }
+
+  const isNew = !product;
+  if (isNew) {
+    product = new Product({ sellerId: job.sellerId, sellerSku: data.sellerSku });
+  }
+
+  // As with PUT /products/:id, an imported price is the regular price
+  IMPORT_FIELDS.filter(field => data[field] !== undefined).forEach(field => {
+    product[field === 'price' && !isNew ? 'regularPrice' : field] = data[field];
+  });
+  product.$locals.actor = job.sellerId;
+  if (!isNew) {
+    product.$locals.priceReason = 'import';
+  }
+
+  let removedImages = [];
+  if (data.images !== undefined) {
+    if (!Array.isArray(data.images)) {
+      throw importError('images must be an array');
+    }
+    const images = data.images.map(image => {
+      const entry = typeof image === 'string' ? { url: image } : image || {};
+      const existing = product.images.find(current => current.url === entry.url);
+      return existing ? { _id: existing._id, isPrimary: entry.isPrimary } : entry;
+    });
+    removedImages = applyImageUpdate(product, images);
+  }
+
+  product.updatedAt = new Date();
+  await product.validate();
+  await checkVariantSkusAvailable(product);
+
+  if (!job.dryRun) {
+    await product.save();
+    await removeImageFiles(removedImages);
+  }
+
+  return isNew ? 'created' : 'updated';
+}
+
+// Products are imported one by one so a bad row never blocks the rest; progress is saved as it goes
+async function runImportJob(job, entries) {
+  job.status = 'processing';
+  job.startedAt = new Date();
+  job.totalProducts = entries.length;
+  await job.save();
+
+  const seenKeys = new Set();
+
+  try {
+    for (const entry of entries) {
+      const key = entry.data && (entry.data.sellerSku || entry.data.id);
+
+      try {
+        if (key && seenKeys.has(key)) {
+          throw importError(`${key} appears more than once in the file`);
+        }
+        if (key) seenKeys.add(key);
+
+        const outcome = await importProduct(job, entry.data);
+        job[outcome] += 1;
+      } catch (error) {
+        job.failed += 1;
+        job.rowErrors.push({
+          rows: entry.rows,
+          sellerSku: entry.data ? entry.data.sellerSku : undefined,
+          messages: importErrorMessages(error)
+        });
+      }
+
+      job.processed += 1;
+      if (job.processed % 50 === 0) {
+        await job.save();
+      }
+    }
+
+    job.status = 'completed';
+  } catch (error) {
+    console.error('Error running import job:', error.message);
+    job.status = 'failed';
+    job.error = error.message;
+  }
+
+  job.completedAt = new Date();
+  await job.save();
+}
+
+// Pricing Helpers
+
+// Starts and ends scheduled sales that are due; saving re-derives the price
+async function applyScheduledPrices() {
+  const due = await Product.find({ nextPriceChangeAt: { $lte: new Date() } });
+  for (const product of due) {
+    try {
+      await product.save();
+    } catch (error) {
+      console.error(`Error applying scheduled price for product ${product._id}:`, error.message);
+    }
+  }
+}
+
+// Inventory Helpers
+
+// Atomic updates skip the save hooks, so they take their version number in the same update
+// and record it here. `product` is the lean document after the update and `before` holds the
+// versioned fields the update changed, as they were.
+function recordStockVersion(product, before, reason) {
+  const after = versionState(product);
+
+  ProductVersion.create({
+    productId: product._id,
+    version: product.version,
+    action: 'stock_changed',
+    reason,
+    changes: diffStates({ ...after, ...before }, after, Object.keys(before)),
+    snapshot: after
+  }).catch(error => console.error('Error recording product version:', error.message));
+}
+
+// Stock and variants as they were before `quantity` was added to a line
+function stockBefore(product, sku, quantity) {
+  const { stock, variants } = versionState(product);
+  return {
+    stock: stock - quantity,
+    variants: sku && variants
+      ? variants.map(variant => (variant.sku === sku ? { ...variant, stock: variant.stock - quantity } : variant))
+      : variants
+  };
+}
+
+// Keeps status in line with stock after atomic $inc updates, which skip the schema hooks
+async function syncStockStatus(productIds) {
+  const flips = [
+    { from: 'active', to: 'out_of_stock', stock: { $lte: 0 } },
+    { from: 'out_of_stock', to: 'active', stock: { $gt: 0 } }
+  ];
+
+  for (const productId of new Set(productIds.map(String))) {
+    for (const flip of flips) {
+      const product = await Product.findOneAndUpdate(
+        { _id: productId, status: flip.from, stock: flip.stock },
+        { status: flip.to, $inc: { version: 1 } },
+        { new: true }
+      ).lean();
+      if (product) {
+        recordStockVersion(product, { status: flip.from }, 'stock_status');
+      }
+    }
+  }
+}
+
+// Takes stock for one reservation line only if enough is left; returns false when it isn't.
+// Variant lines decrement both the SKU and the product total. The line is recorded on the
+// product in the same update, so its stock is given back exactly once (see returnStock).
+async function takeStock(item, reservationLine) {
+  const filter = item.sku
+    ? { _id: item.productId, status: { $in: ['active', 'out_of_stock'] }, variants: { $elemMatch: { sku: item.sku, stock: { $gte: item.quantity } } } }
+    : { _id: item.productId, status: { $in: ['active', 'out_of_stock'] }, 'variants.0': { $exists: false }, stock: { $gte: item.quantity } };
+  const update = item.sku
+    ? { $inc: { 'variants.$.stock': -item.quantity, stock: -item.quantity, version: 1 } }
+    : { $inc: { stock: -item.quantity, version: 1 } };
+  filter.reservationLines = { $ne: reservationLine };
+  update.$push = { reservationLines: reservationLine };
+
+  const product = await Product.findOneAndUpdate(filter, update, { new: true }).lean();
+  if (!product) {
+    return false;
+  }
+  recordStockVersion(product, stockBefore(product, item.sku, -item.quantity), 'reserved');
+  return true;
+}
+
+// Stock goes back even to deleted products, so it's right if they are restored. A restock line
+// is recorded on the product in the same update, which skips products that already have it;
+// a reservation line is removed from the product in the same update, which skips products that
+// don't hold it (its stock was never taken, or has already been given back).
+async function returnStock(item, reason, { restockLine, reservationLine } = {}) {
+  const [filter, update] = item.sku
+    ? [{ _id: item.productId, 'variants.sku': item.sku }, { $inc: { 'variants.$.stock': item.quantity, stock: item.quantity, version: 1 } }]
+    : [{ _id: item.productId }, { $inc: { stock: item.quantity, version: 1 } }];
+  if (restockLine) {
+    filter.restockLines = { $ne: restockLine };
+    update.$push = { restockLines: { $each: [restockLine], $slice: -RESTOCK_LINES_KEPT } };
+  }
+  if (reservationLine) {
+    filter.reservationLines = reservationLine;
+    update.$pull = { reservationLines: reservationLine };
+  }
+
+  const product = await Product.findOneAndUpdate(filter, update, { new: true }).setOptions({ withDeleted: true }).lean();
+  if (product) {
+    recordStockVersion(product, stockBefore(product, item.sku, item.quantity), reason);
+  }
+}
+
+// Explains why a line couldn't be reserved, for the 409 response
+async function describeUnavailable(item) {
+  const product = mongoose.isValidObjectId(item.productId) ? await Product.findById(item.productId) : null;
+  const variant = product && item.sku ? product.variants.find(entry => entry.sku === item.sku) : null;
+
+  let reason = 'insufficient_stock';
+  if (!product || product.status === 'inactive') reason = 'not_available';
+  else if (item.sku && !variant) reason = 'unknown_sku';
+  else if (!item.sku && product.variants.length > 0) reason = 'sku_required';
+
+  return {
+    productId: item.productId,
+    sku: item.sku,
+    requested: item.quantity,
+    available: variant ? variant.stock : (product && product.variants.length === 0 ? product.stock : 0),
+    reason
+  };
+}
+
+// Gives back the stock a reservation in `fromStatus` took. Lines recorded on the products only
+// come back while the product still holds them, which also covers lines a failed request took
+// before it could mark them. Committing forgets the lines, so a committed reservation's stock and
+// that of reservations from before lines were recorded is given back as it is.
+async function returnReservedStock(reservation, fromStatus, reason) {
+  for (const [index, item] of reservation.items.entries()) {
+    const recorded = fromStatus !== 'committed' && item.taken !== undefined;
+    await returnStock(item, reason, recorded ? { reservationLine: reservationLineOf(reservation, index) } : {});
+  }
+  await syncStockStatus(reservation.items.map(item => item.productId));
+}
+
+// Moves a reservation out of `fromStatuses` and, for release/expiry, gives its stock back.
+// Returns null when the reservation was not in one of those states.
+async function closeReservation(filter, fromStatuses, toStatus, reason) {
+  const timestamps = toStatus === 'committed' ? { committedAt: new Date() } : { releasedAt: new Date(), releaseReason: reason };
+  const previous = await Reservation.findOneAndUpdate(
+    { ...filter, status: { $in: fromStatuses } },
+    { status: toStatus, ...timestamps },
+    { new: false }
+  );
+  if (!previous) {
+    return null;
+  }
+
+  const fromStatus = previous.status;
+  const reservation = Object.assign(previous, { status: toStatus, ...timestamps });
+  if (toStatus === 'committed') {
+    // The stock stays taken for good, so the products no longer need to hold the lines
+    await Product.updateMany(
+      { _id: { $in: reservation.items.map(item => item.productId) } },
+      { $pull: { reservationLines: { $in: reservation.items.map((item, index) => reservationLineOf(reservation, index)) } } }
+    ).setOptions({ withDeleted: true });
+  } else {
+    await returnReservedStock(reservation, fromStatus, toStatus);
+  }
+  return reservation;
+}
+
+// Moves the stock of the restock items that haven't been applied yet, then marks them applied.
+// The product records each line along with its stock, so a line whose stock moved before the
+// service stopped, or that a concurrent retry is applying, isn't added again when it is resumed.
+// Items of records from before `applied` existed have no flag and are left alone.
+async function applyRestock(restock) {
+  const current = await Restock.findById(restock._id).lean();
+  for (const [index, item] of current.items.entries()) {
+    if (item.applied !== false) continue;
+
+    await returnStock(item, 'restocked', { restockLine: `${restock._id}:${index}` });
+    await Restock.updateOne({ _id: restock._id }, { $set: { [`items.${index}.applied`]: true } });
+  }
+  await syncStockStatus(current.items.map(item => item.productId));
+  return Restock.findById(restock._id);
+}
+
+async function expireReservations() {
+  // Pending ones include reservations whose request stopped part-way through taking stock
+  const expired = await Reservation.find({ status: { $in: ['pending', 'reserved'] }, expiresAt: { $lte: new Date() } }, '_id');
+  for (const { _id } of expired) {
+    await closeReservation({ _id, expiresAt: { $lte: new Date() } }, ['pending', 'reserved'], 'expired', 'ttl');
+  }
+}
+
+// Category Helpers
+const CATEGORY_FIELDS = ['name', 'description', 'attributes', 'sizeChart', 'isActive', 'sortOrder'];
+
+// Inactive categories are only listed for admins who ask for them
+const adminWhenIncludingInactive = (req, res, next) => {
+  if (req.query.includeInactive !== 'true') {
+    return next();
+  }
+  auth(req, res, () => adminAuth(req, res, next));
+};
+
+// Slugs come from the name; a taken one gets the parent's slug as prefix, then a counter
+async function uniqueCategorySlug(name, parent) {
+  const base = slugify(name);
+  const candidates = [base];
+  if (parent) candidates.push(`${parent.slug}-${base}`);
+
+  for (const candidate of candidates) {
+    if (candidate && !await Category.exists({ slug: candidate })) return candidate;
+  }
+
+  const prefix = candidates[candidates.length - 1] || 'category';
+  for (let counter = 2; ; counter++) {
+    if (!await Category.exists({ slug: `${prefix}-${counter}` })) return `${prefix}-${counter}`;
+  }
+}
+
+// Seeds the original fixed categories on first start and moves products off the old
+// enum names ('Clothing' becomes 'clothing')
+async function seedDefaultCategories() {
+  if (await Category.estimatedDocumentCount() === 0) {
+    await Category.insertMany(DEFAULT_CATEGORIES.map(({ name, slug, sizes }) => ({
+      name,
+      slug,
+      sizeChart: { sizes: sizes.map(size => ({ size })) }
+    })));
+  }
+
+  for (const { name, slug } of DEFAULT_CATEGORIES) {
+    await Product.collection.updateMany({ category: name }, { $set: { category: slug } });
+  }
+  clearCategoryCache();
+}
+
+// Review Helpers
+const uploadReviewPhotos = createImageUpload('photos', REVIEW_MAX_PHOTOS);
+
+// Asks order-service whether the user has a paid order containing the product.
+// Reviews are still accepted when order-service is down, just without the badge.
+async function hasPurchased(userId, productId) {
+  try {
+    const response = await axios.get(
+      `${ORDER_SERVICE_URL}/internal/users/${encodeURIComponent(userId)}/purchases/${encodeURIComponent(productId)}`,
+      { headers: { 'X-Internal-Token': process.env.INTERNAL_SERVICE_TOKEN || '' } }
+    );
+    return Boolean(response.data.purchased);
+  } catch (error) {
+    console.error('Error checking purchase history:', error.message);
+    return false;
+  }
+}
+
+async function refreshProductRating(productId) {
+  const [stats] = await Review.aggregate([
+    { $match: { productId: new mongoose.Types.ObjectId(productId), status: 'published' } },
+    { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } }
+  ]);
+
+  await Product.updateOne(
+    { _id: productId },
+    { rating: { average: stats ? Math.round(stats.average * 10) / 10 : 0, count: stats ? stats.count : 0 } }
+  );
+}
+
+// Number of published reviews per star rating, e.g. { 1: 0, 2: 1, 3: 0, 4: 5, 5: 12 }
+async function ratingDistribution(productId) {
+  const groups = await Review.aggregate([
+    { $match: { productId: new mongoose.Types.ObjectId(productId), status: 'published' } },
+    { $group: { _id: '$rating', count: { $sum: 1 } } }
+  ]);
+
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  groups.forEach(group => {
+    distribution[group._id] = group.count;
+  });
+  return distribution;
+}
+
+// Loads a review written by the caller (or any review for admins when allowAdmin is set);
+// everyone else gets a 404
+async function findReviewFor(req, res, { allowAdmin = false } = {}) {
+  if (!mongoose.isValidObjectId(req.params.reviewId)) {
+    res.status(404).send({ error: 'Review not found' });
+    return null;
+  }
+
+  const review = await Review.findById(req.params.reviewId);
+  const allowed = review && (review.userId.toString() === String(req.user._id) || (allowAdmin && req.user.role === 'admin'));
+
+  if (!allowed) {
+    res.status(404).send({ error: 'Review not found' });
+    return null;
+  }
+  return review;
+}
+
+// Routes
+
+// Uploaded files are immutable (every image gets a new id), so they can be cached for long
+if (imageStorage.directory) {
+  app.use('/uploads', express.static(imageStorage.directory, { maxAge: '7d', immutable: true }));
+}
+
+// GET /products - Get all active products (admins may pass ?status=)
+app.get('/products', adminWhenFilteringStatus, async (req, res) => {
+  try {
+    const { q, category, minPrice, maxPrice, size, color } = req.query;
+    const page = Math.max(Number(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(Number(req.query.limit) || 10, 1), 100);
+
+    // Anything but a plain string (e.g. ?size[$ne]=M) would reach Mongo as an operator
+    if ([size, color].some(value => value !== undefined && typeof value !== 'string')) {
+      return res.status(400).send({ error: 'size and color must be single values' });
+    }
+    
+    const query = {};
+    if (req.query.status !== 'all') {
+      query.status = req.query.status || 'active';
+    }
+
+    // A category includes all of its subcategories
+    if (category) {
+      const slug = String(category).toLowerCase();
+      const slugs = (await getCategoryTree()).subtreeSlugs(slug);
+      query.category = slugs.length > 0 ? { $in: slugs } : slug;
+    }
+
+    // Size and color only match products with that combination in stock; products
+    // without variants fall back to their listed sizes and colors
+    if (size || color) {
+      const variantMatch = { stock: { $gt: 0 } };
+      const legacyMatch = { 'variants.0': { $exists: false } };
+      if (size) {
+        variantMatch.size = size;
+        legacyMatch.sizes = size;
+      }
+      if (color) {
+        variantMatch.color = color;
+        legacyMatch['colors.name'] = color;
+      }
+      query.$or = [{ variants: { $elemMatch: variantMatch } }, legacyMatch];
+    }
+
+    if (minPrice || maxPrice) {
+      query.price = {};
+      if (minPrice) query.price.$gte = Number(minPrice);
+      if (maxPrice) query.price.$lte = Number(maxPrice);
+    }
+
+    // ?onSale=true and ?minDiscount=30 (percent)
+    if (req.query.onSale === 'true') query.onSale = true;
+    if (req.query.minDiscount) query.discountPercent = { $gte: Number(req.query.minDiscount) };
+
+    // Keyword search: misspelled terms are searched alongside their closest catalog match
+    const search = q ? correctQuery(q, getSearchVocabulary()) : null;
+    if (search && search.terms.length > 0) {
+      query.$text = { $search: search.searchString };
+    }
+
+    // An explicit sort wins over relevance; keyword searches default to relevance
+    const sortOptions = {
+      newest: { createdAt: -1 },
+      rating: { 'rating.average': -1, 'rating.count': -1, createdAt: -1 },
+      discount: { discountPercent: -1, createdAt: -1 }
+    };
+    if (req.query.sort && !sortOptions[req.query.sort]) {
+      return res.status(400).send({ error: `sort must be one of: ${Object.keys(sortOptions).join(', ')}` });
+    }
+
+    const projection = query.$text ? { score: { $meta: 'textScore' } } : {};
+    let sort = query.$text ? { score: { $meta: 'textScore' }, createdAt: -1 } : sortOptions.newest;
+    if (req.query.sort) {
+      sort = sortOptions[req.query.sort];
+    }
+
+    const products = await Product.find(query, projection)
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .sort(sort);
+
+    const total = await Product.countDocuments(query);
+    const facets = await buildFacets(query);
+
+    if (search) {
+      recordSearchEvent(req, {
+        query: q,
+        resultCount: total,
+        suggestion: search.suggestion,
+        filters: { category, minPrice, maxPrice, size, color }
+      });
+    }
+
+    res.send({
+      products,
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      facets,
+      suggestion: search ? search.suggestion : null
+    });
+  } catch (error) {
+    console.error('Error fetching products:', error);
+    res.status(500).send(error);
+  }
+});
+
+// GET /products/batch - Look up several products by id (?ids=id1,id2). Inactive products are
+// left out unless the caller may view them or is another service
+app.get('/products/batch', internalOrOptionalAuth, async (req, res) => {
+  try {
+    const ids = String(req.query.ids || '')
+      .split(',')
+      .filter(id => mongoose.isValidObjectId(id))
+      .slice(0, 100);
+
+    const products = await Product.find({ _id: { $in: ids } });
+    res.send({ products: products.filter(product => req.internal || canViewProduct(product, req.user)) });
+  } catch (error) {
+    res.status(500).send(error);
+  }
+});
+
+// GET /skus/:sku - Look up a product variant by SKU, with the price a shopper pays for it now.
+// Inactive products answer 404 unless the caller may view them or is another service.
+app.get('/skus/:sku', internalOrOptionalAuth, async (req, res) => {
+  try {
+    const sku = req.params.sku.toUpperCase();
+    const product = await Product.findOne({ 'variants.sku': sku });
+
+    if (!product || !(req.internal || canViewProduct(product, req.user))) {
+      return res.status(404).send({ error: 'SKU not found' });
+    }
+
+    const variant = product.variants.find(entry => entry.sku === sku);
+    res.send({ product, variant, price: variantPrice(product, variant) });
+  } catch (error) {
+    res.status(500).send(error);
+  }
+});
+
+// POST /products/imports - Start a bulk import (multipart "file", CSV or JSON; ?dryRun=true validates only)
+app.post('/products/imports', auth, requireScope('products:write'), sellerAuth, approvedSellerAuth, uploadImportFile, async (req, res) => {
+  const format = detectImportFormat(req);
+  if (!format) {
+    return res.status(400).send({ error: 'Unsupported import format. Use CSV or JSON.' });
+  }
+
+  let entries;
+  try {
+    // Without a file, a JSON body ([...] or { products: [...] }) is imported directly
+    const buffer = req.file ? req.file.buffer : Buffer.from(JSON.stringify(req.body));
+    entries = parseImportFile(buffer, format);
+  } catch (error) {
+    return res.status(error.status || 400).send({ error: error.message });
+  }
+
+  if (entries.length === 0) {
+    return res.status(400).send({ error: 'Import file contains no products' });
+  }
+  if (entries.length > IMPORT_MAX_PRODUCTS) {
+    return res.status(400).send({ error: `Imports are limited to ${IMPORT_MAX_PRODUCTS} products` });
+  }
+
+  try {
+    const job = await ImportJob.create({
+      sellerId: req.user._id,
+      format,
+      fileName: req.file ? req.file.originalname : undefined,
+      dryRun: req.query.dryRun === 'true'
+    });
+
+    runImportJob(job, entries).catch(error => console.error('Error saving import job:', error.message));
+
+    res.status(202).send(job);
+  } catch (error) {
+    res.status(500).send(error);
+  }
+});
+
+// GET /products/imports - Recent import jobs of the current seller
+app.get('/products/imports', auth, requireScope('products:read', 'products:write'), sellerAuth, async (req, res) => {
+  try {
+    const jobs = await ImportJob.find({ sellerId: req.user._id })
+      .select('-rowErrors')
+      .sort({ createdAt: -1 })
+      .limit(20);
+    res.send(jobs);
+  } catch (error) {
+    res.status(500).send(error);
+  }
+});
+
+// GET /products/imports/:jobId - Import progress and per-row errors
+app.get('/products/imports/:jobId', auth, requireScope('products:read', 'products:write'), sellerAuth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.jobId)) {
+      return res.status(404).send();
+    }
+
+    const job = await ImportJob.findOne({ _id: req.params.jobId, sellerId: req.user._id });
+    if (!job) {
+      return res.status(404).send();
+    }
+
+    res.send(job);
+  } catch (error) {
+    res.status(500).send(error);
+  }
+});
+
+// GET /products/export - Download the current seller's catalog (?format=csv|json)
+app.get('/products/export', auth, requireScope('products:read', 'products:write'), sellerAuth, async (req, res) => {
+  const format = req.query.format || 'csv';
+  if (!['csv', 'json'].includes(format)) {
+    return res.status(400).send({ error: 'Unsupported export format. Use csv or json.' });
+  }
+
+  try {
+    const products = await Product.find({ sellerId: req.user._id }).sort({ createdAt: 1 });
+
+    res.attachment(`catalog-${new Date().toISOString().slice(0, 10)}.${format}`);
+    res.type(format);
+    res.send(serializeCatalog(products, format));
+  } catch (error) {
+    res.status(500).send(error);
+  }
+});
+
+// GET /products/slug/:slug - Get a product by its slug
+app.get('/products/slug/:slug', optionalAuth, async (req, res) => {
+  try {
+    const product = await Product.findOne({ slug: req.params.slug.toLowerCase() });
+
+    if (!product || !canViewProduct(product, req.user)) {
+      return res.status(404).send({ error: 'Product not found' });
+    }
+
+    res.send(product);
+  } catch (error) {
+    res.status(500).send(error);
+  }
+});
+
+// GET /products/:id - Get a product by id
+app.get('/products/:id', optionalAuth, async (req, res) => {
+  try {
+    const product = mongoose.isValidObjectId(req.params.id) ? await Product.findById(req.params.id) : null;
+
+    if (!product || !canViewProduct(product, req.user)) {
+      return res.status(404).send({ error: 'Product not found' });
+    }
+
+    res.send(product);
+  } catch (error) {
+    res.status(500).send(error);
+  }
+});
+
+// GET /seller/products - List the seller's own products in every status (?status= filters,
+// ?deleted=true lists deleted ones), with the number of products per status
+app.get('/seller/products', auth, requireScope('products:read', 'products:write'), sellerAuth, async (req, res) => {
+  try {
+    const { status } = req.query;
+    const page = Math.max(Number(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 100);
+    if (status && !PRODUCT_STATUSES.includes(status)) {
+      return res.status(400).send({ error: `status must be one of: ${PRODUCT_STATUSES.join(', ')}` });
+    }
+
+    const sellerId = new mongoose.Types.ObjectId(req.user._id);
+    const query = status ? { sellerId, status } : { sellerId };
+    if (req.query.deleted === 'true') {
+      query.deletedAt = { $ne: null };
+    }
+
+    const [products, total, statusCounts, deleted] = await Promise.all([
+      Product.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Product.countDocuments(query),
+      Product.aggregate([
+        { $match: { sellerId } },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ]),
+      Product.countDocuments({ sellerId, deletedAt: { $ne: null } })
+    ]);
+
+    const counts = Object.fromEntries(PRODUCT_STATUSES.map(entry => [entry, 0]));
+    counts.deleted = deleted;
+    statusCounts.forEach(entry => {
+      counts[entry._id] = entry.count;
+    });
+
+    res.send({
+      products,
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      counts
+    });
+  } catch (error) {
+    res.status(500).send(error);
+  }
+});
+
+// POST /products - Create new product (sellers only)
+app.post('/products', auth, requireScope('products:write'), sellerAuth, approvedSellerAuth, async (req, res) => {
+  try {
+    console.log('Create product request:', req.body);
+    console.log('User creating product:', req.user);
+
+    const fields = { ...req.body };
+    SERVER_MANAGED_FIELDS.forEach(field => delete fields[field]);
+
+    const product = new Product({
+      ...fields,
+      images: [],
+      sellerId: req.user._id
+    });
+    product.$locals.actor = req.user._id;
+    if (req.body.images !== undefined) {
+      applyImageUpdate(product, req.body.images);
+    }
+
+    console.log('Product to be created:', product);
+
+    await product.save();
+    console.log('Product created successfully:', product._id);
+
+    res.status(201).send(product);
+  } catch (error) {
+    console.error('Error creating product:', error);
+    if (error.status) {
+      return res.status(error.status).send({ error: error.message });
+    }
+    res.status(400).send(error);
+  }
+});
+
+// PUT /products/:id - Update product (sellers only)
+app.put('/products/:id', auth, requireScope('products:write'), sellerAuth, async (req, res) => {
+  const updates = Object.keys(req.body);
+  const allowedUpdates = ['sellerSku', 'name', 'description', 'price', 'compareAtPrice', 'category', 'sizes', 'colors', 'attributes', 'stock', 'variants', 'images', 'status'];
+  const isValidOperation = updates.every(update => allowedUpdates.includes(update));
+
+  if (!isValidOperation) {
+    return res.status(400).send({ error: 'Invalid updates!' });
+  }
+
+  try {
+    const product = await Product.findOne({
+      _id: req.params.id,
+      sellerId: req.user._id
+    });
+
+    if (!product) {
+      return res.status(404).send();
+    }
+
+    let removedImages = [];
+    if (updates.includes('images')) {
+      removedImages = applyImageUpdate(product, req.body.images);
+    }
+
+    // Sellers set the regular price; the price shoppers pay follows from any active sale
+    updates.filter(update => update !== 'images').forEach(update => {
+      product[update === 'price' ? 'regularPrice' : update] = req.body[update];
+    });
+    product.$locals.actor = req.user._id;
+    product.updatedAt = new Date();
+    await product.save();
+    await removeImageFiles(removedImages);
+    res.send(product);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).send({ error: error.message });
+    }
+    res.status(400).send(error);
+  }
+});
+
+// DELETE /products/:id - Delete product (sellers only). Deletes are soft: images and reviews
+// are kept so the product can be restored.
+app.delete('/products/:id', auth, requireScope('products:write'), sellerAuth, async (req, res) => {
+  try {
+    const product = await Product.findOne({
+      _id: req.params.id,
+      sellerId: req.user._id
+    });
+
+    if (!product) {
+      return res.status(404).send();
+    }
+
+    product.deletedAt = new Date();
+    product.deletedBy = req.user._id;
+    product.$locals.versionAction = 'deleted';
+    product.$locals.actor = req.user._id;
+    product.updatedAt = new Date();
+    await product.save({ validateBeforeSave: false });
+    res.send(product);
+  } catch (error) {
+    res.status(500).send(error);
+  }
+});
+
+// POST /products/:id/restore - Restore a deleted product (sellers only)
+app.post('/products/:id/restore', auth, requireScope('products:write'), sellerAuth, async (req, res) => {
+  try {
+    const product = await Product.findOne({
+      _id: req.params.id,
+      sellerId: req.user._id,
+      deletedAt: { $ne: null }
+    });
+
+    if (!product) {
+      return res.status(404).send();
+    }
+
+    product.deletedAt = null;
+    product.deletedBy = undefined;
+    product.$locals.versionAction = 'restored';
+    product.$locals.actor = req.user._id;
+    product.updatedAt = new Date();
+    await product.save({ validateBeforeSave: false });
+    res.send(product);
+  } catch (error) {
+    res.status(500).send(error);
+  }
+});
+
+// PUT /products/:id/stock - Update stock only (sellers, or API keys with inventory:write)
+app.put('/products/:id/stock', auth, requireScope('products:write', 'inventory:write'), sellerAuth, async (req, res) => {
+  const { stock } = req.body;
+  if (!Number.isInteger(stock) || stock < 0) {
+    return res.status(400).send({ error: 'Stock must be a non-negative integer' });
+  }
+
+  try {
+    const product = await Product.findOne({ _id: req.params.id, sellerId: req.user._id });
+
+    if (!product) {
+      return res.status(404).send();
+    }
+
+    if (product.variants.length > 0) {
+      return res.status(400).send({ error: 'Product has variants. Update stock per SKU instead.' });
+    }
+
+    product.stock = stock;
+    product.$locals.actor = req.user._id;
+    product.updatedAt = new Date();
+    await product.save();
+    res.send(product);
+  } catch (error) {
+    res.status(400).send(error);
+  }
+});
+
+// PUT /products/:id/variants/:sku/stock - Update stock for one SKU (sellers, or API keys with inventory:write)
+app.put('/products/:id/variants/:sku/stock', auth, requireScope('products:write', 'inventory:write'), sellerAuth, async (req, res) => {
+  const { stock } = req.body;
+  if (!Number.isInteger(stock) || stock < 0) {
+    return res.status(400).send({ error: 'Stock must be a non-negative integer' });
+  }
+
+  try {
+    const product = await Product.findOne({ _id: req.params.id, sellerId: req.user._id });
+    const variant = product && product.variants.find(entry => entry.sku === req.params.sku.toUpperCase());
+
+    if (!variant) {
+      return res.status(404).send();
+    }
+
+    variant.stock = stock;
+    product.$locals.actor = req.user._id;
+    product.updatedAt = new Date();
+    await product.save();
+    res.send(product);
+  } catch (error) {
+    res.status(400).send(error);
+  }
+});
+
+// POST /products/:id/images - Upload images (multipart field "images"); renditions are generated
+app.post('/products/:id/images', auth, requireScope('products:write'), sellerAuth, uploadImages, async (req, res) => {
+  try {
+    const product = await Product.findOne({ _id: req.params.id, sellerId: req.user._id });
+
+    if (!product) {
+      return res.status(404).send();
+    }
+
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).send({ error: 'No images uploaded' });
+    }
+
+    if (product.images.length + req.files.length > MAX_IMAGES_PER_PRODUCT) {
+      return res.status(400).send({ error: `A product can have at most ${MAX_IMAGES_PER_PRODUCT} images` });
+    }
+
+    const processed = await processImageFiles(req.files);
+    const images = await storeImages(`products/${product._id}`, processed);
+    try {
+      product.images.push(...images);
+      product.$locals.actor = req.user._id;
+      product.updatedAt = new Date();
+      await product.save();
+    } catch (error) {
+      await removeImageFiles(images);
+      throw error;
+    }
+
+    res.status(201).send(product);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).send({ error: error.message });
+    }
+    console.error('Error uploading images:', error.message);
+    res.status(500).send({ error: 'Unable to store images' });
+  }
+});
+
+// PUT /products/:id/images/order - Reorder images ({ imageIds: [...] } listing every image once)
+app.put('/products/:id/images/order', auth, requireScope('products:write'), sellerAuth, async (req, res) => {
+  const { imageIds } = req.body;
+  if (!Array.isArray(imageIds)) {
+    return res.status(400).send({ error: 'imageIds must be an array' });
+  }
+
+  try {
+    const product = await Product.findOne({ _id: req.params.id, sellerId: req.user._id });
+
+    if (!product) {
+      return res.status(404).send();
+    }
+
+    const byId = new Map(product.images.map(image => [image._id.toString(), image]));
+    const ids = imageIds.map(String);
+    if (ids.length !== byId.size || new Set(ids).size !== ids.length || !ids.every(id => byId.has(id))) {
+      return res.status(400).send({ error: 'imageIds must list every image of the product exactly once' });
+    }
+
+    product.images = ids.map(id => byId.get(id).toObject());
+    product.$locals.actor = req.user._id;
+    product.updatedAt = new Date();
+    await product.save();
+    res.send(product);
+  } catch (error) {
+    res.status(400).send(error);
+  }
+});
+
+// PUT /products/:id/images/:imageId/primary - Make an image the primary one
+app.put('/products/:id/images/:imageId/primary', auth, requireScope('products:write'), sellerAuth, async (req, res) => {
+  try {
+    const product = await Product.findOne({ _id: req.params.id, sellerId: req.user._id });
+    const image = product && product.images.id(req.params.imageId);
+
+    if (!image) {
+      return res.status(404).send();
+    }
+
+    product.images.forEach(entry => {
+      entry.isPrimary = entry === image;
+    });
+    product.$locals.actor = req.user._id;
+    product.updatedAt = new Date();
+    await product.save();
+    res.send(product);
+  } catch (error) {
+    res.status(400).send(error);
+  }
+});
+
+// DELETE /products/:id/images/:imageId - Remove an image and its files
+app.delete('/products/:id/images/:imageId', auth, requireScope('products:write'), sellerAuth, async (req, res) => {
+  try {
+    const product = await Product.findOne({ _id: req.params.id, sellerId: req.user._id });
+    const image = product && product.images.id(req.params.imageId);
+
+    if (!image) {
+      return res.status(404).send();
+    }
+
+    const removed = image.toObject();
+    product.images.pull(image._id);
+    product.$locals.actor = req.user._id;
+    product.updatedAt = new Date();
+    await product.save();
+    await removeImageFiles([removed]);
+    res.send(product);
+  } catch (error) {
+    res.status(500).send(error);
+  }
+});
+
+// Pricing Routes
+
+const salesView = (product) => ({
+  price: product.price,
+  regularPrice: product.regularPrice,
+  compareAtPrice: product.compareAtPrice,
+  onSale: product.onSale,
+  discountPercent: product.discountPercent,
+  activeSale: product.activeSale,
+  sales: product.sales
+});
+
+// GET /products/:id/sales - Sale schedule of one of your products
+app.get('/products/:id/sales', auth, requireScope('products:read', 'products:write'), sellerAuth, async (req, res) => {
+  try {
+    const product = await Product.findOne({ _id: req.params.id, sellerId: req.user._id });
+    if (!product) {
+      return res.status(404).send();
+    }
+    res.send(salesView(product));
+  } catch (error) {
+    res.status(400).send(error);
+  }
+});
+
+// POST /products/:id/sales - Schedule a sale ({ salePrice } or { percentOff }, startsAt, optional endsAt and name)
+app.post('/products/:id/sales', auth, requireScope('products:write'), sellerAuth, async (req, res) => {
+  const { name, salePrice, percentOff } = req.body;
+  const startsAt = req.body.startsAt ? new Date(req.body.startsAt) : new Date();
+  const endsAt = req.body.endsAt ? new Date(req.body.endsAt) : null;
+
+  if ((salePrice == null) === (percentOff == null)) {
+    return res.status(400).send({ error: 'Provide either salePrice or percentOff' });
+  }
+  if (Number.isNaN(startsAt.getTime()) || (endsAt && Number.isNaN(endsAt.getTime()))) {
+    return res.status(400).send({ error: 'startsAt and endsAt must be valid dates' });
+  }
+  if (endsAt && (endsAt <= startsAt || endsAt <= new Date())) {
+    return res.status(400).send({ error: 'endsAt must be in the future and after startsAt' });
+  }
+
+  try {
+    const product = await Product.findOne({ _id: req.params.id, sellerId: req.user._id });
+    if (!product) {
+      return res.status(404).send();
+    }
+
+    if (salePrice != null && !(salePrice < (product.regularPrice ?? product.price))) {
+      return res.status(400).send({ error: 'salePrice must be below the regular price' });
+    }
+
+    const sale = { name, salePrice, percentOff, startsAt, endsAt, createdBy: req.user._id };
+    const overlapping = findOverlappingSale(product.sales, sale);
+    if (overlapping) {
+      return res.status(409).send({ error: 'The sale overlaps another scheduled sale', sale: overlapping });
+    }
+
+    product.sales.push(sale);
+    product.$locals.actor = req.user._id;
+    product.updatedAt = new Date();
+    await product.save();
+    res.status(201).send(salesView(product));
+  } catch (error) {
+    res.status(400).send(error);
+  }
+});
+
+// DELETE /products/:id/sales/:saleId - Cancel a scheduled or running sale
+app.delete('/products/:id/sales/:saleId', auth, requireScope('products:write'), sellerAuth, async (req, res) => {
+  try {
+    const product = await Product.findOne({ _id: req.params.id, sellerId: req.user._id });
+    const sale = product && product.sales.id(req.params.saleId);
+    if (!sale || sale.cancelledAt) {
+      return res.status(404).send();
+    }
+
+    sale.cancelledAt = new Date();
+    product.$locals.actor = req.user._id;
+    product.$locals.priceReason = 'sale_cancelled';
+    product.updatedAt = new Date();
+    await product.save();
+    res.send(salesView(product));
+  } catch (error) {
+    res.status(400).send(error);
+  }
+});
+
+// GET /products/:id/price-history - Price changes, newest first (the product's seller or an admin)
+app.get('/products/:id/price-history', auth, requireScope('products:read', 'products:write'), sellerAuth, async (req, res) => {
+  try {
+    const filter = req.user.role === 'admin' ? { _id: req.params.id } : { _id: req.params.id, sellerId: req.user._id };
+    if (!await Product.exists(filter)) {
+      return res.status(404).send();
+    }
+
+    const page = Math.max(Number(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+    const [history, total] = await Promise.all([
+      PriceHistory.find({ productId: req.params.id }).sort({ changedAt: -1 }).skip((page - 1) * limit).limit(limit),
+      PriceHistory.countDocuments({ productId: req.params.id })
+    ]);
+
+    res.send({ history, total, totalPages: Math.ceil(total / limit), currentPage: page });
+  } catch (error) {
+    res.status(400).send(error);
+  }
+});
+
+// History Routes
+
+// The product's seller, or an admin, may see its history; deleted products included
+const historyFilter = (req) => (req.user.role === 'admin'
+  ? { _id: req.params.id }
+  : { _id: req.params.id, sellerId: req.user._id });
+
+// GET /products/:id/history - Versions of a product, newest first, with the fields each one changed
+app.get('/products/:id/history', auth, requireScope('products:read', 'products:write'), sellerAuth, async (req, res) => {
+  try {
+    if (!await Product.exists(historyFilter(req)).setOptions({ withDeleted: true })) {
+      return res.status(404).send();
+    }
+
+    const page = Math.max(Number(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 100);
+    const [versions, total] = await Promise.all([
+      ProductVersion.find({ productId: req.params.id }, '-snapshot').sort({ version: -1 }).skip((page - 1) * limit).limit(limit),
+      ProductVersion.countDocuments({ productId: req.params.id })
+    ]);
+
+    res.send({ versions, total, totalPages: Math.ceil(total / limit), currentPage: page });
+  } catch (error) {
+    res.status(400).send(error);
+  }
+});
+
+// GET /products/:id/history/:version - One version, including the full snapshot of the product after it
+app.get('/products/:id/history/:version', auth, requireScope('products:read', 'products:write'), sellerAuth, async (req, res) => {
+  try {
+    if (!await Product.exists(historyFilter(req)).setOptions({ withDeleted: true })) {
+      return res.status(404).send();
+    }
+
+    const version = await ProductVersion.findOne({ productId: req.params.id, version: Number(req.params.version) });
+    if (!version) {
+      return res.status(404).send({ error: 'Version not found' });
+    }
+
+    res.send(version);
+  } catch (error) {
+    res.status(400).send(error);
+  }
+});
+
+// POST /products/:id/history/:version/revert - Put the product's details back to a version
+// (sellers only). Stock and images stay as they are; the revert is recorded as a new version.
+app.post('/products/:id/history/:version/revert', auth, requireScope('products:write'), sellerAuth, async (req, res) => {
+  try {
+    const product = await Product.findOne({ _id: req.params.id, sellerId: req.user._id });
+    if (!product) {
+      return res.status(404).send();
+    }
+
+    const version = await ProductVersion.findOne({ productId: product._id, version: Number(req.params.version) });
+    if (!version || !version.snapshot) {
+      return res.status(404).send({ error: 'Version not found' });
+    }
+
+    const state = revertState(version.snapshot, product.toObject());
+    Object.entries(state).forEach(([field, value]) => {
+      product[field] = value;
+    });
+    product.$locals.versionAction = 'reverted';
+    product.$locals.revertedTo = version.version;
+    product.$locals.actor = req.user._id;
+    product.updatedAt = new Date();
+    await product.save();
+    res.send(product);
+  } catch (error) {
+    res.status(400).send(error);
+  }
+});
+
+// Category Routes
+
+// GET /categories - Category tree (?flat=true for a flat list; admins may add ?includeInactive=true)
+app.get('/categories', adminWhenIncludingInactive, async (req, res) => {
+  try {
+    const tree = await getCategoryTree();
+    const includeInactive = req.query.includeInactive === 'true';
+
+    // A category is hidden when it or any of its parents is inactive
+    const visible = (category) => includeInactive ||
+      (category.isActive && tree.ancestorsOf(category).every(ancestor => ancestor.isActive));
+
+    if (req.query.flat === 'true') {
+      const categories = [...tree.byId.values()]
+        .filter(visible)
+        .map(category => ({ ...category, path: tree.effectiveSchema(category).breadcrumb.map(entry => entry.name).join(' > ') }))
+        .sort((a, b) => a.path.localeCompare(b.path));
+      return res.send(categories);
+    }
+
+    res.send(tree.toNested(visible));
+  } catch (error) {
+    res.status(500).send(error);
+  }
+});
+
+// GET /categories/:slug - A category with its inherited attributes, size chart, breadcrumb and children
+app.get('/categories/:slug', async (req, res) => {
+  try {
+    const tree = await getCategoryTree();
+    const category = tree.bySlug.get(req.params.slug.toLowerCase());
+
+    if (!category) {
+      return res.status(404).send({ error: 'Category not found' });
+    }
+
+    const children = [...tree.byId.values()]
+      .filter(entry => entry.parent && entry.parent.toString() === category._id.toString() && entry.isActive)
+      .map(entry => ({ name: entry.name, slug: entry.slug }));
+
+    res.send({ ...category, ...tree.effectiveSchema(category), children });
+  } catch (error) {
+    res.status(500).send(error);
+  }
+});
+
+// POST /categories - Create a category (admin only; { name, parent: "<parent slug>", attributes, sizeChart })
+app.post('/categories', auth, sessionUserAuth, adminAuth, async (req, res) => {
+  try {
+    let parent = null;
+    if (req.body.parent) {
+      parent = await Category.findOne({ slug: String(req.body.parent).toLowerCase() });
+      if (!parent) {
+        return res.status(400).send({ error: 'Parent category not found' });
+      }
+    }
+
+    const category = new Category({
+      ...CATEGORY_FIELDS.reduce((fields, field) => (req.body[field] !== undefined ? { ...fields, [field]: req.body[field] } : fields), {}),
+      slug: req.body.slug ? slugify(req.body.slug) : await uniqueCategorySlug(req.body.name, parent),
+      parent: parent ? parent._id : null,
+      ancestors: parent ? [...parent.ancestors, parent._id] : []
+    });
+
+    await category.save();
+    clearCategoryCache();
+    res.status(201).send(category);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).send({ error: 'A category with this slug or name already exists here' });
+    }
+    res.status(400).send(error);
+  }
+});
+
+// PUT /categories/:slug - Update or move a category (admin only; the slug never changes)
+app.put('/categories/:slug', auth, sessionUserAuth, adminAuth, async (req, res) => {
+  const updates = Object.keys(req.body);
+  if (!updates.every(update => [...CATEGORY_FIELDS, 'parent'].includes(update))) {
+    return res.status(400).send({ error: 'Invalid updates!' });
+  }
+
+  try {
+    const category = await Category.findOne({ slug: req.params.slug.toLowerCase() });
+    if (!category) {
+      return res.status(404).send({ error: 'Category not found' });
+    }
+
+    updates.filter(update => update !== 'parent').forEach(update => category[update] = req.body[update]);
+
+    const moving = updates.includes('parent');
+    if (moving) {
+      const parent = req.body.parent ? await Category.findOne({ slug: String(req.body.parent).toLowerCase() }) : null;
+      if (req.body.parent && !parent) {
+        return res.status(400).send({ error: 'Parent category not found' });
+      }
+      if (parent && (parent._id.equals(category._id) || parent.ancestors.some(id => id.equals(category._id)))) {
+        return res.status(400).send({ error: 'A category cannot be moved under itself' });
+      }
+
+      category.parent = parent ? parent._id : null;
+      category.ancestors = parent ? [...parent.ancestors, parent._id] : [];
+    }
+
+    category.updatedAt = new Date();
+    await category.save();
+
+    // Descendants keep their path below the moved category and take its new path above
+    if (moving) {
+      const descendants = await Category.find({ ancestors: category._id });
+      for (const descendant of descendants) {
+        const index = descendant.ancestors.findIndex(id => id.equals(category._id));
+        descendant.ancestors = [...category.ancestors, ...descendant.ancestors.slice(index)];
+        await descendant.save();
+      }
+    }
+
+    clearCategoryCache();
+    res.send(category);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).send({ error: 'A category with this name already exists here' });
+    }
+    res.status(400).send(error);
+  }
+});
+
+// DELETE /categories/:slug - Delete an empty category (admin only); deactivate categories that are in use
+app.delete('/categories/:slug', auth, sessionUserAuth, adminAuth, async (req, res) => {
+  try {
+    const category = await Category.findOne({ slug: req.params.slug.toLowerCase() });
+    if (!category) {
+      return res.status(404).send({ error: 'Category not found' });
+    }
+
+    if (await Category.exists({ parent: category._id })) {
+      return res.status(409).send({ error: 'Category has subcategories. Move or delete them first.' });
+    }
+    if (await Product.exists({ category: category.slug }).setOptions({ withDeleted: true })) {
+      return res.status(409).send({ error: 'Category still has products (including deleted ones). Move them or deactivate the category instead.' });
+    }
+
+    await category.deleteOne();
+    clearCategoryCache();
+    res.send(category);
+  } catch (error) {
+    res.status(500).send(error);
+  }
+});
+
+// Review Routes
+
+// GET /products/:id/reviews - Published reviews (?sort=recent|helpful|rating_high|rating_low&rating=5&page=1)
+app.get('/products/:id/reviews', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).send({ error: 'Product not found' });
+    }
+
+    const sort = REVIEW_SORTS[req.query.sort || 'recent'];
+    if (!sort) {
+      return res.status(400).send({ error: `sort must be one of: ${Object.keys(REVIEW_SORTS).join(', ')}` });
+    }
+
+    const rating = req.query.rating ? Number(req.query.rating) : undefined;
+    if (rating !== undefined && !(Number.isInteger(rating) && rating >= 1 && rating <= 5)) {
+      return res.status(400).send({ error: 'rating must be a whole number from 1 to 5' });
+    }
+
+    const page = Math.max(Number(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(Number(req.query.limit) || 10, 1), 50);
+    const query = { productId: req.params.id, status: 'published' };
+    if (rating) query.rating = rating;
+    if (req.query.verified === 'true') query.verifiedPurchase = true;
+
+    const [reviews, total, product, distribution] = await Promise.all([
+      Review.find(query).sort(sort).skip((page - 1) * limit).limit(limit),
+      Review.countDocuments(query),
+      Product.findById(req.params.id, 'rating'),
+      ratingDistribution(req.params.id)
+    ]);
+
+    if (!product) {
+      return res.status(404).send({ error: 'Product not found' });
+    }
+
+    res.send({
+      reviews,
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      summary: { average: product.rating.average, count: product.rating.count, distribution }
+    });
+  } catch (error) {
+    res.status(500).send(error);
+  }
+});
+
+// POST /products/:id/reviews - Review a product (rating, title, text and up to 5 "photos")
+app.post('/products/:id/reviews', auth, sessionUserAuth, uploadReviewPhotos, async (req, res) => {
+  try {
+    const product = mongoose.isValidObjectId(req.params.id) ? await Product.findById(req.params.id) : null;
+    if (!product) {
+      return res.status(404).send({ error: 'Product not found' });
+    }
+
+    if (product.sellerId.toString() === String(req.user._id)) {
+      return res.status(403).send({ error: 'Sellers cannot review their own products' });
+    }
+
+    if (await Review.exists({ productId: product._id, userId: req.user._id })) {
+      return res.status(409).send({ error: 'You have already reviewed this product' });
+    }
+
+    const review = new Review({
+      _id: new mongoose.Types.ObjectId(),
+      productId: product._id,
+      userId: req.user._id,
+      rating: Number(req.body.rating),
+      title: req.body.title,
+      text: req.body.text,
+      verifiedPurchase: await hasPurchased(req.user._id, product._id)
+    });
+    await review.validate();
+
+    const processed = await processImageFiles(req.files || []);
+    const photos = await storeImages(`reviews/${review._id}`, processed);
+    try {
+      review.photos = photos;
+      await review.save();
+    } catch (error) {
+      await removeImageFiles(photos);
+      throw error;
+    }
+
+    await refreshProductRating(product._id);
+    res.status(201).send(review);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).send({ error: error.message });
+    }
+    res.status(400).send(error);
+  }
+});
+
+// PUT /reviews/:reviewId - Edit your own review's rating, title or text
+app.put('/reviews/:reviewId', auth, sessionUserAuth, async (req, res) => {
+  const updates = Object.keys(req.body);
+  const allowedUpdates = ['rating', 'title', 'text'];
+  if (!updates.every(update => allowedUpdates.includes(update))) {
+    return res.status(400).send({ error: 'Invalid updates!' });
+  }
+
+  try {
+    const review = await findReviewFor(req, res);
+    if (!review) return;
+
+    updates.forEach(update => review[update] = req.body[update]);
+    if (!review.verifiedPurchase) {
+      review.verifiedPurchase = await hasPurchased(req.user._id, review.productId);
+    }
+    review.updatedAt = new Date();
+    await review.save();
+
+    await refreshProductRating(review.productId);
+    res.send(review);
+  } catch (error) {
+    res.status(400).send(error);
+  }
+});
+
+// DELETE /reviews/:reviewId - Delete a review (its author or an admin)
+app.delete('/reviews/:reviewId', auth, sessionUserAuth, async (req, res) => {
+  try {
+    const review = await findReviewFor(req, res, { allowAdmin: true });
+    if (!review) return;
+
+    await review.deleteOne();
+    await removeImageFiles(review.photos);
+    await refreshProductRating(review.productId);
+    res.send(review);
+  } catch (error) {
+    res.status(500).send(error);
+  }
+});
+
+// POST /reviews/:reviewId/votes - Vote a review helpful or not ({ helpful: true|false }); voting again changes the vote
+app.post('/reviews/:reviewId/votes', auth, sessionUserAuth, async (req, res) => {
+  const { helpful } = req.body;
+  if (typeof helpful !== 'boolean') {
+    return res.status(400).send({ error: 'helpful must be true or false' });
+  }
+
+  try {
+    const review = mongoose.isValidObjectId(req.params.reviewId)
+      ? await Review.findOne({ _id: req.params.reviewId, status: 'published' })
+      : null;
+    if (!review) {
+      return res.status(404).send({ error: 'Review not found' });
+    }
+
+    if (review.userId.toString() === String(req.user._id)) {
+      return res.status(403).send({ error: 'You cannot vote on your own review' });
+    }
+
+    const vote = review.votes.find(entry => entry.userId.toString() === String(req.user._id));
+    if (vote) {
+      vote.helpful = helpful;
+    } else {
+      review.votes.push({ userId: req.user._id, helpful });
+    }
+    review.helpfulCount = review.votes.filter(entry => entry.helpful).length;
+    review.notHelpfulCount = review.votes.length - review.helpfulCount;
+    await review.save();
+
+    res.send(review);
+  } catch (error) {
+    res.status(400).send(error);
+  }
+});
+
+// PUT /reviews/:reviewId/reply - Seller reply to a review of their product (replaces any earlier reply)
+app.put('/reviews/:reviewId/reply', auth, sessionUserAuth, sellerAuth, async (req, res) => {
+  const text = typeof req.body.text === 'string' ? req.body.text.trim() : '';
+  if (!text || text.length > 2000) {
+    return res.status(400).send({ error: 'Reply text is required (up to 2000 characters)' });
+  }
+
+  try {
+    const review = mongoose.isValidObjectId(req.params.reviewId) ? await Review.findById(req.params.reviewId) : null;
+    const product = review && await Product.findById(review.productId, 'sellerId');
+
+    if (!product || (product.sellerId.toString() !== String(req.user._id) && req.user.role !== 'admin')) {
+      return res.status(404).send({ error: 'Review not found' });
+    }
+
+    review.sellerReply = { text, repliedBy: req.user._id, repliedAt: new Date() };
+    await review.save();
+    res.send(review);
+  } catch (error) {
+    res.status(400).send(error);
+  }
+});
+
+// GET /reviews - Moderation queue (admin only; ?status=published|hidden&productId=&page=)
+app.get('/reviews', auth, sessionUserAuth, adminAuth, async (req, res) => {
+  try {
+    const page = Math.max(Number(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 100);
+    const query = {};
+    if (req.query.status) query.status = req.query.status;
+    if (req.query.productId) query.productId = req.query.productId;
+    if (req.query.userId) query.userId = req.query.userId;
+
+    const [reviews, total] = await Promise.all([
+      Review.find(query).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+      Review.countDocuments(query)
+    ]);
+
+    res.send({ reviews, total, totalPages: Math.ceil(total / limit), currentPage: page });
+  } catch (error) {
+    res.status(400).send(error);
+  }
+});
+
+// PUT /reviews/:reviewId/moderation - Hide or republish a review (admin only; { status, reason })
+app.put('/reviews/:reviewId/moderation', auth, sessionUserAuth, adminAuth, async (req, res) => {
+  const { status, reason } = req.body;
+  if (!['published', 'hidden'].includes(status)) {
+    return res.status(400).send({ error: 'status must be published or hidden' });
+  }
+
+  try {
+    const review = mongoose.isValidObjectId(req.params.reviewId) ? await Review.findById(req.params.reviewId) : null;
+    if (!review) {
+      return res.status(404).send({ error: 'Review not found' });
+    }
+
+    review.status = status;
+    review.moderation = { reason, moderatedBy: req.user._id, moderatedAt: new Date() };
+    await review.save();
+
+    await refreshProductRating(review.productId);
+    res.send(review);
+  } catch (error) {
+    res.status(400).send(error);
+  }
+});
+
+// Internal Routes
+
+// POST /internal/reservations - Reserve stock ({ reference, items: [{ productId, sku, quantity }], ttlSeconds })
+app.post('/internal/reservations', internalAuth, async (req, res) => {
+  const { reference, items } = req.body;
+  const ttlSeconds = Math.min(Number(req.body.ttlSeconds) || RESERVATION_TTL_SECONDS, RESERVATION_MAX_TTL_SECONDS);
+
+  if (!reference || typeof reference !== 'string') {
+    return res.status(400).send({ error: 'reference is required' });
+  }
+  if (!Array.isArray(items) || items.length === 0) {
+    return res.status(400).send({ error: 'items must be a non-empty array' });
+  }
+
+  // Several cart lines for the same SKU are reserved as one
+  const lines = new Map();
+  for (const item of items) {
+    if (!item || !mongoose.isValidObjectId(item.productId) || !Number.isInteger(item.quantity) || item.quantity < 1) {
+      return res.status(400).send({ error: 'Each item needs a productId and a positive integer quantity' });
+    }
+    const sku = item.sku ? String(item.sku).toUpperCase() : undefined;
+    const key = `${item.productId}:${sku || ''}`;
+    const line = lines.get(key) || { productId: String(item.productId), sku, quantity: 0 };
+    line.quantity += item.quantity;
+    lines.set(key, line);
+  }
+
+  // A repeated reference gets the reservation already made under it, unless that one is still
+  // taking its stock
+  const sendExisting = (existing) => {
+    if (existing.status === 'pending') {
+      return res.status(409).send({ error: 'Stock for this reference is still being reserved' });
+    }
+    res.send(existing);
+  };
+
+  try {
+    const existing = await Reservation.findOne({ reference });
+    if (existing) {
+      return sendExisting(existing);
+    }
+
+    // The reservation is written before any stock is taken, so stock is never held without a
+    // record the expiry sweep can find
+    let reservation;
+    try {
+      reservation = await Reservation.create({
+        reference,
+        items: [...lines.values()].map(line => ({ ...line, taken: false })),
+        expiresAt: new Date(Date.now() + ttlSeconds * 1000)
+      });
+    } catch (error) {
+      // A concurrent request with the same reference won the race
+      if (error.code === 11000) {
+        return sendExisting(await Reservation.findOne({ reference }));
+      }
+      throw error;
+    }
+
+    // Each line is taken atomically, then marked taken; if any line can't be, the reservation
+    // is released, which gives back the lines already taken
+    for (const [index, line] of reservation.items.entries()) {
+      if (!await takeStock(line, reservationLineOf(reservation, index))) {
+        const unavailable = [await describeUnavailable(line)];
+        await closeReservation({ _id: reservation._id }, ['pending'], 'released', 'unavailable');
+        return res.status(409).send({ error: 'Some items are no longer available in the requested quantity', unavailable });
+      }
+      await Reservation.updateOne({ _id: reservation._id }, { $set: { [`items.${index}.taken`]: true } });
+    }
+
+    const reserved = await Reservation.findOneAndUpdate(
+      { _id: reservation._id, status: 'pending' },
+      { status: 'reserved' },
+      { new: true }
+    );
+    if (!reserved) {
+      // The expiry sweep closed it part-way; give back what was taken after it ran
+      await returnReservedStock(reservation, 'pending', 'expired');
+      return res.status(409).send({ error: 'Reservation expired before its stock was taken' });
+    }
+
+    await syncStockStatus(reservation.items.map(line => line.productId));
+    res.status(201).send(reserved);
+  } catch (error) {
+    console.error('Error reserving stock:', error.message);
+    res.status(500).send({ error: 'Unable to reserve stock' });
+  }
+});
+
+// GET /internal/reservations/:id - Reservation status
+app.get('/internal/reservations/:id', internalAuth, async (req, res) => {
+  try {
+    const reservation = mongoose.isValidObjectId(req.params.id) ? await Reservation.findById(req.params.id) : null;
+    if (!reservation) {
+      return res.status(404).send({ error: 'Reservation not found' });
+    }
+    res.send(reservation);
+  } catch (error) {
+    res.status(500).send(error);
+  }
+});
+
+// POST /internal/reservations/:id/commit - Keep the reserved stock (the order was paid)
+app.post('/internal/reservations/:id/commit', internalAuth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).send({ error: 'Reservation not found' });
+    }
+
+    const reservation = await closeReservation({ _id: req.params.id }, ['reserved'], 'committed');
+    if (reservation) {
+      return res.send(reservation);
+    }
+
+    const current = await Reservation.findById(req.params.id);
+    if (!current) {
+      return res.status(404).send({ error: 'Reservation not found' });
+    }
+    if (current.status === 'committed') {
+      return res.send(current);
+    }
+    res.status(409).send({ error: `Reservation is ${current.status}`, reservation: current });
+  } catch (error) {
+    res.status(500).send(error);
+  }
+});
+
+// POST /internal/reservations/:id/release - Give the stock back ({ reason }); also undoes a commit
+app.post('/internal/reservations/:id/release', internalAuth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).send({ error: 'Reservation not found' });
+    }
+
+    const reason = req.body.reason || 'released';
+    const reservation = await closeReservation({ _id: req.params.id }, ['reserved', 'committed'], 'released', reason);
+    if (reservation) {
+      return res.send(reservation);
+    }
+
+    const current = await Reservation.findById(req.params.id);
+    if (!current) {
+      return res.status(404).send({ error: 'Reservation not found' });
+    }
+    // Already released or expired: the stock is back, so this is a no-op
+    res.send(current);
+  } catch (error) {
+    res.status(500).send(error);
+  }
+});
+
+// POST /internal/restocks - Put stock back on sale ({ reference, reason, items: [{ productId, sku, quantity }] });
+// repeating a reference returns the first restock
+app.post('/internal/restocks', internalAuth, async (req, res) => {
+  const { reference, reason, items } = req.body;
+
+  if (!reference || typeof reference !== 'string') {
+    return res.status(400).send({ error: 'reference is required' });
+  }
+  if (!Array.isArray(items) || items.length === 0) {
+    return res.status(400).send({ error: 'items must be a non-empty array' });
+  }
+  for (const item of items) {
+    if (!item || !mongoose.isValidObjectId(item.productId) || !Number.isInteger(item.quantity) || item.quantity < 1) {
+      return res.status(400).send({ error: 'Each item needs a productId and a positive integer quantity' });
+    }
+  }
+
+  try {
+    let restock;
+    try {
+      restock = await Restock.create({
+        reference,
+        reason,
+        items: items.map(item => ({
+          productId: item.productId,
+          sku: item.sku ? String(item.sku).toUpperCase() : undefined,
+          quantity: item.quantity
+        }))
+      });
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+      const existing = await Restock.findOne({ reference });
+      return res.send(await applyRestock(existing));
+    }
+
+    res.status(201).send(await applyRestock(restock));
+  } catch (error) {
+    console.error('Error restocking:', error.message);
+    res.status(500).send({ error: 'Unable to restock' });
+  }
+});
+
+// GET /internal/users/:userId/data - A seller's catalog, for personal data exports
+app.get('/internal/users/:userId/data', internalAuth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.userId)) {
+      return res.send({ products: [], reviews: [] });
+    }
+
+    const [products, reviews] = await Promise.all([
+      Product.find({ sellerId: req.params.userId }).setOptions({ withDeleted: true }),
+      Review.find({ userId: req.params.userId })
+    ]);
+    res.send({ products, reviews });
+  } catch (error) {
+    res.status(500).send(error);
+  }
+});
+
+// DELETE /internal/users/:userId/data - Take an erased seller's products off sale and delete the user's reviews and votes
+app.delete('/internal/users/:userId/data', internalAuth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.userId)) {
+      return res.send({ productsDeactivated: 0, reviewsDeleted: 0 });
+    }
+
+    const result = await Product.updateMany(
+      { sellerId: req.params.userId },
+      { status: 'inactive', updatedAt: new Date() }
+    ).setOptions({ withDeleted: true });
+
+    const reviews = await Review.find({ userId: req.params.userId });
+    await Review.deleteMany({ userId: req.params.userId });
+    await removeImageFiles(reviews.flatMap(review => review.photos));
+
+    // Votes only feed the counters, so recount the reviews the user voted on
+    const votedOn = await Review.find({ 'votes.userId': req.params.userId });
+    for (const review of votedOn) {
+      review.votes = review.votes.filter(vote => vote.userId.toString() !== req.params.userId);
+      review.helpfulCount = review.votes.filter(vote => vote.helpful).length;
+      review.notHelpfulCount = review.votes.length - review.helpfulCount;
+      await review.save();
+    }
+
+    const productIds = [...new Set(reviews.map(review => review.productId.toString()))];
+    for (const productId of productIds) {
+      await refreshProductRating(productId);
+    }
+
+    res.send({ productsDeactivated: result.modifiedCount, reviewsDeleted: reviews.length });
+  } catch (error) {
+    res.status(500).send(error);
+  }
+});
+
+// Server Configuration
+const PORT = process.env.PORT || 3002;
+
+// Tests require this file for the app without starting the service
+if (require.main === module) {
+  mongoose.connect(process.env.MONGODB_URI)
+    .then(() => {
+      console.log('Connected to MongoDB:', process.env.MONGODB_URI);
+
+      // Import files are only held in memory, so jobs cut short by a restart can't resume
+      ImportJob.updateMany(
+        { status: { $in: ['queued', 'processing'] } },
+        { status: 'failed', error: 'Interrupted by a service restart', completedAt: new Date() }
+      ).catch(error => console.error('Error closing interrupted import jobs:', error.message));
+
+      seedDefaultCategories().catch(error => console.error('Error seeding categories:', error.message));
+      backfillProductSlugs().catch(error => console.error('Error generating product slugs:', error.message));
+
+      setInterval(() => {
+        applyScheduledPrices().catch(error => console.error('Error applying scheduled prices:', error.message));
+      }, PRICE_SCHEDULER_INTERVAL_MS);
+
+      const refreshVocabulary = () => {
+        refreshSearchVocabulary().catch(error => console.error('Error refreshing search vocabulary:', error.message));
+      };
+      refreshVocabulary();
+      setInterval(refreshVocabulary, SEARCH_VOCABULARY_REFRESH_MS);
+
+      setInterval(() => {
+        expireReservations().catch(error => console.error('Error expiring reservations:', error.message));
+      }, RESERVATION_SWEEP_INTERVAL_MS);
+
+      app.listen(PORT, () => {
+        console.log(`Product Management Service running on port ${PORT}`);
+        console.log('JWT_SECRET is set:', !!process.env.JWT_SECRET);
+      });
+    })
+    .catch((error) => {
+      console.error('Error connecting to MongoDB:', error);
+    });
+}
+
+module.exports = { app, expireReservations };
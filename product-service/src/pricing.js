@@ -0,0 +1,66 @@
+// Pricing Helpers
+// `regularPrice` is the seller's normal price and `price` what shoppers pay right now: the
+// regular price, or the active sale's price. A sale sets either a fixed `salePrice` or a
+// `percentOff`; both also apply to variant price overrides.
+
+const roundPrice = (amount) => Math.round(amount * 100) / 100;
+
+const isLive = (sale, now) => !sale.cancelledAt && sale.startsAt <= now && (!sale.endsAt || sale.endsAt > now);
+
+function activeSale(sales, now = new Date()) {
+  return (sales || []).find(sale => isLive(sale, now)) || null;
+}
+
+function applySale(amount, sale) {
+  if (!sale) return amount;
+  if (sale.percentOff) return roundPrice(amount * (1 - sale.percentOff / 100));
+  return Math.min(sale.salePrice, amount);
+}
+
+// Derived fields for the product: price, onSale, discountPercent, activeSale and
+// nextPriceChangeAt (when the scheduler has to look at the product again)
+function computePricing(product, now = new Date()) {
+  const sale = activeSale(product.sales, now);
+  const price = applySale(product.regularPrice, sale);
+
+  // During a sale the regular price is the reference; otherwise only a compare-at price is
+  const reference = Math.max(product.compareAtPrice || 0, sale ? product.regularPrice : 0);
+  const onSale = reference > price;
+
+  const upcoming = (product.sales || [])
+    .filter(entry => !entry.cancelledAt)
+    .flatMap(entry => [entry.startsAt, entry.endsAt])
+    .filter(date => date && date > now)
+    .sort((a, b) => a - b);
+
+  return {
+    price,
+    onSale,
+    discountPercent: onSale ? Math.round((1 - price / reference) * 100) : 0,
+    activeSale: sale ? sale._id : null,
+    nextPriceChangeAt: upcoming[0] || null
+  };
+}
+
+// What a shopper pays for a variant: its own price override (discounted by the active sale,
+// and never above a fixed sale price) or the product price
+function variantPrice(product, variant, now = new Date()) {
+  if (!variant || variant.price == null) {
+    return product.price;
+  }
+  const sale = activeSale(product.sales, now);
+  return applySale(variant.price, sale);
+}
+
+// Sales that haven't ended or been cancelled may not overlap
+function findOverlappingSale(sales, candidate, now = new Date()) {
+  const candidateEnd = candidate.endsAt || new Date(8640000000000000);
+
+  return (sales || []).find(sale => {
+    if (sale.cancelledAt || (sale.endsAt && sale.endsAt <= now)) return false;
+    const saleEnd = sale.endsAt || new Date(8640000000000000);
+    return sale.startsAt < candidateEnd && candidate.startsAt < saleEnd;
+  }) || null;
+}
+
+module.exports = { computePricing, variantPrice, findOverlappingSale };
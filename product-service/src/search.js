@@ -0,0 +1,71 @@
+// Search Helpers
+// Keyword search runs on MongoDB's text index, which matches stems but not misspellings.
+// These helpers add typo tolerance by correcting query terms against the catalog vocabulary.
+
+const tokenize = (text) => (String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+  .filter(term => term.length > 1);
+
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, substitution);
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+// Short words tolerate one edit, longer words two
+const maxEditsFor = (term) => (term.length <= 4 ? 1 : 2);
+
+// Returns the closest vocabulary term within the edit budget, or null
+function correctTerm(term, vocabulary) {
+  if (vocabulary.has(term) || /^\d+$/.test(term)) {
+    return term;
+  }
+
+  const maxEdits = maxEditsFor(term);
+  let best = null;
+  let bestDistance = Infinity;
+
+  for (const candidate of vocabulary) {
+    if (Math.abs(candidate.length - term.length) > maxEdits) continue;
+
+    const distance = levenshtein(term, candidate);
+    if (distance < bestDistance || (distance === bestDistance && candidate < best)) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+
+  return bestDistance <= maxEdits ? best : null;
+}
+
+// Builds the $text search string (original terms plus corrections) and a
+// "did you mean" suggestion when any term was corrected
+function correctQuery(query, vocabulary) {
+  const terms = tokenize(query);
+  const corrections = {};
+
+  const correctedTerms = terms.map(term => {
+    const corrected = correctTerm(term, vocabulary);
+    if (corrected && corrected !== term) {
+      corrections[term] = corrected;
+    }
+    return corrected || term;
+  });
+
+  return {
+    terms,
+    corrections,
+    searchString: [...new Set([...terms, ...Object.values(corrections)])].join(' '),
+    suggestion: Object.keys(corrections).length > 0 ? correctedTerms.join(' ') : null
+  };
+}
+
+module.exports = { tokenize, correctQuery };
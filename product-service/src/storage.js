@@ -0,0 +1,61 @@
+// Image Storage
+// A storage is any object with async save(key, buffer, contentType) -> url and async remove(key).
+// `local` writes to disk and is served by product-service under /uploads; register others with registerStorage.
+const fs = require('fs/promises');
+const path = require('path');
+
+const createLocalDiskStorage = ({ directory, baseUrl }) => {
+  const root = path.resolve(directory);
+
+  // Keys are generated by the service, but never let one escape the storage directory
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    directory: root,
+
+    async save(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+      return `${baseUrl}/${key}`;
+    },
+
+    async remove(key) {
+      try {
+        await fs.unlink(resolveKey(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+  };
+};
+
+const storages = {
+  local: createLocalDiskStorage
+};
+
+function registerStorage(name, factory) {
+  storages[name] = factory;
+}
+
+function createStorage(options = {}) {
+  const name = options.driver || process.env.IMAGE_STORAGE || 'local';
+  const factory = storages[name];
+
+  if (!factory) {
+    throw new Error(`Unknown image storage: ${name}`);
+  }
+
+  return factory({
+    directory: options.directory || process.env.IMAGE_STORAGE_DIR || path.join(__dirname, '..', 'uploads'),
+    baseUrl: (options.baseUrl || process.env.IMAGE_BASE_URL || 'http://localhost:3002/uploads').replace(/\/$/, '')
+  });
+}
+
+module.exports = { createStorage, registerStorage };
@@ -0,0 +1,161 @@
+process.env.JWT_SECRET = 'test-secret';
+
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { app } = require('../index');
+
+const UserPreference = mongoose.model('UserPreference');
+const Wishlist = mongoose.model('Wishlist');
+
+describe('POST /wishlist', () => {
+  const token = jwt.sign({ _id: 'user-1' }, 'test-secret');
+  // The user's wishlist as the database holds it
+  let stored;
+
+  const add = (productId) => request(app)
+    .post('/wishlist')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ productId, size: 'M' });
+
+  beforeEach(() => {
+    stored = null;
+
+    jest.spyOn(axios, 'get').mockImplementation(async (url, { params } = {}) => {
+      if (url.endsWith('/token/introspect')) return { data: {} };
+      return { data: { products: params.ids.split(',').map(id => ({ _id: id, category: 'Dresses' })) } };
+    });
+    // Applies the updates the way MongoDB would, one at a time
+    jest.spyOn(Wishlist, 'updateOne').mockImplementation(async (filter, update, options) => {
+      if (!stored && options.upsert) {
+        stored = { userId: filter.userId, items: [...update.$setOnInsert.items] };
+      }
+      return {};
+    });
+    jest.spyOn(Wishlist, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      if (!stored || stored.items.some(item => item.productId === filter['items.productId'].$ne)) return null;
+      stored.items.push(update.$push.items);
+      return Wishlist.hydrate(stored);
+    });
+    jest.spyOn(Wishlist, 'findOne').mockImplementation(async () => stored && Wishlist.hydrate(stored));
+    jest.spyOn(UserPreference, 'findOne').mockResolvedValue(null);
+    jest.spyOn(UserPreference.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('creates the wishlist on the first add', async () => {
+    const res = await add('p1');
+
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({ productId: 'p1', size: 'M' });
+    expect(Wishlist.updateOne).toHaveBeenCalledWith(
+      { userId: 'user-1' },
+      { $setOnInsert: { items: [] } },
+      { upsert: true }
+    );
+    expect(stored.items).toHaveLength(1);
+  });
+
+  test('saves a product once when it is added twice at the same time', async () => {
+    const responses = await Promise.all([add('p1'), add('p1')]);
+
+    expect(responses.map(res => res.status).sort()).toEqual([200, 201]);
+    expect(responses[0].body.productId).toBe('p1');
+    expect(responses[1].body.productId).toBe('p1');
+    expect(stored.items).toHaveLength(1);
+  });
+
+  test('keeps both products when two first adds race', async () => {
+    const responses = await Promise.all([add('p1'), add('p2')]);
+
+    expect(responses.map(res => res.status)).toEqual([201, 201]);
+    expect(stored.items.map(item => item.productId).sort()).toEqual(['p1', 'p2']);
+  });
+
+  test('rejects unknown products', async () => {
+    axios.get.mockImplementation(async (url) => (
+      url.endsWith('/token/introspect') ? { data: {} } : { data: { products: [] } }
+    ));
+
+    const res = await add('missing');
+
+    expect(res.status).toBe(404);
+    expect(Wishlist.updateOne).not.toHaveBeenCalled();
+  });
+});
+
+describe('removing wishlist items', () => {
+  const token = jwt.sign({ _id: 'user-1' }, 'test-secret');
+  let preference;
+
+  beforeEach(() => {
+    preference = UserPreference.hydrate({
+      userId: 'user-1',
+      wishlistedProducts: [
+        { productId: 'p1', category: 'Dresses' },
+        { productId: 'p2', category: 'Dresses' }
+      ],
+      categoryPreferences: [{ category: 'Dresses', weight: 1.5 }]
+    });
+
+    jest.spyOn(axios, 'get').mockImplementation(async (url, { params } = {}) => {
+      if (url.endsWith('/token/introspect')) return { data: {} };
+      return { data: { products: params.ids.split(',').map(id => ({ _id: id, category: 'Dresses', status: 'active' })) } };
+    });
+    jest.spyOn(axios, 'post').mockResolvedValue({ data: {} });
+    jest.spyOn(Wishlist, 'findOne').mockResolvedValue(Wishlist.hydrate({ userId: 'user-1', items: [{ productId: 'p1' }] }));
+    jest.spyOn(Wishlist, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(UserPreference, 'findOne').mockResolvedValue(preference);
+    jest.spyOn(UserPreference.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('DELETE /wishlist/:productId takes back the preference signal', async () => {
+    const res = await request(app).delete('/wishlist/p1').set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(preference.wishlistedProducts.map(p => p.productId)).toEqual(['p2']);
+    expect(preference.categoryPreferences[0].weight).toBe(1);
+  });
+
+  test('drops a category preference that only wishlisting built up', async () => {
+    preference.categoryPreferences[0].weight = 0.5;
+
+    await request(app).delete('/wishlist/p1').set('Authorization', `Bearer ${token}`);
+
+    expect(preference.categoryPreferences).toHaveLength(0);
+  });
+
+  test('move-to-cart takes back the preference signal', async () => {
+    const res = await request(app)
+      .post('/wishlist/p1/move-to-cart')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ quantity: 2 });
+
+    expect(res.status).toBe(200);
+    expect(axios.post).toHaveBeenCalledWith(expect.stringMatching(/\/cart\/add$/), expect.objectContaining({ quantity: 2 }), expect.anything());
+    expect(preference.wishlistedProducts.map(p => p.productId)).toEqual(['p2']);
+  });
+
+  test('move-to-cart rejects quantities that are not positive integers', async () => {
+    for (const quantity of [1.5, -3, 0, '2']) {
+      const res = await request(app)
+        .post('/wishlist/p1/move-to-cart')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ quantity });
+      expect(res.status).toBe(400);
+    }
+    expect(axios.post).not.toHaveBeenCalled();
+  });
+});
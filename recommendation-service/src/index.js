@@ -5,6 +5,8 @@ const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
 const jwt = require('jsonwebtoken');
+const axios = require('axios');
+const { createSessionIntrospector, internalAuth } = require('../../shared');
 
 const app = express();
 
@@ -29,6 +31,11 @@ const userPreferenceSchema = new mongoose.Schema({
     purchaseDate: Date,
     category: String
   }],
+  wishlistedProducts: [{
+    productId: String,
+    addedAt: Date,
+    category: String
+  }],
   categoryPreferences: [{
     category: String,
     weight: Number
@@ -56,14 +63,54 @@ const productSimilaritySchema = new mongoose.Schema({
   }
 });
 
+const wishlistSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  items: [{
+    productId: {
+      type: String,
+      required: true
+    },
+    size: String,
+    color: String,
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  lastUpdated: {
+    type: Date,
+    default: Date.now
+  }
+});
+
 const UserPreference = mongoose.model('UserPreference', userPreferenceSchema);
 const ProductSimilarity = mongoose.model('ProductSimilarity', productSimilaritySchema);
+const Wishlist = mongoose.model('Wishlist', wishlistSchema);
+
+// Service Configuration
+const PRODUCT_SERVICE_URL = process.env.PRODUCT_SERVICE_URL || 'http://localhost:3002';
+const ORDER_SERVICE_URL = process.env.ORDER_SERVICE_URL || 'http://localhost:3003';
+// Saving an item is a weaker signal than buying it (which adds 1 to the category weight)
+const WISHLIST_CATEGORY_WEIGHT = 0.5;
+
+// Session Revocation Check
+// Asks user-service whether the token's session is still live; successes are cached briefly
+const USER_SERVICE_URL = process.env.USER_SERVICE_URL || 'http://localhost:3001';
+const introspectSession = createSessionIntrospector({ http: axios, userServiceUrl: USER_SERVICE_URL });
 
 // Authentication Middleware
 const auth = async (req, res, next) => {
   try {
     const token = req.header('Authorization').replace('Bearer ', '');
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (!await introspectSession(token)) {
+      throw new Error('Session has been revoked');
+    }
+    req.token = token;
     req.user = { id: decoded._id };
     next();
   } catch (error) {
@@ -72,7 +119,7 @@ const auth = async (req, res, next) => {
 };
 
 // Utility Functions
-async function updateUserPreferences(userId, productId, action) {
+async function updateUserPreferences(userId, productId, action, details = {}) {
   let userPref = await UserPreference.findOne({ userId });
   
   if (!userPref) {
@@ -93,10 +140,58 @@ async function updateUserPreferences(userId, productId, action) {
     }
   }
 
+  if (action === 'wishlist' && !userPref.wishlistedProducts.some(p => p.productId === productId)) {
+    userPref.wishlistedProducts.push({
+      productId,
+      addedAt: new Date(),
+      category: details.category
+    });
+
+    if (details.category) {
+      const categoryPref = userPref.categoryPreferences.find(cp => cp.category === details.category);
+      if (categoryPref) {
+        categoryPref.weight += WISHLIST_CATEGORY_WEIGHT;
+      } else {
+        userPref.categoryPreferences.push({
+          category: details.category,
+          weight: WISHLIST_CATEGORY_WEIGHT
+        });
+      }
+    }
+  }
+
+  // Un-saving takes back the entry and the category weight it added
+  if (action === 'unwishlist') {
+    const saved = userPref.wishlistedProducts.find(p => p.productId === productId);
+    if (saved) {
+      userPref.wishlistedProducts.pull(saved);
+
+      const categoryPref = saved.category && userPref.categoryPreferences.find(cp => cp.category === saved.category);
+      if (categoryPref) {
+        categoryPref.weight -= WISHLIST_CATEGORY_WEIGHT;
+        if (categoryPref.weight <= 0) {
+          userPref.categoryPreferences.pull(categoryPref);
+        }
+      }
+    }
+  }
+
   userPref.lastUpdated = new Date();
   await userPref.save();
 }
 
+// Fetches product details from product-service, keyed by id; missing products are absent
+async function fetchProducts(productIds) {
+  if (productIds.length === 0) {
+    return {};
+  }
+
+  const response = await axios.get(`${PRODUCT_SERVICE_URL}/products/batch`, {
+    params: { ids: productIds.join(',') }
+  });
+  return Object.fromEntries(response.data.products.map(product => [product._id, product]));
+}
+
 async function calculateProductSimilarity(productId) {
   const purchases = await UserPreference.find({
     'purchasedProducts.productId': productId
@@ -218,6 +313,145 @@ app.get('/recommendations', auth, async (req, res) => {
   }
 });
 
+// Wishlist Routes
+
+// GET /wishlist - List saved items with current product details
+app.get('/wishlist', auth, async (req, res) => {
+  try {
+    const wishlist = await Wishlist.findOne({ userId: req.user.id });
+    if (!wishlist) {
+      return res.send({ items: [] });
+    }
+
+    const products = await fetchProducts(wishlist.items.map(item => item.productId));
+    const items = wishlist.items.map(item => ({
+      ...item.toObject(),
+      product: products[item.productId] || null
+    }));
+
+    res.send({ items });
+  } catch (error) {
+    console.error('Error fetching wishlist:', error.message);
+    res.status(500).send(error);
+  }
+});
+
+// POST /wishlist - Save a product for later
+app.post('/wishlist', auth, async (req, res) => {
+  try {
+    const { productId, size, color } = req.body;
+    const product = productId && (await fetchProducts([productId]))[productId];
+    if (!product) {
+      return res.status(404).send({ error: 'Product not found' });
+    }
+
+    // Both steps are single atomic updates, so concurrent adds neither fail on the unique
+    // userId index nor save the same product twice
+    await Wishlist.updateOne(
+      { userId: req.user.id },
+      { $setOnInsert: { items: [] } },
+      { upsert: true }
+    );
+    const wishlist = await Wishlist.findOneAndUpdate(
+      { userId: req.user.id, 'items.productId': { $ne: productId } },
+      { $push: { items: { productId, size, color } }, lastUpdated: new Date() },
+      { new: true }
+    );
+
+    if (!wishlist) {
+      const saved = await Wishlist.findOne({ userId: req.user.id });
+      return res.send(saved.items.find(item => item.productId === productId));
+    }
+
+    await updateUserPreferences(req.user.id, productId, 'wishlist', { category: product.category });
+
+    res.status(201).send(wishlist.items[wishlist.items.length - 1]);
+  } catch (error) {
+    console.error('Error adding to wishlist:', error.message);
+    res.status(400).send(error);
+  }
+});
+
+// DELETE /wishlist/:productId - Remove a saved product
+app.delete('/wishlist/:productId', auth, async (req, res) => {
+  try {
+    const result = await Wishlist.updateOne(
+      { userId: req.user.id },
+      { $pull: { items: { productId: req.params.productId } }, lastUpdated: new Date() }
+    );
+
+    if (result.modifiedCount === 0) {
+      return res.status(404).send({ error: 'Product not in wishlist' });
+    }
+
+    await updateUserPreferences(req.user.id, req.params.productId, 'unwishlist');
+
+    res.send({ message: 'Product removed from wishlist' });
+  } catch (error) {
+    res.status(500).send(error);
+  }
+});
+
+// POST /wishlist/:productId/move-to-cart - Add a saved product to the cart and unsave it
+app.post('/wishlist/:productId/move-to-cart', auth, async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const quantity = req.body.quantity === undefined ? 1 : req.body.quantity;
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      return res.status(400).send({ error: 'quantity must be a positive integer' });
+    }
+
+    const wishlist = await Wishlist.findOne({ userId: req.user.id, 'items.productId': productId });
+    if (!wishlist) {
+      return res.status(404).send({ error: 'Product not in wishlist' });
+    }
+
+    const product = (await fetchProducts([productId]))[productId];
+    if (!product || product.status !== 'active') {
+      return res.status(400).send({ error: 'Product is no longer available' });
+    }
+
+    // Products with variants are added by SKU: an explicit sku wins, otherwise the saved size/color
+    let variant = null;
+    if (product.variants && product.variants.length > 0) {
+      const saved = wishlist.items.find(item => item.productId === productId);
+      variant = req.body.sku
+        ? product.variants.find(entry => entry.sku === String(req.body.sku).toUpperCase())
+        : product.variants.find(entry => entry.size === saved.size && entry.color === saved.color);
+
+      if (!variant) {
+        return res.status(400).send({ error: 'Choose a size and color (sku) before moving this product to the cart' });
+      }
+    }
+
+    try {
+      await axios.post(
+        `${ORDER_SERVICE_URL}/cart/add`,
+        {
+          product_id: productId,
+          sku: variant ? variant.sku : undefined,
+          quantity
+        },
+        { headers: { Authorization: `Bearer ${req.token}` } }
+      );
+    } catch (error) {
+      const status = error.response ? error.response.status : 502;
+      return res.status(status).send(error.response ? error.response.data : { error: 'Unable to reach cart' });
+    }
+
+    await Wishlist.updateOne(
+      { userId: req.user.id },
+      { $pull: { items: { productId } }, lastUpdated: new Date() }
+    );
+    await updateUserPreferences(req.user.id, productId, 'unwishlist');
+
+    res.send({ message: 'Product moved to cart' });
+  } catch (error) {
+    console.error('Error moving wishlist item to cart:', error.message);
+    res.status(500).send(error);
+  }
+});
+
 // GET /similar-products/:productId - Get similar products
 app.get('/similar-products/:productId', async (req, res) => {
   try {
@@ -235,6 +469,34 @@ app.get('/similar-products/:productId', async (req, res) => {
   }
 });
 
+// Internal Routes
+
+// GET /internal/users/:userId/data - Preference profile, for personal data exports
+app.get('/internal/users/:userId/data', internalAuth, async (req, res) => {
+  try {
+    const [preferences, wishlists] = await Promise.all([
+      UserPreference.find({ userId: req.params.userId }),
+      Wishlist.find({ userId: req.params.userId })
+    ]);
+    res.send({ preferences, wishlists });
+  } catch (error) {
+    res.status(500).send(error);
+  }
+});
+
+// DELETE /internal/users/:userId/data - Delete an erased user's preferences and wishlist
+app.delete('/internal/users/:userId/data', internalAuth, async (req, res) => {
+  try {
+    const [preferences, wishlists] = await Promise.all([
+      UserPreference.deleteMany({ userId: req.params.userId }),
+      Wishlist.deleteMany({ userId: req.params.userId })
+    ]);
+    res.send({ preferencesDeleted: preferences.deletedCount, wishlistsDeleted: wishlists.deletedCount });
+  } catch (error) {
+    res.status(500).send(error);
+  }
+});
+
 // Periodic jobs
 async function updateSimilarities() {
   try {
@@ -248,19 +510,24 @@ async function updateSimilarities() {
   }
 }
 
-// Run similarity updates every 24 hours
-setInterval(updateSimilarities, 24 * 60 * 60 * 1000);
-
 // Server Configuration
 const PORT = process.env.PORT || 3004;
 
-mongoose.connect(process.env.MONGODB_URI)
-  .then(() => {
-    console.log('Connected to MongoDB');
-    app.listen(PORT, () => {
-      console.log(`Recommendation Service running on port ${PORT}`);
+// Tests require this file for the app without starting the service
+if (require.main === module) {
+  // Run similarity updates every 24 hours
+  setInterval(updateSimilarities, 24 * 60 * 60 * 1000);
+
+  mongoose.connect(process.env.MONGODB_URI)
+    .then(() => {
+      console.log('Connected to MongoDB');
+      app.listen(PORT, () => {
+        console.log(`Recommendation Service running on port ${PORT}`);
+      });
+    })
+    .catch((error) => {
+      console.error('Error connecting to MongoDB:', error);
     });
-  })
-  .catch((error) => {
-    console.error('Error connecting to MongoDB:', error);
-  });
+}
+
+module.exports = { app };
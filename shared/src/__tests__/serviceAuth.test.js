@@ -0,0 +1,83 @@
+const { createSessionCache, sessionCacheOptions, createSessionIntrospector, isInternalRequest, internalAuth } = require('../index');
+
+describe('createSessionIntrospector', () => {
+  const session = { active: true, user: { _id: 'u1', role: 'seller', sellerStatus: 'approved' } };
+  let http;
+  let introspect;
+
+  beforeEach(() => {
+    http = { get: jest.fn().mockResolvedValue({ data: session }) };
+    introspect = createSessionIntrospector({
+      http,
+      userServiceUrl: 'http://users.test',
+      cache: createSessionCache({ ttlMs: 1000, maxEntries: 10 })
+    });
+  });
+
+  test('asks user-service once and caches the live session', async () => {
+    expect(await introspect('token')).toEqual(session);
+    expect(await introspect('token')).toEqual(session);
+
+    expect(http.get).toHaveBeenCalledTimes(1);
+    expect(http.get).toHaveBeenCalledWith('http://users.test/token/introspect', {
+      headers: { Authorization: 'Bearer token' }
+    });
+  });
+
+  test('returns null for revoked sessions and does not cache them', async () => {
+    http.get.mockRejectedValue(new Error('Request failed with status code 401'));
+
+    expect(await introspect('revoked')).toBeNull();
+    expect(await introspect('revoked')).toBeNull();
+    expect(http.get).toHaveBeenCalledTimes(2);
+  });
+
+  test('reads its cache settings from the environment', () => {
+    process.env.SESSION_CHECK_CACHE_MS = '5000';
+    process.env.SESSION_CHECK_CACHE_MAX_ENTRIES = '';
+
+    expect(sessionCacheOptions()).toEqual({ ttlMs: 5000, maxEntries: 10000 });
+
+    delete process.env.SESSION_CHECK_CACHE_MS;
+    delete process.env.SESSION_CHECK_CACHE_MAX_ENTRIES;
+  });
+});
+
+describe('internal service authentication', () => {
+  const requestWith = (token) => ({ header: (name) => (name === 'X-Internal-Token' ? token : undefined) });
+  const response = () => {
+    const res = { send: jest.fn() };
+    res.status = jest.fn().mockReturnValue(res);
+    return res;
+  };
+
+  afterEach(() => {
+    delete process.env.INTERNAL_SERVICE_TOKEN;
+  });
+
+  test('accepts only the configured token', () => {
+    process.env.INTERNAL_SERVICE_TOKEN = 'internal-test';
+
+    expect(isInternalRequest(requestWith('internal-test'))).toBe(true);
+    expect(isInternalRequest(requestWith('internal-tesT'))).toBe(false);
+    expect(isInternalRequest(requestWith('internal'))).toBe(false);
+    expect(isInternalRequest(requestWith(undefined))).toBe(false);
+  });
+
+  test('rejects every request when no token is configured', () => {
+    expect(isInternalRequest(requestWith(''))).toBe(false);
+  });
+
+  test('internalAuth answers 403 to other callers', () => {
+    process.env.INTERNAL_SERVICE_TOKEN = 'internal-test';
+    const next = jest.fn();
+    const denied = response();
+
+    internalAuth(requestWith('internal-test'), response(), next);
+    internalAuth(requestWith('guess'), denied, next);
+
+    expect(next).toHaveBeenCalledTimes(1);
+    expect(denied.status).toHaveBeenCalledWith(403);
+    expect(denied.send).toHaveBeenCalledWith({ error: 'Access denied' });
+  });
+});
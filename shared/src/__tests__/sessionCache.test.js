@@ -0,0 +1,72 @@
+const { createSessionCache } = require('../sessionCache');
+
+describe('createSessionCache', () => {
+  let now;
+
+  beforeEach(() => {
+    now = 1000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('returns entries until they expire', () => {
+    const cache = createSessionCache({ ttlMs: 100, maxEntries: 10 });
+    cache.set('token', { id: 'u1' });
+
+    now = 1099;
+    expect(cache.get('token')).toEqual({ id: 'u1' });
+    now = 1100;
+    expect(cache.get('token')).toBeNull();
+    expect(cache.get('unknown')).toBeNull();
+  });
+
+  test('forgets deleted entries', () => {
+    const cache = createSessionCache({ ttlMs: 100, maxEntries: 10 });
+    cache.set('token', true);
+    cache.delete('token');
+
+    expect(cache.get('token')).toBeNull();
+    expect(cache.size).toBe(0);
+  });
+
+  test('never holds more than maxEntries', () => {
+    const cache = createSessionCache({ ttlMs: 100, maxEntries: 3 });
+    for (let i = 0; i < 10; i++) {
+      cache.set(`token-${i}`, true);
+    }
+
+    expect(cache.size).toBe(3);
+    expect(cache.get('token-6')).toBeNull();
+    expect(['token-7', 'token-8', 'token-9'].map(cache.get)).toEqual([true, true, true]);
+  });
+
+  test('drops every expired entry when full', () => {
+    const cache = createSessionCache({ ttlMs: 100, maxEntries: 3 });
+    cache.set('expired-1', true);
+    cache.set('expired-2', true);
+    now = 1050;
+    cache.set('live', true);
+
+    now = 1120;
+    cache.set('new', true);
+
+    expect(cache.size).toBe(2);
+    expect(cache.get('live')).toBe(true);
+    expect(cache.get('new')).toBe(true);
+  });
+
+  test('evicts a refreshed entry last', () => {
+    const cache = createSessionCache({ ttlMs: 100, maxEntries: 2 });
+    cache.set('first', true);
+    cache.set('second', true);
+    cache.set('first', true);
+    cache.set('third', true);
+
+    expect(cache.get('first')).toBe(true);
+    expect(cache.get('second')).toBeNull();
+    expect(cache.get('third')).toBe(true);
+  });
+});
@@ -0,0 +1,56 @@
+// Service Authentication Helpers
+// Session checks against user-service and X-Internal-Token checks, used by every service.
+// HTTP calls go through the client the service passes in, so its tests can mock it.
+const crypto = require('crypto');
+const { createSessionCache } = require('./sessionCache');
+
+// Cache settings are shared by every service through the environment (see docker-compose.yml)
+const sessionCacheOptions = () => ({
+  ttlMs: Number(process.env.SESSION_CHECK_CACHE_MS) || 30 * 1000,
+  maxEntries: Number(process.env.SESSION_CHECK_CACHE_MAX_ENTRIES) || 10000
+});
+
+// Returns introspect(token), which asks user-service whether the token's session is still live.
+// It resolves to the introspection ({ active, user, sessionId }) or null for revoked sessions;
+// successful lookups are cached briefly.
+function createSessionIntrospector({ http, userServiceUrl, cache = createSessionCache(sessionCacheOptions()) }) {
+  return async function introspect(token) {
+    const cached = cache.get(token);
+    if (cached) {
+      return cached;
+    }
+
+    let session;
+    try {
+      const response = await http.get(`${userServiceUrl}/token/introspect`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      session = response.data;
+    } catch (error) {
+      cache.delete(token);
+      return null;
+    }
+
+    cache.set(token, session);
+    return session;
+  };
+}
+
+// Internal Service Authentication
+// Calls from other services (e.g. user-service data export and erasure) carry X-Internal-Token
+const isInternalRequest = (req) => {
+  const expected = Buffer.from(process.env.INTERNAL_SERVICE_TOKEN || '');
+  const provided = Buffer.from(req.header('X-Internal-Token') || '');
+
+  return expected.length > 0 && provided.length === expected.length &&
+    crypto.timingSafeEqual(provided, expected);
+};
+
+const internalAuth = (req, res, next) => {
+  if (!isInternalRequest(req)) {
+    return res.status(403).send({ error: 'Access denied' });
+  }
+  next();
+};
+
+module.exports = { createSessionCache, sessionCacheOptions, createSessionIntrospector, isInternalRequest, internalAuth };
@@ -0,0 +1,42 @@
+// Session Check Cache
+// Remembers successful session lookups for `ttlMs` and holds at most `maxEntries` of them.
+// When full, expired entries go first and then the oldest ones (a Map iterates in insertion
+// order).
+
+function createSessionCache({ ttlMs, maxEntries }) {
+  const entries = new Map();
+
+  function get(key) {
+    const entry = entries.get(key);
+    return entry && entry.expiresAt > Date.now() ? entry.value : null;
+  }
+
+  function set(key, value) {
+    // Re-inserting moves the key to the end, so a refreshed entry is evicted last
+    entries.delete(key);
+
+    if (entries.size >= maxEntries) {
+      const now = Date.now();
+      for (const [cachedKey, entry] of entries) {
+        if (entry.expiresAt <= now) entries.delete(cachedKey);
+      }
+      for (const cachedKey of entries.keys()) {
+        if (entries.size < maxEntries) break;
+        entries.delete(cachedKey);
+      }
+    }
+
+    entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+  }
+
+  return {
+    get,
+    set,
+    delete: (key) => entries.delete(key),
+    get size() {
+      return entries.size;
+    }
+  };
+}
+
+module.exports = { createSessionCache };
@@ -0,0 +1,79 @@
+process.env.JWT_SECRET = 'test-secret';
+process.env.REQUIRE_EMAIL_VERIFICATION = 'true';
+
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { app } = require('../index');
+
+const ActionToken = mongoose.model('ActionToken');
+const AuditEvent = mongoose.model('AuditEvent');
+const RefreshToken = mongoose.model('RefreshToken');
+const Session = mongoose.model('Session');
+const User = mongoose.model('User');
+
+describe('with REQUIRE_EMAIL_VERIFICATION', () => {
+  beforeEach(() => {
+    jest.spyOn(ActionToken, 'updateMany').mockResolvedValue({});
+    jest.spyOn(ActionToken, 'create').mockResolvedValue({});
+    jest.spyOn(AuditEvent, 'create').mockResolvedValue({});
+    jest.spyOn(RefreshToken, 'create').mockResolvedValue({});
+    jest.spyOn(Session, 'create').mockResolvedValue({});
+    jest.spyOn(Session, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('POST /register sends the verification mail without starting a session', async () => {
+    jest.spyOn(User, 'findOne').mockResolvedValue(null);
+    jest.spyOn(User.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+
+    const res = await request(app).post('/register').send({
+      email: 'new@example.com',
+      password: 'secret123',
+      firstName: 'New',
+      lastName: 'User'
+    });
+
+    expect(res.status).toBe(201);
+    expect(res.body.user.email).toBe('new@example.com');
+    expect(res.body.emailVerificationRequired).toBe(true);
+    expect(res.body.token).toBeUndefined();
+    expect(res.body.refreshToken).toBeUndefined();
+    expect(ActionToken.create).toHaveBeenCalledWith(expect.objectContaining({ purpose: 'email_verification' }));
+    expect(Session.create).not.toHaveBeenCalled();
+  });
+
+  test('POST /token/refresh rejects users who are still unverified', async () => {
+    const userId = new mongoose.Types.ObjectId();
+    const sessionId = new mongoose.Types.ObjectId();
+    const storedToken = {
+      _id: new mongoose.Types.ObjectId(),
+      sessionId,
+      userId,
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+    };
+    jest.spyOn(RefreshToken, 'findOne').mockResolvedValue(storedToken);
+    jest.spyOn(RefreshToken, 'findOneAndUpdate').mockResolvedValue(storedToken);
+    jest.spyOn(Session, 'findOne').mockResolvedValue({ _id: sessionId, userId, save: jest.fn() });
+    jest.spyOn(User, 'findOne').mockResolvedValue({
+      _id: userId,
+      role: 'user',
+      emailVerified: false,
+      twoFactor: { enabled: false }
+    });
+
+    const res = await request(app).post('/token/refresh').send({ refreshToken: 'old-token' });
+
+    expect(res.status).toBe(403);
+    expect(Session.updateMany).toHaveBeenCalledWith(
+      { _id: sessionId, revokedAt: null },
+      { revokedAt: expect.any(Date), revokedReason: 'email_not_verified' }
+    );
+    expect(RefreshToken.create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,167 @@
+process.env.JWT_SECRET = 'test-secret';
+
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { app } = require('../index');
+
+const ActionToken = mongoose.model('ActionToken');
+const ApiKey = mongoose.model('ApiKey');
+const AuditEvent = mongoose.model('AuditEvent');
+const ErasureRequest = mongoose.model('ErasureRequest');
+const LoginThrottle = mongoose.model('LoginThrottle');
+const RefreshToken = mongoose.model('RefreshToken');
+const SellerProfile = mongoose.model('SellerProfile');
+const Session = mongoose.model('Session');
+const User = mongoose.model('User');
+
+describe('data erasure', () => {
+  const admin = { _id: new mongoose.Types.ObjectId(), role: 'admin' };
+  const token = jwt.sign({ _id: admin._id.toString(), role: 'admin', sid: new mongoose.Types.ObjectId().toString() }, 'test-secret');
+  const requestId = new mongoose.Types.ObjectId();
+  const userId = new mongoose.Types.ObjectId();
+  const erasureRequest = (status, stepStatus) => ErasureRequest.hydrate({
+    _id: requestId,
+    userId,
+    status,
+    services: ['order-service', 'user-service'].map(name => ({ _id: new mongoose.Types.ObjectId(), name, status: stepStatus }))
+  });
+
+  beforeEach(() => {
+    jest.spyOn(Session, 'findOne').mockResolvedValue({ _id: 'session' });
+    jest.spyOn(User, 'findOne').mockResolvedValue(admin);
+    jest.spyOn(ErasureRequest.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('POST /data-erasure/:requestId/retry', () => {
+    const retry = () => request(app).post(`/data-erasure/${requestId}/retry`).set('Authorization', `Bearer ${token}`);
+
+    test('claims the request before running it', async () => {
+      jest.spyOn(ErasureRequest, 'findById').mockResolvedValue(erasureRequest('failed', 'completed'));
+      jest.spyOn(ErasureRequest, 'findOneAndUpdate').mockResolvedValue(erasureRequest('in_progress', 'completed'));
+
+      const res = await retry();
+
+      expect(res.status).toBe(200);
+      expect(res.body.status).toBe('completed');
+      const [[filter, update]] = ErasureRequest.findOneAndUpdate.mock.calls;
+      expect(filter._id).toEqual(requestId);
+      expect(filter.$or).toContainEqual({ status: { $in: ['pending', 'failed'] } });
+      expect(update).toEqual({ status: 'in_progress', claimedAt: expect.any(Date) });
+    });
+
+    test('refuses a request another run has claimed', async () => {
+      jest.spyOn(ErasureRequest, 'findById').mockResolvedValue(erasureRequest('in_progress', 'pending'));
+      jest.spyOn(ErasureRequest, 'findOneAndUpdate').mockResolvedValue(null);
+
+      const res = await retry();
+
+      expect(res.status).toBe(409);
+      expect(ErasureRequest.prototype.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /users/:id/data-erasure', () => {
+    const erase = () => request(app).post(`/users/${userId}/data-erasure`).set('Authorization', `Bearer ${token}`);
+
+    beforeEach(() => {
+      jest.spyOn(User, 'findById').mockResolvedValue(User.hydrate({ _id: userId, email: 'user@example.com', isActive: true }));
+      jest.spyOn(User.prototype, 'save').mockImplementation(function() {
+        return Promise.resolve(this);
+      });
+      jest.spyOn(Session, 'updateMany').mockResolvedValue({});
+      jest.spyOn(AuditEvent, 'create').mockResolvedValue({});
+      jest.spyOn(ErasureRequest, 'create');
+    });
+
+    test('resumes the open request instead of starting another', async () => {
+      jest.spyOn(ErasureRequest, 'findOne').mockResolvedValue(erasureRequest('failed', 'completed'));
+      jest.spyOn(ErasureRequest, 'findOneAndUpdate').mockResolvedValue(erasureRequest('in_progress', 'completed'));
+
+      const res = await erase();
+
+      expect(res.status).toBe(200);
+      expect(res.body._id).toBe(requestId.toString());
+      expect(res.body.status).toBe('completed');
+      expect(ErasureRequest.findOne).toHaveBeenCalledWith({ userId, status: { $ne: 'completed' } });
+      expect(ErasureRequest.create).not.toHaveBeenCalled();
+    });
+
+    test('returns the open request a concurrent start created', async () => {
+      jest.spyOn(ErasureRequest, 'findOne')
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce(erasureRequest('in_progress', 'pending'));
+      ErasureRequest.create.mockRejectedValue(Object.assign(new Error('duplicate key'), { code: 11000 }));
+      jest.spyOn(ErasureRequest, 'findOneAndUpdate').mockResolvedValue(null);
+
+      const res = await erase();
+
+      expect(res.status).toBe(200);
+      expect(res.body._id).toBe(requestId.toString());
+      expect(res.body.status).toBe('in_progress');
+      expect(ErasureRequest.prototype.save).not.toHaveBeenCalled();
+    });
+
+    test('anonymizes audit events by email too and records the erasure without the client', async () => {
+      const claimed = erasureRequest('in_progress', 'completed');
+      claimed.services[1].status = 'pending';
+      jest.spyOn(ErasureRequest, 'findOne').mockResolvedValue(erasureRequest('failed', 'completed'));
+      jest.spyOn(ErasureRequest, 'findOneAndUpdate').mockResolvedValue(claimed);
+      for (const model of [Session, RefreshToken, ActionToken, SellerProfile, ApiKey]) {
+        jest.spyOn(model, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+      }
+      jest.spyOn(AuditEvent, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+      jest.spyOn(LoginThrottle, 'deleteOne').mockResolvedValue({});
+      jest.spyOn(User, 'deleteOne').mockResolvedValue({});
+
+      const res = await erase();
+
+      expect(res.body.status).toBe('completed');
+      const [[filter]] = AuditEvent.updateMany.mock.calls;
+      expect(filter.$or).toEqual([{ userId: userId.toString() }, { actorId: userId.toString() }, { email: 'user@example.com' }]);
+      const erasureEvent = AuditEvent.create.mock.calls.map(([event]) => event).find(event => event.type === 'data_erasure');
+      expect(erasureEvent).toMatchObject({ ip: undefined, userAgent: undefined });
+    });
+  });
+
+  describe('POST /users/:id/reactivate', () => {
+    const reactivate = () => request(app).post(`/users/${userId}/reactivate`).set('Authorization', `Bearer ${token}`);
+    let target;
+
+    beforeEach(() => {
+      target = User.hydrate({ _id: userId, email: 'user@example.com', isActive: false, deactivationReason: 'Data erasure requested' });
+      jest.spyOn(User, 'findById').mockResolvedValue(target);
+      jest.spyOn(User.prototype, 'save').mockImplementation(function() {
+        return Promise.resolve(this);
+      });
+      jest.spyOn(AuditEvent, 'create').mockResolvedValue({});
+    });
+
+    test('refuses an account with an unfinished erasure', async () => {
+      jest.spyOn(ErasureRequest, 'exists').mockResolvedValue({ _id: requestId });
+
+      const res = await reactivate();
+
+      expect(res.status).toBe(409);
+      expect(ErasureRequest.exists).toHaveBeenCalledWith({ userId, status: { $ne: 'completed' } });
+      expect(target.isActive).toBe(false);
+      expect(User.prototype.save).not.toHaveBeenCalled();
+    });
+
+    test('reactivates other accounts', async () => {
+      jest.spyOn(ErasureRequest, 'exists').mockResolvedValue(null);
+
+      const res = await reactivate();
+
+      expect(res.status).toBe(200);
+      expect(target.isActive).toBe(true);
+      expect(target.deactivationReason).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,91 @@
+process.env.JWT_SECRET = 'test-secret';
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { app } = require('../index');
+
+const RefreshToken = mongoose.model('RefreshToken');
+const Session = mongoose.model('Session');
+const User = mongoose.model('User');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+describe('POST /token/refresh', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const sessionId = new mongoose.Types.ObjectId();
+  const storedToken = {
+    _id: new mongoose.Types.ObjectId(),
+    sessionId,
+    userId,
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+  };
+  let session;
+
+  beforeEach(() => {
+    session = { _id: sessionId, userId, expiresAt: storedToken.expiresAt, save: jest.fn().mockResolvedValue() };
+    jest.spyOn(RefreshToken, 'findOne').mockResolvedValue(storedToken);
+    jest.spyOn(RefreshToken, 'findOneAndUpdate').mockResolvedValue(storedToken);
+    jest.spyOn(RefreshToken, 'create').mockResolvedValue({});
+    jest.spyOn(Session, 'findOne').mockResolvedValue(session);
+    jest.spyOn(Session, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(User, 'findOne').mockResolvedValue({ _id: userId, role: 'user', twoFactor: { enabled: false } });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('rotates the refresh token', async () => {
+    const res = await request(app).post('/token/refresh').send({ refreshToken: 'old-token' });
+
+    expect(res.status).toBe(200);
+    expect(RefreshToken.findOne).toHaveBeenCalledWith({ tokenHash: hashToken('old-token') });
+    expect(RefreshToken.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: storedToken._id, usedAt: null },
+      { usedAt: expect.any(Date) }
+    );
+
+    const [[issued]] = RefreshToken.create.mock.calls;
+    expect(res.body.refreshToken).not.toBe('old-token');
+    expect(issued).toMatchObject({ sessionId, userId, tokenHash: hashToken(res.body.refreshToken) });
+    expect(jwt.verify(res.body.token, 'test-secret')).toMatchObject({ _id: userId.toString(), sid: sessionId.toString() });
+    expect(session.save).toHaveBeenCalled();
+  });
+
+  test('revokes the session when a rotated token is reused', async () => {
+    RefreshToken.findOneAndUpdate.mockResolvedValue(null);
+
+    const res = await request(app).post('/token/refresh').send({ refreshToken: 'old-token' });
+
+    expect(res.status).toBe(401);
+    expect(Session.updateMany).toHaveBeenCalledWith(
+      { _id: sessionId, revokedAt: null },
+      { revokedAt: expect.any(Date), revokedReason: 'refresh_token_reuse' }
+    );
+    expect(RefreshToken.create).not.toHaveBeenCalled();
+  });
+
+  test('rejects unknown and expired tokens', async () => {
+    RefreshToken.findOne.mockResolvedValueOnce(null);
+    const unknown = await request(app).post('/token/refresh').send({ refreshToken: 'unknown' });
+    expect(unknown.status).toBe(401);
+
+    RefreshToken.findOne.mockResolvedValueOnce({ ...storedToken, expiresAt: new Date(Date.now() - 1000) });
+    const expired = await request(app).post('/token/refresh').send({ refreshToken: 'expired' });
+    expect(expired.status).toBe(401);
+
+    expect(RefreshToken.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  test('rejects a token whose session was revoked', async () => {
+    Session.findOne.mockResolvedValue(null);
+
+    const res = await request(app).post('/token/refresh').send({ refreshToken: 'old-token' });
+
+    expect(res.status).toBe(401);
+    expect(RefreshToken.create).not.toHaveBeenCalled();
+  });
+});
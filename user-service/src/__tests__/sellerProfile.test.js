@@ -0,0 +1,102 @@
+process.env.JWT_SECRET = 'test-secret';
+
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { app } = require('../index');
+
+const SellerProfile = mongoose.model('SellerProfile');
+const Session = mongoose.model('Session');
+const User = mongoose.model('User');
+
+describe('PUT /seller/profile', () => {
+  const seller = { _id: new mongoose.Types.ObjectId(), role: 'seller' };
+  const token = jwt.sign({ _id: seller._id.toString(), role: 'seller', sid: new mongoose.Types.ObjectId().toString() }, 'test-secret');
+  const approvedProfile = () => SellerProfile.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    userId: seller._id,
+    displayName: 'Seller Boutique',
+    contactEmail: 'seller@example.com',
+    payoutDetails: { method: 'paypal', paypalEmail: 'seller@example.com' },
+    status: 'approved',
+    reviewedAt: new Date(),
+    reviewedBy: new mongoose.Types.ObjectId()
+  });
+
+  beforeEach(() => {
+    jest.spyOn(Session, 'findOne').mockResolvedValue({ _id: 'session' });
+    jest.spyOn(User, 'findOne').mockResolvedValue(seller);
+    jest.spyOn(SellerProfile.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('sends an approved store back to review when its payout details change', async () => {
+    jest.spyOn(SellerProfile, 'findOne').mockResolvedValue(approvedProfile());
+
+    const res = await request(app)
+      .put('/seller/profile')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ payoutDetails: { method: 'paypal', paypalEmail: 'someone-else@example.com' } });
+
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe('pending');
+    expect(res.body.reviewedAt).toBeUndefined();
+    expect(res.body.payoutDetails.paypalEmail).toBe('someone-else@example.com');
+  });
+
+  test('keeps the store approved for other changes', async () => {
+    jest.spyOn(SellerProfile, 'findOne').mockResolvedValue(approvedProfile());
+
+    const res = await request(app)
+      .put('/seller/profile')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        displayName: 'Renamed Boutique',
+        payoutDetails: { method: 'paypal', paypalEmail: 'seller@example.com' }
+      });
+
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe('approved');
+    expect(res.body.displayName).toBe('Renamed Boutique');
+  });
+});
+
+describe('GET /seller/applications', () => {
+  const admin = { _id: new mongoose.Types.ObjectId(), role: 'admin' };
+  const token = jwt.sign({ _id: admin._id.toString(), role: 'admin', sid: new mongoose.Types.ObjectId().toString() }, 'test-secret');
+  let query;
+
+  beforeEach(() => {
+    query = { skip: jest.fn(), limit: jest.fn(), sort: jest.fn().mockResolvedValue([]) };
+    query.skip.mockReturnValue(query);
+    query.limit.mockReturnValue(query);
+    jest.spyOn(Session, 'findOne').mockResolvedValue({ _id: 'session' });
+    jest.spyOn(User, 'findOne').mockResolvedValue(admin);
+    jest.spyOn(SellerProfile, 'find').mockReturnValue(query);
+    jest.spyOn(SellerProfile, 'countDocuments').mockResolvedValue(0);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('filters by a known status', async () => {
+    const res = await request(app).get('/seller/applications?status=pending').set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(SellerProfile.find).toHaveBeenCalledWith({ status: 'pending' });
+  });
+
+  test('rejects unknown statuses and query operators', async () => {
+    for (const search of ['status=open', 'status[$ne]=approved', 'status[]=pending']) {
+      const res = await request(app).get(`/seller/applications?${search}`).set('Authorization', `Bearer ${token}`);
+      expect(res.status).toBe(400);
+    }
+    expect(SellerProfile.find).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,145 @@
+process.env.JWT_SECRET = 'test-secret';
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { authenticator } = require('otplib');
+const { app } = require('../index');
+
+const ActionToken = mongoose.model('ActionToken');
+const AuditEvent = mongoose.model('AuditEvent');
+const LoginThrottle = mongoose.model('LoginThrottle');
+const RefreshToken = mongoose.model('RefreshToken');
+const Session = mongoose.model('Session');
+const User = mongoose.model('User');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+describe('POST /login/2fa', () => {
+  const secret = authenticator.generateSecret();
+  const userId = new mongoose.Types.ObjectId();
+  const challengeToken = jwt.sign(
+    { _id: userId.toString(), purpose: 'two_factor_challenge' },
+    'test-secret',
+    { jwtid: 'challenge' }
+  );
+  // What the database holds; every lookup gets a fresh copy, like separate requests would
+  let stored;
+
+  const login = (body) => request(app).post('/login/2fa').send({ challengeToken, ...body });
+
+  beforeEach(() => {
+    stored = {
+      _id: userId,
+      email: 'admin@example.com',
+      password: 'hashed',
+      role: 'admin',
+      isActive: true,
+      twoFactor: {
+        enabled: true,
+        secret,
+        lastUsedStep: null,
+        recoveryCodes: [{ codeHash: hashToken('abcde12345') }, { codeHash: hashToken('fghij67890') }]
+      }
+    };
+
+    jest.spyOn(User, 'findOne').mockImplementation(async () => User.hydrate(JSON.parse(JSON.stringify(stored))));
+    // Applies the conditional claims the way MongoDB would
+    jest.spyOn(User, 'updateOne').mockImplementation(async (filter, update) => {
+      const { twoFactor } = stored;
+      if (filter['twoFactor.recoveryCodes']) {
+        const { codeHash } = filter['twoFactor.recoveryCodes'].$elemMatch;
+        const entry = twoFactor.recoveryCodes.find(code => code.codeHash === codeHash && !code.usedAt);
+        if (!entry) return { modifiedCount: 0 };
+        entry.usedAt = update.$set['twoFactor.recoveryCodes.$.usedAt'];
+        return { modifiedCount: 1 };
+      }
+
+      const step = update['twoFactor.lastUsedStep'];
+      if (twoFactor.lastUsedStep !== null && twoFactor.lastUsedStep >= step) return { modifiedCount: 0 };
+      twoFactor.lastUsedStep = step;
+      return { modifiedCount: 1 };
+    });
+    jest.spyOn(User.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+
+    jest.spyOn(ActionToken, 'findOne').mockResolvedValue({ jti: 'challenge' });
+    jest.spyOn(ActionToken, 'findOneAndUpdate').mockResolvedValue({ jti: 'challenge' });
+    jest.spyOn(LoginThrottle, 'find').mockResolvedValue([]);
+    jest.spyOn(LoginThrottle, 'findOneAndUpdate').mockResolvedValue({ failures: 1 });
+    jest.spyOn(LoginThrottle, 'deleteOne').mockResolvedValue({});
+    jest.spyOn(AuditEvent, 'create').mockResolvedValue({});
+    jest.spyOn(Session, 'create').mockImplementation(async (session) => ({ _id: new mongoose.Types.ObjectId(), ...session }));
+    jest.spyOn(RefreshToken, 'create').mockResolvedValue({});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('accepts a TOTP code once', async () => {
+    const code = authenticator.generate(secret);
+
+    const first = await login({ code });
+    expect(first.status).toBe(200);
+    expect(first.body.token).toBeDefined();
+
+    const replayed = await login({ code });
+    expect(replayed.status).toBe(401);
+  });
+
+  test('accepts a TOTP code for only one of two concurrent logins', async () => {
+    const code = authenticator.generate(secret);
+
+    const responses = await Promise.all([login({ code }), login({ code })]);
+
+    expect(responses.map(res => res.status).sort()).toEqual([200, 401]);
+  });
+
+  test('rejects a wrong TOTP code without claiming a step', async () => {
+    const res = await login({ code: 'abcdef' });
+
+    expect(res.status).toBe(401);
+    expect(User.updateOne).not.toHaveBeenCalled();
+  });
+
+  test('counts a wrong code against the account and the IP', async () => {
+    await login({ code: 'abcdef' });
+
+    const keys = LoginThrottle.findOneAndUpdate.mock.calls.map(([filter]) => filter.key);
+    expect(keys).toEqual(['account:admin@example.com', expect.stringMatching(/^ip:/)]);
+  });
+
+  test('spends a recovery code atomically', async () => {
+    const res = await login({ recoveryCode: ' ABCDE12345 ' });
+
+    expect(res.status).toBe(200);
+    expect(User.updateOne).toHaveBeenCalledWith(
+      { _id: userId, 'twoFactor.recoveryCodes': { $elemMatch: { codeHash: hashToken('abcde12345'), usedAt: null } } },
+      { $set: { 'twoFactor.recoveryCodes.$.usedAt': expect.any(Date) } }
+    );
+    expect(stored.twoFactor.recoveryCodes[0].usedAt).toBeInstanceOf(Date);
+    expect(stored.twoFactor.recoveryCodes[1].usedAt).toBeUndefined();
+
+    const replayed = await login({ recoveryCode: 'abcde12345' });
+    expect(replayed.status).toBe(401);
+  });
+
+  test('accepts a recovery code for only one of two concurrent logins', async () => {
+    const responses = await Promise.all([
+      login({ recoveryCode: 'fghij67890' }),
+      login({ recoveryCode: 'fghij67890' })
+    ]);
+
+    expect(responses.map(res => res.status).sort()).toEqual([200, 401]);
+  });
+
+  test('rejects unknown recovery codes', async () => {
+    const res = await login({ recoveryCode: 'not-a-code' });
+
+    expect(res.status).toBe(401);
+  });
+});
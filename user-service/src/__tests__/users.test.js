@@ -0,0 +1,87 @@
+process.env.JWT_SECRET = 'test-secret';
+
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { app } = require('../index');
+
+const AuditEvent = mongoose.model('AuditEvent');
+const Session = mongoose.model('Session');
+const User = mongoose.model('User');
+
+describe('GET /users', () => {
+  const admin = { _id: new mongoose.Types.ObjectId(), role: 'admin' };
+  const token = jwt.sign({ _id: admin._id.toString(), role: 'admin', sid: new mongoose.Types.ObjectId().toString() }, 'test-secret');
+  let query;
+
+  beforeEach(() => {
+    query = { skip: jest.fn(), limit: jest.fn(), sort: jest.fn().mockResolvedValue([]) };
+    query.skip.mockReturnValue(query);
+    query.limit.mockReturnValue(query);
+    jest.spyOn(Session, 'findOne').mockResolvedValue({ _id: 'session' });
+    jest.spyOn(User, 'findOne').mockResolvedValue(admin);
+    jest.spyOn(User, 'find').mockReturnValue(query);
+    jest.spyOn(User, 'countDocuments').mockResolvedValue(0);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('filters by a known role', async () => {
+    const res = await request(app).get('/users?role=seller').set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(User.find).toHaveBeenCalledWith({ role: 'seller' });
+  });
+
+  test('rejects unknown roles and query operators', async () => {
+    for (const search of ['role=owner', 'role[$ne]=user', 'role[]=admin']) {
+      const res = await request(app).get(`/users?${search}`).set('Authorization', `Bearer ${token}`);
+      expect(res.status).toBe(400);
+    }
+    expect(User.find).not.toHaveBeenCalled();
+  });
+});
+
+describe('GET /audit-events', () => {
+  const admin = { _id: new mongoose.Types.ObjectId(), role: 'admin' };
+  const token = jwt.sign({ _id: admin._id.toString(), role: 'admin', sid: new mongoose.Types.ObjectId().toString() }, 'test-secret');
+  let query;
+
+  beforeEach(() => {
+    query = { skip: jest.fn(), limit: jest.fn(), sort: jest.fn().mockResolvedValue([]) };
+    query.skip.mockReturnValue(query);
+    query.limit.mockReturnValue(query);
+    jest.spyOn(Session, 'findOne').mockResolvedValue({ _id: 'session' });
+    jest.spyOn(User, 'findOne').mockResolvedValue(admin);
+    jest.spyOn(AuditEvent, 'find').mockReturnValue(query);
+    jest.spyOn(AuditEvent, 'countDocuments').mockResolvedValue(0);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('filters by a known type and an IP', async () => {
+    const res = await request(app).get('/audit-events?type=login_failure&ip=10.0.0.1').set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(AuditEvent.find).toHaveBeenCalledWith({ type: 'login_failure', ip: '10.0.0.1' });
+  });
+
+  test('rejects unknown types and query operators', async () => {
+    for (const search of ['type=logout', 'type[$ne]=register', 'type[]=login_success']) {
+      const res = await request(app).get(`/audit-events?${search}`).set('Authorization', `Bearer ${token}`);
+      expect(res.status).toBe(400);
+    }
+    expect(AuditEvent.find).not.toHaveBeenCalled();
+  });
+
+  test('turns an IP operator into a plain string', async () => {
+    const res = await request(app).get('/audit-events?ip[$ne]=x').set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(AuditEvent.find).toHaveBeenCalledWith({ ip: expect.any(String) });
+  });
+});
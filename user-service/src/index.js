@@ -4,6 +4,11 @@ const mongoose = require('mongoose');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const cors = require('cors');
+const crypto = require('crypto');
+const axios = require('axios');
+const { authenticator } = require('otplib');
+const { createMailer } = require('./mail');
+const { internalAuth } = require('../../shared');
 
 const app = express();
 
@@ -11,7 +16,119 @@ const app = express();
 app.use(express.json());
 app.use(cors());
 
-// Database Schema
+// Token Configuration
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const EMAIL_VERIFICATION_TOKEN_TTL = process.env.EMAIL_VERIFICATION_TOKEN_TTL || '24h';
+const PASSWORD_RESET_TOKEN_TTL = process.env.PASSWORD_RESET_TOKEN_TTL || '1h';
+const REQUIRE_EMAIL_VERIFICATION = process.env.REQUIRE_EMAIL_VERIFICATION === 'true';
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+// Accounts with these addresses become admins once the address is verified; everyone else
+// starts as a user. There is no default, so no address is trusted unless configured.
+const BOOTSTRAP_ADMIN_EMAILS = (process.env.BOOTSTRAP_ADMIN_EMAILS || '')
+  .split(',')
+  .map(email => email.trim().toLowerCase())
+  .filter(Boolean);
+
+// Login Throttling Configuration
+const LOGIN_MAX_ATTEMPTS_PER_ACCOUNT = Number(process.env.LOGIN_MAX_ATTEMPTS_PER_ACCOUNT) || 5;
+const LOGIN_MAX_ATTEMPTS_PER_IP = Number(process.env.LOGIN_MAX_ATTEMPTS_PER_IP) || 20;
+const LOGIN_ATTEMPT_WINDOW_MS = (Number(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES) || 15) * 60 * 1000;
+const LOGIN_LOCKOUT_MS = (Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000;
+
+// Two-Factor Configuration
+// Roles listed here must enrol in TOTP before they can finish logging in
+const TWO_FACTOR_REQUIRED_ROLES = (process.env.TWO_FACTOR_REQUIRED_ROLES || '')
+  .split(',')
+  .map(role => role.trim())
+  .filter(Boolean);
+const TWO_FACTOR_CHALLENGE_TTL = process.env.TWO_FACTOR_CHALLENGE_TTL || '5m';
+const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || 'Fashion Store';
+const RECOVERY_CODE_COUNT = 10;
+
+// Accept codes from the previous and next 30 second step to allow for clock drift
+authenticator.options = { window: 1 };
+
+// Personal Data Configuration
+// Services that store data keyed by user id expose GET/DELETE /internal/users/:userId/data,
+// authenticated with the shared INTERNAL_SERVICE_TOKEN
+const INTERNAL_SERVICE_TOKEN = process.env.INTERNAL_SERVICE_TOKEN;
+// Failed erasures are retried on this interval, so a user who erased their own (now locked)
+// account doesn't depend on an admin to finish it
+const ERASURE_RETRY_INTERVAL_MS = (Number(process.env.ERASURE_RETRY_INTERVAL_MINUTES) || 60) * 60 * 1000;
+// A run claims its request; a claim this old belongs to a run that died and can be taken over
+const ERASURE_CLAIM_TIMEOUT_MS = 15 * 60 * 1000;
+const PERSONAL_DATA_SERVICES = {
+  'product-service': process.env.PRODUCT_SERVICE_URL || 'http://localhost:3002',
+  'order-service': process.env.ORDER_SERVICE_URL || 'http://localhost:3003',
+  'recommendation-service': process.env.RECOMMENDATION_SERVICE_URL || 'http://localhost:3004',
+  'analytics-service': process.env.ANALYTICS_SERVICE_URL || 'http://localhost:3005'
+};
+
+// Created on first use, so transports registered after startup are picked up
+let mailer = null;
+const getMailer = () => {
+  mailer = mailer || createMailer();
+  return mailer;
+};
+
+// Database Schemas
+const addressSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    trim: true
+  },
+  fullName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  line1: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  line2: {
+    type: String,
+    trim: true
+  },
+  city: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  state: {
+    type: String,
+    trim: true
+  },
+  postalCode: {
+    type: String,
+    required: true,
+    trim: true,
+    match: /^[A-Za-z0-9][A-Za-z0-9 -]{1,9}$/
+  },
+  // ISO 3166-1 alpha-2 country code
+  country: {
+    type: String,
+    required: true,
+    uppercase: true,
+    match: /^[A-Z]{2}$/
+  },
+  phone: {
+    type: String,
+    trim: true,
+    match: /^\+?[0-9 ()-]{7,20}$/
+  },
+  isDefaultShipping: {
+    type: Boolean,
+    default: false
+  },
+  isDefaultBilling: {
+    type: Boolean,
+    default: false
+  }
+});
+
 const userSchema = new mongoose.Schema({
   email: {
     type: String,
@@ -40,6 +157,34 @@ const userSchema = new mongoose.Schema({
   isActive: {
     type: Boolean,
     default: true
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: Date,
+  deactivatedAt: Date,
+  deactivationReason: String,
+  passwordResetRequired: {
+    type: Boolean,
+    default: false
+  },
+  addresses: [addressSchema],
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: String,
+    // Generated by /2fa/setup and promoted to `secret` once a code is confirmed
+    pendingSecret: String,
+    enabledAt: Date,
+    // Time step of the last accepted TOTP code; a code is only accepted for a later step
+    lastUsedStep: Number,
+    recoveryCodes: [{
+      codeHash: String,
+      usedAt: Date
+    }]
   }
 });
 
@@ -51,161 +196,2136 @@ userSchema.pre('save', async function(next) {
   next();
 });
 
-const User = mongoose.model('User', userSchema);
+// Safe serializer: every response that sends a user goes through toJSON
+userSchema.methods.toJSON = function() {
+  const user = this.toObject();
+  delete user.password;
+  delete user.__v;
+  user.twoFactorEnabled = Boolean(user.twoFactor && user.twoFactor.enabled);
+  delete user.twoFactor;
+  return user;
+};
 
-// Authentication Middleware
-const auth = async (req, res, next) => {
-  try {
-    const token = req.header('Authorization').replace('Bearer ', '');
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findOne({ _id: decoded._id, isActive: true });
+// A session is one login on one device; access tokens carry its id as `sid`
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    index: true
+  },
+  userAgent: String,
+  ip: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: String
+});
 
-    if (!user) {
-      throw new Error();
-    }
+// Refresh tokens are stored as SHA-256 hashes and rotated on every use
+const refreshTokenSchema = new mongoose.Schema({
+  sessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    index: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
 
-    req.token = token;
-    req.user = user;
-    next();
-  } catch (error) {
-    res.status(401).send({ error: 'Please authenticate.' });
+// One-time action tokens (email verification, password reset); the JWT carries the jti
+const actionTokenSchema = new mongoose.Schema({
+  jti: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    index: true
+  },
+  purpose: {
+    type: String,
+    required: true,
+    enum: ['email_verification', 'password_reset', 'two_factor_challenge']
+  },
+  email: String,
+  usedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
   }
-};
+});
 
-// Routes
+// Seller store profile; the seller role is only granted once an admin approves it
+const sellerProfileSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    unique: true
+  },
+  displayName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: String,
+  contactEmail: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  contactPhone: String,
+  payoutDetails: {
+    method: {
+      type: String,
+      enum: ['bank_transfer', 'paypal'],
+      required: true
+    },
+    accountHolderName: String,
+    bankName: String,
+    accountNumber: String,
+    routingNumber: String,
+    paypalEmail: String
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending',
+    index: true
+  },
+  submittedAt: {
+    type: Date,
+    default: Date.now
+  },
+  reviewedAt: Date,
+  reviewedBy: mongoose.Schema.Types.ObjectId,
+  rejectionReason: String
+});
 
-// POST /register - User Registration
-app.post('/register', async (req, res) => {
-  try {
-    console.log('Register request body:', req.body);
-    const { email, password, firstName, lastName, role } = req.body;
-    
-    // Check if user already exists
-    const existingUser = await User.findOne({ email });
-    if (existingUser) {
-      console.log('User already exists:', email);
-      return res.status(400).send({ error: 'Email already registered' });
-    }
+// Payout account numbers are never sent back in full
+sellerProfileSchema.methods.toJSON = function() {
+  const profile = this.toObject();
+  delete profile.__v;
+  if (profile.payoutDetails && profile.payoutDetails.accountNumber) {
+    profile.payoutDetails.accountNumber = `****${profile.payoutDetails.accountNumber.slice(-4)}`;
+  }
+  return profile;
+};
 
-    const user = new User({
-      email,
-      password,
-      firstName,
-      lastName,
-      role: role || 'user'
-    });
+// Failed login counters, keyed by `account:<email>` or `ip:<address>`
+const loginThrottleSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  windowStartedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedUntil: Date
+});
 
-    await user.save();
-    console.log('New user created:', {
-      id: user._id,
-      email: user.email,
-      role: user.role
-    });
+const auditEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    enum: [
+      'register',
+      'login_success',
+      'login_failure',
+      'account_locked',
+      'account_unlocked',
+      'profile_change',
+      'password_change',
+      'role_change',
+      'deactivation',
+      'reactivation',
+      'two_factor_enabled',
+      'two_factor_disabled',
+      'data_export',
+      'data_erasure'
+    ]
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    index: true
+  },
+  // The admin who acted on the account, when it wasn't the user themselves
+  actorId: mongoose.Schema.Types.ObjectId,
+  email: String,
+  ip: String,
+  userAgent: String,
+  metadata: mongoose.Schema.Types.Mixed,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  }
+});
 
-    const tokenPayload = {
-      _id: user._id.toString(),
-      role: user.role
-    };
-    console.log('Registration token payload:', tokenPayload);
+// Tracks a hard erasure across every service so failed steps can be retried
+const erasureRequestSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    index: true
+  },
+  requestedBy: mongoose.Schema.Types.ObjectId,
+  status: {
+    type: String,
+    enum: ['pending', 'in_progress', 'completed', 'failed'],
+    default: 'pending'
+  },
+  // When the current run claimed the request
+  claimedAt: Date,
+  services: [{
+    name: String,
+    status: {
+      type: String,
+      enum: ['pending', 'completed', 'failed'],
+      default: 'pending'
+    },
+    completedAt: Date,
+    error: String,
+    details: mongoose.Schema.Types.Mixed
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  completedAt: Date
+});
 
-    const token = jwt.sign(tokenPayload, process.env.JWT_SECRET);
-    console.log('Registration token generated:', token);
-    
-    res.status(201).send({ user, token });
-  } catch (error) {
-    console.error('Registration error:', error);
-    res.status(400).send(error);
+// At most one open (not yet completed) request per user, so two starts can't run side by side
+erasureRequestSchema.index(
+  { userId: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: ['pending', 'in_progress', 'failed'] } } }
+);
+
+// Seller API keys for programmatic catalog access; only a SHA-256 hash of the key is stored
+const apiKeySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // First characters of the key, shown so sellers can tell their keys apart
+  prefix: {
+    type: String,
+    required: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  scopes: [{
+    type: String,
+    enum: ['products:read', 'products:write', 'inventory:write']
+  }],
+  expiresAt: Date,
+  lastUsedAt: Date,
+  lastUsedIp: String,
+  revokedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
   }
 });
 
-// POST /login - User Login
-app.post('/login', async (req, res) => {
-  try {
-    console.log('Login request body:', req.body);
-    const { email, password } = req.body;
-    const user = await User.findOne({ email });
-
-    console.log('Login attempt for user:', email);
-    console.log('Found user:', user);
+apiKeySchema.methods.toJSON = function() {
+  const apiKey = this.toObject();
+  delete apiKey.keyHash;
+  delete apiKey.__v;
+  return apiKey;
+};
 
-    if (!user || !await bcrypt.compare(password, user.password)) {
-      console.log('Invalid login attempt for:', email);
-      return res.status(401).send({ error: 'Invalid login credentials' });
-    }
+const User = mongoose.model('User', userSchema);
+const SellerProfile = mongoose.model('SellerProfile', sellerProfileSchema);
+const Session = mongoose.model('Session', sessionSchema);
+const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+const ActionToken = mongoose.model('ActionToken', actionTokenSchema);
+const LoginThrottle = mongoose.model('LoginThrottle', loginThrottleSchema);
+const AuditEvent = mongoose.model('AuditEvent', auditEventSchema);
+const ErasureRequest = mongoose.model('ErasureRequest', erasureRequestSchema);
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
 
-    user.lastLogin = new Date();
-    await user.save();
+// Token Helpers
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
 
-    const tokenPayload = {
-      _id: user._id.toString(),
-      role: user.role
-    };
-    console.log('Login token payload:', tokenPayload);
+const signAccessToken = (user, session) => jwt.sign(
+  {
+    _id: user._id.toString(),
+    role: user.role,
+    sid: session._id.toString()
+  },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
 
-    const token = jwt.sign(tokenPayload, process.env.JWT_SECRET);
-    console.log('Login token generated:', token);
+async function issueRefreshToken(session) {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+  await RefreshToken.create({
+    sessionId: session._id,
+    userId: session.userId,
+    tokenHash: hashToken(refreshToken),
+    expiresAt: session.expiresAt
+  });
+  return refreshToken;
+}
 
-    res.send({ user, token });
-  } catch (error) {
-    console.error('Login error:', error);
-    res.status(400).send(error);
-  }
-});
+// Records a successful login and opens a session for it
+async function completeLogin(user, req, metadata) {
+  user.lastLogin = new Date();
+  await user.save();
 
-// PUT /update-profile - Update User Profile
-app.put('/update-profile', auth, async (req, res) => {
-  const updates = Object.keys(req.body);
-  const allowedUpdates = ['firstName', 'lastName', 'password', 'email'];
-  const isValidOperation = updates.every(update => allowedUpdates.includes(update));
+  const tokens = await createSession(user, req);
+  await recordAuditEvent(req, 'login_success', { user, metadata });
+  mergeGuestCart(user, req.body.cartToken || req.get('X-Cart-Token'));
+  return tokens;
+}
 
-  if (!isValidOperation) {
-    return res.status(400).send({ error: 'Invalid updates!' });
-  }
+// A guest cart (sent as cartToken with the request that completes sign-in) joins the user's
+// cart in order-service. Logins don't wait for it, and failures are only logged.
+async function mergeGuestCart(user, cartToken) {
+  if (!cartToken) return;
 
   try {
-    updates.forEach(update => req.user[update] = req.body[update]);
-    await req.user.save();
-    res.send(req.user);
+    await internalRequest('post', PERSONAL_DATA_SERVICES['order-service'], '/internal/carts/merge', {
+      cart_token: cartToken,
+      user_id: user._id.toString()
+    });
   } catch (error) {
-    res.status(400).send(error);
+    console.error('Error merging guest cart:', error.message);
   }
-});
+}
 
-// DELETE /delete-user - Delete User Account
-app.delete('/delete-user', auth, async (req, res) => {
+// Starts a new session and returns its first access/refresh token pair
+async function createSession(user, req) {
+  const session = await Session.create({
+    userId: user._id,
+    userAgent: req.get('User-Agent'),
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+  });
+
+  const token = signAccessToken(user, session);
+  const refreshToken = await issueRefreshToken(session);
+  return { token, refreshToken };
+}
+
+async function revokeSessions(query, reason) {
+  await Session.updateMany(
+    { ...query, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+}
+
+// Issuing a new action token invalidates any unused token with the same purpose
+async function issueActionToken(user, purpose, expiresIn) {
+  await ActionToken.updateMany(
+    { userId: user._id, purpose, usedAt: null },
+    { usedAt: new Date() }
+  );
+
+  const jti = crypto.randomBytes(16).toString('hex');
+  await ActionToken.create({ jti, userId: user._id, purpose, email: user.email });
+
+  return jwt.sign(
+    { _id: user._id.toString(), purpose },
+    process.env.JWT_SECRET,
+    { expiresIn, jwtid: jti }
+  );
+}
+
+// Verifies the signature and purpose; returns the decoded payload or null
+function decodeActionToken(token, purpose) {
+  let decoded;
   try {
-    req.user.isActive = false;
-    await req.user.save();
-    res.send({ message: 'User account deactivated successfully' });
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
   } catch (error) {
-    res.status(500).send(error);
+    return null;
   }
-});
 
-// GET /users - Get all users (admin only)
-app.get('/users', auth, async (req, res) => {
-  if (req.user.role !== 'admin') {
-    return res.status(403).send({ error: 'Access denied' });
+  return decoded.purpose === purpose && decoded.jti ? decoded : null;
+}
+
+// Looks up an unused action token without consuming it
+async function findActionToken(token, purpose) {
+  const decoded = decodeActionToken(token, purpose);
+  return decoded && ActionToken.findOne({ jti: decoded.jti, userId: decoded._id, purpose, usedAt: null });
+}
+
+// Verifies the signature and atomically marks the token used; returns null if invalid
+async function consumeActionToken(token, purpose) {
+  const decoded = decodeActionToken(token, purpose);
+  return decoded && ActionToken.findOneAndUpdate(
+    { jti: decoded.jti, userId: decoded._id, purpose, usedAt: null },
+    { usedAt: new Date() }
+  );
+}
+
+// Two-Factor Helpers
+const twoFactorRequiredFor = (user) => TWO_FACTOR_REQUIRED_ROLES.includes(user.role);
+
+const generateRecoveryCodes = () => Array.from(
+  { length: RECOVERY_CODE_COUNT },
+  () => crypto.randomBytes(5).toString('hex')
+);
+
+// Replaces the user's recovery codes and returns the plaintext codes, which are shown only once
+function resetRecoveryCodes(user) {
+  const codes = generateRecoveryCodes();
+  user.twoFactor.recoveryCodes = codes.map(code => ({ codeHash: hashToken(code) }));
+  return codes;
+}
+
+function startTwoFactorSetup(user) {
+  const secret = authenticator.generateSecret();
+  user.twoFactor.pendingSecret = secret;
+  return {
+    secret,
+    otpauthUri: authenticator.keyuri(user.email, TWO_FACTOR_ISSUER, secret)
+  };
+}
+
+// The time step a code belongs to, or null if it isn't valid within the allowed window
+function totpStep(code, secret) {
+  const delta = code && secret ? authenticator.checkDelta(String(code), secret) : null;
+  return delta === null ? null : Math.floor(Date.now() / 1000 / authenticator.allOptions().step) + delta;
+}
+
+// Confirms the pending secret with a code; returns the new recovery codes or null
+function completeTwoFactorSetup(user, code) {
+  const { pendingSecret } = user.twoFactor;
+  const step = totpStep(code, pendingSecret);
+  if (step === null) {
+    return null;
   }
 
-  try {
-    const users = await User.find({});
-    res.send(users);
-  } catch (error) {
-    res.status(500).send(error);
+  user.twoFactor.enabled = true;
+  user.twoFactor.secret = pendingSecret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.enabledAt = new Date();
+  user.twoFactor.lastUsedStep = step;
+  return resetRecoveryCodes(user);
+}
+
+// Accepts either a current TOTP code or an unused recovery code (which is then spent).
+// Either works once: the TOTP time step or the recovery code is claimed atomically, so
+// replaying it (even concurrently) is refused.
+async function verifySecondFactor(user, { code, recoveryCode }) {
+  if (!user.twoFactor.enabled) {
+    return false;
   }
-});
 
-// Server Configuration
-const PORT = process.env.PORT || 3001;
+  if (code) {
+    const step = totpStep(code, user.twoFactor.secret);
+    if (step === null) {
+      return false;
+    }
 
-mongoose.connect(process.env.MONGODB_URI)
-  .then(() => {
-    console.log('Connected to MongoDB:', process.env.MONGODB_URI);
-    app.listen(PORT, () => {
-      console.log(`User Management Service running on port ${PORT}`);
-    });
-  })
-  .catch((error) => {
-    console.error('Error connecting to MongoDB:', error);
-  });
+    const claimed = await User.updateOne(
+      { _id: user._id, $or: [{ 'twoFactor.lastUsedStep': { $lt: step } }, { 'twoFactor.lastUsedStep': null }] },
+      { 'twoFactor.lastUsedStep': step }
+    );
+    if (claimed.modifiedCount !== 1) {
+      return false;
+    }
+    user.twoFactor.lastUsedStep = step;
+    return true;
+  }
+
+  if (recoveryCode) {
+    const codeHash = hashToken(String(recoveryCode).trim().toLowerCase());
+    const usedAt = new Date();
+    const claimed = await User.updateOne(
+      { _id: user._id, 'twoFactor.recoveryCodes': { $elemMatch: { codeHash, usedAt: null } } },
+      { $set: { 'twoFactor.recoveryCodes.$.usedAt': usedAt } }
+    );
+    if (claimed.modifiedCount !== 1) {
+      return false;
+    }
+    const stored = user.twoFactor.recoveryCodes.find(entry => entry.codeHash === codeHash);
+    if (stored) stored.usedAt = usedAt;
+    return true;
+  }
+
+  return false;
+}
+
+// Mail Helpers
+async function sendVerificationEmail(user) {
+  const token = await issueActionToken(user, 'email_verification', EMAIL_VERIFICATION_TOKEN_TTL);
+  await getMailer().send({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Confirm your email address by opening ${APP_URL}/verify-email?token=${token}`
+  });
+}
+
+async function sendPasswordResetEmail(user) {
+  const token = await issueActionToken(user, 'password_reset', PASSWORD_RESET_TOKEN_TTL);
+  await getMailer().send({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Reset your password by opening ${APP_URL}/reset-password?token=${token}\n` +
+      'If you did not request a password reset you can ignore this email.'
+  });
+}
+
+// Promotes a verified bootstrap admin address. Roles are embedded in access tokens, so the
+// user's sessions are revoked and the next login carries the admin role (and its 2FA rules).
+async function promoteBootstrapAdmin(req, user) {
+  if (user.role !== 'user' || !user.emailVerified || !BOOTSTRAP_ADMIN_EMAILS.includes(user.email.toLowerCase())) {
+    return false;
+  }
+
+  user.role = 'admin';
+  await user.save();
+  await recordAuditEvent(req, 'role_change', { user, metadata: { from: 'user', to: 'admin', reason: 'bootstrap_admin' } });
+  await revokeSessions({ userId: user._id }, 'role_change');
+  return true;
+}
+
+// Audit Helpers
+// Audit writes never fail the request they describe. `omitClient` leaves out the IP and User-Agent.
+async function recordAuditEvent(req, type, { user, email, actor, metadata, omitClient = false } = {}) {
+  try {
+    await AuditEvent.create({
+      type,
+      userId: user && user._id,
+      actorId: actor && actor._id,
+      email: user ? user.email : email && String(email).trim().toLowerCase(),
+      ip: omitClient ? undefined : req.ip,
+      userAgent: omitClient ? undefined : req.get('User-Agent'),
+      metadata
+    });
+  } catch (error) {
+    console.error('Error recording audit event:', type, error);
+  }
+}
+
+// Login Throttling Helpers
+const accountThrottleKey = (email) => `account:${String(email).trim().toLowerCase()}`;
+const ipThrottleKey = (ip) => `ip:${ip}`;
+
+// Returns the latest lock expiry among the given keys, or null if none is locked
+async function findActiveLockout(keys) {
+  const locked = await LoginThrottle.find({
+    key: { $in: keys },
+    lockedUntil: { $gt: new Date() }
+  });
+
+  if (locked.length === 0) return null;
+  return new Date(Math.max(...locked.map(throttle => throttle.lockedUntil.getTime())));
+}
+
+// Counts a failure within the current window and locks the key once it hits the limit
+async function recordLoginFailure(key, maxAttempts) {
+  const now = new Date();
+
+  let throttle = await LoginThrottle.findOneAndUpdate(
+    { key, windowStartedAt: { $gt: new Date(now.getTime() - LOGIN_ATTEMPT_WINDOW_MS) } },
+    { $inc: { failures: 1 } },
+    { new: true }
+  );
+
+  if (!throttle) {
+    throttle = await LoginThrottle.findOneAndUpdate(
+      { key },
+      { failures: 1, windowStartedAt: now, lockedUntil: null },
+      { new: true, upsert: true }
+    );
+  }
+
+  if (throttle.failures < maxAttempts) {
+    return false;
+  }
+
+  throttle.lockedUntil = new Date(now.getTime() + LOGIN_LOCKOUT_MS);
+  throttle.failures = 0;
+  throttle.windowStartedAt = now;
+  await throttle.save();
+  return true;
+}
+
+// Personal Data Helpers
+const internalRequest = (method, baseUrl, path, data) => axios({
+  method,
+  url: `${baseUrl}${path}`,
+  data,
+  headers: { 'X-Internal-Token': INTERNAL_SERVICE_TOKEN },
+  timeout: 10000
+});
+
+async function collectLocalPersonalData(user) {
+  const [sellerProfile, apiKeys, sessions, auditEvents] = await Promise.all([
+    SellerProfile.findOne({ userId: user._id }),
+    ApiKey.find({ userId: user._id }),
+    Session.find({ userId: user._id }).select('userAgent ip createdAt lastUsedAt expiresAt revokedAt'),
+    AuditEvent.find({ userId: user._id }).sort({ createdAt: 1 })
+  ]);
+
+  return { profile: user, sellerProfile, apiKeys, sessions, auditEvents };
+}
+
+async function eraseLocalPersonalData(userId) {
+  const user = await User.findById(userId);
+  // Events about the user, by the user, and failed logins recorded under their email only
+  const auditFilter = { $or: [{ userId }, { actorId: userId }] };
+  if (user) {
+    auditFilter.$or.push({ email: user.email.toLowerCase() });
+  }
+  const [sessions, refreshTokens, actionTokens, sellerProfiles, apiKeys, auditEvents] = await Promise.all([
+    Session.deleteMany({ userId }),
+    RefreshToken.deleteMany({ userId }),
+    ActionToken.deleteMany({ userId }),
+    SellerProfile.deleteMany({ userId }),
+    ApiKey.deleteMany({ userId }),
+    // Audit events are kept for security records but stripped of identifying details
+    AuditEvent.updateMany(
+      auditFilter,
+      { $unset: { email: '', ip: '', userAgent: '', metadata: '' } }
+    )
+  ]);
+
+  if (user) {
+    await LoginThrottle.deleteOne({ key: accountThrottleKey(user.email) });
+    await User.deleteOne({ _id: userId });
+  }
+
+  return {
+    userDeleted: Boolean(user),
+    sessionsDeleted: sessions.deletedCount,
+    refreshTokensDeleted: refreshTokens.deletedCount,
+    actionTokensDeleted: actionTokens.deletedCount,
+    sellerProfilesDeleted: sellerProfiles.deletedCount,
+    apiKeysDeleted: apiKeys.deletedCount,
+    auditEventsAnonymized: auditEvents.modifiedCount
+  };
+}
+
+// Gathers a user's data from every service into one archive; unreachable services are listed in `errors`
+async function buildDataExport(user) {
+  const archive = {
+    exportedAt: new Date(),
+    userId: user._id,
+    services: {
+      'user-service': await collectLocalPersonalData(user)
+    },
+    errors: {}
+  };
+
+  await Promise.all(Object.entries(PERSONAL_DATA_SERVICES).map(async ([name, baseUrl]) => {
+    try {
+      const response = await internalRequest('get', baseUrl, `/internal/users/${user._id}/data`);
+      archive.services[name] = response.data;
+    } catch (error) {
+      console.error(`Error exporting data from ${name}:`, error.message);
+      archive.errors[name] = error.message;
+    }
+  }));
+
+  return archive;
+}
+
+// Requests a run may claim: new or failed ones, and ones whose run died part-way
+// (requests from before claims were recorded have no claimedAt)
+const claimableErasures = () => ({
+  $or: [
+    { status: { $in: ['pending', 'failed'] } },
+    { status: 'in_progress', claimedAt: { $not: { $gte: new Date(Date.now() - ERASURE_CLAIM_TIMEOUT_MS) } } }
+  ]
+});
+
+// Runs (or resumes) every pending or failed step of an erasure request. Other services
+// are erased first; user-service only runs once all of them have completed, so the account
+// stays visible (and the request retryable) until the end. The request is claimed first so
+// the retry job and an admin retry never run it at the same time; returns null when another
+// run holds it.
+async function runErasure(requestId) {
+  const erasureRequest = await ErasureRequest.findOneAndUpdate(
+    { _id: requestId, ...claimableErasures() },
+    { status: 'in_progress', claimedAt: new Date() },
+    { new: true }
+  );
+  if (!erasureRequest) {
+    return null;
+  }
+
+  const userId = erasureRequest.userId.toString();
+
+  for (const step of erasureRequest.services) {
+    if (step.status === 'completed') continue;
+    if (step.name === 'user-service' &&
+        erasureRequest.services.some(other => other.name !== 'user-service' && other.status !== 'completed')) {
+      continue;
+    }
+
+    try {
+      if (step.name === 'user-service') {
+        step.details = await eraseLocalPersonalData(userId);
+      } else {
+        const response = await internalRequest('delete', PERSONAL_DATA_SERVICES[step.name], `/internal/users/${userId}/data`);
+        step.details = response.data;
+      }
+      step.status = 'completed';
+      step.completedAt = new Date();
+      step.error = undefined;
+    } catch (error) {
+      console.error(`Error erasing data in ${step.name}:`, error.message);
+      step.status = 'failed';
+      step.error = error.message;
+    }
+  }
+
+  const completed = erasureRequest.services.every(step => step.status === 'completed');
+  erasureRequest.status = completed ? 'completed' : 'failed';
+  erasureRequest.completedAt = completed ? new Date() : undefined;
+  await erasureRequest.save();
+  return erasureRequest;
+}
+
+async function startErasure(req, user) {
+  // Lock the account first so nothing new is written while services are being erased
+  user.isActive = false;
+  user.deactivatedAt = new Date();
+  user.deactivationReason = 'Data erasure requested';
+  await user.save();
+  await revokeSessions({ userId: user._id }, 'data_erasure');
+
+  // A user's open request is resumed rather than started again next to it
+  const openRequest = { userId: user._id, status: { $ne: 'completed' } };
+  let started = await ErasureRequest.findOne(openRequest);
+  if (!started) {
+    try {
+      started = await ErasureRequest.create({
+        userId: user._id,
+        requestedBy: req.user._id,
+        services: [...Object.keys(PERSONAL_DATA_SERVICES), 'user-service'].map(name => ({ name }))
+      });
+    } catch (error) {
+      // A concurrent start created it first
+      if (error.code !== 11000) throw error;
+      started = await ErasureRequest.findOne(openRequest);
+    }
+  }
+
+  const erasureRequest = await runErasure(started._id) || started;
+  // Written after the user's audit events were anonymized, so it leaves out the client, which
+  // on self-erasure is the user's own IP and User-Agent
+  await recordAuditEvent(req, 'data_erasure', {
+    user: { _id: user._id },
+    actor: req.user._id.equals(user._id) ? undefined : req.user,
+    omitClient: true,
+    metadata: { erasureRequestId: erasureRequest._id, status: erasureRequest.status }
+  });
+  return erasureRequest;
+}
+
+// Authentication Middleware
+const auth = async (req, res, next) => {
+  try {
+    const token = req.header('Authorization').replace('Bearer ', '');
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Tokens issued before sessions existed carry no sid and are no longer accepted
+    if (!decoded.sid) {
+      throw new Error();
+    }
+
+    const session = await Session.findOne({
+      _id: decoded.sid,
+      userId: decoded._id,
+      revokedAt: null
+    });
+    const user = session && await User.findOne({ _id: decoded._id, isActive: true });
+
+    if (!user) {
+      throw new Error();
+    }
+
+    req.token = token;
+    req.user = user;
+    req.authSession = session;
+    next();
+  } catch (error) {
+    res.status(401).send({ error: 'Please authenticate.' });
+  }
+};
+
+// Admin Authorization Middleware
+const adminAuth = async (req, res, next) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).send({ error: 'Access denied. Admin privileges required.' });
+  }
+  next();
+};
+
+// Utility Functions
+const addressFields = ['label', 'fullName', 'line1', 'line2', 'city', 'state', 'postalCode', 'country', 'phone', 'isDefaultShipping', 'isDefaultBilling'];
+const sellerProfileFields = ['displayName', 'description', 'contactEmail', 'contactPhone', 'payoutDetails'];
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const parsePagination = ({ page = 1, limit = 20 }) => {
+  const pageNumber = Math.max(Number(page) || 1, 1);
+  const pageSize = Math.min(Math.max(Number(limit) || 20, 1), 100);
+  return { pageNumber, pageSize, skip: (pageNumber - 1) * pageSize };
+};
+
+// Keeps at most one default shipping and one default billing address; the first
+// address saved becomes the default for both
+function normalizeDefaultAddresses(user, address) {
+  ['isDefaultShipping', 'isDefaultBilling'].forEach(flag => {
+    if (address[flag]) {
+      user.addresses.forEach(other => {
+        if (!other._id.equals(address._id)) other[flag] = false;
+      });
+    } else if (!user.addresses.some(other => other[flag])) {
+      address[flag] = true;
+    }
+  });
+}
+
+// Approved sellers and admins may manage API keys
+async function canUseApiKeys(user) {
+  if (user.role === 'admin') return true;
+  if (user.role !== 'seller') return false;
+
+  const profile = await SellerProfile.findOne({ userId: user._id });
+  return Boolean(profile && profile.status === 'approved');
+}
+
+// Loads the user named by :id for admin routes, 404ing if it doesn't exist
+async function findTargetUser(req, res) {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(404).send({ error: 'User not found' });
+    return null;
+  }
+
+  const user = await User.findById(req.params.id);
+  if (!user) {
+    res.status(404).send({ error: 'User not found' });
+  }
+  return user;
+}
+
+// Routes
+
+// POST /register - User Registration
+app.post('/register', async (req, res) => {
+  try {
+    console.log('Register request body:', req.body);
+    // Roles are never taken from the request; sellers apply through /seller/application
+    const { email, password, firstName, lastName } = req.body;
+    
+    // Check if user already exists
+    const existingUser = await User.findOne({ email });
+    if (existingUser) {
+      console.log('User already exists:', email);
+      return res.status(400).send({ error: 'Email already registered' });
+    }
+
+    const user = new User({
+      email,
+      password,
+      firstName,
+      lastName,
+      role: 'user'
+    });
+
+    await user.save();
+    console.log('New user created:', {
+      id: user._id,
+      email: user.email,
+      role: user.role
+    });
+    await recordAuditEvent(req, 'register', { user });
+
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error('Error sending verification email:', mailError);
+    }
+
+    // Unverified addresses get no session while verification is required, as at /login
+    if (REQUIRE_EMAIL_VERIFICATION) {
+      return res.status(201).send({ user, emailVerificationRequired: true });
+    }
+
+    // Roles that must use 2FA enrol before their first session, as at /login
+    if (twoFactorRequiredFor(user)) {
+      const challengeToken = await issueActionToken(user, 'two_factor_challenge', TWO_FACTOR_CHALLENGE_TTL);
+      return res.status(201).send({ user, twoFactorRequired: false, twoFactorEnrollmentRequired: true, challengeToken });
+    }
+
+    const { token, refreshToken } = await createSession(user, req);
+    
+    res.status(201).send({ user, token, refreshToken });
+  } catch (error) {
+    console.error('Registration error:', error);
+    res.status(400).send(error);
+  }
+});
+
+// POST /login - User Login
+app.post('/login', async (req, res) => {
+  try {
+    console.log('Login request body:', req.body);
+    const { email, password } = req.body;
+    const accountKey = accountThrottleKey(email);
+    const ipKey = ipThrottleKey(req.ip);
+
+    const lockedUntil = await findActiveLockout([accountKey, ipKey]);
+    if (lockedUntil) {
+      await recordAuditEvent(req, 'login_failure', { email, metadata: { reason: 'locked_out' } });
+      res.set('Retry-After', String(Math.ceil((lockedUntil - Date.now()) / 1000)));
+      return res.status(429).send({ error: 'Too many failed login attempts. Try again later.' });
+    }
+
+    const user = await User.findOne({ email });
+
+    console.log('Login attempt for user:', email);
+    console.log('Found user:', user ? user._id.toString() : null);
+
+    if (!user || !await bcrypt.compare(password, user.password)) {
+      console.log('Invalid login attempt for:', email);
+      await recordAuditEvent(req, 'login_failure', { user, email, metadata: { reason: 'invalid_credentials' } });
+
+      const accountLocked = await recordLoginFailure(accountKey, LOGIN_MAX_ATTEMPTS_PER_ACCOUNT);
+      const ipLocked = await recordLoginFailure(ipKey, LOGIN_MAX_ATTEMPTS_PER_IP);
+      if (accountLocked || ipLocked) {
+        await recordAuditEvent(req, 'account_locked', {
+          user,
+          email,
+          metadata: { account: accountLocked, ip: ipLocked }
+        });
+      }
+
+      return res.status(401).send({ error: 'Invalid login credentials' });
+    }
+
+    if (!user.isActive) {
+      await recordAuditEvent(req, 'login_failure', { user, metadata: { reason: 'account_inactive' } });
+      return res.status(403).send({ error: 'Account is deactivated' });
+    }
+
+    if (user.passwordResetRequired) {
+      return res.status(403).send({ error: 'Password reset required. Check your email for a reset link.' });
+    }
+
+    if (REQUIRE_EMAIL_VERIFICATION && !user.emailVerified) {
+      return res.status(403).send({ error: 'Email address not verified' });
+    }
+
+    // Password is correct; 2FA accounts (and roles that must enrol) finish at /login/2fa
+    if (user.twoFactor.enabled || twoFactorRequiredFor(user)) {
+      const challengeToken = await issueActionToken(user, 'two_factor_challenge', TWO_FACTOR_CHALLENGE_TTL);
+      return res.send({
+        twoFactorRequired: user.twoFactor.enabled,
+        twoFactorEnrollmentRequired: !user.twoFactor.enabled,
+        challengeToken
+      });
+    }
+
+    await LoginThrottle.deleteOne({ key: accountKey });
+    const { token, refreshToken } = await completeLogin(user, req);
+
+    res.send({ user, token, refreshToken });
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(400).send(error);
+  }
+});
+
+// POST /login/2fa - Exchange a challenge token and TOTP or recovery code for a session
+app.post('/login/2fa', async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+    const challenge = await findActionToken(challengeToken, 'two_factor_challenge');
+    const user = challenge && await User.findOne({ _id: challenge.userId, isActive: true });
+
+    if (!user) {
+      return res.status(401).send({ error: 'Invalid or expired challenge' });
+    }
+
+    const accountKey = accountThrottleKey(user.email);
+    if (await findActiveLockout([accountKey, ipThrottleKey(req.ip)])) {
+      return res.status(429).send({ error: 'Too many failed login attempts. Try again later.' });
+    }
+
+    if (!await verifySecondFactor(user, { code, recoveryCode })) {
+      await recordAuditEvent(req, 'login_failure', { user, metadata: { reason: 'invalid_second_factor' } });
+
+      // Counted against the IP too, so one client can't try codes across many challenged accounts
+      const accountLocked = await recordLoginFailure(accountKey, LOGIN_MAX_ATTEMPTS_PER_ACCOUNT);
+      const ipLocked = await recordLoginFailure(ipThrottleKey(req.ip), LOGIN_MAX_ATTEMPTS_PER_IP);
+      if (accountLocked || ipLocked) {
+        await recordAuditEvent(req, 'account_locked', { user, metadata: { account: accountLocked, ip: ipLocked } });
+      }
+      return res.status(401).send({ error: 'Invalid authentication code' });
+    }
+
+    if (!await consumeActionToken(challengeToken, 'two_factor_challenge')) {
+      return res.status(401).send({ error: 'Invalid or expired challenge' });
+    }
+
+    await LoginThrottle.deleteOne({ key: accountKey });
+    const { token, refreshToken } = await completeLogin(user, req, { twoFactor: recoveryCode ? 'recovery_code' : 'totp' });
+
+    res.send({ user, token, refreshToken });
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(400).send(error);
+  }
+});
+
+// POST /login/2fa/setup - Start mandatory TOTP enrolment during login
+app.post('/login/2fa/setup', async (req, res) => {
+  try {
+    const challenge = await findActionToken(req.body.challengeToken, 'two_factor_challenge');
+    const user = challenge && await User.findOne({ _id: challenge.userId, isActive: true });
+
+    if (!user || user.twoFactor.enabled) {
+      return res.status(401).send({ error: 'Invalid or expired challenge' });
+    }
+
+    const setup = startTwoFactorSetup(user);
+    await user.save();
+    res.send(setup);
+  } catch (error) {
+    res.status(400).send(error);
+  }
+});
+
+// POST /login/2fa/enroll - Confirm mandatory TOTP enrolment and finish logging in
+app.post('/login/2fa/enroll', async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+    const challenge = await findActionToken(challengeToken, 'two_factor_challenge');
+    const user = challenge && await User.findOne({ _id: challenge.userId, isActive: true });
+
+    if (!user || user.twoFactor.enabled) {
+      return res.status(401).send({ error: 'Invalid or expired challenge' });
+    }
+
+    const recoveryCodes = completeTwoFactorSetup(user, code);
+    if (!recoveryCodes) {
+      return res.status(400).send({ error: 'Invalid authentication code' });
+    }
+
+    if (!await consumeActionToken(challengeToken, 'two_factor_challenge')) {
+      return res.status(401).send({ error: 'Invalid or expired challenge' });
+    }
+
+    await user.save();
+    await recordAuditEvent(req, 'two_factor_enabled', { user });
+    await LoginThrottle.deleteOne({ key: accountThrottleKey(user.email) });
+    const { token, refreshToken } = await completeLogin(user, req, { twoFactor: 'enrollment' });
+
+    res.send({ user, token, refreshToken, recoveryCodes });
+  } catch (error) {
+    console.error('Two-factor enrolment error:', error);
+    res.status(400).send(error);
+  }
+});
+
+// POST /token/refresh - Exchange a refresh token for a new token pair
+app.post('/token/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).send({ error: 'Refresh token is required' });
+    }
+
+    const storedToken = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+    if (!storedToken || storedToken.expiresAt < new Date()) {
+      return res.status(401).send({ error: 'Invalid refresh token' });
+    }
+
+    // Mark the token used atomically so two concurrent refreshes cannot both succeed
+    const claimed = await RefreshToken.findOneAndUpdate(
+      { _id: storedToken._id, usedAt: null },
+      { usedAt: new Date() }
+    );
+
+    if (!claimed) {
+      // A rotated token came back: assume it was stolen and end the whole session
+      console.log('Refresh token reuse detected for session:', storedToken.sessionId.toString());
+      await revokeSessions({ _id: storedToken.sessionId }, 'refresh_token_reuse');
+      return res.status(401).send({ error: 'Invalid refresh token' });
+    }
+
+    const session = await Session.findOne({
+      _id: storedToken.sessionId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    });
+    const user = session && await User.findOne({ _id: session.userId, isActive: true });
+
+    if (!user) {
+      return res.status(401).send({ error: 'Invalid refresh token' });
+    }
+
+    if (REQUIRE_EMAIL_VERIFICATION && !user.emailVerified) {
+      await revokeSessions({ _id: session._id }, 'email_not_verified');
+      return res.status(403).send({ error: 'Email address not verified' });
+    }
+
+    // A role that now requires 2FA (a promotion, or a changed TWO_FACTOR_REQUIRED_ROLES) has to
+    // enrol through /login before it gets new tokens
+    if (twoFactorRequiredFor(user) && !user.twoFactor.enabled) {
+      await revokeSessions({ _id: session._id }, 'two_factor_enrollment_required');
+      return res.status(401).send({ error: 'Two-factor enrolment required. Log in again.' });
+    }
+
+    session.lastUsedAt = new Date();
+    await session.save();
+
+    const token = signAccessToken(user, session);
+    const newRefreshToken = await issueRefreshToken(session);
+
+    res.send({ token, refreshToken: newRefreshToken });
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(400).send(error);
+  }
+});
+
+// POST /verify-email - Confirm an email address with a verification token
+app.post('/verify-email', async (req, res) => {
+  try {
+    const actionToken = await consumeActionToken(req.body.token, 'email_verification');
+    const user = actionToken && await User.findById(actionToken.userId);
+
+    // The token only verifies the address it was sent to
+    if (!user || user.email !== actionToken.email) {
+      return res.status(400).send({ error: 'Invalid or expired verification token' });
+    }
+
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save();
+    await promoteBootstrapAdmin(req, user);
+
+    res.send({ message: 'Email verified successfully' });
+  } catch (error) {
+    console.error('Email verification error:', error);
+    res.status(400).send(error);
+  }
+});
+
+// POST /resend-verification - Send a fresh verification email
+app.post('/resend-verification', async (req, res) => {
+  try {
+    const user = await User.findOne({ email: req.body.email, isActive: true });
+
+    if (user && !user.emailVerified) {
+      await sendVerificationEmail(user);
+    }
+
+    // Same response either way so the endpoint can't be used to probe for accounts
+    res.send({ message: 'If the account exists and is unverified, a verification email has been sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).send(error);
+  }
+});
+
+// POST /forgot-password - Email a password reset link
+app.post('/forgot-password', async (req, res) => {
+  try {
+    const user = await User.findOne({ email: req.body.email, isActive: true });
+
+    if (user) {
+      await sendPasswordResetEmail(user);
+    }
+
+    res.send({ message: 'If the account exists, a password reset email has been sent' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).send(error);
+  }
+});
+
+// POST /reset-password - Set a new password with a reset token
+app.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    if (!password) {
+      return res.status(400).send({ error: 'Password is required' });
+    }
+
+    const pendingToken = await findActionToken(token, 'password_reset');
+    const user = pendingToken && await User.findOne({ _id: pendingToken.userId, isActive: true });
+
+    if (!user) {
+      return res.status(400).send({ error: 'Invalid or expired reset token' });
+    }
+
+    // The token is only spent once the new password passes validation, so a rejected
+    // password can be corrected with the same link
+    user.password = password;
+    try {
+      await user.validate();
+    } catch (error) {
+      return res.status(400).send(error);
+    }
+
+    const actionToken = await consumeActionToken(token, 'password_reset');
+    if (!actionToken) {
+      return res.status(400).send({ error: 'Invalid or expired reset token' });
+    }
+
+    user.passwordResetRequired = false;
+    // Receiving the reset link proves ownership of the address
+    if (user.email === actionToken.email && !user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+    await revokeSessions({ userId: user._id }, 'password_reset');
+    await promoteBootstrapAdmin(req, user);
+    await LoginThrottle.deleteOne({ key: accountThrottleKey(user.email) });
+    await recordAuditEvent(req, 'password_change', { user, metadata: { method: 'reset_token' } });
+
+    res.send({ message: 'Password reset successfully' });
+  } catch (error) {
+    console.error('Password reset error:', error);
+    res.status(400).send(error);
+  }
+});
+
+// GET /token/introspect - Confirm an access token's session is still valid
+// Used by the other services' auth middleware to honour revocation
+app.get('/token/introspect', auth, async (req, res) => {
+  try {
+    const sellerProfile = req.user.role === 'seller'
+      ? await SellerProfile.findOne({ userId: req.user._id })
+      : null;
+
+    res.send({
+      active: true,
+      user: {
+        _id: req.user._id,
+        role: req.user.role,
+        sellerStatus: sellerProfile ? sellerProfile.status : null
+      },
+      sessionId: req.authSession._id
+    });
+  } catch (error) {
+    res.status(500).send(error);
+  }
+});
+
+// POST /logout - Revoke the current session
+app.post('/logout', auth, async (req, res) => {
+  try {
+    await revokeSessions({ _id: req.authSession._id }, 'logout');
+    res.send({ message: 'Logged out successfully' });
+  } catch (error) {
+    res.status(500).send(error);
+  }
+});
+
+// POST /logout-all - Revoke every session for the current user
+app.post('/logout-all', auth, async (req, res) => {
+  try {
+    await revokeSessions({ userId: req.user._id }, 'logout_all');
+    res.send({ message: 'Logged out of all sessions successfully' });
+  } catch (error) {
+    res.status(500).send(error);
+  }
+});
+
+// Two-Factor Routes
+
+// POST /2fa/setup - Generate a TOTP secret to enrol an authenticator app
+app.post('/2fa/setup', auth, async (req, res) => {
+  try {
+    if (req.user.twoFactor.enabled) {
+      return res.status(400).send({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    const setup = startTwoFactorSetup(req.user);
+    await req.user.save();
+    res.send(setup);
+  } catch (error) {
+    res.status(400).send(error);
+  }
+});
+
+// POST /2fa/enable - Confirm the TOTP secret with a code and receive recovery codes
+app.post('/2fa/enable', auth, async (req, res) => {
+  try {
+    if (req.user.twoFactor.enabled) {
+      return res.status(400).send({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    const recoveryCodes = completeTwoFactorSetup(req.user, req.body.code);
+    if (!recoveryCodes) {
+      return res.status(400).send({ error: 'Invalid authentication code' });
+    }
+
+    await req.user.save();
+    await recordAuditEvent(req, 'two_factor_enabled', { user: req.user });
+    res.send({ message: 'Two-factor authentication enabled', recoveryCodes });
+  } catch (error) {
+    res.status(400).send(error);
+  }
+});
+
+// POST /2fa/disable - Turn off 2FA (requires password and a current code)
+app.post('/2fa/disable', auth, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (twoFactorRequiredFor(req.user)) {
+      return res.status(403).send({ error: `Two-factor authentication is mandatory for ${req.user.role} accounts` });
+    }
+
+    if (!password || !await bcrypt.compare(password, req.user.password) ||
+        !await verifySecondFactor(req.user, { code, recoveryCode })) {
+      return res.status(401).send({ error: 'Invalid credentials' });
+    }
+
+    req.user.twoFactor = { enabled: false };
+    await req.user.save();
+    await revokeSessions({ userId: req.user._id, _id: { $ne: req.authSession._id } }, 'two_factor_disabled');
+    await recordAuditEvent(req, 'two_factor_disabled', { user: req.user });
+
+    res.send({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    res.status(400).send(error);
+  }
+});
+
+// POST /2fa/recovery-codes - Replace recovery codes (requires a current code)
+app.post('/2fa/recovery-codes', auth, async (req, res) => {
+  try {
+    if (!await verifySecondFactor(req.user, { code: req.body.code })) {
+      return res.status(401).send({ error: 'Invalid authentication code' });
+    }
+
+    const recoveryCodes = resetRecoveryCodes(req.user);
+    await req.user.save();
+    res.send({ recoveryCodes });
+  } catch (error) {
+    res.status(400).send(error);
+  }
+});
+
+// API Key Routes
+
+// POST /api-keys - Create an API key (the key itself is only returned once)
+app.post('/api-keys', auth, async (req, res) => {
+  try {
+    if (!await canUseApiKeys(req.user)) {
+      return res.status(403).send({ error: 'Access denied. Approved seller account required.' });
+    }
+
+    const { name, scopes, expiresAt } = req.body;
+    const allowedScopes = ApiKey.schema.path('scopes').caster.enumValues;
+    if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every(scope => allowedScopes.includes(scope))) {
+      return res.status(400).send({ error: `Scopes must be one or more of: ${allowedScopes.join(', ')}` });
+    }
+
+    const key = `fsk_${crypto.randomBytes(32).toString('hex')}`;
+    const apiKey = await ApiKey.create({
+      userId: req.user._id,
+      name,
+      prefix: key.slice(0, 12),
+      keyHash: hashToken(key),
+      scopes: [...new Set(scopes)],
+      expiresAt
+    });
+
+    res.status(201).send({ ...apiKey.toJSON(), key });
+  } catch (error) {
+    res.status(400).send(error);
+  }
+});
+
+// GET /api-keys - List the current user's API keys
+app.get('/api-keys', auth, async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find({ userId: req.user._id }).sort({ createdAt: -1 });
+    res.send(apiKeys);
+  } catch (error) {
+    res.status(500).send(error);
+  }
+});
+
+// DELETE /api-keys/:id - Revoke an API key
+app.delete('/api-keys/:id', auth, async (req, res) => {
+  try {
+    const apiKey = mongoose.isValidObjectId(req.params.id) &&
+      await ApiKey.findOne({ _id: req.params.id, userId: req.user._id });
+    if (!apiKey) {
+      return res.status(404).send({ error: 'API key not found' });
+    }
+
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date();
+      await apiKey.save();
+    }
+
+    res.send(apiKey);
+  } catch (error) {
+    res.status(500).send(error);
+  }
+});
+
+// POST /internal/api-keys/verify - Resolve an API key to its owner and scopes
+// Used by product-service; records last use on every successful check
+app.post('/internal/api-keys/verify', internalAuth, async (req, res) => {
+  try {
+    const { key, ip } = req.body;
+    const apiKey = key && await ApiKey.findOneAndUpdate(
+      {
+        keyHash: hashToken(String(key)),
+        revokedAt: null,
+        $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+      },
+      { lastUsedAt: new Date(), lastUsedIp: ip },
+      { new: true }
+    );
+    const user = apiKey && await User.findOne({ _id: apiKey.userId, isActive: true });
+
+    // Keys stop working as soon as the owner loses seller approval
+    if (!user || !await canUseApiKeys(user)) {
+      return res.status(401).send({ active: false });
+    }
+
+    const sellerProfile = user.role === 'seller'
+      ? await SellerProfile.findOne({ userId: user._id })
+      : null;
+
+    res.send({
+      active: true,
+      apiKeyId: apiKey._id,
+      scopes: apiKey.scopes,
+      user: {
+        _id: user._id,
+        role: user.role,
+        sellerStatus: sellerProfile ? sellerProfile.status : null
+      }
+    });
+  } catch (error) {
+    res.status(500).send(error);
+  }
+});
+
+// Address Book Routes
+
+// GET /addresses - List saved addresses
+app.get('/addresses', auth, async (req, res) => {
+  res.send(req.user.addresses);
+});
+
+// GET /addresses/:addressId - Get a saved address
+app.get('/addresses/:addressId', auth, async (req, res) => {
+  const address = req.user.addresses.id(req.params.addressId);
+  if (!address) {
+    return res.status(404).send({ error: 'Address not found' });
+  }
+
+  res.send(address);
+});
+
+// POST /addresses - Save a new address
+app.post('/addresses', auth, async (req, res) => {
+  const fields = Object.keys(req.body);
+  if (!fields.every(field => addressFields.includes(field))) {
+    return res.status(400).send({ error: 'Invalid address fields!' });
+  }
+
+  try {
+    const address = req.user.addresses.create(req.body);
+    req.user.addresses.push(address);
+    normalizeDefaultAddresses(req.user, address);
+    await req.user.save();
+    res.status(201).send(address);
+  } catch (error) {
+    res.status(400).send(error);
+  }
+});
+
+// PUT /addresses/:addressId - Update a saved address
+app.put('/addresses/:addressId', auth, async (req, res) => {
+  const updates = Object.keys(req.body);
+  if (!updates.every(update => addressFields.includes(update))) {
+    return res.status(400).send({ error: 'Invalid updates!' });
+  }
+
+  try {
+    const address = req.user.addresses.id(req.params.addressId);
+    if (!address) {
+      return res.status(404).send({ error: 'Address not found' });
+    }
+
+    updates.forEach(update => address[update] = req.body[update]);
+    normalizeDefaultAddresses(req.user, address);
+    await req.user.save();
+    res.send(address);
+  } catch (error) {
+    res.status(400).send(error);
+  }
+});
+
+// DELETE /addresses/:addressId - Delete a saved address
+app.delete('/addresses/:addressId', auth, async (req, res) => {
+  try {
+    const address = req.user.addresses.id(req.params.addressId);
+    if (!address) {
+      return res.status(404).send({ error: 'Address not found' });
+    }
+
+    address.deleteOne();
+
+    // Hand the default over to the most recently added remaining address
+    const fallback = req.user.addresses[req.user.addresses.length - 1];
+    if (fallback) {
+      if (address.isDefaultShipping) fallback.isDefaultShipping = true;
+      if (address.isDefaultBilling) fallback.isDefaultBilling = true;
+    }
+
+    await req.user.save();
+    res.send(address);
+  } catch (error) {
+    res.status(500).send(error);
+  }
+});
+
+// PUT /update-profile - Update User Profile
+app.put('/update-profile', auth, async (req, res) => {
+  const updates = Object.keys(req.body);
+  const allowedUpdates = ['firstName', 'lastName', 'password', 'email'];
+  const isValidOperation = updates.every(update => allowedUpdates.includes(update));
+
+  if (!isValidOperation) {
+    return res.status(400).send({ error: 'Invalid updates!' });
+  }
+
+  try {
+    const previousEmail = req.user.email;
+    updates.forEach(update => req.user[update] = req.body[update]);
+
+    const emailChanged = req.user.isModified('email');
+    if (emailChanged) {
+      req.user.emailVerified = false;
+      req.user.emailVerifiedAt = undefined;
+    }
+
+    await req.user.save();
+
+    if (emailChanged) {
+      try {
+        await sendVerificationEmail(req.user);
+      } catch (mailError) {
+        console.error('Error sending verification email:', mailError);
+      }
+    }
+
+    // A password change signs out every other device
+    if (updates.includes('password')) {
+      await revokeSessions(
+        { userId: req.user._id, _id: { $ne: req.authSession._id } },
+        'password_change'
+      );
+      await recordAuditEvent(req, 'password_change', { user: req.user, metadata: { method: 'profile' } });
+    }
+
+    const profileFields = updates.filter(update => update !== 'password');
+    if (profileFields.length > 0) {
+      await recordAuditEvent(req, 'profile_change', {
+        user: req.user,
+        metadata: { fields: profileFields, ...(emailChanged && { previousEmail }) }
+      });
+    }
+
+    res.send(req.user);
+  } catch (error) {
+    res.status(400).send(error);
+  }
+});
+
+// DELETE /delete-user - Delete User Account
+app.delete('/delete-user', auth, async (req, res) => {
+  try {
+    req.user.isActive = false;
+    req.user.deactivatedAt = new Date();
+    req.user.deactivationReason = 'Deactivated by user';
+    await req.user.save();
+    await revokeSessions({ userId: req.user._id }, 'account_deactivated');
+    await recordAuditEvent(req, 'deactivation', { user: req.user, metadata: { by: 'self' } });
+    res.send({ message: 'User account deactivated successfully' });
+  } catch (error) {
+    res.status(500).send(error);
+  }
+});
+
+// Personal Data Routes
+
+// GET /data-export - Download everything the platform stores about the current user
+app.get('/data-export', auth, async (req, res) => {
+  try {
+    const archive = await buildDataExport(req.user);
+    await recordAuditEvent(req, 'data_export', { user: req.user });
+
+    res.set('Content-Disposition', `attachment; filename="user-data-${req.user._id}.json"`);
+    res.send(archive);
+  } catch (error) {
+    console.error('Data export error:', error);
+    res.status(500).send(error);
+  }
+});
+
+// POST /data-erasure - Permanently erase the current user's data in every service
+app.post('/data-erasure', auth, async (req, res) => {
+  try {
+    const { password } = req.body;
+    if (!password || !await bcrypt.compare(password, req.user.password)) {
+      return res.status(401).send({ error: 'Password confirmation is required' });
+    }
+
+    const erasureRequest = await startErasure(req, req.user);
+    res.send(erasureRequest);
+  } catch (error) {
+    console.error('Data erasure error:', error);
+    res.status(500).send(error);
+  }
+});
+
+// GET /users - Search users (admin only)
+app.get('/users', auth, adminAuth, async (req, res) => {
+  try {
+    const { email, name, role, isActive } = req.query;
+    const { pageNumber, pageSize, skip } = parsePagination(req.query);
+
+    const query = {};
+    if (email) query.email = new RegExp(escapeRegex(email), 'i');
+    if (name) {
+      const namePattern = new RegExp(escapeRegex(name), 'i');
+      query.$or = [{ firstName: namePattern }, { lastName: namePattern }];
+    }
+    if (role) {
+      // Only a known role name; anything else (e.g. ?role[$ne]=x) would reach Mongo as an operator
+      if (!User.schema.path('role').enumValues.includes(role)) {
+        return res.status(400).send({ error: 'Invalid role' });
+      }
+      query.role = role;
+    }
+    if (isActive !== undefined) query.isActive = isActive === 'true';
+
+    const users = await User.find(query)
+      .skip(skip)
+      .limit(pageSize)
+      .sort({ createdAt: -1 });
+
+    const total = await User.countDocuments(query);
+
+    res.send({
+      users,
+      total,
+      totalPages: Math.ceil(total / pageSize),
+      currentPage: pageNumber
+    });
+  } catch (error) {
+    res.status(500).send(error);
+  }
+});
+
+// GET /users/:id - Get a single user (admin only)
+app.get('/users/:id', auth, adminAuth, async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    res.send(user);
+  } catch (error) {
+    res.status(500).send(error);
+  }
+});
+
+// PUT /users/:id/role - Change a user's role (admin only)
+app.put('/users/:id/role', auth, adminAuth, async (req, res) => {
+  try {
+    const { role } = req.body;
+    if (!User.schema.path('role').enumValues.includes(role)) {
+      return res.status(400).send({ error: 'Invalid role' });
+    }
+
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    if (user._id.equals(req.user._id)) {
+      return res.status(400).send({ error: 'Admins cannot change their own role' });
+    }
+
+    const previousRole = user.role;
+    user.role = role;
+    await user.save();
+    await recordAuditEvent(req, 'role_change', {
+      user,
+      actor: req.user,
+      metadata: { from: previousRole, to: role }
+    });
+
+    // Roles are embedded in access tokens, so existing sessions must log in again
+    await revokeSessions({ userId: user._id }, 'role_change');
+
+    res.send(user);
+  } catch (error) {
+    res.status(400).send(error);
+  }
+});
+
+// POST /users/:id/suspend - Suspend a user account (admin only)
+app.post('/users/:id/suspend', auth, adminAuth, async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    if (user._id.equals(req.user._id)) {
+      return res.status(400).send({ error: 'Admins cannot suspend their own account' });
+    }
+
+    user.isActive = false;
+    user.deactivatedAt = new Date();
+    user.deactivationReason = req.body.reason || 'Suspended by admin';
+    await user.save();
+    await revokeSessions({ userId: user._id }, 'account_suspended');
+    await recordAuditEvent(req, 'deactivation', {
+      user,
+      actor: req.user,
+      metadata: { by: 'admin', reason: user.deactivationReason }
+    });
+
+    res.send(user);
+  } catch (error) {
+    res.status(400).send(error);
+  }
+});
+
+// POST /users/:id/reactivate - Reactivate a suspended or deactivated account (admin only)
+app.post('/users/:id/reactivate', auth, adminAuth, async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    // An account whose data is being erased stays locked until the erasure finishes
+    if (await ErasureRequest.exists({ userId: user._id, status: { $ne: 'completed' } })) {
+      return res.status(409).send({ error: 'Account has a data erasure in progress' });
+    }
+
+    user.isActive = true;
+    user.deactivatedAt = undefined;
+    user.deactivationReason = undefined;
+    await user.save();
+    await recordAuditEvent(req, 'reactivation', { user, actor: req.user });
+
+    res.send(user);
+  } catch (error) {
+    res.status(400).send(error);
+  }
+});
+
+// POST /users/:id/force-password-reset - Require a password reset on next login (admin only)
+app.post('/users/:id/force-password-reset', auth, adminAuth, async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    user.passwordResetRequired = true;
+    await user.save();
+    await revokeSessions({ userId: user._id }, 'forced_password_reset');
+    await sendPasswordResetEmail(user);
+
+    res.send(user);
+  } catch (error) {
+    res.status(400).send(error);
+  }
+});
+
+// POST /users/:id/unlock - Clear a login lockout (admin only)
+app.post('/users/:id/unlock', auth, adminAuth, async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    const keys = [accountThrottleKey(user.email)];
+    if (req.body.ip) keys.push(ipThrottleKey(req.body.ip));
+
+    await LoginThrottle.deleteMany({ key: { $in: keys } });
+    await recordAuditEvent(req, 'account_unlocked', {
+      user,
+      actor: req.user,
+      metadata: req.body.ip ? { ip: req.body.ip } : undefined
+    });
+
+    res.send({ message: 'Account unlocked successfully' });
+  } catch (error) {
+    res.status(400).send(error);
+  }
+});
+
+// GET /audit-events - Query the auth audit log (admin only)
+app.get('/audit-events', auth, adminAuth, async (req, res) => {
+  try {
+    const { type, userId, email, ip, startDate, endDate } = req.query;
+    const { pageNumber, pageSize, skip } = parsePagination(req.query);
+
+    const query = {};
+    if (type) {
+      // Only a known event type; anything else (e.g. ?type[$ne]=x) would reach Mongo as an operator
+      if (!AuditEvent.schema.path('type').enumValues.includes(type)) {
+        return res.status(400).send({ error: 'Invalid type' });
+      }
+      query.type = type;
+    }
+    if (userId) {
+      if (!mongoose.isValidObjectId(userId)) {
+        return res.status(400).send({ error: 'Invalid userId' });
+      }
+      query.userId = userId;
+    }
+    if (email) query.email = String(email).toLowerCase();
+    if (ip) query.ip = String(ip);
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      if (endDate) query.createdAt.$lte = new Date(endDate);
+    }
+
+    const events = await AuditEvent.find(query)
+      .skip(skip)
+      .limit(pageSize)
+      .sort({ createdAt: -1 });
+
+    const total = await AuditEvent.countDocuments(query);
+
+    res.send({
+      events,
+      total,
+      totalPages: Math.ceil(total / pageSize),
+      currentPage: pageNumber
+    });
+  } catch (error) {
+    res.status(500).send(error);
+  }
+});
+
+// GET /users/:id/data-export - Export a user's data from every service (admin only)
+app.get('/users/:id/data-export', auth, adminAuth, async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    const archive = await buildDataExport(user);
+    await recordAuditEvent(req, 'data_export', { user, actor: req.user });
+
+    res.set('Content-Disposition', `attachment; filename="user-data-${user._id}.json"`);
+    res.send(archive);
+  } catch (error) {
+    console.error('Data export error:', error);
+    res.status(500).send(error);
+  }
+});
+
+// POST /users/:id/data-erasure - Permanently erase a user's data in every service (admin only)
+app.post('/users/:id/data-erasure', auth, adminAuth, async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    const erasureRequest = await startErasure(req, user);
+    res.send(erasureRequest);
+  } catch (error) {
+    console.error('Data erasure error:', error);
+    res.status(500).send(error);
+  }
+});
+
+// GET /data-erasure/:requestId - Per-service status of an erasure request (admin only)
+app.get('/data-erasure/:requestId', auth, adminAuth, async (req, res) => {
+  try {
+    const erasureRequest = mongoose.isValidObjectId(req.params.requestId) &&
+      await ErasureRequest.findById(req.params.requestId);
+    if (!erasureRequest) {
+      return res.status(404).send({ error: 'Erasure request not found' });
+    }
+
+    res.send(erasureRequest);
+  } catch (error) {
+    res.status(500).send(error);
+  }
+});
+
+// POST /data-erasure/:requestId/retry - Retry the failed steps of an erasure request (admin only)
+app.post('/data-erasure/:requestId/retry', auth, adminAuth, async (req, res) => {
+  try {
+    const erasureRequest = mongoose.isValidObjectId(req.params.requestId) &&
+      await ErasureRequest.findById(req.params.requestId);
+    if (!erasureRequest) {
+      return res.status(404).send({ error: 'Erasure request not found' });
+    }
+
+    if (erasureRequest.status === 'completed') {
+      return res.status(400).send({ error: 'Erasure request is already completed' });
+    }
+
+    const finished = await runErasure(erasureRequest._id);
+    if (!finished) {
+      return res.status(409).send({ error: 'Erasure request is already in progress' });
+    }
+
+    res.send(finished);
+  } catch (error) {
+    res.status(500).send(error);
+  }
+});
+
+// Seller Onboarding Routes
+
+// POST /seller/application - Apply (or re-apply after rejection) to become a seller
+app.post('/seller/application', auth, async (req, res) => {
+  try {
+    const updates = Object.keys(req.body);
+    if (!updates.every(update => sellerProfileFields.includes(update))) {
+      return res.status(400).send({ error: 'Invalid application fields!' });
+    }
+
+    let profile = await SellerProfile.findOne({ userId: req.user._id });
+    if (profile && profile.status !== 'rejected') {
+      return res.status(400).send({ error: `Seller application is already ${profile.status}` });
+    }
+
+    if (!profile) {
+      profile = new SellerProfile({ userId: req.user._id });
+    }
+
+    updates.forEach(update => profile[update] = req.body[update]);
+    profile.status = 'pending';
+    profile.submittedAt = new Date();
+    profile.reviewedAt = undefined;
+    profile.reviewedBy = undefined;
+    profile.rejectionReason = undefined;
+    await profile.save();
+
+    res.status(201).send(profile);
+  } catch (error) {
+    res.status(400).send(error);
+  }
+});
+
+// GET /seller/application - Get the current user's seller profile and status
+app.get('/seller/application', auth, async (req, res) => {
+  try {
+    const profile = await SellerProfile.findOne({ userId: req.user._id });
+    if (!profile) {
+      return res.status(404).send({ error: 'No seller application found' });
+    }
+
+    res.send(profile);
+  } catch (error) {
+    res.status(500).send(error);
+  }
+});
+
+// PUT /seller/profile - Update store profile details
+app.put('/seller/profile', auth, async (req, res) => {
+  const updates = Object.keys(req.body);
+  if (!updates.every(update => sellerProfileFields.includes(update))) {
+    return res.status(400).send({ error: 'Invalid updates!' });
+  }
+
+  try {
+    const profile = await SellerProfile.findOne({ userId: req.user._id });
+    if (!profile) {
+      return res.status(404).send({ error: 'No seller application found' });
+    }
+
+    updates.forEach(update => profile[update] = req.body[update]);
+
+    // Payouts go wherever these details point, so an approved store that changes them
+    // is reviewed again before it can sell
+    if (profile.status === 'approved' && profile.isModified('payoutDetails')) {
+      profile.status = 'pending';
+      profile.submittedAt = new Date();
+      profile.reviewedAt = undefined;
+      profile.reviewedBy = undefined;
+    }
+
+    await profile.save();
+    res.send(profile);
+  } catch (error) {
+    res.status(400).send(error);
+  }
+});
+
+// GET /seller/applications - List seller applications (admin only)
+app.get('/seller/applications', auth, adminAuth, async (req, res) => {
+  try {
+    const { status } = req.query;
+    const { pageNumber, pageSize, skip } = parsePagination(req.query);
+
+    const query = {};
+    if (status) {
+      // Only a known status; anything else (e.g. ?status[$ne]=x) would reach Mongo as an operator
+      if (!SellerProfile.schema.path('status').enumValues.includes(status)) {
+        return res.status(400).send({ error: 'Invalid status' });
+      }
+      query.status = status;
+    }
+
+    const applications = await SellerProfile.find(query)
+      .skip(skip)
+      .limit(pageSize)
+      .sort({ submittedAt: 1 });
+
+    const total = await SellerProfile.countDocuments(query);
+
+    res.send({
+      applications,
+      total,
+      totalPages: Math.ceil(total / pageSize),
+      currentPage: pageNumber
+    });
+  } catch (error) {
+    res.status(500).send(error);
+  }
+});
+
+// POST /seller/applications/:id/approve - Approve a seller application (admin only)
+app.post('/seller/applications/:id/approve', auth, adminAuth, async (req, res) => {
+  try {
+    const profile = mongoose.isValidObjectId(req.params.id) && await SellerProfile.findById(req.params.id);
+    if (!profile) {
+      return res.status(404).send({ error: 'Seller application not found' });
+    }
+
+    if (profile.status !== 'pending') {
+      return res.status(400).send({ error: `Seller application is already ${profile.status}` });
+    }
+
+    const user = await User.findById(profile.userId);
+    if (!user) {
+      return res.status(404).send({ error: 'User not found' });
+    }
+
+    profile.status = 'approved';
+    profile.reviewedAt = new Date();
+    profile.reviewedBy = req.user._id;
+    await profile.save();
+
+    // Roles are embedded in access tokens, so existing sessions must log in again as a seller
+    if (user.role === 'user') {
+      user.role = 'seller';
+      await user.save();
+      await revokeSessions({ userId: user._id }, 'role_change');
+    }
+
+    res.send(profile);
+  } catch (error) {
+    res.status(400).send(error);
+  }
+});
+
+// POST /seller/applications/:id/reject - Reject a seller application (admin only)
+app.post('/seller/applications/:id/reject', auth, adminAuth, async (req, res) => {
+  try {
+    const { reason } = req.body;
+    if (!reason) {
+      return res.status(400).send({ error: 'A rejection reason is required' });
+    }
+
+    const profile = mongoose.isValidObjectId(req.params.id) && await SellerProfile.findById(req.params.id);
+    if (!profile) {
+      return res.status(404).send({ error: 'Seller application not found' });
+    }
+
+    if (profile.status !== 'pending') {
+      return res.status(400).send({ error: `Seller application is already ${profile.status}` });
+    }
+
+    profile.status = 'rejected';
+    profile.reviewedAt = new Date();
+    profile.reviewedBy = req.user._id;
+    profile.rejectionReason = reason;
+    await profile.save();
+
+    res.send(profile);
+  } catch (error) {
+    res.status(400).send(error);
+  }
+});
+
+async function retryFailedErasures() {
+  const retryable = await ErasureRequest.find(claimableErasures()).select('_id');
+  for (const erasureRequest of retryable) {
+    await runErasure(erasureRequest._id);
+  }
+}
+
+// Server Configuration
+const PORT = process.env.PORT || 3001;
+
+// Tests require this file for the app without starting the service
+if (require.main === module) {
+  setInterval(() => {
+    retryFailedErasures().catch(error => console.error('Error retrying data erasures:', error.message));
+  }, ERASURE_RETRY_INTERVAL_MS);
+
+  mongoose.connect(process.env.MONGODB_URI)
+    .then(() => {
+      console.log('Connected to MongoDB:', process.env.MONGODB_URI);
+      app.listen(PORT, () => {
+        console.log(`User Management Service running on port ${PORT}`);
+      });
+    })
+    .catch((error) => {
+      console.error('Error connecting to MongoDB:', error);
+    });
+}
+
+module.exports = { app };
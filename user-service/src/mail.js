@@ -0,0 +1,65 @@
+// Mail Transports
+// A transport is any object with an async send({ from, to, subject, text }) method.
+// `console` and `file` work offline. Other transports (e.g. SMTP) are registered with
+// registerTransport, or loaded from MAIL_TRANSPORT_MODULE: a module exporting the factory,
+// registered under the MAIL_TRANSPORT name.
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const createConsoleTransport = () => ({
+  async send(message) {
+    console.log('Mail message:', JSON.stringify(message, null, 2));
+  }
+});
+
+// Writes each message to its own JSON file so tests and developers can read it back
+const createFileTransport = ({ directory }) => ({
+  async send(message) {
+    await fs.mkdir(directory, { recursive: true });
+    const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+    await fs.writeFile(path.join(directory, fileName), JSON.stringify(message, null, 2));
+  }
+});
+
+const transports = {
+  console: createConsoleTransport,
+  file: createFileTransport
+};
+
+function registerTransport(name, factory) {
+  transports[name] = factory;
+}
+
+function loadTransportModule(name) {
+  const modulePath = process.env.MAIL_TRANSPORT_MODULE;
+  if (!modulePath) return null;
+
+  registerTransport(name, require(path.resolve(modulePath)));
+  return transports[name];
+}
+
+function createMailer(options = {}) {
+  const name = options.transport || process.env.MAIL_TRANSPORT || 'console';
+  const factory = (Object.prototype.hasOwnProperty.call(transports, name) && transports[name]) || loadTransportModule(name);
+
+  if (!factory) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+
+  const transport = factory({
+    directory: options.directory || process.env.MAIL_FILE_DIR || path.join(os.tmpdir(), 'fashion-mail')
+  });
+  const from = options.from || process.env.MAIL_FROM || 'Fashion Store <no-reply@fashion-store.local>';
+
+  return {
+    send: (message) => transport.send({
+      from,
+      ...message,
+      sentAt: new Date().toISOString()
+    })
+  };
+}
+
+module.exports = { createMailer, registerTransport };